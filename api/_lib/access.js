@@ -0,0 +1,56 @@
+/**
+ * Who may call the shared-store functions
+ *
+ * Browsers may only call them from the dashboard's origin(s), listed in
+ * DASHBOARD_ORIGIN (comma-separated, e.g. https://example.github.io); with
+ * none set, only same-origin pages can. Requests that write or spend need the
+ * team access token in TEAM_ACCESS_TOKEN, sent as `Authorization: Bearer
+ * <token>` (the dashboard asks for it in Settings); with no token set on the
+ * server, writes are refused.
+ */
+
+import crypto from 'crypto'
+
+function allowedOrigins() {
+  return (process.env.DASHBOARD_ORIGIN || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean)
+}
+
+/**
+ * Set the CORS headers, allowing the request's origin only if it is the dashboard's
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} methods - e.g. 'GET,OPTIONS,POST'
+ */
+export function setCorsHeaders(req, res, methods) {
+  const origin = req.headers.origin
+  res.setHeader('Vary', 'Origin')
+  if (origin && allowedOrigins().includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin)
+    res.setHeader('Access-Control-Allow-Methods', methods)
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+  }
+}
+
+/**
+ * Check the request's `Authorization: Bearer` token
+ * @param {Object} req
+ * @param {string} token - Expected token
+ * @returns {boolean}
+ */
+export function hasBearerToken(req, token) {
+  const sent = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+  // Compare digests so the comparison takes the same time whatever was sent
+  const digest = (text) => crypto.createHash('sha256').update(text).digest()
+  return Boolean(sent) && crypto.timingSafeEqual(digest(sent), digest(token))
+}
+
+/**
+ * Check the request carries the team access token
+ * @param {Object} req
+ * @returns {string|null} Why the request is refused, or null if it may write
+ */
+export function writeRefusal(req) {
+  const token = process.env.TEAM_ACCESS_TOKEN
+  if (!token) return 'Writes are disabled: TEAM_ACCESS_TOKEN is not configured on the server'
+  return hasBearerToken(req, token) ? null : 'A valid team access token is required'
+}
@@ -0,0 +1,32 @@
+/**
+ * Anthropic API access for the serverless functions
+ *
+ * Requests go to ANTHROPIC_API_URL (default https://api.anthropic.com), so
+ * the functions can be run locally against scripts/mock-anthropic-server.js.
+ */
+
+export const ANTHROPIC_MODEL = 'claude-sonnet-4-20250514'
+export const ANTHROPIC_MAX_TOKENS = 2000
+
+// Within the functions' 30s maxDuration (vercel.json), so a hung request fails with an error rather than a killed function
+const DEFAULT_TIMEOUT_MS = 25000
+
+/**
+ * Call an Anthropic API path with the server's key
+ * @param {string} path - e.g. '/v1/messages', or an absolute URL the API returned
+ * @param {Object} [options] - { method, body, timeout (ms, covering the response body too) }
+ * @returns {Promise<Response>}
+ */
+export function anthropicFetch(path, { method = 'GET', body, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const baseUrl = process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com'
+  return fetch(new URL(path, baseUrl), {
+    method,
+    signal: AbortSignal.timeout(timeout),
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01',
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+  })
+}
@@ -0,0 +1,157 @@
+/**
+ * Server-side batch jobs in the shared store
+ *
+ * Shared by the batch endpoint (api/analysis-batches.js), whose polls
+ * collect a job once its message batch has ended, and the scheduled
+ * collector (api/collect-analysis-batches.js), which does the same for jobs
+ * nobody is polling. A job is claimed with a short-lived lock key before its
+ * results are collected, so a poll and the collector can't both store them.
+ *
+ * Each job is its own key, expiring JOB_TTL_SECONDS after its last save, and
+ * the ids of jobs still processing are indexed in PROCESSING_KEY, so the
+ * collector only reads those however many jobs have been run.
+ */
+
+import { kvCommand } from './kv.js'
+import { anthropicFetch } from './anthropic.js'
+import { readAnalysis, validateAnalysis, formatValidationErrors } from '../../src/services/analysisSchema.js'
+
+export const JOBS_KEY = 'analysis-batches'
+export const PROCESSING_KEY = `${JOBS_KEY}:processing`
+const ANALYSES_KEY = 'analyses'
+
+// Anthropic keeps batch results for 29 days; an ended job stays visible to the dashboard for a week
+const JOB_TTL_SECONDS = { processing: 30 * 24 * 3600, ended: 7 * 24 * 3600 }
+
+const jobKey = (id) => `${JOBS_KEY}:job:${id}`
+
+// Longer than a function may run (vercel.json maxDuration), so a crashed collection frees the job
+const CLAIM_SECONDS = 60
+
+// What callers see of a job (the request map and profile stay server-side)
+export function publicJob(job) {
+  const { requests, profile, ...rest } = job
+  return { ...rest, pending: Object.keys(requests).length }
+}
+
+export async function loadJob(id) {
+  const value = await kvCommand('GET', jobKey(id))
+  return value ? JSON.parse(value) : null
+}
+
+export async function saveJob(job) {
+  const processing = job.status === 'processing'
+  await kvCommand('SET', jobKey(job.id), JSON.stringify({ ...job, updatedAt: new Date().toISOString() }),
+    'EX', JOB_TTL_SECONDS[processing ? 'processing' : 'ended'])
+  if (processing) await kvCommand('HSET', PROCESSING_KEY, job.id, job.createdAt)
+  else await kvCommand('HDEL', PROCESSING_KEY, job.id)
+}
+
+/**
+ * Jobs still processing, oldest first; ids whose job has expired are dropped from the index
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadProcessingJobs() {
+  // HGETALL returns field, value, field, value, ...
+  const entries = (await kvCommand('HGETALL', PROCESSING_KEY)) || []
+  const ids = entries
+    .map((value, index) => index % 2 === 0 ? [value, entries[index + 1]] : null)
+    .filter(Boolean)
+    .sort((a, b) => a[1].localeCompare(b[1]))
+    .map(([id]) => id)
+
+  const jobs = []
+  for (const id of ids) {
+    const job = await loadJob(id)
+    if (job?.status === 'processing') jobs.push(job)
+    else if (!job) await kvCommand('HDEL', PROCESSING_KEY, id)
+  }
+  return jobs
+}
+
+export async function saveAnalyses(records) {
+  if (records.length === 0) return
+  await kvCommand('HSET', ANALYSES_KEY, ...records.flatMap(record => [record.tenderId, JSON.stringify(record)]))
+}
+
+export function analysisRecord(tender, sironaFit, irrelevanceReason = null) {
+  return {
+    tenderId: tender.id,
+    contentHash: tender.contentHash,
+    sirona_fit: sironaFit,
+    analyzed_at: new Date().toISOString(),
+    irrelevance_reason: irrelevanceReason
+  }
+}
+
+// Validate a batch's results and store the analyses
+async function collectResults(job, batch) {
+  const response = await anthropicFetch(batch.results_url)
+  if (!response.ok) {
+    throw new Error(`Failed to load batch results: ${response.status}`)
+  }
+
+  const records = []
+  const lines = (await response.text()).split('\n').filter(line => line.trim())
+  for (const line of lines) {
+    const { custom_id: customId, result } = JSON.parse(line)
+    const request = job.requests[customId]
+    if (!request) continue
+    delete job.requests[customId]
+
+    if (result.type !== 'succeeded') {
+      job.failed.push({ tenderId: request.tenderId, error: `Request ${result.type}${result.error ? `: ${result.error.error?.message || result.error.type}` : ''}` })
+      continue
+    }
+
+    const { analysis, errors } = validateAnalysis(readAnalysis(result.message.content), job.profile)
+    if (!analysis) {
+      job.failed.push({ tenderId: request.tenderId, error: `Analysis didn't match the schema:\n${formatValidationErrors(errors)}` })
+      continue
+    }
+    records.push(analysisRecord(
+      { id: request.tenderId, contentHash: request.contentHash },
+      { ...analysis, source: 'ai', profile_version: job.profileVersion }
+    ))
+    job.done.push(request.tenderId)
+  }
+
+  // Requests missing from the results are reported rather than left pending
+  for (const { tenderId } of Object.values(job.requests)) {
+    job.failed.push({ tenderId, error: 'No result returned' })
+  }
+  job.requests = {}
+
+  await saveAnalyses(records)
+  job.status = 'ended'
+}
+
+/**
+ * Collect a processing job's results if its message batch has ended
+ * @param {Object} job - Job as loaded from the store
+ * @returns {Promise<Object>} The job, as stored after any collection
+ */
+export async function refreshJob(job) {
+  if (job.status !== 'processing') return job
+
+  const response = await anthropicFetch(`/v1/messages/batches/${job.batchId}`)
+  if (!response.ok) {
+    throw new Error(`Failed to check message batch: ${response.status} - ${await response.text()}`)
+  }
+  const batch = await response.json()
+  if (batch.processing_status !== 'ended') return job
+
+  const claimKey = `${JOBS_KEY}:collecting:${job.id}`
+  if (!await kvCommand('SET', claimKey, new Date().toISOString(), 'NX', 'EX', CLAIM_SECONDS)) return job
+
+  try {
+    // Another collector may have finished the job since it was read
+    const current = await loadJob(job.id)
+    if (!current || current.status !== 'processing') return current || job
+    await collectResults(current, batch)
+    await saveJob(current)
+    return current
+  } finally {
+    await kvCommand('DEL', claimKey)
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Shared key-value store for the serverless functions
+ *
+ * Talks to a Redis REST API (Vercel KV or Upstash) configured with
+ * KV_REST_API_URL and KV_REST_API_TOKEN. Files in api/_lib are not deployed
+ * as functions.
+ */
+
+export function isStoreConfigured() {
+  return Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN)
+}
+
+/**
+ * Run one Redis command, e.g. kvCommand('HGET', 'analyses', id)
+ * @returns {Promise<*>} The command's result
+ */
+export async function kvCommand(...command) {
+  const response = await fetch(process.env.KV_REST_API_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.KV_REST_API_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(command)
+  })
+
+  if (!response.ok) {
+    throw new Error(`Store error: ${response.status} - ${await response.text()}`)
+  }
+
+  const data = await response.json()
+  if (data.error) {
+    throw new Error(`Store error: ${data.error}`)
+  }
+  return data.result
+}
@@ -0,0 +1,52 @@
+/**
+ * Published tender data for the serverless functions
+ *
+ * Reads the dataset the dashboard reads (the manifest and month shards under
+ * data/tenders/, or the older single live-tenders.json) over HTTP from
+ * TENDER_DATA_URL, by default the deployment's own /data. The deployment's
+ * address comes from Vercel's VERCEL_URL, never the request's Host header,
+ * which the caller controls.
+ */
+
+/**
+ * @returns {string|null} Data URL, or null if neither variable is set
+ */
+export function tenderDataUrl() {
+  if (process.env.TENDER_DATA_URL) return process.env.TENDER_DATA_URL.replace(/\/$/, '')
+  return process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}/data` : null
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`)
+  }
+  return response.json()
+}
+
+/**
+ * Load published tenders by id, with their detailed descriptions
+ * @param {string} baseUrl - Data URL (see tenderDataUrl)
+ * @param {Array<string>} ids - Tender ids
+ * @returns {Promise<Map<string, Object>>} Tenders found, by id
+ */
+export async function loadPublishedTenders(baseUrl, ids) {
+  const wanted = new Set(ids)
+  const manifestResponse = await fetch(`${baseUrl}/tenders/manifest.json`)
+
+  let tenders
+  if (!manifestResponse.ok) {
+    tenders = (await fetchJson(`${baseUrl}/live-tenders.json`)).tenders
+  } else {
+    const manifest = await manifestResponse.json()
+    const shards = await Promise.all(manifest.shards.map(async shard => {
+      const shardTenders = (await fetchJson(`${baseUrl}/tenders/${shard.file}`)).filter(t => wanted.has(t.id))
+      if (shardTenders.length === 0) return []
+      const descriptions = await fetchJson(`${baseUrl}/tenders/${shard.descriptions}`)
+      return shardTenders.map(t => ({ ...t, detailedDescription: descriptions[t.id] ?? '' }))
+    }))
+    tenders = shards.flat()
+  }
+
+  return new Map(tenders.filter(t => wanted.has(t.id)).map(t => [t.id, t]))
+}
@@ -0,0 +1,121 @@
+/**
+ * Vercel Serverless Function - Shared Analysis Store
+ *
+ * Lets the dashboard share Claude analyses between browsers. Each analysis is
+ * kept in the "analyses" hash of the key-value store under its tender id,
+ * with the content hash of the tender it was made for (the dashboard decides
+ * whether it still applies).
+ *
+ *   GET  /api/analyses?ids=<id>,<id>   -> { analyses: [record] }
+ *   POST /api/analyses { analyses: [record], profile }   -> { saved: n, rejected: [{ tenderId, error }] }
+ *
+ * A record is { tenderId, contentHash, sirona_fit, analyzed_at, irrelevance_reason }.
+ * Saving needs the team access token (see _lib/access.js) and takes Claude
+ * analyses only: each sirona_fit is validated against the analysis schema for
+ * the capability profile it was made with (profile, whose version it must
+ * record), and only the schema's fields are kept. Rules verdicts aren't
+ * shared, since every dashboard works them out itself.
+ */
+
+import { isStoreConfigured, kvCommand } from './_lib/kv.js'
+import { setCorsHeaders, writeRefusal } from './_lib/access.js'
+import { validateAnalysis, formatValidationErrors } from '../src/services/analysisSchema.js'
+import { profileVersion } from '../src/services/capabilityProfile.js'
+
+const STORE_KEY = 'analyses'
+const MAX_IDS = 100
+const MAX_RECORD_LENGTH = 20000
+
+/**
+ * Check a posted record and build the one to store
+ * @returns {{ record: Object|null, error: string|null }}
+ */
+function storedRecord(record, profile) {
+  const { tenderId, contentHash, sirona_fit: sironaFit, analyzed_at: analyzedAt } = record || {}
+  if (typeof tenderId !== 'string' || !tenderId || tenderId.length > 200) return { record: null, error: 'tenderId is required' }
+  if (typeof contentHash !== 'string' || !contentHash || contentHash.length > 100) return { record: null, error: 'contentHash is required' }
+  if (typeof analyzedAt !== 'string' || Number.isNaN(Date.parse(analyzedAt))) return { record: null, error: 'analyzed_at must be a date' }
+  if (sironaFit?.source !== 'ai') return { record: null, error: 'Only Claude analyses are shared' }
+  if (sironaFit.profile_version !== profileVersion(profile)) {
+    return { record: null, error: `Analysis was made with profile version ${sironaFit.profile_version}, not ${profileVersion(profile)}` }
+  }
+
+  const { analysis, errors } = validateAnalysis(sironaFit, profile)
+  if (!analysis) return { record: null, error: `Analysis doesn't match the schema:\n${formatValidationErrors(errors)}` }
+
+  const stored = {
+    tenderId,
+    contentHash,
+    sirona_fit: { ...analysis, source: 'ai', profile_version: sironaFit.profile_version },
+    analyzed_at: new Date(analyzedAt).toISOString(),
+    irrelevance_reason: null
+  }
+  if (JSON.stringify(stored).length > MAX_RECORD_LENGTH) {
+    return { record: null, error: `Analysis is longer than ${MAX_RECORD_LENGTH} characters` }
+  }
+  return { record: stored, error: null }
+}
+
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET,OPTIONS,POST')
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end()
+    return
+  }
+
+  if (!isStoreConfigured()) {
+    return res.status(501).json({ error: 'Shared analysis store not configured on server' })
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean)
+      if (ids.length === 0 || ids.length > MAX_IDS) {
+        return res.status(400).json({ error: `Between 1 and ${MAX_IDS} tender ids are required` })
+      }
+
+      const values = await kvCommand('HMGET', STORE_KEY, ...ids)
+      const analyses = values.filter(Boolean).map(value => JSON.parse(value))
+      return res.status(200).json({ analyses })
+    }
+
+    if (req.method === 'POST') {
+      const refusal = writeRefusal(req)
+      if (refusal) {
+        return res.status(401).json({ error: refusal })
+      }
+
+      const { analyses, profile } = req.body || {}
+      const records = Array.isArray(analyses) ? analyses : []
+      if (records.length === 0 || records.length > MAX_IDS) {
+        return res.status(400).json({ error: `Between 1 and ${MAX_IDS} analyses are required` })
+      }
+      if (!profile?.organisation || !profile.serviceLines?.length || !profile.geographies?.length || !profile.scoringBands?.length) {
+        return res.status(400).json({ error: 'The capability profile the analyses were made with is required' })
+      }
+
+      const valid = []
+      const rejected = []
+      for (const record of records) {
+        const result = storedRecord(record, profile)
+        if (result.record) valid.push(result.record)
+        else rejected.push({ tenderId: record?.tenderId ?? null, error: result.error })
+      }
+      if (valid.length === 0) {
+        return res.status(400).json({ error: 'No valid analyses to save', rejected })
+      }
+
+      await kvCommand('HSET', STORE_KEY, ...valid.flatMap(record => [record.tenderId, JSON.stringify(record)]))
+      return res.status(200).json({ saved: valid.length, rejected })
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Error in analyses function:', error)
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Vercel Serverless Function - Server-side Batch Analysis
+ *
+ * Analyses a list of published tenders without the dashboard having to stay
+ * open. The tenders go to Anthropic's Message Batches API (half the price of
+ * individual requests, results within 24 hours) with the same prompt and
+ * analysis tool the dashboard uses, and the job is kept in the shared store.
+ * Polling a job whose batch has ended collects the results, validates them
+ * and writes them to the shared analysis store (see api/analyses.js), where
+ * the dashboard picks them up; api/collect-analysis-batches.js does the same
+ * on a schedule for jobs nobody polls (see _lib/batchJobs.js).
+ *
+ *   POST /api/analysis-batches { tenderIds, profile }   -> job
+ *   GET  /api/analysis-batches?id=<job id>              -> job
+ *
+ * profile is the capability profile to analyse against. Tenders past their
+ * deadline are marked No Bid straight away, without a request. A job is
+ * { id, batchId, status: 'processing' | 'ended', profileVersion, createdAt,
+ * updatedAt, total, done, failed: [{ tenderId, error }], pending }.
+ *
+ * Creating a job spends money, and polling one can make Anthropic requests,
+ * so both need the team access token (see _lib/access.js); at most
+ * MAX_JOBS_PER_HOUR are created in an hour.
+ *
+ * Needs ANTHROPIC_API_KEY, the shared store (KV_REST_API_URL and
+ * KV_REST_API_TOKEN) and the published data (see _lib/tenders.js); see
+ * scripts/mock-anthropic-server.js to run it locally.
+ */
+
+import { isStoreConfigured, kvCommand } from './_lib/kv.js'
+import { anthropicFetch, ANTHROPIC_MODEL, ANTHROPIC_MAX_TOKENS } from './_lib/anthropic.js'
+import { tenderDataUrl, loadPublishedTenders } from './_lib/tenders.js'
+import { setCorsHeaders, writeRefusal } from './_lib/access.js'
+import { JOBS_KEY, publicJob, loadJob, saveJob, saveAnalyses, analysisRecord, refreshJob } from './_lib/batchJobs.js'
+import { buildAnalysisRequest, checkTenderIrrelevance } from '../src/services/analysisPrompt.js'
+import { profileVersion } from '../src/services/capabilityProfile.js'
+
+const MAX_TENDERS = 500
+const MAX_JOBS_PER_HOUR = 10
+
+const IRRELEVANCE_REASON = 'Tender does not meet bidding criteria (e.g., deadline passed)'
+
+// Count a new job against this hour's allowance
+async function withinJobLimit(res) {
+  const hour = new Date().toISOString().slice(0, 13)
+  const countKey = `${JOBS_KEY}:created:${hour}`
+  const created = await kvCommand('INCR', countKey)
+  if (created === 1) await kvCommand('EXPIRE', countKey, 3600)
+  if (created <= MAX_JOBS_PER_HOUR) return true
+
+  const nextHour = new Date(`${hour}:00:00.000Z`).getTime() + 3600 * 1000
+  res.setHeader('Retry-After', String(Math.ceil((nextHour - Date.now()) / 1000)))
+  return false
+}
+
+async function createJob(req, res) {
+  const refusal = writeRefusal(req)
+  if (refusal) {
+    return res.status(401).json({ error: refusal })
+  }
+
+  const { tenderIds, profile } = req.body || {}
+  const ids = Array.isArray(tenderIds) ? [...new Set(tenderIds.filter(id => typeof id === 'string' && id))] : []
+  if (ids.length === 0 || ids.length > MAX_TENDERS) {
+    return res.status(400).json({ error: `Between 1 and ${MAX_TENDERS} tender ids are required` })
+  }
+  if (!profile?.organisation || !profile.serviceLines?.length || !profile.geographies?.length || !profile.scoringBands?.length) {
+    return res.status(400).json({ error: 'A capability profile is required' })
+  }
+
+  const dataUrl = tenderDataUrl()
+  if (!dataUrl) {
+    return res.status(501).json({ error: 'Published tender data not configured on server (set TENDER_DATA_URL)' })
+  }
+  if (!await withinJobLimit(res)) {
+    return res.status(429).json({ error: `At most ${MAX_JOBS_PER_HOUR} batch jobs can be started an hour` })
+  }
+
+  const tenders = await loadPublishedTenders(dataUrl, ids)
+  const version = profileVersion(profile)
+  const job = {
+    id: `batch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    batchId: null,
+    status: 'processing',
+    profileVersion: version,
+    profile,
+    createdAt: new Date().toISOString(),
+    total: ids.length,
+    done: [],
+    failed: [],
+    requests: {}
+  }
+
+  // Expired tenders need no request; the rest become batch requests
+  const records = []
+  const batchRequests = []
+  for (const id of ids) {
+    const tender = tenders.get(id)
+    const irrelevance = tender ? checkTenderIrrelevance(tender) : null
+    if (!tender) {
+      job.failed.push({ tenderId: id, error: 'Tender not found in the published data' })
+    } else if (!tender.contentHash) {
+      job.failed.push({ tenderId: id, error: 'Tender published without a content hash; re-run ingestion' })
+    } else if (irrelevance) {
+      records.push(analysisRecord(tender, { ...irrelevance, profile_version: version }, IRRELEVANCE_REASON))
+      job.done.push(id)
+    } else {
+      // custom_id only allows [a-zA-Z0-9_-], so requests are numbered
+      const customId = `t${batchRequests.length}`
+      job.requests[customId] = { tenderId: id, contentHash: tender.contentHash }
+      batchRequests.push({
+        custom_id: customId,
+        params: { model: ANTHROPIC_MODEL, max_tokens: ANTHROPIC_MAX_TOKENS, ...buildAnalysisRequest(tender, profile) }
+      })
+    }
+  }
+
+  await saveAnalyses(records)
+
+  if (batchRequests.length === 0) {
+    job.status = 'ended'
+  } else {
+    const response = await anthropicFetch('/v1/messages/batches', { method: 'POST', body: { requests: batchRequests } })
+    if (!response.ok) {
+      const errorBody = await response.text()
+      console.error(`Anthropic API error: ${response.status} - ${errorBody}`)
+      return res.status(response.status).json({ error: `Failed to create message batch: ${response.status}`, details: errorBody })
+    }
+    job.batchId = (await response.json()).id
+  }
+
+  await saveJob(job)
+  return res.status(202).json(publicJob(job))
+}
+
+async function getJob(req, res) {
+  const refusal = writeRefusal(req)
+  if (refusal) {
+    return res.status(401).json({ error: refusal })
+  }
+
+  const job = await loadJob(String(req.query.id || ''))
+  if (!job) {
+    return res.status(404).json({ error: 'Batch job not found' })
+  }
+  return res.status(200).json(publicJob(await refreshJob(job)))
+}
+
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET,OPTIONS,POST')
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end()
+    return
+  }
+
+  if (!process.env.ANTHROPIC_API_KEY) {
+    console.error('ANTHROPIC_API_KEY not configured')
+    return res.status(500).json({ error: 'API key not configured on server' })
+  }
+  if (!isStoreConfigured()) {
+    return res.status(501).json({ error: 'Shared analysis store not configured on server' })
+  }
+
+  try {
+    if (req.method === 'POST') return await createJob(req, res)
+    if (req.method === 'GET') return await getJob(req, res)
+    return res.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Error in analysis-batches function:', error)
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -3,14 +3,57 @@
  *
  * This function acts as a secure proxy between the frontend and Anthropic API.
  * It keeps the API key secure on the server side while allowing client requests.
+ *
+ * The body is { tender, profile }: the request is built here, with the same
+ * prompt and analysis tool as the batch endpoint, so the function can only
+ * ever ask for a tender analysis. A repair turn after an analysis that failed
+ * validation adds repair: { content }, the rejected response's content; the
+ * errors are worked out again here. Each request costs money, so it needs
+ * the team access token (see _lib/access.js).
  */
 
+import { anthropicFetch, ANTHROPIC_MODEL, ANTHROPIC_MAX_TOKENS } from './_lib/anthropic.js'
+import { setCorsHeaders, writeRefusal } from './_lib/access.js'
+import { buildAnalysisRequest } from '../src/services/analysisPrompt.js'
+import { ANALYSIS_TOOL_NAME, readAnalysis, validateAnalysis, buildRepairMessage } from '../src/services/analysisSchema.js'
+
+// Tender fields the prompt reads; anything else the client sends is dropped
+const PROMPT_FIELDS = [
+  'title', 'organization', 'value', 'deadline', 'summary', 'detailedDescription', 'stage', 'geography',
+  'cpvCodes', 'lots', 'procurementMethod', 'procurementMethodDetails', 'contractPeriod', 'suitability', 'documents'
+]
+
+// Larger than any published tender with its description, well short of a prompt worth abusing
+const MAX_TENDER_LENGTH = 60000
+
+function promptTender(tender) {
+  if (!tender || typeof tender !== 'object' || typeof tender.title !== 'string' || !tender.title) return null
+  const fields = Object.fromEntries(PROMPT_FIELDS.filter(field => tender[field] != null).map(field => [field, tender[field]]))
+  const result = { ...fields, organization: String(fields.organization || 'Unknown'), value: Number(fields.value) || 0, summary: String(fields.summary || '') }
+  return JSON.stringify(result).length <= MAX_TENDER_LENGTH ? result : null
+}
+
+// Messages for the analysis, with the rejected tool call and its errors for a repair turn
+function analysisRequest(tender, profile, repair) {
+  const request = buildAnalysisRequest(tender, profile)
+  if (!repair) return request
+
+  const toolUse = Array.isArray(repair.content)
+    ? repair.content.find(block => block?.type === 'tool_use' && block.name === ANALYSIS_TOOL_NAME && typeof block.id === 'string')
+    : null
+  if (!toolUse) return null
+
+  const content = [{ type: 'tool_use', id: toolUse.id, name: ANALYSIS_TOOL_NAME, input: toolUse.input }]
+  const { errors } = validateAnalysis(readAnalysis(content), profile)
+  if (errors.length === 0) return null
+
+  request.messages.push({ role: 'assistant', content }, buildRepairMessage(content, errors))
+  return request
+}
+
 export default async function handler(req, res) {
-  // Enable CORS for your domain
-  res.setHeader('Access-Control-Allow-Credentials', true)
-  res.setHeader('Access-Control-Allow-Origin', '*') // You can restrict this to your domain
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+  setCorsHeaders(req, res, 'OPTIONS,POST')
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After')
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -23,6 +66,11 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' })
   }
 
+  const refusal = writeRefusal(req)
+  if (refusal) {
+    return res.status(401).json({ error: refusal })
+  }
+
   try {
     // Get API key from environment variable
     const apiKey = process.env.ANTHROPIC_API_KEY
@@ -33,41 +81,43 @@ export default async function handler(req, res) {
       })
     }
 
-    // Extract prompt from request body
-    const { prompt } = req.body
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' })
+    // Build the analysis request from the tender and capability profile
+    const { tender, profile, repair } = req.body || {}
+    if (!profile?.organisation || !profile.serviceLines?.length || !profile.geographies?.length || !profile.scoringBands?.length) {
+      return res.status(400).json({ error: 'A capability profile is required' })
+    }
+    const analysed = promptTender(tender)
+    if (!analysed) {
+      return res.status(400).json({ error: `A tender with a title, under ${MAX_TENDER_LENGTH} characters, is required` })
+    }
+    const request = analysisRequest(analysed, profile, repair)
+    if (!request) {
+      return res.status(400).json({ error: `A repair needs the rejected ${ANALYSIS_TOOL_NAME} call, and that call must fail validation` })
     }
 
     // Call Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
+    const response = await anthropicFetch('/v1/messages', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2000,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
+      body: { model: ANTHROPIC_MODEL, max_tokens: ANTHROPIC_MAX_TOKENS, ...request }
     })
 
     if (!response.ok) {
       const errorBody = await response.text()
       console.error(`Anthropic API error: ${response.status} - ${errorBody}`)
 
+      // Pass Retry-After on, so the dashboard's queue waits as long as Anthropic asked
+      const retryAfter = response.headers.get('retry-after')
+      if (retryAfter) {
+        res.setHeader('Retry-After', retryAfter)
+      }
+
       // Return appropriate error
       if (response.status === 401) {
         return res.status(401).json({ error: 'Invalid API key configured on server' })
       } else if (response.status === 429) {
-        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' })
+        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.', retryAfter })
+      } else if (response.status === 529) {
+        return res.status(529).json({ error: 'Anthropic API overloaded. Please try again later.', retryAfter })
       } else {
         return res.status(response.status).json({
           error: `API error: ${response.status}`,
@@ -0,0 +1,64 @@
+/**
+ * Vercel Serverless Function - Scheduled Batch Collection
+ *
+ * Run by the cron in vercel.json, so a server-side batch's analyses reach the
+ * shared store even if no dashboard polls its job (see api/analysis-batches.js).
+ * Checks the processing jobs, oldest first, and collects the ones whose
+ * message batch has ended; jobs a poll is already collecting are left to it.
+ * It stops starting new jobs after TIME_BUDGET_MS, so a backlog is worked
+ * through over several runs rather than running into maxDuration.
+ *
+ *   GET /api/collect-analysis-batches   -> { checked, collected, remaining, errors: [{ jobId, error }] }
+ *
+ * Vercel sends CRON_SECRET as a bearer token; requests without it are refused.
+ */
+
+import { isStoreConfigured } from './_lib/kv.js'
+import { hasBearerToken } from './_lib/access.js'
+import { loadProcessingJobs, refreshJob } from './_lib/batchJobs.js'
+
+// Leaves room within the 30s maxDuration (vercel.json) for the job in hand to finish
+const TIME_BUDGET_MS = 15000
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+  if (!process.env.CRON_SECRET || !hasBearerToken(req, process.env.CRON_SECRET)) {
+    return res.status(401).json({ error: 'A valid cron secret is required' })
+  }
+  if (!process.env.ANTHROPIC_API_KEY) {
+    console.error('ANTHROPIC_API_KEY not configured')
+    return res.status(500).json({ error: 'API key not configured on server' })
+  }
+  if (!isStoreConfigured()) {
+    return res.status(501).json({ error: 'Shared analysis store not configured on server' })
+  }
+
+  try {
+    const startedAt = Date.now()
+    const processing = await loadProcessingJobs()
+
+    const report = { checked: 0, collected: 0, remaining: 0, errors: [] }
+    for (const job of processing) {
+      if (Date.now() - startedAt > TIME_BUDGET_MS) {
+        report.remaining = processing.length - report.checked
+        break
+      }
+      report.checked++
+      try {
+        if ((await refreshJob(job)).status !== 'processing') report.collected++
+      } catch (error) {
+        console.error(`Error collecting batch job ${job.id}:`, error)
+        report.errors.push({ jobId: job.id, error: error.message })
+      }
+    }
+    return res.status(200).json(report)
+  } catch (error) {
+    console.error('Error in collect-analysis-batches function:', error)
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Decide whether an ingestion run should be published.
+ *
+ * Reads the --run-summary file written by fetch-ocds-data.js, adds the failed
+ * days/pages to the GitHub job summary and sets the step output `publish`
+ * to false when more fetches failed than allowed.
+ *
+ *   node scripts/check-run-summary.js <summary.json> [--max-failures <n>]
+ */
+import fs from 'fs';
+import { parseArgs } from 'util';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'max-failures': { type: 'string', default: '3' }
+  }
+});
+
+const summary = JSON.parse(fs.readFileSync(positionals[0], 'utf8'));
+const maxFailures = parseInt(values['max-failures'], 10);
+const publish = summary.failures.length <= maxFailures;
+
+const lines = [
+  '### Tender ingestion',
+  '',
+  `${summary.count} tenders (${summary.changes.new} new, ${summary.changes.amended} amended), ${summary.failures.length} failed fetches`,
+  ...summary.failures.map(f => `- ${f.source} ${f.day || `page ${f.page}`}: ${f.error} (${f.attempts || 1} attempts)`)
+];
+console.log(lines.join('\n'));
+
+if (!publish) {
+  console.log(`::warning::${summary.failures.length} fetches failed (limit ${maxFailures}), not publishing this run`);
+}
+
+if (process.env.GITHUB_STEP_SUMMARY) {
+  fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, lines.join('\n') + '\n');
+}
+if (process.env.GITHUB_OUTPUT) {
+  fs.appendFileSync(process.env.GITHUB_OUTPUT, `publish=${publish}\n`);
+}
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/**
+ * Tender ingestion CLI
+ *
+ * Fetches Contracts Finder daily OCDS CSV dumps and Find a Tender release
+ * packages, parses and deduplicates them, merges them into the persistent
+ * tender history and writes the dataset the dashboard reads. Award notices
+ * go to a separate award store and dataset, and buyers and award suppliers
+ * are resolved to the buyer and competitor registries.
+ * Run daily by .github/workflows/fetch-tenders.yml.
+ *
+ * Point it at saved payloads to reproduce a run offline:
+ *
+ *   node scripts/fetch-ocds-data.js \
+ *     --cf-dir scripts/fixtures/contracts-finder \
+ *     --fat-dir scripts/fixtures/find-a-tender \
+ *     --history /tmp/tender-history.json \
+ *     --awards /tmp/awards.json \
+ *     --awards-out /tmp/awards-published.json \
+ *     --forecast-out /tmp/pipeline-forecast.json \
+ *     --buyers /tmp/buyers.json \
+ *     --buyers-out /tmp/buyers-published.json \
+ *     --competitors /tmp/competitors.json \
+ *     --competitors-out /tmp/competitors-published.json \
+ *     --state /tmp/ingest-state.json \
+ *     --report /tmp/ingest-report.json \
+ *     --shards-dir /tmp/tenders \
+ *     --out /tmp/live-tenders.json
+ *
+ * Find a Tender is queried from the last complete run's high-water mark
+ * (kept in data/ingest-state.json). To pull an arbitrary date range instead:
+ *
+ *   node scripts/fetch-ocds-data.js backfill --from 2026-08-01 --to 2026-08-21
+ *
+ * Historic award and contract releases, for the re-procurement pipeline
+ * forecast, are pulled into the award store only:
+ *
+ *   node scripts/fetch-ocds-data.js awards --from 2023-01-01 --to 2026-08-21 --skip-cf
+ */
+import { parseArgs } from 'util';
+import { runIngestion, runAwardBackfill, writeJSON } from './lib/ingest.js';
+import { loadHistory } from './lib/history.js';
+import { loadAwardStore } from './lib/awards.js';
+import { loadBuyerRegistry, loadBuyerConfig } from './lib/buyers.js';
+import { loadCompetitorRegistry, loadCompetitorConfig } from './lib/competitors.js';
+import { loadForecastConfig, buildPipelineForecast } from './lib/forecast.js';
+import { loadCPVProfile } from './lib/relevance.js';
+import { loadCapabilityProfile, ANALYSIS_DEFAULTS } from './lib/analysis.js';
+import { loadGeography } from './lib/geography.js';
+import { loadReport } from './lib/qualityReport.js';
+import { writeShardedDataset } from './lib/shards.js';
+import { loadState, findATenderUpdatedFrom, recordFindATenderRun } from './lib/state.js';
+
+const USAGE = `Usage: node scripts/fetch-ocds-data.js [options]
+       node scripts/fetch-ocds-data.js backfill --from <date> --to <date> [options]
+       node scripts/fetch-ocds-data.js awards --from <date> --to <date> [options]
+
+Commands:
+  backfill          Fetch both sources for the dates --from..--to (inclusive) and merge
+                    them into the history, without moving the Find a Tender high-water mark
+  awards            Fetch award and contract releases for --from..--to into the award store
+                    only (tender history, dataset and high-water mark are left alone)
+
+Options:
+  --out <file>      Output file (default: public/data/live-tenders.json)
+  --shards-dir <dir>  Sharded copy of the output for the dashboard (default: public/data/tenders)
+  --report <file>   Data quality report, compared with the previous one (default: public/data/ingest-report.json)
+  --history <file>  Tender history store to merge into (default: data/tender-history.json)
+  --awards <file>   Award store to merge into (default: data/awards.json)
+  --awards-out <file>  Published awards (default: public/data/awards.json)
+  --buyers <file>   Buyer registry to resolve buyers against (default: data/buyers.json)
+  --buyers-out <file>  Published buyer directory (default: public/data/buyers.json)
+  --buyer-config <file>  Canonical buyer names and aliases (default: config/buyers.json)
+  --competitors <file>  Competitor registry to resolve suppliers against (default: data/competitors.json)
+  --competitors-out <file>  Published competitor directory (default: public/data/competitors.json)
+  --competitor-config <file>  Canonical competitor names, aliases and names to ignore (default: config/competitors.json)
+  --forecast-config <file>  Pipeline forecast settings (default: config/pipeline-forecast.json)
+  --forecast-out <file>  Re-procurement pipeline forecast (default: public/data/pipeline-forecast.json)
+  --cpv-profile <file>  CPV relevance profile (default: config/cpv-profile.json)
+  --all-cpv         Skip the CPV relevance filter and keep every tender
+  --geography <file>  Buyer geography lookup table (default: config/geography.json)
+  --capability-profile <file>  Capability profile new tenders are analysed against (default: config/capability-profile.json)
+  --analysis-threshold <n>  Lowest rules pre-score worth a Claude analysis (default: the lowest score band above No Bid in the profile)
+  --analysis-budget <gbp>  Most to spend on Claude analyses per run, in £ (default: ${ANALYSIS_DEFAULTS.budget})
+  --skip-analysis   Don't analyse new and changed tenders (also skipped without ANTHROPIC_API_KEY)
+  --run-summary <file>  Also write the run's failed days/pages and counts to <file>
+  --state <file>    Ingestion state with the Find a Tender high-water mark (default: data/ingest-state.json)
+  --days <n>        Days of Contracts Finder dumps to fetch (default: 30)
+  --date <date>     Reference date for the fetch windows (default: today)
+  --updated-from <date>  Start the Find a Tender window here instead of at the high-water mark
+  --fat-window-hours <n> Find a Tender window when there is no high-water mark yet (default: 24)
+  --from <date>     First day to backfill
+  --to <date>       Last day to backfill
+  --cf-dir <dir>    Read Contracts Finder CSVs from <dir> instead of S3
+  --cf-base <url>   Fetch Contracts Finder CSVs from <url> instead of S3 (e.g. the fixture server)
+  --fat-dir <dir>   Read Find a Tender API pages (*.json) from <dir> instead of the API
+  --fat-api <url>   Find a Tender release package endpoint (e.g. the fixture server)
+  --skip-fat        Don't fetch Find a Tender data
+  --skip-cf         Don't fetch Contracts Finder data (awards only; daily dumps make long ranges slow)
+  -h, --help        Show this help`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value, flag) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${flag}: ${value}`);
+  }
+  return date;
+}
+
+// Contracts Finder days and Find a Tender window covering --from..--to
+function backfillWindow(values) {
+  if (!values.from || !values.to) {
+    throw new Error('backfill needs --from and --to');
+  }
+  const from = parseDate(values.from, '--from');
+  const to = parseDate(values.to, '--to');
+  if (from > to) {
+    throw new Error('--from must not be after --to');
+  }
+
+  return {
+    cfEnd: to,
+    days: Math.round((to - from) / DAY_MS) + 1,
+    fatUpdatedFrom: from.toISOString(),
+    fatUpdatedTo: new Date(to.getTime() + DAY_MS - 1).toISOString()
+  };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', default: 'public/data/live-tenders.json' },
+      history: { type: 'string', default: 'data/tender-history.json' },
+      awards: { type: 'string', default: 'data/awards.json' },
+      'awards-out': { type: 'string', default: 'public/data/awards.json' },
+      buyers: { type: 'string', default: 'data/buyers.json' },
+      'buyers-out': { type: 'string', default: 'public/data/buyers.json' },
+      'buyer-config': { type: 'string', default: 'config/buyers.json' },
+      competitors: { type: 'string', default: 'data/competitors.json' },
+      'competitors-out': { type: 'string', default: 'public/data/competitors.json' },
+      'competitor-config': { type: 'string', default: 'config/competitors.json' },
+      'forecast-config': { type: 'string', default: 'config/pipeline-forecast.json' },
+      'forecast-out': { type: 'string', default: 'public/data/pipeline-forecast.json' },
+      'shards-dir': { type: 'string', default: 'public/data/tenders' },
+      report: { type: 'string', default: 'public/data/ingest-report.json' },
+      'cpv-profile': { type: 'string', default: 'config/cpv-profile.json' },
+      'all-cpv': { type: 'boolean', default: false },
+      geography: { type: 'string', default: 'config/geography.json' },
+      'capability-profile': { type: 'string', default: 'config/capability-profile.json' },
+      'analysis-threshold': { type: 'string' },
+      'analysis-budget': { type: 'string', default: String(ANALYSIS_DEFAULTS.budget) },
+      'skip-analysis': { type: 'boolean', default: false },
+      state: { type: 'string', default: 'data/ingest-state.json' },
+      'run-summary': { type: 'string' },
+      days: { type: 'string', default: '30' },
+      date: { type: 'string' },
+      'updated-from': { type: 'string' },
+      'fat-window-hours': { type: 'string', default: '24' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'cf-dir': { type: 'string' },
+      'cf-base': { type: 'string' },
+      'fat-dir': { type: 'string' },
+      'fat-api': { type: 'string' },
+      'skip-fat': { type: 'boolean', default: false },
+      'skip-cf': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const [command = 'run'] = positionals;
+  if (!['run', 'backfill', 'awards'].includes(command) || positionals.length > 1) {
+    throw new Error(`Unknown command: ${positionals.join(' ')}\n\n${USAGE}`);
+  }
+  const backfill = command === 'backfill';
+
+  const today = values.date ? parseDate(values.date, '--date') : new Date();
+  const cpvProfile = values['all-cpv'] ? null : loadCPVProfile(values['cpv-profile']);
+  const geography = loadGeography(values.geography);
+  const forecastConfig = loadForecastConfig(values['forecast-config']);
+  const history = loadHistory(values.history);
+  const awardStore = loadAwardStore(values.awards);
+  const buyerRegistry = loadBuyerRegistry(values.buyers);
+  const buyerConfig = loadBuyerConfig(values['buyer-config']);
+  const competitorRegistry = loadCompetitorRegistry(values.competitors);
+  const competitorConfig = loadCompetitorConfig(values['competitor-config']);
+
+  if (command === 'awards') {
+    const { awards, buyers, competitors, failures } = await runAwardBackfill({
+      today,
+      ...backfillWindow(values),
+      history,
+      awardStore,
+      buyerRegistry,
+      buyerConfig,
+      competitorRegistry,
+      competitorConfig,
+      cpvProfile,
+      geography,
+      cfDir: values['cf-dir'],
+      cfBase: values['cf-base'],
+      fatDir: values['fat-dir'],
+      fatApi: values['fat-api'],
+      skipContractsFinder: values['skip-cf'],
+      skipFindATender: values['skip-fat']
+    });
+    writeJSON(values.awards, awardStore);
+    writeJSON(values['awards-out'], awards, { minify: true });
+    writeJSON(values.buyers, buyerRegistry);
+    writeJSON(values['buyers-out'], buyers, { minify: true });
+    writeJSON(values.competitors, competitorRegistry);
+    writeJSON(values['competitors-out'], competitors, { minify: true });
+    const forecast = buildPipelineForecast(awards.awards, forecastConfig, today);
+    writeJSON(values['forecast-out'], forecast, { minify: true });
+
+    console.log(`\n✓ ${awards.count} awards written to ${values['awards-out']} (store: ${values.awards})`);
+    console.log(`✓ ${buyers.count} buyers written to ${values['buyers-out']} (registry: ${values.buyers})`);
+    console.log(`✓ ${competitors.count} competitors written to ${values['competitors-out']} (registry: ${values.competitors})`);
+    console.log(`✓ ${forecast.count} contracts in the pipeline forecast written to ${values['forecast-out']}`);
+    if (failures.length > 0) process.exitCode = 1;
+    return;
+  }
+
+  const state = loadState(values.state);
+
+  const fetchWindow = backfill
+    ? backfillWindow(values)
+    : {
+      days: parseInt(values.days, 10),
+      fatUpdatedFrom: values['updated-from']
+        ? parseDate(values['updated-from'], '--updated-from').toISOString()
+        : findATenderUpdatedFrom(state, today, parseFloat(values['fat-window-hours']))
+    };
+
+  const { dataset: output, report, awards, buyers, competitors } = await runIngestion({
+    today,
+    history,
+    awardStore,
+    buyerRegistry,
+    buyerConfig,
+    competitorRegistry,
+    competitorConfig,
+    cpvProfile,
+    geography,
+    ...fetchWindow,
+    cfDir: values['cf-dir'],
+    cfBase: values['cf-base'],
+    fatDir: values['fat-dir'],
+    fatApi: values['fat-api'],
+    skipFindATender: values['skip-fat'],
+    analysis: values['skip-analysis'] || !process.env.ANTHROPIC_API_KEY
+      ? null
+      : {
+        profile: loadCapabilityProfile(values['capability-profile']),
+        threshold: values['analysis-threshold'] === undefined ? undefined : parseFloat(values['analysis-threshold']),
+        budget: parseFloat(values['analysis-budget'])
+      },
+    previousReport: loadReport(values.report)
+  });
+
+  writeJSON(values.history, history);
+  writeJSON(values.awards, awardStore);
+  writeJSON(values.out, output, { minify: true });
+  writeJSON(values['awards-out'], awards, { minify: true });
+  writeJSON(values.buyers, buyerRegistry);
+  writeJSON(values['buyers-out'], buyers, { minify: true });
+  writeJSON(values.competitors, competitorRegistry);
+  writeJSON(values['competitors-out'], competitors, { minify: true });
+  const forecast = buildPipelineForecast(awards.awards, forecastConfig, today);
+  writeJSON(values['forecast-out'], forecast, { minify: true });
+  const manifest = writeShardedDataset(values['shards-dir'], output);
+  writeJSON(values.report, report, { minify: true });
+
+  // Backfills and runs without Find a Tender leave the high-water mark alone
+  if (!backfill && !values['skip-fat']) {
+    recordFindATenderRun(state, output.generated, output.findATender.complete);
+    writeJSON(values.state, state);
+    if (!output.findATender.complete) {
+      console.log(`\n! Find a Tender fetch incomplete; next run resumes from ${state.findATender.highWaterMark || 'the default window'}`);
+    }
+  }
+
+  // Read by the workflow's commit step to decide whether to publish a partial dataset
+  if (values['run-summary']) {
+    writeJSON(values['run-summary'], {
+      generated: output.generated,
+      command,
+      count: output.count,
+      changes: output.changes,
+      complete: output.fetch.complete,
+      failures: output.fetch.failures
+    });
+  }
+
+  console.log(`\n✓ Written to ${values.out} (history: ${values.history}, report: ${values.report})`);
+  console.log(`✓ ${manifest.shards.length} shards written to ${values['shards-dir']}`);
+  console.log(`✓ ${awards.count} awards written to ${values['awards-out']} (store: ${values.awards})`);
+  console.log(`✓ ${buyers.count} buyers written to ${values['buyers-out']} (registry: ${values.buyers})`);
+  console.log(`✓ ${competitors.count} competitors written to ${values['competitors-out']} (registry: ${values.competitors})`);
+  console.log(`✓ ${forecast.count} contracts in the pipeline forecast written to ${values['forecast-out']}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Serve the saved Contracts Finder and Find a Tender payloads over HTTP,
+ * then point the ingestion CLI at it:
+ *
+ *   node scripts/fixture-server.js --port 8787
+ *   node scripts/fetch-ocds-data.js \
+ *     --cf-base http://localhost:8787/Harvester-new \
+ *     --fat-api http://localhost:8787/api/1.0/ocdsReleasePackages \
+ *     --date 2026-08-21 --days 1 --updated-from 2026-08-20 \
+ *     --state /tmp/ingest-state.json --history /tmp/tender-history.json --out /tmp/live-tenders.json --report /tmp/ingest-report.json --shards-dir /tmp/tenders
+ */
+import { parseArgs } from 'util';
+import { createFixtureServer } from './lib/fixtureServer.js';
+
+const USAGE = `Usage: node scripts/fixture-server.js [options]
+
+Options:
+  --port <n>         Port to listen on (default: 8787)
+  --cf-dir <dir>     Contracts Finder CSVs (default: scripts/fixtures/contracts-finder)
+  --fat-dir <dir>    Find a Tender API pages (default: scripts/fixtures/find-a-tender)
+  --page-size <n>    Release packages per API page (default: 2)
+  --flaky <n>        Answer the first <n> requests for each URL with a 503 (default: 0)
+  -h, --help         Show this help`;
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    'cf-dir': { type: 'string', default: 'scripts/fixtures/contracts-finder' },
+    'fat-dir': { type: 'string', default: 'scripts/fixtures/find-a-tender' },
+    'page-size': { type: 'string', default: '2' },
+    flaky: { type: 'string', default: '0' },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+});
+
+if (values.help) {
+  console.log(USAGE);
+} else {
+  const server = createFixtureServer({
+    cfDir: values['cf-dir'],
+    fatDir: values['fat-dir'],
+    pageSize: parseInt(values['page-size'], 10),
+    flaky: parseInt(values.flaky, 10)
+  });
+
+  server.listen(parseInt(values.port, 10), () => {
+    const base = `http://localhost:${server.address().port}`;
+    console.log(`Fixture server listening on ${base}`);
+    console.log(`  --cf-base ${base}/Harvester-new`);
+    console.log(`  --fat-api ${base}/api/1.0/ocdsReleasePackages`);
+  });
+}
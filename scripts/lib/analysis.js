@@ -0,0 +1,239 @@
+import fs from 'fs';
+import { anthropicFetch, ANTHROPIC_MODEL, ANTHROPIC_MAX_TOKENS } from '../../api/_lib/anthropic.js';
+import { buildAnalysisRequest } from '../../src/services/analysisPrompt.js';
+import { readAnalysis, validateAnalysis, formatValidationErrors, buildRepairMessage } from '../../src/services/analysisSchema.js';
+import { profileVersion } from '../../src/services/capabilityProfile.js';
+import { scoreTender } from '../../src/services/fitRules.js';
+import { HTTP_DEFAULTS, retryDelay, sleep } from './http.js';
+import FIT_RULES from '../../config/fit-rules.json' with { type: 'json' };
+
+/**
+ * Claude analysis of new and changed tenders, after each ingestion run
+ *
+ * Tenders that are new or changed in this run, or whose description, value
+ * or deadline has changed since their analysis (the contentHash no longer
+ * matches), are sent to Claude with the prompt and analysis tool the
+ * dashboard uses (src/services/analysisPrompt.js), validated against the
+ * analysis schema with one repair retry. So are tenders an earlier run left
+ * for later: deferred by the budget, or failed and past their retry time.
+ * Only tenders whose rules-based pre-score (src/services/fitRules.js)
+ * reaches the threshold are sent, highest first, and the run stops sending
+ * once the next request could take its spend past the budget, or after
+ * several analyses in a row have failed (the API is likely down); the rest
+ * are marked deferred and wait for the next run. A tender whose repair retry
+ * the budget can't cover is deferred with them rather than counted as failed. A failed tender waits
+ * longer after each failure (1, 2, 4, then 7 days), unless it changes.
+ *
+ * An analysis is stored on its history entry as
+ * { contentHash, sirona_fit, analyzed_at }, next to the tender rather than
+ * in it so merges leave it alone, and is published with the tender for as
+ * long as the hash matches (see analysedTender in history.js).
+ */
+
+export const ANALYSIS_DEFAULTS = {
+  budget: 1,
+  // Stop the run after this many failed analyses in a row
+  maxConsecutiveFailures: 3,
+  // Per request, so a hung connection can't stall the run
+  requestTimeoutMs: 120_000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RETRY_DAYS = 7;
+
+/**
+ * Default pre-score threshold: the lowest score the profile's bands don't
+ * call No Bid (Monitor, 50, in the default profile), and always above the
+ * fit rules' baseScore (40), which a tender matching no rules gets, so
+ * unmatched tenders aren't sent.
+ * @param {Object} profile - Capability profile
+ * @returns {number}
+ */
+export function analysisThreshold(profile) {
+  const lowestBand = Math.min(...profile.scoringBands.filter(band => band.recommendation !== 'No Bid').map(band => band.min));
+  return Math.max(lowestBand, FIT_RULES.baseScore + 1);
+}
+
+// Claude Sonnet 4 pricing, as estimateAnalysisCost() in src/services/claudeAnalyzer.js
+const PRICING = {
+  inputUSDPerMillion: 3,
+  outputUSDPerMillion: 15,
+  gbpPerUSD: 0.79
+};
+
+export function loadCapabilityProfile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function costGBP(inputTokens, outputTokens) {
+  const usd = inputTokens / 1_000_000 * PRICING.inputUSDPerMillion + outputTokens / 1_000_000 * PRICING.outputUSDPerMillion;
+  return usd * PRICING.gbpPerUSD;
+}
+
+// Most a request can cost: the prompt and tool (about 4 characters a token) and a full-length reply
+export function requestCeilingGBP(params) {
+  const promptTokens = Math.ceil(JSON.stringify([params.messages, params.tools]).length / 4);
+  return costGBP(promptTokens, params.max_tokens);
+}
+
+// One Messages API call, retrying network errors and timeouts, 429, 529 and other 5xx responses
+async function createMessage(params) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    let retryAfter = null;
+    let failure;
+
+    try {
+      response = await anthropicFetch('/v1/messages', { method: 'POST', body: params, timeout: ANALYSIS_DEFAULTS.requestTimeoutMs });
+    } catch (error) {
+      failure = error;
+    }
+
+    if (response) {
+      if (response.ok) return response.json();
+
+      const body = await response.text();
+      failure = new Error(`Anthropic API error ${response.status}: ${body.slice(0, 200)}`);
+      if (response.status !== 429 && response.status < 500) throw failure;
+      retryAfter = response.headers.get('retry-after');
+    }
+
+    if (attempt >= HTTP_DEFAULTS.retries) throw failure;
+    const delay = retryDelay(attempt, HTTP_DEFAULTS, retryAfter);
+    console.log(`    ${failure.message}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${HTTP_DEFAULTS.retries})`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Analyse one tender, with one repair retry, keeping to the budget.
+ * @returns {Promise<{ analysis: Object|null, error: string|null, spent: number, overBudget: boolean }>}
+ */
+async function analyseTender(tender, profile, remainingGBP) {
+  const params = { model: ANTHROPIC_MODEL, max_tokens: ANTHROPIC_MAX_TOKENS, ...buildAnalysisRequest(tender, profile) };
+  let spent = 0;
+  let errors = [];
+
+  for (let turn = 0; turn < 2; turn++) {
+    // Out of budget before the repair retry too: the tender waits for the next run, it hasn't failed
+    if (spent + requestCeilingGBP(params) > remainingGBP) {
+      return { analysis: null, error: null, spent, overBudget: true };
+    }
+
+    let message;
+    try {
+      message = await createMessage(params);
+    } catch (error) {
+      return { analysis: null, error: error.message, spent, overBudget: false };
+    }
+    spent += costGBP(message.usage?.input_tokens || 0, message.usage?.output_tokens || 0);
+
+    const result = validateAnalysis(readAnalysis(message.content), profile);
+    if (result.analysis) return { analysis: result.analysis, error: null, spent, overBudget: false };
+
+    errors = result.errors;
+    params.messages = [...params.messages, { role: 'assistant', content: message.content }, buildRepairMessage(message.content, errors)];
+  }
+
+  return { analysis: null, error: `Analysis didn't match the schema after a repair attempt:\n${formatValidationErrors(errors)}`, spent, overBudget: false };
+}
+
+// Whether an entry is due an analysis this run (its tender has no current one)
+function isDue(entry, tender, runAt) {
+  if (entry.first_seen === runAt || entry.last_changed === runAt) return true;
+  if (entry.analysis && entry.analysis.contentHash !== tender.contentHash) return true;
+  if (entry.analysisFailure) return entry.analysisFailure.retryAfter <= runAt;
+  return Boolean(entry.analysisDeferred);
+}
+
+// Record a failure; each one in a row doubles the wait before the next try
+function recordFailure(entry, error, runAt) {
+  const attempts = (entry.analysisFailure?.attempts || 0) + 1;
+  const days = Math.min(2 ** (attempts - 1), MAX_RETRY_DAYS);
+  entry.analysisFailure = { at: runAt, error, attempts, retryAfter: new Date(new Date(runAt).getTime() + days * DAY_MS).toISOString() };
+  delete entry.analysisDeferred;
+}
+
+/**
+ * Analyse the published tenders that need it, storing each analysis on its
+ * history entry and adding it to the published tender (both mutated).
+ * @param {Object} history - History store (see history.js)
+ * @param {Array<Object>} published - Tenders being published, located and with buyer types resolved
+ * @param {Object} options
+ * @param {Object} options.profile - Capability profile to analyse against (config/capability-profile.json)
+ * @param {number} [options.threshold] - Lowest rules pre-score worth an analysis (default: analysisThreshold(profile))
+ * @param {number} [options.budget] - Most to spend in the run, in £
+ * @param {Date} options.today - Run date (for the pre-score's deadline check)
+ * @param {string} options.runAt - ISO timestamp of the run, recorded as analyzed_at
+ * @returns {Promise<Object>} Report: { profileVersion, threshold, budgetGBP, spentGBP, candidates, analysed,
+ *   deferred, failed: [{ id, error }], stoppedAfterFailures }
+ */
+export async function analyseTenders(history, published, options) {
+  const { profile, today, runAt } = options;
+  const threshold = options.threshold ?? analysisThreshold(profile);
+  const budget = options.budget ?? ANALYSIS_DEFAULTS.budget;
+  const version = profileVersion(profile);
+
+  // Pre-score is 0 once the deadline has passed, so expired tenders are never sent
+  const candidates = published
+    .filter(tender => !tender.ai_analyzed && history.tenders[tender.id] && isDue(history.tenders[tender.id], tender, runAt))
+    .map(tender => ({ tender, preScore: scoreTender(tender, { profile, today }).alignment_score }))
+    .filter(({ preScore }) => preScore >= threshold)
+    .sort((a, b) => b.preScore - a.preScore);
+
+  const report = {
+    profileVersion: version,
+    threshold,
+    budgetGBP: budget,
+    spentGBP: 0,
+    candidates: candidates.length,
+    analysed: 0,
+    deferred: 0,
+    failed: [],
+    stoppedAfterFailures: false
+  };
+
+  // Left for the next run: sent again then even if unchanged
+  const defer = (remaining) => {
+    report.deferred = remaining.length;
+    for (const { tender } of remaining) history.tenders[tender.id].analysisDeferred = runAt;
+  };
+
+  let consecutiveFailures = 0;
+  for (const [index, { tender, preScore }] of candidates.entries()) {
+    if (consecutiveFailures >= ANALYSIS_DEFAULTS.maxConsecutiveFailures) {
+      console.log(`  ${consecutiveFailures} analyses failed in a row; stopping, the rest wait for the next run`);
+      report.stoppedAfterFailures = true;
+      defer(candidates.slice(index));
+      break;
+    }
+
+    const entry = history.tenders[tender.id];
+    const result = await analyseTender(tender, profile, budget - report.spentGBP);
+    report.spentGBP += result.spent;
+
+    if (result.overBudget) {
+      defer(candidates.slice(index));
+      break;
+    }
+    if (!result.analysis) {
+      console.log(`  ✗ ${tender.title}: ${result.error}`);
+      report.failed.push({ id: tender.id, error: result.error });
+      recordFailure(entry, result.error, runAt);
+      consecutiveFailures++;
+      continue;
+    }
+
+    consecutiveFailures = 0;
+    const sironaFit = { ...result.analysis, source: 'ai', profile_version: version };
+    entry.analysis = { contentHash: tender.contentHash, sirona_fit: sironaFit, analyzed_at: runAt };
+    delete entry.analysisDeferred;
+    delete entry.analysisFailure;
+    Object.assign(tender, { sirona_fit: sironaFit, ai_analyzed: true, analyzed_at: runAt });
+    report.analysed++;
+    console.log(`  ✓ ${tender.title}: ${sironaFit.recommendation} (${sironaFit.alignment_score}%, pre-score ${preScore})`);
+  }
+
+  report.spentGBP = Math.round(report.spentGBP * 10000) / 10000;
+  return report;
+}
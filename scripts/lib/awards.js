@@ -0,0 +1,156 @@
+import fs from 'fs';
+import { extractAwards, stripAwardSuffix } from './ocds.js';
+
+/**
+ * Contract awards (data/awards.json, published as public/data/awards.json)
+ *
+ * Award and contract releases are kept apart from open opportunities: each
+ * award on a release becomes one record, linked to the tender it came from
+ * by ocid, for competitor intelligence (who won what, for how much, when).
+ *
+ * Store format:
+ *   {
+ *     updated: ISO date of the last merge,
+ *     awards: {
+ *       [id]: { award, first_seen, last_seen }
+ *     }
+ *   }
+ *
+ * Award ids are <ocid>/<award id>, so re-published award notices update
+ * the same record.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Awards are kept while the contract runs, or for this long after the award otherwise
+const AWARD_RETENTION_DAYS = 2 * 365;
+
+export function loadAwardStore(file) {
+  if (!file || !fs.existsSync(file)) {
+    return { updated: null, awards: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Award records for an award/contract release.
+ * Notices with no award details (a bare "- AWARD" title) still give one award,
+ * so the notice is recorded even though the winner isn't known.
+ * @param {Object} release - OCDS release
+ * @param {Object} notice - The release mapped to the tender schema (rowToTender/flattenOCDSRelease)
+ * @returns {Array<Object>}
+ */
+export function awardsFromRelease(release, notice) {
+  const awards = extractAwards(release);
+  const details = awards.length > 0
+    ? awards
+    : [{ awardId: '1', title: '', status: '', date: release.date || '', value: null, suppliers: [], contractPeriod: null }];
+
+  return details.map(award => ({
+    id: `${notice.id}/${award.awardId}`,
+    ocid: notice.ocid,
+    awardId: award.awardId,
+    releaseId: notice.releaseId,
+    noticeId: notice.noticeId,
+    title: stripAwardSuffix(award.title || notice.title),
+    organization: notice.organization,
+    region: notice.region,
+    postcode: notice.postcode,
+    cpvCodes: notice.cpvCodes,
+    suppliers: award.suppliers,
+    value: award.value ?? (notice.value || null),
+    date: award.date || null,
+    status: award.status,
+    contractPeriod: award.contractPeriod || notice.contractPeriod,
+    url: notice.url,
+    source: notice.source
+  }));
+}
+
+/**
+ * Merge a run's awards into the store (mutates and returns stats).
+ * @param {Object} store - Store loaded with loadAwardStore()
+ * @param {Array<Object>} awards - Awards fetched this run
+ * @param {string} runAt - ISO timestamp of this run
+ * @returns {{ added: number, updated: number }}
+ */
+export function mergeAwards(store, awards, runAt) {
+  const stats = { added: 0, updated: 0 };
+
+  for (const award of awards) {
+    const entry = store.awards[award.id];
+    if (entry) {
+      entry.award = award;
+      entry.last_seen = runAt;
+      stats.updated++;
+    } else {
+      store.awards[award.id] = { award, first_seen: runAt, last_seen: runAt };
+      stats.added++;
+    }
+  }
+
+  store.updated = runAt;
+  return stats;
+}
+
+// Drop awards whose contract has ended and that were awarded (or last seen) over the retention period ago
+export function pruneAwards(store, now) {
+  const cutoff = now.getTime() - AWARD_RETENTION_DAYS * DAY_MS;
+  let removed = 0;
+
+  for (const [id, { award, last_seen }] of Object.entries(store.awards)) {
+    const contractEnd = award.contractPeriod?.endDate ? new Date(award.contractPeriod.endDate).getTime() : 0;
+    const reference = new Date(award.date || last_seen).getTime();
+
+    if (contractEnd < now.getTime() && !(reference >= cutoff)) {
+      delete store.awards[id];
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Link awards to the tenders they were procured under.
+ * A tender merged across sources answers to every source's ocid.
+ * @param {Array<Object>} awards - Published awards (tenderId is set on each)
+ * @param {Array<Object>} tenders - Tenders from the history store
+ * @returns {Map<string, Array<Object>>} Tender id -> its awards
+ */
+export function linkAwardsToTenders(awards, tenders) {
+  const tenderIds = new Map();
+  for (const tender of tenders) {
+    for (const id of [tender.id, tender.ocid, ...(tender.sources || []).map(s => s.id)]) {
+      if (id) tenderIds.set(id, tender.id);
+    }
+  }
+
+  const byTender = new Map();
+  for (const award of awards) {
+    award.tenderId = tenderIds.get(award.ocid) || null;
+    if (!award.tenderId) continue;
+    if (!byTender.has(award.tenderId)) byTender.set(award.tenderId, []);
+    byTender.get(award.tenderId).push(award);
+  }
+
+  return byTender;
+}
+
+// Awards to publish, most recent first
+export function publishableAwards(store) {
+  return Object.values(store.awards)
+    .map(({ award, first_seen, last_seen }) => ({ ...award, first_seen, last_seen }))
+    .sort((a, b) => String(b.date || b.first_seen).localeCompare(String(a.date || a.first_seen)));
+}
+
+// What a tender's detail panel shows about its award
+export function awardSummary(award) {
+  return {
+    id: award.id,
+    suppliers: award.suppliers.map(s => s.name),
+    value: award.value,
+    date: award.date,
+    status: award.status
+  };
+}
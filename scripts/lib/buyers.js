@@ -0,0 +1,182 @@
+import fs from 'fs';
+import { normaliseBuyer } from './dedupe.js';
+import { addAlias, indexNames, idFromKey, applyCanonicalNames } from './registry.js';
+
+/**
+ * Buyer registry (data/buyers.json, published as public/data/buyers.json)
+ *
+ * Buyer names arrive in many spellings ("NHS Bristol, North Somerset and
+ * South Gloucestershire Integrated Care Board", "... ICB"). Every spelling is
+ * reduced to a match key with normaliseBuyer() and resolved to one buyer,
+ * which keeps a canonical name, the spellings seen as aliases and an
+ * organisation type. Canonical names and aliases that normalising can't
+ * work out (abbreviations, former names) come from config/buyers.json;
+ * other buyers are added as they are first seen, named after that spelling.
+ *
+ * Store format:
+ *   {
+ *     updated: ISO date of the last run,
+ *     buyers: {
+ *       [id]: { id, name, type, aliases, first_seen, last_seen }
+ *     }
+ *   }
+ *
+ * Ids are stable once assigned, so tenders and awards link to a buyer by id.
+ */
+
+export const BUYER_TYPES = ['icb', 'nhs-trust', 'local-authority', 'other'];
+
+// Organisation type from the buyer name, first match wins
+const TYPE_PATTERNS = [
+  ['icb', /\b(integrated care board|icb|clinical commissioning group|ccg)\b/],
+  ['nhs-trust', /\bnhs\b.*\btrust\b|\bfoundation trust\b|\bnhs ft\b/],
+  ['local-authority', /\b(council|borough|county|combined authority)\b/]
+];
+
+export function loadBuyerRegistry(file) {
+  if (!file || !fs.existsSync(file)) {
+    return { updated: null, buyers: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function loadBuyerConfig(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function inferBuyerType(name) {
+  const text = String(name || '').toLowerCase().replace(/&/g, ' and ');
+  const match = TYPE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'other';
+}
+
+// Names that don't identify a buyer
+function isUnnamed(name) {
+  const text = String(name || '').trim();
+  return !text || text === 'Unknown';
+}
+
+/**
+ * Apply config/buyers.json to the registry (mutates it): configured buyers
+ * take their canonical name, type and aliases, and buyers added earlier under
+ * one of their spellings are folded into them.
+ * @param {Object} registry - Registry loaded with loadBuyerRegistry()
+ * @param {Object} config - Parsed buyer config
+ * @returns {number} Buyers folded into configured ones
+ */
+export function applyBuyerConfig(registry, config) {
+  const folded = applyCanonicalNames(registry.buyers, config.buyers, normaliseBuyer, {
+    create: ({ id }) => ({ id, name: '', type: 'other', aliases: [], first_seen: null, last_seen: null })
+  });
+
+  for (const { id, name, type } of config.buyers) {
+    registry.buyers[id].type = type || inferBuyerType(name);
+  }
+
+  return folded;
+}
+
+/**
+ * Resolve each record's buyer, adding new buyers and spellings to the
+ * registry, and set `buyerId` and `buyerType` on the record (null if it
+ * names no buyer).
+ * @param {Object} registry - Registry loaded with loadBuyerRegistry(); mutated in place
+ * @param {Array<Object>} records - Tenders or awards with an organization; mutated in place
+ * @param {string} runAt - ISO timestamp of this run
+ * @returns {{ added: number }}
+ */
+export function registerBuyers(registry, records, runAt) {
+  const index = indexNames(registry.buyers, normaliseBuyer);
+  let added = 0;
+
+  for (const record of records) {
+    if (isUnnamed(record.organization)) {
+      record.buyerId = null;
+      record.buyerType = null;
+      continue;
+    }
+
+    const name = record.organization.trim();
+    const key = normaliseBuyer(name);
+    let id = index.get(key);
+
+    if (!id) {
+      id = idFromKey(key, name);
+      registry.buyers[id] = { id, name, type: inferBuyerType(name), aliases: [], first_seen: runAt, last_seen: runAt };
+      index.set(key, id);
+      added++;
+    }
+
+    const buyer = registry.buyers[id];
+    addAlias(buyer, name);
+    buyer.first_seen = buyer.first_seen || runAt;
+    buyer.last_seen = runAt;
+    record.buyerId = id;
+    record.buyerType = buyer.type;
+  }
+
+  registry.updated = runAt;
+  return { added };
+}
+
+/**
+ * The published buyer directory: each buyer with tenders or awards, and what
+ * its profile page lists. Tenders come from the history, so the profile shows
+ * past tenders that are no longer published as well as open ones.
+ * @param {Object} registry - Registry after registerBuyers()
+ * @param {Array<Object>} tenders - Tenders with buyerId (history entries, with first_seen)
+ * @param {Array<Object>} awards - Published awards with buyerId
+ * @param {string} runAt - ISO timestamp of this run
+ * @returns {Object} Directory in the buyers.json format
+ */
+export function buildBuyerDirectory(registry, tenders, awards, runAt) {
+  const profiles = new Map();
+  const profileOf = (id) => {
+    if (!profiles.has(id)) {
+      const { first_seen, last_seen, ...buyer } = registry.buyers[id];
+      profiles.set(id, { ...buyer, tenders: [], awards: [] });
+    }
+    return profiles.get(id);
+  };
+
+  for (const tender of tenders) {
+    if (!tender.buyerId || !registry.buyers[tender.buyerId]) continue;
+    profileOf(tender.buyerId).tenders.push({
+      id: tender.id,
+      title: tender.title,
+      value: tender.value,
+      deadline: tender.deadline || null,
+      stage: tender.stage || 'tender',
+      first_seen: tender.first_seen || null,
+      url: tender.url
+    });
+  }
+
+  for (const award of awards) {
+    if (!award.buyerId || !registry.buyers[award.buyerId]) continue;
+    profileOf(award.buyerId).awards.push({
+      id: award.id,
+      tenderId: award.tenderId || null,
+      title: award.title,
+      suppliers: award.suppliers.map(s => s.name),
+      value: award.value,
+      date: award.date,
+      contractPeriod: award.contractPeriod || null,
+      url: award.url
+    });
+  }
+
+  const buyers = Array.from(profiles.values())
+    .map(profile => ({
+      ...profile,
+      tenders: profile.tenders.sort((a, b) => String(b.deadline || '').localeCompare(String(a.deadline || ''))),
+      awards: profile.awards.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    generated: runAt,
+    count: buyers.length,
+    buyers
+  };
+}
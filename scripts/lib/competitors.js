@@ -0,0 +1,230 @@
+import fs from 'fs';
+import { normaliseBuyer } from './dedupe.js';
+import { addAlias, indexNames, idFromKey, applyCanonicalNames } from './registry.js';
+
+/**
+ * Competitor registry (data/competitors.json, published as public/data/competitors.json)
+ *
+ * Brings together the two places competitors appear: suppliers on award
+ * releases (evidence of contracts won) and the competitors named in AI
+ * analyses (sirona_fit.competitors, a per-tender guess). Both are resolved to
+ * one entry per organisation, by supplier id where the award gives one and
+ * otherwise by normalised name, with canonical names and aliases from
+ * config/competitors.json. Our own names and generic guesses ("Local NHS
+ * Trusts") never become competitors.
+ *
+ * Store format:
+ *   {
+ *     updated: ISO date of the last run,
+ *     competitors: {
+ *       [id]: { id, name, aliases, supplierIds, predictions: { [tenderId]: first predicted }, first_seen, last_seen }
+ *     }
+ *   }
+ *
+ * Predictions are kept in the store because analysed tenders leave the
+ * history; contracts won are read from the award store each run.
+ */
+
+export function loadCompetitorRegistry(file) {
+  if (!file || !fs.existsSync(file)) {
+    return { updated: null, competitors: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function loadCompetitorConfig(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Supplier name reduced to a match key: buyer normalisation, plus the suffixes suppliers carry
+export function normaliseCompetitor(name) {
+  return normaliseBuyer(String(name || '')
+    .replace(/\bcommunity interest company\b/gi, ' ')
+    .replace(/\b(c\.?i\.?c|llp|group)\b\.?/gi, ' '));
+}
+
+function createCompetitor(id, name, runAt = null) {
+  return { id, name, aliases: [], supplierIds: [], predictions: {}, first_seen: runAt, last_seen: runAt };
+}
+
+/**
+ * Apply config/competitors.json to the registry (mutates it). See applyCanonicalNames().
+ * @returns {number} Competitors folded into configured ones
+ */
+export function applyCompetitorConfig(registry, config) {
+  return applyCanonicalNames(registry.competitors, config.competitors, normaliseCompetitor, {
+    create: ({ id, name }) => createCompetitor(id, name),
+    fold: (target, entry) => {
+      target.supplierIds = [...new Set([...target.supplierIds, ...entry.supplierIds])];
+      target.predictions = { ...entry.predictions, ...target.predictions };
+    }
+  });
+}
+
+// Names that aren't a competitor: blank, ourselves, or a generic guess
+function ignoredNames(config) {
+  const names = new Set([...(config?.self || []), ...(config?.placeholders || [])].map(normaliseCompetitor));
+  const patterns = (config?.placeholderPatterns || []).map(pattern => new RegExp(pattern));
+  return (name) => {
+    const text = String(name || '').trim();
+    return !text || names.has(normaliseCompetitor(text)) || patterns.some(pattern => pattern.test(text.toLowerCase()));
+  };
+}
+
+// Resolves names (and supplier ids) to registry ids, adding competitors as they're first seen
+function createResolver(registry, config, runAt) {
+  const byName = indexNames(registry.competitors, normaliseCompetitor);
+  const bySupplierId = new Map();
+  for (const competitor of Object.values(registry.competitors)) {
+    for (const supplierId of competitor.supplierIds) bySupplierId.set(supplierId, competitor.id);
+  }
+  const isIgnored = ignoredNames(config);
+  const stats = { added: 0 };
+
+  const resolve = (name, supplierId = null) => {
+    if (isIgnored(name)) return null;
+
+    const text = name.trim();
+    const key = normaliseCompetitor(text);
+    let id = (supplierId && bySupplierId.get(supplierId)) || byName.get(key);
+
+    if (!id) {
+      id = idFromKey(key, text);
+      registry.competitors[id] = createCompetitor(id, text, runAt);
+      byName.set(key, id);
+      stats.added++;
+    }
+
+    const competitor = registry.competitors[id];
+    addAlias(competitor, text);
+    if (supplierId && !competitor.supplierIds.includes(supplierId)) {
+      competitor.supplierIds.push(supplierId);
+      bySupplierId.set(supplierId, id);
+    }
+    competitor.first_seen = competitor.first_seen || runAt;
+    competitor.last_seen = runAt;
+    return id;
+  };
+
+  return { resolve, stats };
+}
+
+/**
+ * Resolve award suppliers and AI-predicted competitors to the registry.
+ * Returns copies of the awards whose suppliers carry `competitorId`.
+ * @param {Object} registry - Registry loaded with loadCompetitorRegistry(); mutated in place
+ * @param {Object} config - Parsed competitor config (self, placeholders)
+ * @param {Object} sources
+ * @param {Array<Object>} sources.awards - Published awards
+ * @param {Array<Object>} sources.tenders - Tenders; those analysed by Claude (ai_analyzed) count as predictions
+ * @param {string} runAt - ISO timestamp of this run
+ * @returns {{ awards: Array<Object>, added: number, predictions: number }}
+ */
+export function registerCompetitors(registry, config, { awards, tenders }, runAt) {
+  const { resolve, stats } = createResolver(registry, config, runAt);
+
+  const linkedAwards = awards.map(award => ({
+    ...award,
+    suppliers: award.suppliers.map(supplier => ({
+      ...supplier,
+      competitorId: resolve(supplier.name, supplier.id || null)
+    }))
+  }));
+
+  let predictions = 0;
+  for (const tender of tenders) {
+    if (!tender.ai_analyzed || !Array.isArray(tender.sirona_fit?.competitors)) continue;
+    for (const name of tender.sirona_fit.competitors) {
+      const id = resolve(name);
+      if (id && !registry.competitors[id].predictions[tender.id]) {
+        registry.competitors[id].predictions[tender.id] = runAt;
+        predictions++;
+      }
+    }
+  }
+
+  registry.updated = runAt;
+  return { awards: linkedAwards, added: stats.added, predictions };
+}
+
+// Count occurrences by key, most frequent first
+function tally(items, keyOf, describe) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!key) continue;
+    if (!counts.has(key)) counts.set(key, { ...describe(item), contracts: 0 });
+    counts.get(key).contracts++;
+  }
+  return Array.from(counts.values()).sort((a, b) => b.contracts - a.contracts);
+}
+
+/**
+ * The published competitor directory: each competitor that has won an award
+ * or been predicted, with the evidence for its profile page.
+ * @param {Object} registry - Registry after registerCompetitors()
+ * @param {Array<Object>} awards - Awards returned by registerCompetitors() (with buyerId, see buyers.js)
+ * @param {string} runAt - ISO timestamp of this run
+ * @param {Object} [config] - Parsed competitor config, for the names to ignore
+ * @param {Object} [buyers] - Buyer registry entries by id, for canonical buyer names
+ * @returns {Object} Directory in the competitors.json format
+ */
+export function buildCompetitorDirectory(registry, awards, runAt, config = null, buyers = {}) {
+  const won = new Map();
+  for (const award of awards) {
+    for (const { competitorId } of award.suppliers) {
+      if (!competitorId) continue;
+      if (!won.has(competitorId)) won.set(competitorId, []);
+      won.get(competitorId).push(award);
+    }
+  }
+
+  const competitors = Object.values(registry.competitors)
+    .map(({ id, name, aliases, predictions }) => {
+      const contracts = (won.get(id) || []).sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+      const predictedIn = Object.keys(predictions);
+
+      return {
+        id,
+        name,
+        aliases,
+        contractsWon: contracts.length,
+        valueWon: contracts.reduce((sum, award) => sum + (award.value > 0 ? award.value : 0), 0),
+        predicted: predictedIn.length,
+        predictedIn,
+        buyers: tally(contracts, award => award.buyerId || award.organization, award => ({
+          buyerId: award.buyerId || null,
+          name: buyers[award.buyerId]?.name || award.organization
+        })),
+        categories: tally(
+          contracts.flatMap(award => award.cpvCodes || []),
+          code => code.code,
+          code => ({ code: code.code, description: code.description })
+        ),
+        awards: contracts.map(award => ({
+          id: award.id,
+          tenderId: award.tenderId || null,
+          title: award.title,
+          organization: award.organization,
+          buyerId: award.buyerId || null,
+          value: award.value,
+          date: award.date,
+          contractPeriod: award.contractPeriod || null,
+          url: award.url
+        }))
+      };
+    })
+    .filter(competitor => competitor.contractsWon > 0 || competitor.predicted > 0)
+    .sort((a, b) => b.contractsWon - a.contractsWon || b.predicted - a.predicted || a.name.localeCompare(b.name));
+
+  return {
+    generated: runAt,
+    count: competitors.length,
+    // So the dashboard can skip the same names in its own session's analyses
+    ignore: {
+      names: [...(config?.self || []), ...(config?.placeholders || [])],
+      patterns: config?.placeholderPatterns || []
+    },
+    competitors
+  };
+}
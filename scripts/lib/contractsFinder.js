@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+import { openURLStream, sleep, retryDelay, HTTPError, HTTP_DEFAULTS } from './http.js';
+import { readCSVRows } from './csv.js';
+import { unflattenRow, extractReleaseDetails, extractBuyerPostcode, isAwardRelease, isPlanningRelease } from './ocds.js';
+import { awardsFromRelease } from './awards.js';
+import {
+  tenderRejectionReason,
+  fallbackTenderId,
+  findUUID,
+  createParseStats,
+  recordRejection,
+  formatParseStats
+} from './tenders.js';
+
+export const S3_BASE = 'https://cdp-sirsi-production-cfs-471112843276.s3.eu-west-2.amazonaws.com/Harvester-new';
+const NOTICE_BASE = 'https://www.contractsfinder.service.gov.uk/notice';
+
+// Format a date as YYYY-MM-DD (local time, matching the S3 file naming)
+export function formatDay(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Daily OCDS CSV dump for a given date
+export function contractsFinderURL(date, baseUrl = S3_BASE) {
+  const day = formatDay(date);
+  return `${baseUrl}/${day.slice(0, 7)}/Contracts%20Finder%20OCDS%20${day}.csv`;
+}
+
+// The OCDS release in a flattened CSV row.
+// The dumps flatten a release package, so release fields sit under releases/0/.
+export function rowToRelease(row) {
+  const pkg = unflattenRow(row);
+  return pkg.releases?.[0] || pkg;
+}
+
+// Map a flattened OCDS CSV row to a tender
+export function rowToTender(row, release = rowToRelease(row)) {
+  const title = row['releases/0/tender/title'] || row['tender/title'] || '';
+  const buyer = row['releases/0/buyer/name'] || row['buyer/name'] || '';
+  const value = parseFloat(row['releases/0/tender/value/amount'] || row['tender/value/amount'] || 0);
+  const deadline = row['releases/0/tender/tenderPeriod/endDate'] || row['tender/tenderPeriod/endDate'] || '';
+  const description = (row['releases/0/tender/description'] || row['tender/description'] || '').replace(/\r\n?/g, '\n');
+
+  const ocid = row['releases/0/ocid'] || row['ocid'] || '';
+  const releaseId = row['releases/0/id'] || row['id'] || '';
+  const releaseDate = row['releases/0/date'] || row['date'] || '';
+  // The notice id is the UUID carried in the ocid (ocds-b5fd17-<uuid>), release id or package uri
+  const noticeId = findUUID(ocid, releaseId, row['uri']);
+
+  return {
+    id: ocid || fallbackTenderId('cf', [title, buyer, deadline]),
+    ocid: ocid || null,
+    releaseId: releaseId || null,
+    releaseDate,
+    noticeId,
+    title: title,
+    organization: buyer,
+    value: value,
+    deadline: deadline,
+    summary: description.substring(0, 200),
+    detailedDescription: description,
+    region: row['releases/0/buyer/address/region'] || row['buyer/address/region'] || '',
+    postcode: extractBuyerPostcode(release),
+    url: noticeId ? `${NOTICE_BASE}/${noticeId}` : 'https://www.contractsfinder.service.gov.uk/Search',
+    ...extractReleaseDetails(release),
+    stage: isPlanningRelease(release) ? 'planning' : 'tender',
+    status: 'new',
+    categories: [],
+    sirona_fit: null,
+    source: 'Contracts Finder'
+  };
+}
+
+/**
+ * Parse a Contracts Finder OCDS CSV dump into tenders and awards.
+ * Award and contract rows (see isAwardRelease) become awards, not tenders.
+ * @param {string|AsyncIterable} source - CSV text or a stream of chunks
+ * @param {string} file - Name used in the parse statistics
+ * @returns {Promise<{ tenders: Array<Object>, awards: Array<Object>, stats: Object }>}
+ */
+export async function parseCSV(source, file = 'csv') {
+  const tenders = [];
+  const awards = [];
+  const stats = createParseStats(file);
+
+  for await (const { row, error } of readCSVRows(source)) {
+    stats.rows++;
+
+    if (error) {
+      recordRejection(stats, error);
+      continue;
+    }
+
+    try {
+      const release = rowToRelease(row);
+      const tender = rowToTender(row, release);
+
+      if (isAwardRelease(release)) {
+        if (!tender.title) {
+          recordRejection(stats, 'missing title');
+          continue;
+        }
+        awards.push(...awardsFromRelease(release, tender));
+        stats.awards++;
+        continue;
+      }
+
+      const reason = tenderRejectionReason(tender);
+      if (reason) {
+        recordRejection(stats, reason);
+        continue;
+      }
+      tenders.push(tender);
+      stats.accepted++;
+    } catch (e) {
+      recordRejection(stats, `mapping error: ${e.message}`);
+    }
+  }
+
+  return { tenders, awards, stats };
+}
+
+function isFinalError(error, settings) {
+  if (!(error instanceof HTTPError)) return false;
+  if (error.status >= 400 && error.status < 500) return true;
+  return error.attempts > settings.retries;
+}
+
+/**
+ * Read daily CSV dumps, oldest first, either from S3 (the `days` days up to `today`) or from a fixture directory.
+ * `baseUrl` can point at the local fixture server instead of S3, and `httpOptions`
+ * overrides HTTP_DEFAULTS (e.g. a shorter timeout).
+ * A day that can't be fetched after retries is recorded in `failures` and skipped;
+ * days with no dump published (404) are not failures.
+ * @returns {Promise<{ tenders: Array<Object>, awards: Array<Object>, files: Array<Object>, failures: Array<Object>, missingDays: Array<string> }>}
+ *   Tenders, awards, per-file parse stats, the days that failed and the days with no dump
+ */
+export async function fetchContractsFinder({ days = 30, today = new Date(), fixtureDir = null, baseUrl = S3_BASE, httpOptions = {} } = {}) {
+  const settings = { ...HTTP_DEFAULTS, ...httpOptions };
+  const tenders = [];
+  const awards = [];
+  const files = [];
+  const failures = [];
+  const missingDays = [];
+
+  const ingest = async (source, file) => {
+    const result = await parseCSV(source, file);
+    tenders.push(...result.tenders);
+    awards.push(...result.awards);
+    files.push(result.stats);
+    console.log(`    ${formatParseStats(result.stats)}`);
+  };
+
+  if (fixtureDir) {
+    const names = fs.readdirSync(fixtureDir).filter(f => f.endsWith('.csv')).sort();
+    for (const name of names) {
+      console.log(`  Reading ${name}...`);
+      await ingest(fs.createReadStream(path.join(fixtureDir, name)), name);
+    }
+    return { tenders, awards, files, failures, missingDays };
+  }
+
+  // Oldest day first, so a notice amended within the window is read before its amendment
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date(today);
+    date.setDate(date.getDate() - i);
+    const day = formatDay(date);
+    const url = contractsFinderURL(date, baseUrl);
+
+    console.log(`  Fetching ${day}...`);
+    // A file is only ingested once fully parsed, so a download dropped
+    // mid-stream can be restarted from the top
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const stream = await openURLStream(url, httpOptions);
+        if (stream) {
+          await ingest(stream, day);
+        } else {
+          console.log('    No dump published');
+          missingDays.push(day);
+        }
+        break;
+      } catch (error) {
+        // A 4xx won't change on a retry, and openURLStream has already retried a
+        // request that kept failing; a timeout or reset mid-body is worth a restart
+        const gaveUp = isFinalError(error, settings) || attempt >= settings.retries;
+        if (gaveUp) {
+          console.error(`    Failed: ${error.message}`);
+          failures.push({ source: 'Contracts Finder', day, url, error: error.message, attempts: error.attempts || attempt + 1 });
+          break;
+        }
+        console.log(`    Download interrupted (${error.message}), restarting`);
+        await sleep(retryDelay(attempt, settings));
+      }
+    }
+
+    // Small delay to be nice to the server
+    await sleep(100);
+  }
+
+  return { tenders, awards, files, failures, missingDays };
+}
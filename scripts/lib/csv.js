@@ -0,0 +1,160 @@
+/**
+ * Streaming RFC 4180 CSV reader
+ *
+ * Handles quoted fields containing commas and line breaks, escaped
+ * double quotes (""), CRLF/LF/CR line endings and a leading UTF-8 BOM.
+ * Input can be a string or any (async) iterable of string/Buffer chunks,
+ * e.g. an fs read stream or an HTTP response.
+ */
+
+/**
+ * Create an incremental CSV parser.
+ * @param {Function} onRecord - Called with (fields, { line, error }) for each record
+ * @returns {{ write: Function, end: Function }}
+ */
+export function createCSVParser(onRecord) {
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside a quoted field: escape or close?
+  let quoted = false;       // current record contains a quoted field
+  let lastWasCR = false;
+  let atStart = true;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+
+  const endRecord = (error = null) => {
+    endField();
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== '' || quoted || error) {
+      onRecord(record, { line: recordLine, error });
+    }
+    record = [];
+    quoted = false;
+    recordLine = line;
+  };
+
+  const write = (chunk) => {
+    let text = chunk;
+    if (atStart) {
+      if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+      atStart = text.length === 0;
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (lastWasCR) {
+        lastWasCR = false;
+        if (char === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          // The previous quote closed the field; handle this char unquoted
+          inQuotes = false;
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+        quoted = true;
+      } else if (char === ',') {
+        endField();
+      } else if (char === '\n' || char === '\r') {
+        line++;
+        lastWasCR = char === '\r';
+        endRecord();
+      } else {
+        // Stray quotes after field content are kept literally
+        field += char;
+      }
+    }
+  };
+
+  const end = () => {
+    if (quotePending) {
+      quotePending = false;
+      inQuotes = false;
+    }
+    if (inQuotes) {
+      inQuotes = false;
+      endRecord('unterminated quoted field');
+    } else if (field !== '' || record.length > 0 || quoted) {
+      endRecord();
+    }
+  };
+
+  return { write, end };
+}
+
+/**
+ * Read CSV records from a string or a stream of chunks.
+ * @param {string|AsyncIterable|Iterable} source
+ * @yields {{ fields: string[], line: number, error: string|null }}
+ */
+export async function* readCSVRecords(source) {
+  const chunks = typeof source === 'string' ? [source] : source;
+  const decoder = new TextDecoder('utf-8');
+  const pending = [];
+  const parser = createCSVParser((fields, { line, error }) => {
+    pending.push({ fields, line, error });
+  });
+
+  for await (const chunk of chunks) {
+    parser.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+    yield* pending.splice(0);
+  }
+
+  parser.write(decoder.decode());
+  parser.end();
+  yield* pending.splice(0);
+}
+
+/**
+ * Read CSV rows keyed by the header record.
+ * Records that can't be mapped onto the header are yielded with an error.
+ * @param {string|AsyncIterable|Iterable} source
+ * @yields {{ row: Object|null, line: number, error: string|null }}
+ */
+export async function* readCSVRows(source) {
+  let headers = null;
+
+  for await (const { fields, line, error } of readCSVRecords(source)) {
+    if (!headers) {
+      headers = fields.map(h => h.trim());
+      continue;
+    }
+
+    if (error) {
+      yield { row: null, line, error };
+      continue;
+    }
+
+    if (fields.length !== headers.length) {
+      yield { row: null, line, error: `column count mismatch (expected ${headers.length}, got ${fields.length})` };
+      continue;
+    }
+
+    const row = {};
+    headers.forEach((h, idx) => row[h] = fields[idx].trim());
+    yield { row, line, error: null };
+  }
+}
@@ -0,0 +1,410 @@
+import { earlySignalOf } from './tenders.js';
+
+/**
+ * Tender deduplication
+ *
+ * Records with the same id are the same notice, and the latest release wins:
+ * a fetch window can hold both a notice and its amendment, and the amendment
+ * is what the history should record. Releases without a date (or with the
+ * same date) fall back to the last one read, which is the newest: each source
+ * is read oldest first (Contracts Finder day by day up to today, Find a Tender
+ * page by page from the start of its window). The same procurement is also
+ * often published on both Contracts Finder and Find a Tender under different
+ * ocids, so records from different sources are then matched on normalised
+ * buyer, title similarity, deadline and value, and merged into one tender:
+ *
+ *   {
+ *     ...fields, each taken from the richer record,
+ *     sources: [{ source, id, noticeId, url }],
+ *     provenance: { [field]: source }   // merged tenders only
+ *   }
+ *
+ * The merged tender keeps the first record's id, so its history carries over.
+ * The two notices are often fetched in different runs (Find a Tender is read
+ * from where the last run stopped, Contracts Finder re-reads a month), so the
+ * history also matches new records against the tenders it has stored with
+ * createStoredMatcher() and folds them in with mergeWithStored().
+ *
+ * A pre-market (planning) notice and the tender published later under the
+ * same ocid share an id: the tender wins and records the notice as its
+ * earlySignal. Planning notices are never fuzzy-matched with tenders.
+ */
+
+// Thresholds for treating two records as the same procurement
+export const MATCH_RULES = {
+  minBuyerSimilarity: 0.8,
+  minTitleSimilarity: 0.6,
+  // Title similarity needed when neither deadline nor value can corroborate the match
+  minTitleSimilarityUncorroborated: 0.85,
+  maxDeadlineDays: 1,
+  maxValueDifference: 0.1
+};
+
+// Candidate pairs at least this close are reported even when they aren't merged
+const NEAR_MISS_TITLE_SIMILARITY = 0.4;
+
+// Fields merged from the richer record, in the order they're compared
+const MERGED_FIELDS = [
+  'title',
+  'organization',
+  'value',
+  'deadline',
+  'detailedDescription',
+  'region',
+  'postcode',
+  'cpvCodes',
+  'lots',
+  'procurementMethod',
+  'procurementMethodDetails',
+  'contractPeriod',
+  'suitability',
+  'documents'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'by',
+  'nhs', 'ltd', 'limited', 'plc', 'service', 'services', 'provision', 'contract', 'tender'
+]);
+
+// Spellings of the same buyer type, reduced to one token
+const BUYER_ALIASES = [
+  [/\bintegrated care board\b/g, 'icb'],
+  [/\bclinical commissioning group\b/g, 'ccg'],
+  [/\bfoundation trust\b/g, 'ft'],
+  [/\bnhs trust\b/g, 'trust'],
+  [/\bb\s*n\s*s\s*s\s*g\b/g, 'bristol north somerset south gloucestershire']
+];
+
+function tokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+// Buyer name reduced to comparable tokens ("NHS Bristol, ... Integrated Care Board" == "Bristol ... ICB")
+export function normaliseBuyer(name) {
+  let text = String(name || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ');
+  for (const [pattern, replacement] of BUYER_ALIASES) {
+    text = text.replace(pattern, replacement);
+  }
+  return tokens(text).join(' ');
+}
+
+// Dice coefficient of two token sets (0..1)
+export function tokenSimilarity(a, b) {
+  const setA = new Set(Array.isArray(a) ? a : tokens(a));
+  const setB = new Set(Array.isArray(b) ? b : tokens(b));
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let shared = 0;
+  for (const token of setA) {
+    if (setB.has(token)) shared++;
+  }
+  return (2 * shared) / (setA.size + setB.size);
+}
+
+function dayOf(date) {
+  const time = date ? new Date(date).getTime() : NaN;
+  return isNaN(time) ? null : Math.floor(time / DAY_MS);
+}
+
+// Comparable form of a record, computed once
+function matchKey(tender) {
+  return {
+    buyer: normaliseBuyer(tender.organization).split(' ').filter(Boolean),
+    title: tokens(tender.title),
+    day: dayOf(tender.deadline),
+    value: tender.value > 0 ? tender.value : null
+  };
+}
+
+/**
+ * Compare two records' match keys.
+ * @returns {{ match: boolean, score: number, signals: Object, reason: string|null }}
+ */
+function compareKeys(a, b) {
+  const buyer = tokenSimilarity(a.buyer, b.buyer);
+  const title = tokenSimilarity(a.title, b.title);
+  const deadlineDays = a.day !== null && b.day !== null ? Math.abs(a.day - b.day) : null;
+  const valueDifference = a.value && b.value
+    ? Math.abs(a.value - b.value) / Math.max(a.value, b.value)
+    : null;
+
+  const signals = {
+    buyer: round(buyer),
+    title: round(title),
+    deadlineDays,
+    valueDifference: valueDifference === null ? null : round(valueDifference)
+  };
+
+  let reason = null;
+  if (buyer < MATCH_RULES.minBuyerSimilarity) {
+    reason = 'buyer differs';
+  } else if (title < MATCH_RULES.minTitleSimilarity) {
+    reason = 'title differs';
+  } else if (deadlineDays !== null && deadlineDays > MATCH_RULES.maxDeadlineDays) {
+    reason = 'deadline differs';
+  } else if (valueDifference !== null && valueDifference > MATCH_RULES.maxValueDifference) {
+    reason = 'value differs';
+  } else if (deadlineDays === null && valueDifference === null && title < MATCH_RULES.minTitleSimilarityUncorroborated) {
+    reason = 'no deadline or value to corroborate title';
+  }
+
+  // Score for ranking candidates: agreeing deadline/value add confidence
+  const score = (buyer + title * 2
+    + (deadlineDays === null ? 0.5 : deadlineDays <= MATCH_RULES.maxDeadlineDays ? 1 : 0)
+    + (valueDifference === null ? 0.5 : valueDifference <= MATCH_RULES.maxValueDifference ? 1 : 0)) / 5;
+
+  return { match: reason === null, score: round(score), signals, reason };
+}
+
+function round(number) {
+  return Math.round(number * 1000) / 1000;
+}
+
+// Fields where a longer value isn't a richer one (a differently formatted date is the same date)
+const PRESENCE_ONLY_FIELDS = new Set(['deadline', 'postcode']);
+
+// How much information a field value carries, for picking the richer record
+function richness(value, field) {
+  if (value === null || value === undefined) return 0;
+  if (PRESENCE_ONLY_FIELDS.has(field)) return value ? 1 : 0;
+  if (typeof value === 'number') return value > 0 ? 1 : 0;
+  if (typeof value === 'string') return value.trim().length;
+  if (Array.isArray(value)) return value.length;
+  if (typeof value === 'object') {
+    return Object.values(value).filter(v => v !== null && v !== undefined && v !== '').length;
+  }
+  return value ? 1 : 0;
+}
+
+function sourceEntry(tender) {
+  return {
+    source: tender.source,
+    id: tender.id,
+    noticeId: tender.noticeId || null,
+    url: tender.url
+  };
+}
+
+// Merge a record into a group's tender, field by field; ties keep the existing value
+function mergeRecord(group, record) {
+  const merged = group.tender;
+  merged.provenance = merged.provenance || Object.fromEntries(MERGED_FIELDS.map(f => [f, merged.source]));
+
+  for (const field of MERGED_FIELDS) {
+    if (richness(record[field], field) > richness(merged[field], field)) {
+      merged[field] = record[field];
+      merged.provenance[field] = record.source;
+    }
+  }
+
+  // The "Unknown" placeholder outscores a real but shorter buyer name
+  if (merged.organization === 'Unknown' && record.organization && record.organization !== 'Unknown') {
+    merged.organization = record.organization;
+    merged.provenance.organization = record.source;
+  }
+
+  merged.summary = merged.detailedDescription.substring(0, 200);
+  merged.sources.push(sourceEntry(record));
+  group.sourceNames.add(record.source);
+}
+
+// The sources a tender was built from (a tender that was never merged has just its own)
+function sourcesOf(tender) {
+  return tender.sources || [sourceEntry(tender)];
+}
+
+/**
+ * Combine a stored tender with a fresh record of the same procurement.
+ * The record's sources supply their latest values; a field the stored tender
+ * took from one of its other sources is kept when it's richer. The stored
+ * tender's id is kept, so its history carries over.
+ * @param {Object} stored - Tender from the history (merged tenders carry sources and provenance)
+ * @param {Object} record - Deduplicated tender from this run
+ * @returns {Object} The combined tender
+ */
+export function mergeWithStored(stored, record) {
+  const recordSources = sourcesOf(record);
+  const otherSources = sourcesOf(stored).filter(s => !recordSources.some(r => r.id === s.id));
+  if (otherSources.length === 0) return { ...record, id: stored.id };
+
+  const recordNames = new Set(recordSources.map(s => s.source));
+  const merged = {
+    ...record,
+    id: stored.id,
+    sources: [...otherSources, ...recordSources],
+    provenance: { ...Object.fromEntries(MERGED_FIELDS.map(f => [f, record.source])), ...record.provenance }
+  };
+
+  for (const field of MERGED_FIELDS) {
+    const source = stored.provenance?.[field] || stored.source;
+    if (!recordNames.has(source) && richness(stored[field], field) > richness(merged[field], field)) {
+      merged[field] = stored[field];
+      merged.provenance[field] = source;
+    }
+  }
+
+  merged.summary = merged.detailedDescription.substring(0, 200);
+  return merged;
+}
+
+// Whether a record's release predates another's (undated releases never do)
+function isOlderRelease(record, other) {
+  const date = new Date(record.releaseDate).getTime();
+  const otherDate = new Date(other.releaseDate).getTime();
+  return date < otherDate;
+}
+
+/**
+ * Deduplicate tenders by id, then merge cross-source duplicates.
+ * @param {Array<Object>} tendersList - Tenders from every source, Contracts Finder first, each source oldest first
+ * @returns {{ tenders: Array<Object>, report: Object }} Deduplicated tenders and the merge decisions
+ */
+export function deduplicateTenders(tendersList) {
+  const seen = new Map();
+
+  for (const tender of tendersList) {
+    const existing = seen.get(tender.id);
+    if (!existing) {
+      seen.set(tender.id, tender);
+    } else if (existing.stage === 'planning' && tender.stage !== 'planning') {
+      seen.set(tender.id, { ...tender, earlySignal: earlySignalOf(existing) });
+    } else if (tender.stage === 'planning' && existing.stage !== 'planning') {
+      if (!existing.earlySignal) seen.set(tender.id, { ...existing, earlySignal: earlySignalOf(tender) });
+    } else if (!isOlderRelease(tender, existing)) {
+      seen.set(tender.id, existing.earlySignal && !tender.earlySignal ? { ...tender, earlySignal: existing.earlySignal } : tender);
+    }
+  }
+
+  const groups = [];
+  const index = createMatchIndex();
+  const decisions = [];
+
+  for (const original of seen.values()) {
+    const record = { ...original, sources: [sourceEntry(original)] };
+    const key = matchKey(record);
+
+    const best = index.bestMatch(record, key, decisions);
+    if (best) {
+      decisions.push(decision('merged', best.group.tender, record, best.result));
+      mergeRecord(best.group, record);
+      continue;
+    }
+
+    const group = { tender: record, key, sourceNames: new Set([record.source]) };
+    groups.push(group);
+    index.add(group);
+  }
+
+  const tenders = groups.map(group => group.tender);
+
+  return {
+    tenders,
+    report: {
+      input: tendersList.length,
+      exactDuplicates: tendersList.length - seen.size,
+      merged: decisions.filter(d => d.decision === 'merged').length,
+      output: tenders.length,
+      rules: MATCH_RULES,
+      decisions
+    }
+  };
+}
+
+/**
+ * Match records against tenders stored by earlier runs, e.g. a Contracts
+ * Finder notice whose Find a Tender twin was stored the day before.
+ * @param {Array<Object>} stored - Tenders from the history
+ * @returns {{ match: function(Object): ({ tender: Object, decision: Object }|null), decisions: Array<Object> }}
+ *   match() returns the stored tender a record from another source describes;
+ *   decisions collects every merge and close candidate kept separate
+ */
+export function createStoredMatcher(stored) {
+  const index = createMatchIndex();
+  const decisions = [];
+
+  for (const tender of stored) {
+    index.add({ tender, key: matchKey(tender), sourceNames: new Set(sourcesOf(tender).map(s => s.source)) });
+  }
+
+  return {
+    decisions,
+    match(record) {
+      const best = index.bestMatch(record, matchKey(record), decisions);
+      if (!best) return null;
+
+      const merged = decision('merged', best.group.tender, record, best.result);
+      decisions.push(merged);
+      // The stored tender now covers this record's source, so it can't take a second notice from it
+      best.group.sourceNames.add(record.source);
+      return { tender: best.group.tender, decision: merged };
+    }
+  };
+}
+
+// Groups indexed by their first source, then deadline day (null for none),
+// so records are only compared with other sources' records with nearby deadlines
+function createMatchIndex() {
+  const index = new Map();
+
+  return {
+    add(group) {
+      const source = group.tender.source;
+      if (!index.has(source)) index.set(source, new Map());
+      const byDay = index.get(source);
+      if (!byDay.has(group.key.day)) byDay.set(group.key.day, []);
+      byDay.get(group.key.day).push(group);
+    },
+
+    // The best-scoring group from another source that matches, noting near misses in decisions
+    bestMatch(record, key, decisions) {
+      const candidates = [];
+      for (const [source, byDay] of index) {
+        if (source === record.source) continue;
+        if (key.day === null) {
+          candidates.push(...Array.from(byDay.values()).flat());
+        } else {
+          candidates.push(...[key.day - 1, key.day, key.day + 1, null].flatMap(day => byDay.get(day) || []));
+        }
+      }
+
+      let best = null;
+      for (const group of candidates) {
+        // Duplicates within one source are separate notices (e.g. lots), so only match across sources
+        if (group.sourceNames.has(record.source)) continue;
+        if ((group.tender.stage === 'planning') !== (record.stage === 'planning')) continue;
+
+        const result = compareKeys(group.key, key);
+        if (result.match) {
+          if (!best || result.score > best.result.score) {
+            best = { group, result };
+          }
+        } else if (result.signals.buyer >= MATCH_RULES.minBuyerSimilarity && result.signals.title >= NEAR_MISS_TITLE_SIMILARITY) {
+          decisions.push(decision('kept separate', group.tender, record, result));
+        }
+      }
+      return best;
+    }
+  };
+}
+
+function decision(outcome, existing, record, { score, signals, reason }) {
+  return {
+    decision: outcome,
+    reason,
+    score,
+    signals,
+    records: [existing, record].map(t => ({
+      id: t.id,
+      source: t.source,
+      title: t.title,
+      organization: t.organization
+    }))
+  };
+}
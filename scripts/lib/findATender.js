@@ -0,0 +1,204 @@
+import fs from 'fs';
+import path from 'path';
+import { fetchURL, sleep } from './http.js';
+import { tenderRejectionReason, fallbackTenderId, createParseStats, recordRejection, formatParseStats } from './tenders.js';
+import { extractReleaseDetails, extractBuyerPostcode, isAwardRelease, isPlanningRelease } from './ocds.js';
+import { awardsFromRelease } from './awards.js';
+
+export const FIND_A_TENDER_API = 'https://www.find-tender.service.gov.uk/api/1.0/ocdsReleasePackages';
+const NOTICE_BASE = 'https://www.find-tender.service.gov.uk/Notice';
+
+// Flatten OCDS JSON to tender objects (for Find a Tender API response).
+// Find a Tender release ids are notice ids (e.g. 012345-2026), which is what notice URLs use.
+export function flattenOCDSRelease(ocid, release) {
+  const tenderData = release.tender || {};
+  const buyerData = release.buyer || {};
+  const description = tenderData.description || '';
+  const title = tenderData.title || '';
+  const organization = buyerData.name || 'Unknown';
+  const deadline = tenderData.tenderPeriod?.endDate || '';
+  const releaseOcid = release.ocid || ocid || '';
+  const noticeId = release.id || null;
+
+  return {
+    id: releaseOcid || fallbackTenderId('fts', [title, organization, deadline]),
+    ocid: releaseOcid || null,
+    releaseId: release.id || null,
+    releaseDate: release.date || '',
+    noticeId,
+    title: title,
+    organization: organization,
+    value: tenderData.value?.amount || 0,
+    deadline: deadline,
+    summary: description.substring(0, 200),
+    detailedDescription: description,
+    region: buyerData.address?.region || '',
+    postcode: extractBuyerPostcode(release),
+    url: noticeId ? `${NOTICE_BASE}/${noticeId}` : 'https://www.find-tender.service.gov.uk/Search',
+    ...extractReleaseDetails(release),
+    stage: isPlanningRelease(release) ? 'planning' : 'tender',
+    status: 'new',
+    categories: [],
+    sirona_fit: null,
+    source: 'Find a Tender'
+  };
+}
+
+// Release stages requested: pre-market notices, open opportunities and their awards
+export const FIND_A_TENDER_STAGES = 'planning,tender,award';
+
+// Extract usable tenders, and awards from award/contract releases, from one page
+// of the release package API, counting releases parsed versus rejected in `stats`
+// (see createParseStats)
+export function releasesFromPage(data, stats = createParseStats('page')) {
+  const tenders = [];
+  const awards = [];
+
+  for (const pkg of data.data) {
+    try {
+      if (pkg.releases && Array.isArray(pkg.releases)) {
+        for (const release of pkg.releases) {
+          stats.rows++;
+          const tender = flattenOCDSRelease(pkg.ocid, release);
+          if (isAwardRelease(release)) {
+            awards.push(...awardsFromRelease(release, tender));
+            stats.awards++;
+            continue;
+          }
+          const reason = tenderRejectionReason(tender);
+          if (reason) {
+            recordRejection(stats, reason);
+          } else {
+            tenders.push(tender);
+            stats.accepted++;
+          }
+        }
+      }
+    } catch (e) {
+      // Skip invalid records
+      recordRejection(stats, `mapping error: ${e.message}`);
+    }
+  }
+
+  return { tenders, awards };
+}
+
+// Read saved API pages (page-1.json, page-2.json, ...) from a fixture directory
+function readFixturePages(fixtureDir) {
+  return fs.readdirSync(fixtureDir)
+    .filter(f => f.endsWith('.json'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(f => fs.readFileSync(path.join(fixtureDir, f), 'utf8'));
+}
+
+// Build the first page URL for an updatedFrom/updatedTo window
+export function findATenderURL({ apiBase = FIND_A_TENDER_API, updatedFrom, updatedTo = null, stages = FIND_A_TENDER_STAGES, limit = 100 }) {
+  const url = new URL(apiBase);
+  url.searchParams.set('updatedFrom', updatedFrom);
+  if (updatedTo) url.searchParams.set('updatedTo', updatedTo);
+  url.searchParams.set('stages', stages);
+  url.searchParams.set('limit', String(limit));
+  return url.toString();
+}
+
+/**
+ * Fetch release packages updated within a window, following links.next.
+ * links.next is a complete URL (carrying the cursor), so it's requested as-is.
+ *
+ * @param {Object} options
+ * @param {string} options.updatedFrom - ISO start of the window
+ * @param {string} [options.updatedTo] - ISO end of the window (open-ended if omitted)
+ * @param {string} [options.stages] - OCDS stages to request (comma-separated)
+ * @param {string} [options.apiBase] - API endpoint (override to use the local fixture server)
+ * @param {string} [options.fixtureDir] - Read saved pages from disk instead of the API
+ * @param {number} [options.maxPages] - Safety limit on pages followed
+ * @returns {Promise<{ tenders: Array<Object>, awards: Array<Object>, pages: number, complete: boolean, failures: Array<Object>, pageStats: Array<Object> }>}
+ *   complete is false if any page failed (listed in failures), so the caller can keep its high-water mark;
+ *   pageStats has the releases parsed versus rejected on each page
+ */
+export async function fetchFindATender({
+  updatedFrom,
+  updatedTo = null,
+  stages = FIND_A_TENDER_STAGES,
+  apiBase = FIND_A_TENDER_API,
+  fixtureDir = null,
+  maxPages = 500
+} = {}) {
+  console.log(`Fetching data from Find a Tender API (updated ${updatedFrom} to ${updatedTo || 'now'})...`);
+  const tenders = [];
+  const awards = [];
+  const fixturePages = fixtureDir ? readFixturePages(fixtureDir) : null;
+  const visited = new Set();
+  let nextUrl = findATenderURL({ apiBase, updatedFrom, updatedTo, stages });
+  let pageCount = 0;
+  let complete = false;
+  const failures = [];
+  const pageStats = [];
+
+  // Pages after a failed one can't be reached (the cursor is in the failed page)
+  const fail = (error, attempts = 1) => {
+    console.error(`  Page ${pageCount} failed: ${error}`);
+    failures.push({ source: 'Find a Tender', page: pageCount, url: fixturePages ? null : nextUrl, error, attempts });
+  };
+
+  try {
+    while (pageCount < maxPages) {
+      pageCount++;
+      let response;
+
+      if (fixturePages) {
+        response = fixturePages[pageCount - 1] || null;
+      } else {
+        if (visited.has(nextUrl)) {
+          fail('pagination loop (links.next repeats an earlier page)');
+          break;
+        }
+        visited.add(nextUrl);
+
+        console.log(`  Fetching page ${pageCount}...`);
+        response = await fetchURL(nextUrl);
+      }
+
+      if (!response) {
+        fail('no data returned');
+        break;
+      }
+
+      const data = JSON.parse(response);
+
+      if (!data.data || !Array.isArray(data.data)) {
+        fail('unexpected response format');
+        break;
+      }
+
+      const stats = createParseStats(`page ${pageCount}`);
+      const releases = releasesFromPage(data, stats);
+      tenders.push(...releases.tenders);
+      awards.push(...releases.awards);
+      pageStats.push(stats);
+      console.log(`    Found ${data.data.length} release packages on this page (${formatParseStats(stats)})`);
+
+      const next = data.links?.next;
+      if (fixturePages ? pageCount >= fixturePages.length : !next) {
+        complete = true;
+        break;
+      }
+      if (!fixturePages) {
+        // Resolve against the current page in case the API ever returns a relative link
+        nextUrl = new URL(next, nextUrl).toString();
+
+        // Be respectful with API calls
+        await sleep(500);
+      }
+    }
+
+    if (pageCount >= maxPages && !complete && failures.length === 0) {
+      fail(`stopped after ${maxPages} pages`);
+    }
+  } catch (error) {
+    fail(error.message, error.attempts);
+  }
+
+  console.log(`  Total from Find a Tender: ${tenders.length} tenders, ${awards.length} awards (${pageCount} pages${complete ? '' : ', incomplete'})`);
+  return { tenders, awards, pages: pageCount, complete, failures, pageStats };
+}
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+
+/**
+ * Local HTTP server replaying saved payloads, so the real fetch code
+ * (URLs, pagination, streaming) can be exercised offline.
+ *
+ *   /api/1.0/ocdsReleasePackages?updatedFrom=&updatedTo=&stages=&limit=&cursor=
+ *     Release packages from the Find a Tender fixture pages, filtered by
+ *     release date and tag, paginated with an absolute links.next URL.
+ *   /Harvester-new/<YYYY-MM>/Contracts Finder OCDS <YYYY-MM-DD>.csv
+ *     Contracts Finder daily dumps from the fixture directory.
+ *
+ * Responses are gzipped when the client accepts it. `flaky` makes the first
+ * requests for each URL fail with a 503, to exercise the retry logic.
+ */
+
+// Every release package across the saved pages, oldest first
+function loadPackages(fatDir) {
+  if (!fatDir) return [];
+
+  return fs.readdirSync(fatDir)
+    .filter(f => f.endsWith('.json'))
+    .flatMap(f => JSON.parse(fs.readFileSync(path.join(fatDir, f), 'utf8')).data || [])
+    .sort((a, b) => packageDate(a).localeCompare(packageDate(b)));
+}
+
+function packageDate(pkg) {
+  return pkg.releases?.[0]?.date || pkg.publishedDate || '';
+}
+
+function inWindow(pkg, params) {
+  const date = new Date(packageDate(pkg)).getTime();
+  const from = params.get('updatedFrom');
+  const to = params.get('updatedTo');
+  if (from && date < new Date(from).getTime()) return false;
+  if (to && date > new Date(to).getTime()) return false;
+
+  const stages = params.get('stages');
+  if (!stages) return true;
+  const tags = pkg.releases?.[0]?.tag || [];
+  return stages.split(',').some(stage => tags.includes(stage));
+}
+
+// Path of a file named in a URL, or null if the name is malformed or leaves the directory
+// (%2F decodes to a separator, so the name is checked once decoded)
+function fixtureFile(dir, encodedName) {
+  let name;
+  try {
+    name = decodeURIComponent(encodedName);
+  } catch {
+    return null;
+  }
+
+  const root = path.resolve(dir);
+  const file = path.resolve(root, name);
+  if (name.split(/[\\/]/).includes('..') || !file.startsWith(root + path.sep)) return null;
+  return file;
+}
+
+// Send a body or file stream, gzipped if the client accepts it
+function send(req, res, contentType, body) {
+  const gzip = /\bgzip\b/.test(req.headers['accept-encoding'] || '');
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    ...(gzip ? { 'Content-Encoding': 'gzip' } : {})
+  });
+
+  const output = gzip ? zlib.createGzip() : res;
+  if (gzip) output.pipe(res);
+  if (typeof body === 'string') {
+    output.end(body);
+  } else {
+    body.pipe(output);
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.cfDir] - Directory of Contracts Finder CSV dumps
+ * @param {string} [options.fatDir] - Directory of Find a Tender API pages
+ * @param {number} [options.pageSize] - Packages per page (small, to force pagination)
+ * @param {number} [options.flaky] - Respond 503 to this many requests for each URL before serving it
+ * @returns {http.Server} Not yet listening
+ */
+export function createFixtureServer({ cfDir = null, fatDir = null, pageSize = 2, flaky = 0 } = {}) {
+  const packages = loadPackages(fatDir);
+  const failuresByUrl = new Map();
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    const failed = failuresByUrl.get(req.url) || 0;
+    if (failed < flaky) {
+      failuresByUrl.set(req.url, failed + 1);
+      console.log(`  ${req.method} ${url.pathname}${url.search} -> 503 (flaky ${failed + 1}/${flaky})`);
+      res.writeHead(503, { 'Content-Type': 'text/plain', 'Retry-After': '1' });
+      res.end('Service unavailable');
+      return;
+    }
+    console.log(`  ${req.method} ${url.pathname}${url.search}`);
+
+    if (url.pathname === '/api/1.0/ocdsReleasePackages') {
+      const matching = packages.filter(pkg => inWindow(pkg, url.searchParams));
+      const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || pageSize, pageSize);
+      const offset = parseInt(url.searchParams.get('cursor'), 10) || 0;
+      const links = {};
+
+      if (offset + limit < matching.length) {
+        const next = new URL(url);
+        next.searchParams.set('cursor', String(offset + limit));
+        links.next = next.toString();
+      }
+
+      send(req, res, 'application/json', JSON.stringify({ data: matching.slice(offset, offset + limit), links }, null, 2));
+      return;
+    }
+
+    const csv = url.pathname.match(/^\/Harvester-new\/\d{4}-\d{2}\/([^/]+\.csv)$/);
+    if (csv && cfDir) {
+      const file = fixtureFile(cfDir, csv[1]);
+      if (file && fs.existsSync(file)) {
+        send(req, res, 'text/csv', fs.createReadStream(file));
+        return;
+      }
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  });
+}
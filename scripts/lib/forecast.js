@@ -0,0 +1,90 @@
+import fs from 'fs';
+
+/**
+ * Re-procurement pipeline forecast (public/data/pipeline-forecast.json)
+ *
+ * Community health contracts are re-tendered on predictable cycles, so
+ * awarded contracts in our categories and geography that end within the
+ * forecast horizon are listed with their incumbent, original value and the
+ * window in which the buyer is expected to go back to market. Categories are
+ * already applied by the CPV profile when awards are stored and geography by
+ * the buyer's proximity tier (see geography.js); the horizon, lead times and
+ * tiers come from config/pipeline-forecast.json.
+ */
+
+export function loadForecastConfig(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const MONTH_MS = 365.25 / 12 * 24 * 60 * 60 * 1000;
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+/**
+ * Contracts expiring within the horizon, soonest re-procurement first.
+ * @param {Array<Object>} awards - Published awards (see awards.js)
+ * @param {Object} config - Parsed forecast config
+ * @param {Date} now - Run date the horizon is measured from
+ * @returns {Object} Forecast in the pipeline-forecast.json format
+ */
+export function buildPipelineForecast(awards, config, now) {
+  const earliestEnd = addMonths(now, config.horizon.minMonths);
+  const latestEnd = addMonths(now, config.horizon.maxMonths);
+  const excluded = new Set((config.excludeStatuses || []).map(s => s.toLowerCase()));
+
+  const contracts = awards
+    .filter(award => {
+      const end = new Date(award.contractPeriod?.endDate);
+      return !isNaN(end.getTime()) &&
+        end >= earliestEnd && end <= latestEnd &&
+        !excluded.has(String(award.status || '').toLowerCase()) &&
+        config.tiers.includes(award.geography?.tier);
+    })
+    .map(award => {
+      const end = new Date(award.contractPeriod.endDate);
+      const windowFrom = addMonths(end, -config.leadMonths.earliest);
+      const windowTo = addMonths(end, -config.leadMonths.latest);
+
+      return {
+        id: award.id,
+        ocid: award.ocid,
+        tenderId: award.tenderId || null,
+        title: award.title,
+        organization: award.organization,
+        region: award.region,
+        geography: award.geography || null,
+        incumbents: award.suppliers.map(s => s.name),
+        value: award.value,
+        awardDate: award.date,
+        contractPeriod: award.contractPeriod,
+        monthsToExpiry: Math.round((end - now) / MONTH_MS),
+        reprocurementWindow: {
+          from: windowFrom.toISOString(),
+          to: windowTo.toISOString(),
+          // The buyer may already be preparing to go back to market
+          open: now >= windowFrom
+        },
+        cpvCodes: award.cpvCodes,
+        url: award.url,
+        source: award.source
+      };
+    })
+    .sort((a, b) => a.reprocurementWindow.from.localeCompare(b.reprocurementWindow.from));
+
+  return {
+    generated: now.toISOString(),
+    config: {
+      name: config.name,
+      version: config.version,
+      horizon: config.horizon,
+      leadMonths: config.leadMonths,
+      tiers: config.tiers
+    },
+    count: contracts.length,
+    contracts
+  };
+}
@@ -0,0 +1,137 @@
+import fs from 'fs';
+
+/**
+ * Buyer geography
+ *
+ * Places each tender's and award's buyer in a local authority or ICB area
+ * from the lookup table in config/geography.json, and gives it the area's
+ * proximity tier relative to BNSSG (core, adjacent, regional or national).
+ * Most live records have no region, so the buyer is located by, in order:
+ *
+ *   postcode   Buyer postcode district (BS16), or its whole postcode area (TA)
+ *   buyer      Area name or alias in the buyer name ("North Somerset Council")
+ *   nuts       NUTS code in the region field (UKK11)
+ *   region     Region name in the region field ("South West"), tier only
+ *
+ * A buyer none of these place is tier "unknown". The result is deterministic
+ * for a given table, so the dashboard's location filter and the re-procurement
+ * forecast both work from the same tier.
+ */
+
+export const UNKNOWN_TIER = 'unknown';
+
+export function loadGeography(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Lower-case words only: "B&NES Council" -> "b and nes council"
+function normaliseName(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Outward code of a full or partial postcode: "bs16 1qy" -> "BS16"
+export function postcodeDistrict(postcode) {
+  const compacted = String(postcode || '').toUpperCase().replace(/\s+/g, '');
+  if (!/^[A-Z]{1,2}\d[A-Z\d]?(\d[A-Z]{2})?$/.test(compacted)) return null;
+  return compacted.length > 4 ? compacted.slice(0, -3) : compacted;
+}
+
+// Lookup indexes, built once per table
+const indexes = new WeakMap();
+
+function indexGeography(geography) {
+  if (indexes.has(geography)) return indexes.get(geography);
+
+  const postcodes = new Map();
+  const nuts = [];
+  const aliases = [];
+
+  for (const area of geography.areas) {
+    for (const code of area.postcodes || []) postcodes.set(code.toUpperCase(), area);
+    for (const code of area.nuts || []) nuts.push({ code: code.toUpperCase(), area });
+    for (const alias of [area.name, ...(area.aliases || [])]) aliases.push({ alias: normaliseName(alias), area });
+  }
+
+  // Longest match wins: "north somerset" before "somerset", UKK11 before UKK1
+  nuts.sort((a, b) => b.code.length - a.code.length);
+  aliases.sort((a, b) => b.alias.length - a.alias.length);
+
+  const nutsTiers = Object.entries(geography.nuts || {})
+    .map(([code, tier]) => ({ code: code.toUpperCase(), tier }))
+    .sort((a, b) => b.code.length - a.code.length);
+  const regionTiers = new Map(Object.entries(geography.regions || {})
+    .map(([name, tier]) => [normaliseName(name), tier]));
+
+  const index = { postcodes, nuts, aliases, nutsTiers, regionTiers };
+  indexes.set(geography, index);
+  return index;
+}
+
+function areaResult(area, basis) {
+  return { areaId: area.id, area: area.name, icb: area.icb || null, tier: area.tier, basis };
+}
+
+/**
+ * Locate a tender's (or award's) buyer.
+ * @param {Object} record - Tender or award with organization, region and postcode
+ * @param {Object} geography - Parsed geography table
+ * @returns {{ areaId: string|null, area: string|null, icb: string|null, tier: string, basis: string|null }}
+ */
+export function locateBuyer(record, geography) {
+  const { postcodes, nuts, aliases, nutsTiers, regionTiers } = indexGeography(geography);
+
+  const district = postcodeDistrict(record.postcode);
+  if (district) {
+    const area = postcodes.get(district) || postcodes.get(district.match(/^[A-Z]+/)[0]);
+    if (area) return areaResult(area, 'postcode');
+  }
+
+  const buyer = ` ${normaliseName(record.organization)} `;
+  const byName = aliases.find(({ alias }) => alias && buyer.includes(` ${alias} `));
+  if (byName) return areaResult(byName.area, 'buyer');
+
+  const region = String(record.region || '').trim().toUpperCase();
+  if (/^UK[A-Z0-9]*$/.test(region)) {
+    const byCode = nuts.find(({ code }) => region.startsWith(code));
+    if (byCode) return areaResult(byCode.area, 'nuts');
+    const tier = nutsTiers.find(({ code }) => region.startsWith(code));
+    if (tier) return { areaId: null, area: null, icb: null, tier: tier.tier, basis: 'nuts' };
+  }
+
+  const regionTier = regionTiers.get(normaliseName(record.region));
+  if (regionTier) return { areaId: null, area: null, icb: null, tier: regionTier, basis: 'region' };
+
+  return { areaId: null, area: null, icb: null, tier: UNKNOWN_TIER, basis: null };
+}
+
+/**
+ * Copies of tenders or awards with `geography` set, and `region` filled in
+ * from the buyer's area where the notice gave none.
+ * @param {Array<Object>} records
+ * @param {Object} geography - Parsed geography table
+ * @returns {Array<Object>}
+ */
+export function applyGeography(records, geography) {
+  return records.map(record => {
+    const location = locateBuyer(record, geography);
+    return {
+      ...record,
+      region: record.region || location.area || '',
+      geography: location
+    };
+  });
+}
+
+// Tender counts per tier, for the run log
+export function countByTier(records) {
+  const counts = {};
+  for (const record of records) {
+    const tier = record.geography?.tier || UNKNOWN_TIER;
+    counts[tier] = (counts[tier] || 0) + 1;
+  }
+  return counts;
+}
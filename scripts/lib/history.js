@@ -0,0 +1,257 @@
+import fs from 'fs';
+import { isAwardRelease } from './ocds.js';
+import { earlySignalOf, tenderContentHash } from './tenders.js';
+import { createStoredMatcher, mergeWithStored } from './dedupe.js';
+
+/**
+ * Persistent tender history
+ *
+ * Each run merges the freshly fetched tenders into a store keyed by tender id
+ * (the OCDS ocid), so tenders don't vanish when they drop out of the fetch
+ * windows and we know when each one first appeared or last changed.
+ *
+ * Store format:
+ *   {
+ *     updated: ISO date of the last merge,
+ *     tenders: {
+ *       [id]: { tender, first_seen, last_seen, last_changed, changes: [{ at, field, change, from?, to? }], analysis?, analysisDeferred?, analysisFailure? }
+ *     }
+ *   }
+ *
+ * analysis is the Claude analysis made after ingestion (see analysis.js),
+ * { contentHash, sirona_fit, analyzed_at }, kept apart from the tender so a
+ * merge doesn't replace it. analysisDeferred (when the budget ran out first)
+ * and analysisFailure ({ at, error, attempts, retryAfter }) say when the
+ * tender is due to be sent again.
+ *
+ * A tender may reach the history from one source in one run and from the
+ * other in a later run (see dedupe.js). A record that isn't stored under its
+ * own id is looked up among the stored tenders' sources, then fuzzy-matched
+ * against stored tenders from the other source; a match is folded into that
+ * entry, which lists both notices in its sources.
+ *
+ * A pre-market (planning) notice is stored under its ocid like a tender. When
+ * the tender notice appears under the same ocid it replaces the planning
+ * notice, which it keeps as its earlySignal, and counts as new from then.
+ */
+
+// Fields whose changes are recorded, with the label shown in the change log.
+// Long text fields only record that they changed, not the before/after text.
+export const TRACKED_FIELDS = {
+  title: { label: 'title changed' },
+  organization: { label: 'buyer changed' },
+  deadline: { label: 'deadline moved' },
+  value: { label: 'value changed' },
+  detailedDescription: { label: 'description amended', textOnly: true }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pre-market notices can precede the tender by many months, so they're kept (and published) this long
+const PLANNING_RETENTION_DAYS = 365;
+
+export function loadHistory(file) {
+  if (!file || !fs.existsSync(file)) {
+    return { updated: null, tenders: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Field-level differences between the stored and freshly fetched tender
+export function diffTender(previous, current, at) {
+  const changes = [];
+
+  for (const [field, { label, textOnly }] of Object.entries(TRACKED_FIELDS)) {
+    const before = previous[field] ?? '';
+    const after = current[field] ?? '';
+    if (before === after) continue;
+
+    changes.push(textOnly
+      ? { at, field, change: label }
+      : { at, field, change: label, from: before, to: after });
+  }
+
+  return changes;
+}
+
+/**
+ * Merge a run's tenders into the history store (mutates and returns stats).
+ * @param {Object} history - Store loaded with loadHistory()
+ * @param {Array<Object>} tenders - Deduplicated tenders from this run
+ * @param {string} runAt - ISO timestamp of this run
+ * @returns {{ added: number, changed: number, unchanged: number, merged: number, decisions: Array<Object> }}
+ *   Counts, including records folded into a tender stored from another source,
+ *   and the match decisions against stored tenders (as in the dedupe report)
+ */
+export function mergeIntoHistory(history, tenders, runAt) {
+  const stats = { added: 0, changed: 0, unchanged: 0, merged: 0 };
+  const storedIds = storedIdsBySource(history);
+  const matcher = createStoredMatcher(Object.values(history.tenders).map(entry => entry.tender));
+
+  for (const incoming of tenders) {
+    foldMergedEntries(history, incoming);
+    const id = storedIdOf(history, incoming, storedIds, matcher, stats);
+    const entry = history.tenders[id];
+    // A planning notice and a tender never share fields, only the earlySignal link
+    const tender = !entry ? incoming
+      : (entry.tender.stage === 'planning') === (incoming.stage === 'planning') ? mergeWithStored(entry.tender, incoming)
+      : { ...incoming, id };
+
+    if (!entry) {
+      if (tender.earlySignal && !tender.earlySignal.first_seen) {
+        tender.earlySignal.first_seen = runAt;
+      }
+      history.tenders[tender.id] = {
+        tender,
+        first_seen: runAt,
+        last_seen: runAt,
+        last_changed: null,
+        changes: []
+      };
+      stats.added++;
+      continue;
+    }
+
+    if (entry.tender.stage === 'planning' && tender.stage !== 'planning') {
+      entry.tender = { ...tender, earlySignal: earlySignalOf(entry.tender, entry.first_seen) };
+      entry.first_seen = runAt;
+      entry.last_seen = runAt;
+      entry.last_changed = runAt;
+      entry.changes.push({ at: runAt, field: 'stage', change: 'tender notice published' });
+      stats.added++;
+      continue;
+    }
+
+    // A planning notice for a procurement already at tender doesn't replace the tender
+    if (tender.stage === 'planning' && entry.tender.stage !== 'planning') {
+      entry.tender.earlySignal = entry.tender.earlySignal || earlySignalOf(tender, runAt);
+      stats.unchanged++;
+      continue;
+    }
+
+    const changes = diffTender(entry.tender, tender, runAt);
+    entry.tender = entry.tender.earlySignal && !tender.earlySignal
+      ? { ...tender, earlySignal: entry.tender.earlySignal }
+      : tender;
+    entry.last_seen = runAt;
+
+    if (changes.length > 0) {
+      entry.changes.push(...changes);
+      entry.last_changed = runAt;
+      stats.changed++;
+    } else {
+      stats.unchanged++;
+    }
+  }
+
+  history.updated = runAt;
+  return { ...stats, decisions: matcher.decisions };
+}
+
+// History ids keyed by the ids of the notices each stored tender was merged from
+function storedIdsBySource(history) {
+  const ids = new Map();
+  for (const [id, entry] of Object.entries(history.tenders)) {
+    for (const source of entry.tender.sources || []) {
+      if (source.id !== id) ids.set(source.id, id);
+    }
+  }
+  return ids;
+}
+
+// The history id a record is stored under: its own, the tender it was folded
+// into by an earlier run, or a tender stored from another source that it matches
+function storedIdOf(history, tender, storedIds, matcher, stats) {
+  if (history.tenders[tender.id]) return tender.id;
+
+  for (const { id } of tender.sources || [tender]) {
+    const storedId = storedIds.get(id);
+    if (storedId && history.tenders[storedId]) return storedId;
+  }
+
+  const match = matcher.match(tender);
+  if (match && history.tenders[match.tender.id]) {
+    stats.merged++;
+    return match.tender.id;
+  }
+  return tender.id;
+}
+
+// A tender merged across sources may already be stored under another source's id
+// (e.g. seen on Find a Tender before Contracts Finder published it): fold those
+// entries into the tender's own so it keeps its earliest first_seen and change log
+function foldMergedEntries(history, tender) {
+  for (const { id } of tender.sources || []) {
+    const alias = history.tenders[id];
+    if (id === tender.id || !alias) continue;
+
+    const entry = history.tenders[tender.id];
+    if (!entry) {
+      history.tenders[tender.id] = alias;
+    } else {
+      entry.first_seen = alias.first_seen < entry.first_seen ? alias.first_seen : entry.first_seen;
+      entry.changes = [...alias.changes, ...entry.changes].sort((a, b) => a.at.localeCompare(b.at));
+    }
+    delete history.tenders[id];
+  }
+}
+
+// Drop entries whose deadline and last sighting are both older than the retention window
+// (PLANNING_RETENTION_DAYS for pre-market notices), and award notices stored before they
+// were split out into the award store
+export function pruneHistory(history, now, retentionDays) {
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+  const planningCutoff = now.getTime() - Math.max(retentionDays, PLANNING_RETENTION_DAYS) * DAY_MS;
+  let removed = 0;
+
+  for (const [id, entry] of Object.entries(history.tenders)) {
+    const deadline = entry.tender.deadline ? new Date(entry.tender.deadline).getTime() : 0;
+    const lastSeen = new Date(entry.last_seen).getTime();
+    const entryCutoff = entry.tender.stage === 'planning' ? planningCutoff : cutoff;
+
+    if ((deadline < entryCutoff && lastSeen < entryCutoff) || isAwardRelease({ tender: entry.tender })) {
+      delete history.tenders[id];
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * The entry's tender with its contentHash, plus its stored analysis
+ * (sirona_fit, ai_analyzed, analyzed_at) while that was made from the same content
+ */
+export function analysedTender(entry) {
+  const contentHash = tenderContentHash(entry.tender);
+  const analysis = entry.analysis?.contentHash === contentHash
+    ? { sirona_fit: entry.analysis.sirona_fit, ai_analyzed: true, analyzed_at: entry.analysis.analyzed_at }
+    : {};
+
+  return { ...entry.tender, ...analysis, contentHash };
+}
+
+/**
+ * Tenders to publish: everything still open, closed within the publish
+ * window, or (for tenders without a deadline) seen within the window,
+ * plus every pre-market notice still in the history.
+ * Each carries its first_seen/last_seen/last_changed, change log and
+ * contentHash, and its analysis if it has a current one (see analysedTender).
+ */
+export function publishableTenders(history, now, windowDays) {
+  const cutoff = now.getTime() - windowDays * DAY_MS;
+
+  return Object.values(history.tenders)
+    .filter(entry => {
+      if (entry.tender.stage === 'planning') return true;
+      const reference = entry.tender.deadline || entry.last_seen;
+      return new Date(reference).getTime() >= cutoff;
+    })
+    .map(entry => ({
+      ...analysedTender(entry),
+      first_seen: entry.first_seen,
+      last_seen: entry.last_seen,
+      last_changed: entry.last_changed,
+      changes: entry.changes
+    }));
+}
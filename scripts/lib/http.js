@@ -0,0 +1,205 @@
+import http from 'http';
+import https from 'https';
+import { pipeline } from 'stream';
+import zlib from 'zlib';
+
+/**
+ * HTTP client for ingestion
+ *
+ * Every request has a timeout, follows redirects, accepts gzip/deflate and
+ * retries network errors, timeouts, 429 and 5xx responses with exponential
+ * backoff and jitter (honouring Retry-After). 404/410 mean "nothing published"
+ * and resolve null; any other failure throws an HTTPError once retries run out,
+ * so callers can record exactly what was lost.
+ */
+
+export const HTTP_DEFAULTS = {
+  timeout: 30000,
+  retries: 4,
+  retryDelay: 1000,
+  maxRetryDelay: 30000,
+  maxRedirects: 5
+};
+
+const NOT_FOUND_STATUSES = [404, 410];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+export class HTTPError extends Error {
+  constructor(message, { url, status = null, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'HTTPError';
+    this.url = url;
+    this.status = status;
+    this.attempts = attempts;
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Exponential backoff with full jitter, or the server's Retry-After if it asked for longer
+export function retryDelay(attempt, options = {}, retryAfter = null) {
+  const { retryDelay: base, maxRetryDelay } = { ...HTTP_DEFAULTS, ...options };
+  const backoff = Math.min(maxRetryDelay, base * 2 ** attempt);
+  const jittered = backoff / 2 + Math.random() * backoff / 2;
+
+  const requested = parseRetryAfter(retryAfter);
+  return requested !== null ? Math.min(maxRetryDelay, Math.max(requested, jittered)) : jittered;
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// pipeline() passes a dropped connection on to the decompressed stream's reader
+function decompress(res) {
+  const encoding = (res.headers['content-encoding'] || '').toLowerCase();
+  const decoders = {
+    gzip: zlib.createGunzip,
+    'x-gzip': zlib.createGunzip,
+    deflate: zlib.createInflate,
+    br: zlib.createBrotliDecompress
+  };
+  if (!decoders[encoding]) return res;
+  return pipeline(res, decoders[encoding](), () => {});
+}
+
+// One request, without retries or redirects: resolves the raw response
+function request(url, options) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+
+    // Plain http is only expected from the local fixture server
+    const protocol = urlObj.protocol === 'http:' ? http : https;
+
+    const fetchOptions = {
+      hostname: urlObj.hostname,
+      port: urlObj.port || undefined,
+      path: urlObj.pathname + urlObj.search,
+      method: 'GET',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (GitHub Actions)',
+        'Accept-Encoding': 'gzip, deflate',
+        ...options.headers
+      }
+    };
+
+    let response = null;
+    const req = protocol.request(fetchOptions, res => {
+      response = res;
+      resolve(res);
+    });
+
+    // Covers connecting and every idle gap while the body streams; once the
+    // body has started the response carries the error to its reader
+    req.setTimeout(options.timeout, () => {
+      const error = new HTTPError(`Timed out after ${options.timeout}ms`, { url });
+      if (response) response.destroy(error);
+      req.destroy(error);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Open a URL as a readable (decompressed) stream.
+ * @param {string} url
+ * @param {Object} [options] - headers, plus overrides for HTTP_DEFAULTS
+ * @returns {Promise<stream.Readable|null>} null if the URL doesn't exist (404/410)
+ * @throws {HTTPError} When the request still fails after all retries
+ */
+export async function openURLStream(url, options = {}) {
+  const settings = { ...HTTP_DEFAULTS, ...options };
+  let currentUrl = url;
+  let redirects = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    let retryAfter = null;
+    let failure;
+
+    try {
+      res = await request(currentUrl, settings);
+    } catch (error) {
+      failure = error instanceof HTTPError
+        ? error
+        : new HTTPError(error.message, { url: currentUrl });
+    }
+
+    if (res) {
+      const { statusCode: status, headers } = res;
+
+      if (status === 200) {
+        return decompress(res);
+      }
+
+      res.resume();
+
+      if (REDIRECT_STATUSES.includes(status) && headers.location) {
+        if (++redirects > settings.maxRedirects) {
+          throw new HTTPError(`Too many redirects (${settings.maxRedirects})`, { url, status, attempts: attempt + 1 });
+        }
+        currentUrl = new URL(headers.location, currentUrl).toString();
+        attempt--;
+        continue;
+      }
+
+      if (NOT_FOUND_STATUSES.includes(status)) {
+        return null;
+      }
+
+      failure = new HTTPError(`HTTP ${status}`, { url: currentUrl, status });
+      if (!isRetryableStatus(status)) {
+        failure.attempts = attempt + 1;
+        throw failure;
+      }
+      retryAfter = headers['retry-after'];
+    }
+
+    failure.attempts = attempt + 1;
+    if (attempt >= settings.retries) {
+      throw failure;
+    }
+
+    const delay = retryDelay(attempt, settings, retryAfter);
+    console.log(`    ${failure.message} from ${currentUrl}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${settings.retries})`);
+    await sleep(delay);
+  }
+}
+
+// Fetch a URL and return text content (null if it doesn't exist).
+// A connection dropped mid-body is retried like any other failed request.
+export async function fetchURL(url, options = {}) {
+  const settings = { ...HTTP_DEFAULTS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await openURLStream(url, options);
+    if (!res) return null;
+
+    try {
+      res.setEncoding('utf8');
+      let data = '';
+      for await (const chunk of res) {
+        data += chunk;
+      }
+      return data;
+    } catch (error) {
+      if (attempt >= settings.retries) {
+        throw new HTTPError(`Response interrupted: ${error.message}`, { url, attempts: attempt + 1 });
+      }
+      await sleep(retryDelay(attempt, settings));
+    }
+  }
+}
+
+// Pause between requests to be respectful to upstream servers
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
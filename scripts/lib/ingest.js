@@ -0,0 +1,396 @@
+import fs from 'fs';
+import path from 'path';
+import { fetchContractsFinder } from './contractsFinder.js';
+import { fetchFindATender } from './findATender.js';
+import { deduplicateTenders } from './dedupe.js';
+import { mergeIntoHistory, pruneHistory, publishableTenders, analysedTender } from './history.js';
+import { applyCPVProfile } from './relevance.js';
+import { mergeAwards, pruneAwards, publishableAwards, linkAwardsToTenders, awardSummary } from './awards.js';
+import { buildQualityReport } from './qualityReport.js';
+import { applyGeography, countByTier } from './geography.js';
+import { applyBuyerConfig, registerBuyers, buildBuyerDirectory } from './buyers.js';
+import { applyCompetitorConfig, registerCompetitors, buildCompetitorDirectory } from './competitors.js';
+import { analyseTenders } from './analysis.js';
+
+/**
+ * Run one ingestion pass: fetch (or read fixtures), parse, dedupe.
+ *
+ * @param {Object} options
+ * @param {Date} [options.today] - Reference date for the run (history timestamps, publish window)
+ * @param {Date} [options.cfEnd] - Last Contracts Finder day to read (default: today)
+ * @param {number} [options.days] - Days of Contracts Finder dumps to read, ending at cfEnd
+ * @param {string} [options.cfDir] - Read Contracts Finder CSVs from this directory instead of S3
+ * @param {string} [options.cfBase] - Base URL for Contracts Finder dumps (e.g. the local fixture server)
+ * @param {string} [options.fatDir] - Read Find a Tender API pages from this directory instead of the API
+ * @param {string} [options.fatApi] - Find a Tender release package endpoint (e.g. the local fixture server)
+ * @param {string} [options.fatUpdatedFrom] - Start of the Find a Tender window (default: 24 hours before today)
+ * @param {string} [options.fatUpdatedTo] - End of the Find a Tender window (default: open-ended)
+ * @param {boolean} [options.skipFindATender] - Don't query Find a Tender at all
+ * @param {Object} [options.cpvProfile] - CPV relevance profile (see relevance.js); no filtering if omitted
+ * @param {Object} [options.geography] - Buyer geography table (see geography.js); buyers aren't located if omitted
+ * @param {Object} [options.history] - History store to merge into (see history.js); mutated in place
+ * @param {Object} [options.awardStore] - Award store to merge into (see awards.js); mutated in place
+ * @param {Object} [options.buyerRegistry] - Buyer registry to resolve buyers against (see buyers.js); mutated in place
+ * @param {Object} [options.buyerConfig] - Canonical buyer names and aliases (config/buyers.json)
+ * @param {Object} [options.competitorRegistry] - Competitor registry to resolve suppliers against (see competitors.js); mutated in place
+ * @param {Object} [options.competitorConfig] - Canonical competitor names, aliases and names to ignore (config/competitors.json)
+ * @param {Object} [options.analysis] - Analyse new and changed tenders with Claude: { profile, threshold, budget } (see analysis.js); skipped if omitted
+ * @param {number} [options.publishDays] - Publish tenders whose deadline (or last sighting) is within this many days
+ * @param {number} [options.retentionDays] - Drop history entries older than this
+ * @param {Object} [options.previousReport] - Last run's quality report, for day-over-day deltas
+ * @returns {Promise<{ dataset: Object, report: Object, awards: Object, buyers: Object, competitors: Object }>}
+ *   Dataset in the live-tenders.json format, the quality report in the ingest-report.json format, the awards
+ *   in the awards.json format and the buyer and competitor directories (buyers.json, competitors.json)
+ */
+export async function runIngestion(options = {}) {
+  const today = options.today || new Date();
+  const runAt = today.toISOString();
+  const history = options.history || { updated: null, tenders: {} };
+  const awardStore = options.awardStore || { updated: null, awards: {} };
+  const buyerRegistry = options.buyerRegistry || { updated: null, buyers: {} };
+  const competitorRegistry = options.competitorRegistry || { updated: null, competitors: {} };
+
+  console.log('=== Tender Data Fetch Started ===\n');
+
+  // 1. Fetch Contracts Finder data (last 30 days)
+  console.log('1. Fetching Contracts Finder data...');
+  const contractsFinder = await fetchContractsFinder({
+    days: options.days || 30,
+    today: options.cfEnd || today,
+    fixtureDir: options.cfDir,
+    baseUrl: options.cfBase
+  });
+  const allTenders = [...contractsFinder.tenders];
+  const rejectedRows = contractsFinder.files.reduce((sum, f) => sum + f.rejected, 0);
+  console.log(`\n  Contracts Finder total: ${allTenders.length} tenders, ${contractsFinder.awards.length} awards (${rejectedRows} rows rejected)\n`);
+
+  // 2. Fetch Find a Tender data (tender and award releases updated within the window)
+  console.log('2. Fetching Find a Tender data...');
+  const fatWindow = {
+    updatedFrom: options.fatUpdatedFrom || new Date(today.getTime() - 24 * 60 * 60 * 1000).toISOString(),
+    updatedTo: options.fatUpdatedTo || null
+  };
+  const findATender = options.skipFindATender
+    ? { tenders: [], awards: [], pages: 0, complete: false, failures: [], pageStats: [] }
+    : await fetchFindATender({ ...fatWindow, apiBase: options.fatApi, fixtureDir: options.fatDir });
+  const findATenderTenders = findATender.tenders;
+  console.log(`\n  Find a Tender total: ${findATenderTenders.length} tenders, ${findATender.awards.length} awards\n`);
+
+  // 3. Combine datasets
+  console.log('3. Combining and deduplicating...');
+  allTenders.push(...findATenderTenders);
+  const { tenders: deduplicated, report: dedupeReport } = deduplicateTenders(allTenders);
+
+  console.log(`  Total before deduplication: ${allTenders.length}`);
+  console.log(`  Total after deduplication: ${deduplicated.length}`);
+  console.log(`  Duplicates removed: ${dedupeReport.exactDuplicates} by id, ${dedupeReport.merged} merged across sources`);
+  for (const { decision, score, records } of dedupeReport.decisions) {
+    console.log(`    - ${decision} (${score}): ${records.map(r => `${r.source} "${r.title}"`).join(' / ')}`);
+  }
+  console.log('');
+
+  // 4. CPV relevance pre-filter (awards too, so competitor data stays in our market)
+  const fetchedAwards = [...contractsFinder.awards, ...findATender.awards];
+  let relevant = deduplicated;
+  let relevantAwards = fetchedAwards;
+  let relevanceReport = null;
+  if (options.cpvProfile) {
+    console.log(`4. Applying CPV profile ${options.cpvProfile.name} v${options.cpvProfile.version}...`);
+    const result = applyCPVProfile(deduplicated, options.cpvProfile);
+    relevant = result.kept;
+    relevanceReport = result.report;
+    relevantAwards = applyCPVProfile(fetchedAwards, options.cpvProfile).kept;
+
+    console.log(`  Kept: ${relevanceReport.kept}, excluded: ${relevanceReport.excluded}`);
+    for (const [rule, count] of Object.entries(relevanceReport.excludedByRule)) {
+      console.log(`    - ${rule}: ${count}`);
+    }
+    console.log(`  Awards kept: ${relevantAwards.length} of ${fetchedAwards.length}`);
+    console.log('');
+  }
+
+  // 5. Merge into the persistent history
+  console.log('5. Merging into tender history...');
+  const changes = mergeIntoHistory(history, relevant, runAt);
+  // Matches against tenders stored by earlier runs belong with this run's merge decisions
+  dedupeReport.mergedWithHistory = changes.merged;
+  dedupeReport.decisions.push(...changes.decisions.map(d => ({ ...d, against: 'history' })));
+  const pruned = pruneHistory(history, today, options.retentionDays || 90);
+  const publishable = publishableTenders(history, today, options.publishDays || 30);
+  const published = locateBuyers(publishable, options.geography);
+
+  console.log(`  New: ${changes.added}, amended: ${changes.changed}, unchanged: ${changes.unchanged}`);
+  console.log(`  Merged into a tender stored from the other source: ${changes.merged}`);
+  for (const { decision, score, records } of changes.decisions) {
+    console.log(`    - ${decision} (${score}): ${records.map(r => `${r.source} "${r.title}"`).join(' / ')}`);
+  }
+  console.log(`  Pruned from history: ${pruned}`);
+  console.log(`  Tenders in history: ${Object.keys(history.tenders).length}`);
+  if (options.geography) {
+    const tiers = Object.entries(countByTier(published)).map(([tier, count]) => `${tier} ${count}`);
+    console.log(`  Published by proximity: ${tiers.join(', ')}`);
+  }
+  console.log('');
+
+  // 5b. Merge awards and link them to their tenders by ocid
+  console.log('5b. Merging awards...');
+  const { dataset: awardsDataset, byTender: awardsByTender } = mergeAndPublishAwards(awardStore, relevantAwards, history, today, options.geography);
+  for (const tender of published) {
+    const linked = awardsByTender.get(tender.id);
+    if (linked) tender.awards = linked.map(awardSummary);
+  }
+
+  // 5c. Resolve buyers to the registry (published tenders and awards get buyerId and buyerType)
+  console.log('5c. Resolving buyers...');
+  const buyersDataset = registerAndPublishBuyers(buyerRegistry, options.buyerConfig, history, published, awardsDataset.awards, runAt);
+
+  // 5d. Analyse new and changed tenders (after 5c: the pre-score counts the buyer type)
+  console.log('5d. Analysing new and changed tenders...');
+  const analysisReport = options.analysis
+    ? await analyseTenders(history, published, { ...options.analysis, today, runAt })
+    : null;
+  if (analysisReport) {
+    const { analysed, candidates, failed, deferred, spentGBP, budgetGBP, stoppedAfterFailures } = analysisReport;
+    console.log(`  Analysed ${analysed} of ${candidates} (failed: ${failed.length}, deferred: ${deferred}), £${spentGBP.toFixed(4)} of £${budgetGBP.toFixed(2)}` +
+      `${stoppedAfterFailures ? ', stopped after repeated failures' : ''}\n`);
+  } else {
+    console.log('  Skipped\n');
+  }
+
+  // 5e. Resolve award suppliers and AI-predicted competitors to the competitor registry
+  console.log('5e. Resolving competitors...');
+  const competitorsDataset = registerAndPublishCompetitors(competitorRegistry, options.competitorConfig, history, awardsDataset, buyerRegistry, runAt);
+
+  // 6. Log statistics
+  const contractsFinderCount = published.filter(t => t.source === 'Contracts Finder').length;
+  const findATenderCount = published.filter(t => t.source === 'Find a Tender').length;
+  const earlySignalCount = published.filter(t => t.stage === 'planning').length;
+
+  console.log('=== Dataset Summary ===');
+  console.log(`Total tenders: ${published.length}`);
+  console.log(`  - Contracts Finder: ${contractsFinderCount}`);
+  console.log(`  - Find a Tender: ${findATenderCount}`);
+  console.log(`  - Of which pre-market notices (early signals): ${earlySignalCount}`);
+
+  const withDeadlines = published.filter(t => t.deadline).length;
+  const withoutDeadlines = published.filter(t => !t.deadline).length;
+  console.log(`\nTenders with deadlines: ${withDeadlines}`);
+  console.log(`Tenders without deadlines: ${withoutDeadlines}`);
+
+  // Every day/page that still failed after retries
+  const failures = [...contractsFinder.failures, ...findATender.failures];
+  if (failures.length > 0) {
+    console.log(`\n! ${failures.length} fetch(es) failed, dataset is partial:`);
+    for (const failure of failures) {
+      console.log(`  - ${failure.source} ${failure.day || `page ${failure.page}`}: ${failure.error}`);
+    }
+  }
+
+  const report = buildQualityReport({
+    runAt,
+    contractsFinder,
+    findATender,
+    fetched: allTenders,
+    dedupe: dedupeReport,
+    relevance: relevanceReport,
+    published: published.length
+  }, options.previousReport);
+
+  console.log(`\nData quality: ${report.status}`);
+  for (const issue of report.issues) {
+    console.log(`  - ${issue}`);
+  }
+
+  const dataset = {
+    generated: runAt,
+    count: published.length,
+    sources: {
+      contractsFinder: contractsFinderCount,
+      findATender: findATenderCount
+    },
+    changes: {
+      new: changes.added,
+      amended: changes.changed
+    },
+    earlySignals: earlySignalCount,
+    findATender: {
+      ...fatWindow,
+      pages: findATender.pages,
+      complete: findATender.complete
+    },
+    fetch: {
+      complete: failures.length === 0,
+      failures
+    },
+    quality: {
+      status: report.status,
+      issues: report.issues
+    },
+    analysis: analysisReport,
+    deduplication: dedupeReport,
+    relevanceFilter: relevanceReport,
+    parseReport: {
+      contractsFinder: contractsFinder.files
+    },
+    tenders: published
+  };
+
+  return { dataset, report, awards: awardsDataset, buyers: buyersDataset, competitors: competitorsDataset };
+}
+
+// Located at publish time, so a change to the geography table applies to everything published
+function locateBuyers(records, geography) {
+  return geography ? applyGeography(records, geography) : records;
+}
+
+// Resolve buyers in the history, published tenders and awards, and build the buyer directory
+function registerAndPublishBuyers(registry, config, history, tenders, awards, runAt) {
+  const folded = config ? applyBuyerConfig(registry, config) : 0;
+  const historyTenders = Object.values(history.tenders).map(({ tender, first_seen }) => ({ ...tender, first_seen }));
+  const { added } = registerBuyers(registry, [...historyTenders, ...tenders, ...awards], runAt);
+  const directory = buildBuyerDirectory(registry, historyTenders, awards, runAt);
+
+  console.log(`  New buyers: ${added}${folded > 0 ? `, folded into configured names: ${folded}` : ''}`);
+  console.log(`  Buyers in registry: ${Object.keys(registry.buyers).length} (${directory.count} with tenders or awards)\n`);
+
+  return directory;
+}
+
+// Resolve competitors in the published awards (whose suppliers gain competitorId) and in
+// analysed history tenders, and build the competitor directory
+function registerAndPublishCompetitors(registry, config, history, awardsDataset, buyerRegistry, runAt) {
+  const folded = config ? applyCompetitorConfig(registry, config) : 0;
+  const tenders = Object.values(history.tenders).map(analysedTender);
+  const { awards, added, predictions } = registerCompetitors(registry, config, { awards: awardsDataset.awards, tenders }, runAt);
+  awardsDataset.awards = awards;
+  const directory = buildCompetitorDirectory(registry, awards, runAt, config, buyerRegistry.buyers);
+
+  console.log(`  New competitors: ${added}, new predictions: ${predictions}${folded > 0 ? `, folded into configured names: ${folded}` : ''}`);
+  console.log(`  Competitors in registry: ${Object.keys(registry.competitors).length} (${directory.competitors.filter(c => c.contractsWon > 0).length} with contracts won)\n`);
+
+  return directory;
+}
+
+// Merge awards into the store, prune it and link the published awards to tenders in the history
+function mergeAndPublishAwards(awardStore, awards, history, today, geography) {
+  const runAt = today.toISOString();
+  const changes = mergeAwards(awardStore, awards, runAt);
+  const pruned = pruneAwards(awardStore, today);
+  const published = locateBuyers(publishableAwards(awardStore), geography);
+  const byTender = linkAwardsToTenders(published, Object.values(history.tenders).map(entry => entry.tender));
+
+  console.log(`  New: ${changes.added}, updated: ${changes.updated}, pruned: ${pruned}`);
+  console.log(`  Awards stored: ${published.length} (${published.filter(a => a.tenderId).length} linked to a tender)\n`);
+
+  return {
+    dataset: {
+      generated: runAt,
+      count: published.length,
+      changes: {
+        new: changes.added,
+        updated: changes.updated
+      },
+      awards: published
+    },
+    byTender
+  };
+}
+
+/**
+ * Pull historic award and contract releases into the award store, without
+ * touching the tender history: Contracts Finder dumps for the days given
+ * (award rows only) and Find a Tender award-stage releases for the window.
+ *
+ * @param {Object} options
+ * @param {Date} [options.today] - Reference date for the run (award timestamps, pruning)
+ * @param {Date} [options.cfEnd] - Last Contracts Finder day to read (default: today)
+ * @param {number} [options.days] - Days of Contracts Finder dumps to read, ending at cfEnd
+ * @param {boolean} [options.skipContractsFinder] - Only query Find a Tender
+ * @param {string} options.fatUpdatedFrom - Start of the Find a Tender window
+ * @param {string} [options.fatUpdatedTo] - End of the Find a Tender window (default: open-ended)
+ * @param {Object} options.awardStore - Award store to merge into (see awards.js); mutated in place
+ * @param {Object} [options.history] - Tender history, to link awards to tenders
+ * @returns {Promise<{ awards: Object, buyers: Object, competitors: Object, failures: Array<Object> }>} Awards
+ *   in the awards.json format, the buyer and competitor directories and the days/pages that failed after retries
+ *
+ * cfDir, cfBase, fatDir, fatApi, skipFindATender, cpvProfile, geography, buyerRegistry, buyerConfig,
+ * competitorRegistry and competitorConfig are as for runIngestion().
+ */
+export async function runAwardBackfill(options = {}) {
+  const today = options.today || new Date();
+  const history = options.history || { updated: null, tenders: {} };
+
+  console.log('=== Award Backfill Started ===\n');
+
+  console.log('1. Fetching Contracts Finder award notices...');
+  const contractsFinder = options.skipContractsFinder
+    ? { awards: [], failures: [] }
+    : await fetchContractsFinder({
+      days: options.days || 30,
+      today: options.cfEnd || today,
+      fixtureDir: options.cfDir,
+      baseUrl: options.cfBase
+    });
+  console.log(`\n  Contracts Finder total: ${contractsFinder.awards.length} awards\n`);
+
+  console.log('2. Fetching Find a Tender award releases...');
+  const findATender = options.skipFindATender
+    ? { awards: [], failures: [] }
+    : await fetchFindATender({
+      updatedFrom: options.fatUpdatedFrom,
+      updatedTo: options.fatUpdatedTo || null,
+      stages: 'award',
+      apiBase: options.fatApi,
+      fixtureDir: options.fatDir
+    });
+  console.log(`\n  Find a Tender total: ${findATender.awards.length} awards\n`);
+
+  let awards = [...contractsFinder.awards, ...findATender.awards];
+  if (options.cpvProfile) {
+    const fetched = awards.length;
+    awards = applyCPVProfile(awards, options.cpvProfile).kept;
+    console.log(`3. CPV profile ${options.cpvProfile.name} v${options.cpvProfile.version}: kept ${awards.length} of ${fetched} awards\n`);
+  }
+
+  console.log('4. Merging awards...');
+  const { dataset } = mergeAndPublishAwards(options.awardStore, awards, history, today, options.geography);
+
+  console.log('5. Resolving buyers...');
+  const buyerRegistry = options.buyerRegistry || { updated: null, buyers: {} };
+  const buyers = registerAndPublishBuyers(
+    buyerRegistry,
+    options.buyerConfig,
+    history,
+    [],
+    dataset.awards,
+    today.toISOString()
+  );
+
+  console.log('6. Resolving competitors...');
+  const competitors = registerAndPublishCompetitors(
+    options.competitorRegistry || { updated: null, competitors: {} },
+    options.competitorConfig,
+    history,
+    dataset,
+    buyerRegistry,
+    today.toISOString()
+  );
+
+  const failures = [...contractsFinder.failures, ...findATender.failures];
+  if (failures.length > 0) {
+    console.log(`! ${failures.length} fetch(es) failed, backfill is partial:`);
+    for (const failure of failures) {
+      console.log(`  - ${failure.source} ${failure.day || `page ${failure.page}`}: ${failure.error}`);
+    }
+  }
+
+  return { awards: dataset, buyers, competitors, failures };
+}
+
+// Write a JSON file, creating its directory if needed. The stores under data/
+// are indented so their commits diff readably; files the dashboard downloads
+// are written with `minify`.
+export function writeJSON(file, data, { minify = false } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, minify ? JSON.stringify(data) : JSON.stringify(data, null, 2));
+}
@@ -0,0 +1,243 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+/**
+ * Local stand-in for the Anthropic API, so the analysis proxy, the batch
+ * endpoint and the nightly analysis (analysis.js) can be exercised without a
+ * key or spend.
+ *
+ *   POST /v1/messages                       A record_tender_analysis tool call
+ *   POST /v1/messages/batches               Accepts a batch; it ends after batchDelay ms
+ *   GET  /v1/messages/batches/<id>          Batch status (results_url once ended)
+ *   GET  /v1/messages/batches/<id>/results  JSONL results, one per request
+ *
+ * Analyses are canned: the score is derived from the tender title, and the
+ * recommendation is the band the prompt gives for it. With `invalid`, the
+ * first turn of each /v1/messages conversation scores 120, so the
+ * dashboard's repair retry can be seen working, and so does every batch
+ * result (a batch has no repair turn), so its schema failures can be seen.
+ *
+ * For an end-to-end local run the server can also stand in for the shared
+ * store (a Redis REST API at /kv holding hashes and strings in memory) and for the
+ * deployment's published data (files from dataDir at /data).
+ */
+
+const DEFAULT_BANDS = [
+  { min: 90, recommendation: 'Strong Go' },
+  { min: 70, recommendation: 'Conditional Go' },
+  { min: 40, recommendation: 'Monitor' },
+  { min: 0, recommendation: 'No Bid' }
+];
+
+// Score bands as written in the prompt: "* Strong Go (90-100% alignment): ..."
+function promptBands(prompt) {
+  const bands = [...prompt.matchAll(/\* (.+?) \((\d+)-\d+% alignment\)/g)]
+    .map(match => ({ min: parseInt(match[2], 10), recommendation: match[1] }));
+  return bands.length > 0 ? bands : DEFAULT_BANDS;
+}
+
+function mockAnalysis(params, { invalid = false } = {}) {
+  const prompt = typeof params.messages[0].content === 'string' ? params.messages[0].content : '';
+  const title = prompt.match(/\*\*Title:\*\* (.*)/)?.[1] || '';
+  const score = invalid ? 120 : 30 + [...title].reduce((sum, c) => sum + c.charCodeAt(0), 0) % 70;
+  const band = promptBands(prompt).find(b => score >= b.min);
+  const category = params.tools?.[0]?.input_schema.properties.categories?.items.enum?.[0];
+
+  return {
+    id: `msg_mock_${Math.random().toString(36).slice(2, 10)}`,
+    type: 'message',
+    role: 'assistant',
+    model: params.model,
+    stop_reason: 'tool_use',
+    content: [{
+      type: 'tool_use',
+      id: `toolu_mock_${Math.random().toString(36).slice(2, 10)}`,
+      name: 'record_tender_analysis',
+      input: {
+        alignment_score: score,
+        rationale: `Mock analysis of "${title}".`,
+        win_themes: ['Local presence', 'Existing community teams', 'Integrated care experience'],
+        competitors: ['Mock Health NHS Trust'],
+        weak_spots: ['Mock risk'],
+        recommendation: band?.recommendation || 'No Bid',
+        categories: category ? [category] : []
+      }
+    }],
+    usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: 200 }
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : null);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// String value of a key, dropping it once its expiry (EX seconds) has passed
+function readString(strings, key) {
+  const entry = strings.get(key);
+  if (entry && entry.expiresAt !== null && Date.now() >= entry.expiresAt) strings.delete(key);
+  return strings.get(key) || null;
+}
+
+// The Redis commands the serverless functions use, on in-memory hashes and strings
+function runKvCommand({ hashes, strings }, [command, key, ...args]) {
+  const hash = () => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  switch (String(command).toUpperCase()) {
+    case 'HSET':
+      for (let i = 0; i < args.length; i += 2) hash().set(args[i], args[i + 1]);
+      return args.length / 2;
+    case 'HGET':
+      return hash().get(args[0]) ?? null;
+    case 'HMGET':
+      return args.map(field => hash().get(field) ?? null);
+    case 'HGETALL':
+      return [...hash()].flat();
+    case 'HDEL':
+      return args.filter(field => hash().delete(field)).length;
+    case 'GET':
+      return readString(strings, key)?.value ?? null;
+    case 'SET': {
+      // SET key value [NX] [EX seconds]
+      const options = args.slice(1).map(String);
+      if (options.some(option => option.toUpperCase() === 'NX') && readString(strings, key)) return null;
+      const ex = options.findIndex(option => option.toUpperCase() === 'EX');
+      strings.set(key, { value: String(args[0]), expiresAt: ex >= 0 ? Date.now() + Number(options[ex + 1]) * 1000 : null });
+      return 'OK';
+    }
+    case 'INCR': {
+      const entry = readString(strings, key);
+      const value = (entry ? parseInt(entry.value, 10) : 0) + 1;
+      strings.set(key, { value: String(value), expiresAt: entry?.expiresAt ?? null });
+      return value;
+    }
+    case 'EXPIRE': {
+      const entry = readString(strings, key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + Number(args[0]) * 1000;
+      return 1;
+    }
+    case 'DEL':
+      return [key, ...args].filter(name => strings.delete(name) || hashes.delete(name)).length;
+    default:
+      throw new Error(`Unsupported command ${command}`);
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {number} [options.batchDelay] - ms before a message batch ends
+ * @param {boolean} [options.invalid] - Score the first turn of each conversation, and batch results, out of range
+ * @param {string} [options.dataDir] - Directory served at /data (e.g. public/data)
+ * @returns {http.Server} Not yet listening
+ */
+export function createMockAnthropicServer({ batchDelay = 5000, invalid = false, dataDir = null } = {}) {
+  const batches = new Map();
+  const store = { hashes: new Map(), strings: new Map() };
+
+  const batchStatus = (batch, base) => {
+    const ended = Date.now() >= batch.endsAt;
+    return {
+      id: batch.id,
+      type: 'message_batch',
+      processing_status: ended ? 'ended' : 'in_progress',
+      request_counts: {
+        processing: ended ? 0 : batch.requests.length,
+        succeeded: ended ? batch.requests.length : 0,
+        errored: 0,
+        canceled: 0,
+        expired: 0
+      },
+      created_at: batch.createdAt,
+      ended_at: ended ? new Date(batch.endsAt).toISOString() : null,
+      results_url: ended ? `${base}/v1/messages/batches/${batch.id}/results` : null
+    };
+  };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const base = `http://${req.headers.host}`;
+    console.log(`  ${req.method} ${url.pathname}`);
+
+    try {
+      if (req.method === 'POST' && url.pathname === '/kv') {
+        sendJson(res, 200, { result: runKvCommand(store, await readBody(req)) });
+        return;
+      }
+
+      if (req.method === 'GET' && url.pathname.startsWith('/data/') && dataDir) {
+        const root = path.resolve(dataDir);
+        const file = path.resolve(root, `.${decodeURIComponent(url.pathname.slice('/data'.length))}`);
+        if (file.startsWith(root + path.sep) && fs.existsSync(file) && fs.statSync(file).isFile()) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          fs.createReadStream(file).pipe(res);
+          return;
+        }
+      }
+
+      if (url.pathname.startsWith('/v1/') && !req.headers['x-api-key']) {
+        sendJson(res, 401, { type: 'error', error: { type: 'authentication_error', message: 'x-api-key header is required' } });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v1/messages') {
+        const params = await readBody(req);
+        sendJson(res, 200, mockAnalysis(params, { invalid: invalid && params.messages.length === 1 }));
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v1/messages/batches') {
+        const { requests } = await readBody(req);
+        const batch = {
+          id: `msgbatch_mock_${batches.size + 1}`,
+          requests,
+          createdAt: new Date().toISOString(),
+          endsAt: Date.now() + batchDelay
+        };
+        batches.set(batch.id, batch);
+        sendJson(res, 200, batchStatus(batch, base));
+        return;
+      }
+
+      const batchMatch = url.pathname.match(/^\/v1\/messages\/batches\/([^/]+)(\/results)?$/);
+      const batch = batchMatch && batches.get(batchMatch[1]);
+      if (req.method === 'GET' && batch) {
+        if (!batchMatch[2]) {
+          sendJson(res, 200, batchStatus(batch, base));
+          return;
+        }
+        if (Date.now() >= batch.endsAt) {
+          res.writeHead(200, { 'Content-Type': 'application/x-jsonl' });
+          res.end(batch.requests.map(request => JSON.stringify({
+            custom_id: request.custom_id,
+            result: { type: 'succeeded', message: mockAnalysis(request.params, { invalid }) }
+          })).join('\n'));
+          return;
+        }
+      }
+
+      sendJson(res, 404, { type: 'error', error: { type: 'not_found_error', message: 'Not found' } });
+    } catch (error) {
+      sendJson(res, 400, { type: 'error', error: { type: 'invalid_request_error', message: error.message } });
+    }
+  });
+}
@@ -0,0 +1,196 @@
+// OCDS helpers shared by the Contracts Finder and Find a Tender sources
+
+// Path segments that would reach Object.prototype instead of a property of the row
+const UNSAFE_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Rebuild a nested object from a flattened CSV row.
+ * 'releases/0/tender/items/1/classification/id' becomes
+ * { releases: [{ tender: { items: [, { classification: { id } }] } }] }.
+ * Empty cells and columns whose path names a prototype key are skipped.
+ */
+export function unflattenRow(row) {
+  const root = {};
+
+  for (const [key, value] of Object.entries(row)) {
+    if (value === '' || value === undefined) continue;
+
+    const parts = key.split('/');
+    if (parts.some(part => UNSAFE_SEGMENTS.has(part))) continue;
+    let node = root;
+
+    for (let i = 0; i < parts.length - 1 && node; i++) {
+      const part = parts[i];
+      if (node[part] === undefined) {
+        node[part] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+      }
+      // A scalar column shadowing a nested one (e.g. 'tender' and 'tender/id'): keep the scalar
+      node = typeof node[part] === 'object' ? node[part] : null;
+    }
+
+    if (node) {
+      node[parts[parts.length - 1]] = value;
+    }
+  }
+
+  return root;
+}
+
+// Parse booleans that arrive as JSON booleans or CSV strings
+function toBoolean(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', '1'].includes(String(value).trim().toLowerCase());
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+const compact = (list) => (list || []).filter(Boolean);
+
+function toPeriod(period) {
+  if (!period || (!period.startDate && !period.endDate)) return null;
+  return {
+    startDate: period.startDate || null,
+    endDate: period.endDate || null
+  };
+}
+
+// CPV classifications from tender, items and additional classifications, deduplicated by code
+function extractCPVCodes(tenderData) {
+  const classifications = [
+    tenderData.classification,
+    ...compact(tenderData.additionalClassifications),
+    ...compact(tenderData.items).flatMap(item => [
+      item.classification,
+      ...compact(item.additionalClassifications)
+    ])
+  ];
+
+  const codes = new Map();
+  for (const classification of compact(classifications)) {
+    const scheme = String(classification.scheme || 'CPV').toUpperCase();
+    if (scheme !== 'CPV' || !classification.id) continue;
+
+    const code = String(classification.id).trim();
+    if (!codes.has(code)) {
+      codes.set(code, { code, description: classification.description || '' });
+    }
+  }
+
+  return Array.from(codes.values());
+}
+
+/**
+ * Bid/no-bid details carried on an OCDS release, in the tender schema's shape.
+ * @param {Object} release - OCDS release (from the API, or unflattened from a CSV row)
+ */
+export function extractReleaseDetails(release) {
+  const tenderData = release.tender || {};
+  const lots = compact(tenderData.lots);
+
+  return {
+    cpvCodes: extractCPVCodes(tenderData),
+    lots: lots.map(lot => ({
+      id: lot.id || '',
+      title: lot.title || '',
+      description: lot.description || '',
+      value: toNumber(lot.value?.amount),
+      contractPeriod: toPeriod(lot.contractPeriod)
+    })),
+    procurementMethod: tenderData.procurementMethod || '',
+    procurementMethodDetails: tenderData.procurementMethodDetails || '',
+    contractPeriod: toPeriod(tenderData.contractPeriod) || toPeriod(lots[0]?.contractPeriod),
+    suitability: {
+      sme: toBoolean(tenderData.suitability?.sme),
+      vcse: toBoolean(tenderData.suitability?.vcse)
+    },
+    documents: compact(tenderData.documents)
+      .filter(doc => doc.url)
+      .map(doc => ({
+        title: doc.title || doc.description || doc.url,
+        url: doc.url,
+        documentType: doc.documentType || ''
+      }))
+  };
+}
+
+// Buyer postcode: on the buyer reference, or on its entry in parties
+export function extractBuyerPostcode(release) {
+  const buyer = release.buyer || {};
+  const party = compact(release.parties).find(p =>
+    (buyer.id && p.id === buyer.id) || compact(p.roles).includes('buyer'));
+  const postcode = buyer.address?.postalCode || party?.address?.postalCode || '';
+  return String(postcode).trim().toUpperCase();
+}
+
+// Release tags for award and contract notices (OCDS release tag codelist)
+const AWARD_TAGS = new Set([
+  'award', 'awardUpdate', 'awardCancellation',
+  'contract', 'contractUpdate', 'contractAmendment', 'contractTermination',
+  'implementation', 'implementationUpdate'
+]);
+
+// Release tags for pre-market notices (prior information, preliminary market engagement)
+const PLANNING_TAGS = new Set(['planning', 'planningUpdate']);
+
+// Contracts Finder award notices are titled "<tender title> - AWARD"
+const AWARD_TITLE_PATTERN = /\s[-–]\s*award(ed)?\s*$/i;
+
+// Release tags as an array, whether they arrive as a JSON array or a CSV cell ("award;contract")
+export function releaseTags(release) {
+  const tag = release.tag;
+  if (Array.isArray(tag)) return tag.map(String);
+  if (!tag) return [];
+  return String(tag).split(/[;,\s]+/).filter(Boolean);
+}
+
+/**
+ * Whether a release announces an award or contract rather than an open opportunity.
+ * Some award notices are published with a tender tag, so the title is checked too.
+ */
+export function isAwardRelease(release) {
+  return releaseTags(release).some(tag => AWARD_TAGS.has(tag)) ||
+    AWARD_TITLE_PATTERN.test(release.tender?.title || '');
+}
+
+// Whether a release is a planning-stage notice: an early signal of a tender to come
+export function isPlanningRelease(release) {
+  const tags = releaseTags(release);
+  return tags.some(tag => PLANNING_TAGS.has(tag)) &&
+    !tags.some(tag => tag.startsWith('tender')) &&
+    !isAwardRelease(release);
+}
+
+// Tender title without the " - AWARD" suffix Contracts Finder adds to award notices
+export function stripAwardSuffix(title) {
+  return String(title || '').replace(AWARD_TITLE_PATTERN, '').trim();
+}
+
+/**
+ * Awards on a release, with contract periods and values filled in from the
+ * matching contract (by awardID) when the award itself doesn't carry them.
+ * @param {Object} release - OCDS release
+ * @returns {Array<{ awardId, title, status, date, value, suppliers, contractPeriod }>}
+ */
+export function extractAwards(release) {
+  const contracts = compact(release.contracts);
+
+  return compact(release.awards).map((award, idx) => {
+    const contract = contracts.find(c => c.awardID && String(c.awardID) === String(award.id));
+
+    return {
+      awardId: award.id ? String(award.id) : String(idx + 1),
+      title: award.title || '',
+      status: award.status || contract?.status || '',
+      date: award.date || contract?.dateSigned || release.date || '',
+      value: toNumber(award.value?.amount) ?? toNumber(contract?.value?.amount),
+      suppliers: compact(award.suppliers)
+        .filter(supplier => supplier.name)
+        .map(supplier => ({ id: supplier.id || null, name: supplier.name.trim() })),
+      contractPeriod: toPeriod(award.contractPeriod) || toPeriod(contract?.period)
+    };
+  });
+}
@@ -0,0 +1,209 @@
+import fs from 'fs';
+
+/**
+ * Data quality report (public/data/ingest-report.json)
+ *
+ * Built at the end of each ingestion run from the per-file/per-page parse
+ * stats, fetch failures, the fetched tenders and the dedupe report, and
+ * compared with the previous run's report for day-over-day deltas.
+ * The dashboard's Data health view reads it.
+ */
+
+// When a run counts as degraded
+export const QUALITY_THRESHOLDS = {
+  maxRejectedRate: 0.1,
+  maxMissingRate: {
+    deadline: 0.25,
+    value: 0.5,
+    region: 0.25,
+    buyer: 0.05
+  },
+  // Fall in accepted tenders versus the previous run
+  maxVolumeDrop: 0.5
+};
+
+// Runs kept in the report's trend
+const TREND_LENGTH = 30;
+
+export function loadReport(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+const rate = (count, total) => total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+
+function isValidDate(value) {
+  return !isNaN(new Date(value).getTime());
+}
+
+// Sum parse stats (see createParseStats) into source totals
+function sumStats(statsList) {
+  const totals = { rows: 0, accepted: 0, awards: 0, rejected: 0, reasons: {} };
+  for (const stats of statsList) {
+    totals.rows += stats.rows;
+    totals.accepted += stats.accepted;
+    totals.awards += stats.awards || 0;
+    totals.rejected += stats.rejected;
+    for (const [reason, count] of Object.entries(stats.reasons)) {
+      totals.reasons[reason] = (totals.reasons[reason] || 0) + count;
+    }
+  }
+  return { ...totals, rejectedRate: rate(totals.rejected, totals.rows) };
+}
+
+// Tenders missing key fields, or carrying dates that don't parse
+function completeness(tenders) {
+  const count = (predicate) => {
+    const n = tenders.filter(predicate).length;
+    return { count: n, rate: rate(n, tenders.length) };
+  };
+
+  return {
+    tenders: tenders.length,
+    // Pre-market notices are published before there is a deadline
+    missingDeadline: count(t => !t.deadline && t.stage !== 'planning'),
+    missingValue: count(t => !(t.value > 0)),
+    missingRegion: count(t => !t.region),
+    missingBuyer: count(t => !t.organization || t.organization === 'Unknown'),
+    invalidDates: count(t => [t.deadline, t.contractPeriod?.startDate, t.contractPeriod?.endDate]
+      .some(date => date && !isValidDate(date)))
+  };
+}
+
+// One row per Contracts Finder day: parsed, not published, or failed
+function contractsFinderDays(contractsFinder) {
+  const days = [
+    ...contractsFinder.files.map(stats => ({ day: stats.file, status: 'ok', ...stats })),
+    ...contractsFinder.missingDays.map(day => ({ day, status: 'not published' })),
+    ...contractsFinder.failures.map(({ day, error }) => ({ day, status: 'failed', error }))
+  ];
+  return days
+    .map(({ file, ...day }) => day)
+    .sort((a, b) => b.day.localeCompare(a.day));
+}
+
+// Headline numbers compared run to run
+function headlineMetrics(report) {
+  return {
+    published: report.published,
+    fetched: report.completeness.tenders,
+    contractsFinderAccepted: report.sources.contractsFinder.accepted,
+    findATenderAccepted: report.sources.findATender.accepted,
+    awards: report.sources.contractsFinder.awards + report.sources.findATender.awards,
+    rejected: report.sources.contractsFinder.rejected + report.sources.findATender.rejected,
+    failures: report.failures.length,
+    missingDeadline: report.completeness.missingDeadline.count,
+    missingValue: report.completeness.missingValue.count,
+    missingRegion: report.completeness.missingRegion.count,
+    missingBuyer: report.completeness.missingBuyer.count,
+    invalidDates: report.completeness.invalidDates.count,
+    duplicates: report.duplicates.exactDuplicates + report.duplicates.merged
+  };
+}
+
+function assessQuality(report, previous) {
+  const issues = [];
+  const { contractsFinder, findATender } = report.sources;
+
+  if (report.failures.length > 0) {
+    issues.push(`${report.failures.length} fetch(es) failed after retries`);
+  }
+  for (const [name, source] of [['Contracts Finder', contractsFinder], ['Find a Tender', findATender]]) {
+    if (source.rejectedRate > QUALITY_THRESHOLDS.maxRejectedRate) {
+      issues.push(`${name} rejected ${Math.round(source.rejectedRate * 100)}% of rows`);
+    }
+  }
+  for (const [field, maxRate] of Object.entries(QUALITY_THRESHOLDS.maxMissingRate)) {
+    const key = `missing${field[0].toUpperCase()}${field.slice(1)}`;
+    if (report.completeness[key].rate > maxRate) {
+      issues.push(`${Math.round(report.completeness[key].rate * 100)}% of tenders have no ${field}`);
+    }
+  }
+  if (report.completeness.invalidDates.count > 0) {
+    issues.push(`${report.completeness.invalidDates.count} tender(s) with unparseable dates`);
+  }
+
+  const previousFetched = previous?.metrics?.fetched;
+  if (previousFetched > 0 && report.completeness.tenders < previousFetched * (1 - QUALITY_THRESHOLDS.maxVolumeDrop)) {
+    issues.push(`Fetched tenders fell from ${previousFetched} to ${report.completeness.tenders}`);
+  }
+
+  const noData = contractsFinder.accepted === 0 && findATender.accepted === 0;
+  return {
+    status: noData ? 'failing' : issues.length > 0 ? 'degraded' : 'ok',
+    issues: noData ? ['No tenders fetched from either source', ...issues] : issues
+  };
+}
+
+/**
+ * Build the quality report for a run.
+ * @param {Object} run
+ * @param {string} run.runAt - ISO timestamp of the run
+ * @param {Object} run.contractsFinder - fetchContractsFinder() result
+ * @param {Object} run.findATender - fetchFindATender() result
+ * @param {Array<Object>} run.fetched - Tenders accepted from both sources, before deduplication
+ * @param {Object} run.dedupe - deduplicateTenders() report
+ * @param {Object} [run.relevance] - applyCPVProfile() report
+ * @param {number} run.published - Tenders in the published dataset
+ * @param {Object} [previous] - The previous run's report, for deltas
+ * @returns {Object} Report in the ingest-report.json format
+ */
+export function buildQualityReport(run, previous = null) {
+  const { contractsFinder, findATender, dedupe, relevance } = run;
+
+  const report = {
+    generated: run.runAt,
+    status: 'ok',
+    issues: [],
+    published: run.published,
+    sources: {
+      contractsFinder: {
+        ...sumStats(contractsFinder.files),
+        days: contractsFinderDays(contractsFinder)
+      },
+      findATender: {
+        ...sumStats(findATender.pageStats),
+        complete: findATender.complete,
+        pages: findATender.pageStats.map(({ file, ...stats }, idx) => ({ page: idx + 1, ...stats }))
+      }
+    },
+    failures: [...contractsFinder.failures, ...findATender.failures],
+    completeness: completeness(run.fetched),
+    completenessBySource: {
+      contractsFinder: completeness(run.fetched.filter(t => t.source === 'Contracts Finder')),
+      findATender: completeness(run.fetched.filter(t => t.source === 'Find a Tender'))
+    },
+    duplicates: {
+      input: dedupe.input,
+      exactDuplicates: dedupe.exactDuplicates,
+      merged: dedupe.merged,
+      output: dedupe.output,
+      rate: rate(dedupe.input - dedupe.output, dedupe.input)
+    },
+    relevance: relevance ? { kept: relevance.kept, excluded: relevance.excluded } : null
+  };
+
+  Object.assign(report, assessQuality(report, previous));
+  report.metrics = headlineMetrics(report);
+
+  report.deltas = previous?.metrics
+    ? {
+      since: previous.generated,
+      metrics: Object.fromEntries(Object.entries(report.metrics).map(([key, current]) => {
+        const before = previous.metrics[key] ?? null;
+        return [key, { previous: before, current, change: before === null ? null : current - before }];
+      }))
+    }
+    : null;
+
+  report.trend = [
+    ...(previous?.trend || []),
+    { generated: report.generated, status: report.status, ...report.metrics }
+  ].slice(-TREND_LENGTH);
+
+  return report;
+}
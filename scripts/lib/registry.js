@@ -0,0 +1,83 @@
+/**
+ * Organisation name registries (buyers.js, competitors.js)
+ *
+ * A registry keeps one entry per organisation, keyed by a stable id, with
+ * its canonical name and every other spelling seen as an alias:
+ *
+ *   { [id]: { id, name, aliases, first_seen, last_seen, ... } }
+ *
+ * Spellings are matched on a normalised key (see normaliseBuyer() in
+ * dedupe.js); canonical names and aliases normalising can't work out come
+ * from a config file.
+ */
+
+export function addAlias(entry, name) {
+  if (name !== entry.name && !entry.aliases.includes(name)) {
+    entry.aliases.push(name);
+  }
+}
+
+// Match key -> entry id for every name and alias
+export function indexNames(entries, normalise) {
+  const index = new Map();
+  for (const entry of Object.values(entries)) {
+    for (const name of [entry.name, ...entry.aliases]) {
+      const key = normalise(name);
+      if (key && !index.has(key)) index.set(key, entry.id);
+    }
+  }
+  return index;
+}
+
+// Id for an entry first seen under this match key
+export function idFromKey(key, name) {
+  return key.replace(/ /g, '-') || String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+/**
+ * Apply configured canonical names (mutates entries): configured entries take
+ * their name and aliases, and entries added earlier under one of their
+ * spellings are folded into them.
+ * @param {Object} entries - Registry entries by id
+ * @param {Array<Object>} configured - { id, name, aliases } from the config file
+ * @param {Function} normalise - Name -> match key
+ * @param {Object} handlers
+ * @param {Function} handlers.create - Configured item -> new entry
+ * @param {Function} [handlers.fold] - (target, entry) merges registry-specific data from a folded entry
+ * @returns {number} Entries folded into configured ones
+ */
+export function applyCanonicalNames(entries, configured, normalise, { create, fold = () => {} }) {
+  const configuredKeys = new Map();
+
+  for (const item of configured) {
+    const aliases = item.aliases || [];
+    const entry = entries[item.id] || create(item);
+    entry.name = item.name;
+    entry.aliases = entry.aliases.filter(alias => alias !== item.name);
+    for (const alias of aliases) addAlias(entry, alias);
+    entries[item.id] = entry;
+
+    for (const spelling of [item.name, ...aliases]) configuredKeys.set(normalise(spelling), item.id);
+  }
+
+  const configuredIds = new Set(configured.map(item => item.id));
+  let folded = 0;
+
+  for (const entry of Object.values(entries)) {
+    if (configuredIds.has(entry.id)) continue;
+
+    const targetId = [entry.name, ...entry.aliases]
+      .map(name => configuredKeys.get(normalise(name)))
+      .find(Boolean);
+    if (!targetId) continue;
+
+    const target = entries[targetId];
+    for (const name of [entry.name, ...entry.aliases]) addAlias(target, name);
+    target.first_seen = [target.first_seen, entry.first_seen].filter(Boolean).sort()[0] || null;
+    fold(target, entry);
+    delete entries[entry.id];
+    folded++;
+  }
+
+  return folded;
+}
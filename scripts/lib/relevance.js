@@ -0,0 +1,92 @@
+import fs from 'fs';
+
+/**
+ * CPV relevance pre-filter
+ *
+ * Applies a versioned include/exclude profile (config/cpv-profile.json) to
+ * tenders at ingestion time. Rule codes name CPV families: trailing zeros
+ * are dropped, so 85000000 matches every code starting 85 and 85200000
+ * every code starting 852. Each tender code is matched to its most specific
+ * rule, and a tender is kept if any code lands on an include rule.
+ */
+
+export function loadCPVProfile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// CPV family prefix: '85200000' -> '852', '85141200-3' -> '851412'
+export function cpvFamily(code) {
+  return String(code).split('-')[0].trim().replace(/0+$/, '');
+}
+
+// Most specific rule matching a CPV code, or null
+function matchRule(code, rules) {
+  const digits = String(code).split('-')[0].trim();
+  let best = null;
+
+  for (const rule of rules) {
+    for (const family of rule.families) {
+      if (digits.startsWith(family) && (!best || family.length > best.length)) {
+        best = { rule, length: family.length };
+      }
+    }
+  }
+
+  return best ? best.rule : null;
+}
+
+/**
+ * Split tenders into kept/excluded according to the profile.
+ * @param {Array<Object>} tenders
+ * @param {Object} profile - Parsed CPV profile
+ * @returns {{ kept: Array<Object>, report: Object }} Report counts exclusions per rule id
+ */
+export function applyCPVProfile(tenders, profile) {
+  const rules = profile.rules.map(rule => ({ ...rule, families: rule.codes.map(cpvFamily) }));
+  const kept = [];
+  const excludedByRule = {};
+
+  const exclude = (ruleId) => {
+    excludedByRule[ruleId] = (excludedByRule[ruleId] || 0) + 1;
+  };
+
+  for (const tender of tenders) {
+    const codes = (tender.cpvCodes || []).map(c => c.code);
+
+    if (codes.length === 0) {
+      if (profile.unclassified === 'include') {
+        kept.push(tender);
+      } else {
+        exclude('unclassified');
+      }
+      continue;
+    }
+
+    const matches = codes.map(code => matchRule(code, rules));
+    if (matches.some(rule => rule?.action === 'include')) {
+      kept.push(tender);
+      continue;
+    }
+
+    const excludingRule = matches.find(rule => rule);
+    if (excludingRule) {
+      exclude(excludingRule.id);
+    } else if (profile.defaultAction === 'include') {
+      kept.push(tender);
+    } else {
+      exclude('no-matching-rule');
+    }
+  }
+
+  return {
+    kept,
+    report: {
+      profile: profile.name,
+      version: profile.version,
+      considered: tenders.length,
+      kept: kept.length,
+      excluded: tenders.length - kept.length,
+      excludedByRule
+    }
+  };
+}
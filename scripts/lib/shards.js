@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Sharded dataset for the dashboard (public/data/tenders/)
+ *
+ * live-tenders.json carries every tender with its full description, so the
+ * dashboard would download all of it before filtering. Instead it reads:
+ *
+ *   manifest.json               Dataset summary fields from live-tenders.json
+ *                               (MANIFEST_FIELDS) and the list of shards
+ *   tenders-<YYYY-MM>.json      Tenders whose deadline falls in that month,
+ *                               without detailedDescription
+ *   descriptions-<YYYY-MM>.json { [id]: detailedDescription } for the same tenders,
+ *                               loaded only for text searches and the detail panel
+ *
+ * Tenders without a deadline go in the `no-deadline` shard. Shards are
+ * written minified; GitHub Pages gzips JSON on the way out.
+ */
+
+export const NO_DEADLINE_SHARD = 'no-deadline';
+
+const SHARD_FILE_PATTERN = /^(tenders|descriptions)-.+\.json$/;
+
+// Dataset fields the dashboard needs up front; audit detail (dedupe decisions,
+// parse reports) stays in live-tenders.json
+const MANIFEST_FIELDS = ['generated', 'count', 'sources', 'changes', 'earlySignals', 'fetch', 'quality'];
+
+// Deadline month (YYYY-MM) a tender is filed under
+export function shardKey(tender) {
+  const deadline = tender.deadline ? new Date(tender.deadline) : null;
+  if (!deadline || isNaN(deadline.getTime())) return NO_DEADLINE_SHARD;
+  return deadline.toISOString().slice(0, 7);
+}
+
+/**
+ * Split a dataset into month shards.
+ * @param {Object} dataset - Dataset in the live-tenders.json format
+ * @returns {{ manifest: Object, files: Object }} Manifest and file name -> contents
+ */
+export function buildShards(dataset) {
+  const byKey = new Map();
+
+  for (const tender of dataset.tenders) {
+    const key = shardKey(tender);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(tender);
+  }
+
+  const files = {};
+  const shards = [];
+
+  for (const key of Array.from(byKey.keys()).sort()) {
+    const shardTenders = byKey.get(key);
+    const tendersFile = `tenders-${key}.json`;
+    const descriptionsFile = `descriptions-${key}.json`;
+
+    files[tendersFile] = JSON.stringify(shardTenders.map(({ detailedDescription, ...tender }) => tender));
+    files[descriptionsFile] = JSON.stringify(Object.fromEntries(
+      shardTenders.map(tender => [tender.id, tender.detailedDescription || ''])
+    ));
+
+    shards.push({
+      key,
+      count: shardTenders.length,
+      file: tendersFile,
+      bytes: Buffer.byteLength(files[tendersFile]),
+      descriptions: descriptionsFile,
+      descriptionBytes: Buffer.byteLength(files[descriptionsFile])
+    });
+  }
+
+  const metadata = Object.fromEntries(MANIFEST_FIELDS
+    .filter(field => dataset[field] !== undefined)
+    .map(field => [field, dataset[field]]));
+
+  return {
+    manifest: { ...metadata, shards },
+    files
+  };
+}
+
+// Write the manifest and shards, removing shards left over from earlier runs
+export function writeShardedDataset(dir, dataset) {
+  const { manifest, files } = buildShards(dataset);
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const name of fs.readdirSync(dir)) {
+    if (SHARD_FILE_PATTERN.test(name) && !files[name]) {
+      fs.unlinkSync(path.join(dir, name));
+    }
+  }
+  for (const [name, contents] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), contents);
+  }
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+  return manifest;
+}
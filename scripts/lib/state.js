@@ -0,0 +1,46 @@
+import fs from 'fs';
+
+/**
+ * Ingestion run state, persisted between runs (data/ingest-state.json).
+ *
+ *   {
+ *     findATender: {
+ *       highWaterMark: ISO date up to which releases have been fetched completely,
+ *       lastRun: ISO date of the last run that queried the API
+ *     }
+ *   }
+ */
+export function loadState(file) {
+  if (!file || !fs.existsSync(file)) {
+    return { findATender: { highWaterMark: null, lastRun: null } };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Re-query a little before the high-water mark so releases published while
+// the previous run was paging through results aren't missed
+const RESUME_OVERLAP_MS = 15 * 60 * 1000;
+
+/**
+ * Start of the next Find a Tender window: the last complete run's
+ * high-water mark (minus the overlap), or `windowHours` before now on a first run.
+ */
+export function findATenderUpdatedFrom(state, now, windowHours = 24) {
+  const mark = state.findATender?.highWaterMark;
+  const from = mark
+    ? new Date(mark).getTime() - RESUME_OVERLAP_MS
+    : now.getTime() - windowHours * HOUR_MS;
+  return new Date(from).toISOString();
+}
+
+// Record a normal run; the mark only advances if every page was fetched
+export function recordFindATenderRun(state, runAt, complete) {
+  state.findATender = state.findATender || { highWaterMark: null, lastRun: null };
+  state.findATender.lastRun = runAt;
+  if (complete) {
+    state.findATender.highWaterMark = runAt;
+  }
+  return state;
+}
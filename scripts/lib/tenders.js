@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+
+// Shared record checks and identity helpers applied to tenders from every source
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+// Deterministic id for records published without an ocid, so the same
+// notice gets the same id in every daily file
+export function fallbackTenderId(prefix, parts) {
+  const key = parts.map(p => String(p || '').trim().toLowerCase()).join('|');
+  return `${prefix}-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+}
+
+// Hash of the fields an analysis depends on (description, value, deadline), published
+// as contentHash so a stored analysis is dropped once the tender changes
+export function tenderContentHash(tender) {
+  const key = JSON.stringify([tender.detailedDescription || '', tender.value || 0, tender.deadline || '']);
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+// First UUID found in any of the candidate strings (Contracts Finder notice ids are UUIDs)
+export function findUUID(...candidates) {
+  for (const candidate of candidates) {
+    const match = candidate && String(candidate).match(UUID_PATTERN);
+    if (match) return match[0].toLowerCase();
+  }
+  return null;
+}
+
+// Reason a tender can't be shown as an open opportunity, or null if it's usable.
+// Records with no deadline AND no value are likely internal records/subcontracts.
+export function tenderRejectionReason(tender) {
+  if (!tender.title) return 'missing title';
+
+  if (tender.deadline) {
+    const deadline = new Date(tender.deadline);
+    if (isNaN(deadline.getTime())) return 'invalid deadline';
+  }
+
+  // Pre-market notices often predate both
+  if (!tender.deadline && tender.value === 0 && tender.stage !== 'planning') return 'no deadline or value';
+
+  if (!tender.organization) return 'missing buyer';
+
+  return null;
+}
+
+// What a tender keeps of the pre-market notice published before it under the same ocid
+export function earlySignalOf(notice, firstSeen = null) {
+  return {
+    noticeId: notice.noticeId || null,
+    title: notice.title,
+    url: notice.url,
+    source: notice.source,
+    first_seen: firstSeen
+  };
+}
+
+// Per-file parse statistics: rows parsed as tenders or awards versus rejected, with reasons
+export function createParseStats(file) {
+  return { file, rows: 0, accepted: 0, awards: 0, rejected: 0, reasons: {} };
+}
+
+export function recordRejection(stats, reason) {
+  stats.rejected++;
+  stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+}
+
+// One-line summary for the Actions log
+export function formatParseStats(stats) {
+  const reasons = Object.entries(stats.reasons)
+    .sort((a, b) => b[1] - a[1])
+    .map(([reason, count]) => `${reason}: ${count}`)
+    .join(', ');
+
+  return `${stats.rows} rows, ${stats.accepted} tenders, ${stats.awards} awards, ${stats.rejected} rejected` +
+    (reasons ? ` (${reasons})` : '');
+}
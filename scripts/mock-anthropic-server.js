@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Serve a mock Anthropic API (plus the shared store and published data),
+ * then point the serverless functions at it:
+ *
+ *   node scripts/mock-anthropic-server.js --port 8788 --data-dir public/data
+ *   ANTHROPIC_API_URL=http://localhost:8788 ANTHROPIC_API_KEY=mock \
+ *   KV_REST_API_URL=http://localhost:8788/kv KV_REST_API_TOKEN=mock \
+ *   TENDER_DATA_URL=http://localhost:8788/data TEAM_ACCESS_TOKEN=dev \
+ *     vercel dev
+ */
+import { parseArgs } from 'util';
+import { createMockAnthropicServer } from './lib/mockAnthropic.js';
+
+const USAGE = `Usage: node scripts/mock-anthropic-server.js [options]
+
+Options:
+  --port <n>          Port to listen on (default: 8788)
+  --batch-delay <ms>  Time before a message batch ends (default: 5000)
+  --data-dir <dir>    Published data served at /data (e.g. public/data)
+  --invalid           Score the first turn of each analysis, and batch results, out of range, to exercise the repair retry and batch failures
+  -h, --help          Show this help`;
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8788' },
+    'batch-delay': { type: 'string', default: '5000' },
+    'data-dir': { type: 'string' },
+    invalid: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+});
+
+if (values.help) {
+  console.log(USAGE);
+} else {
+  const server = createMockAnthropicServer({
+    batchDelay: parseInt(values['batch-delay'], 10),
+    invalid: values.invalid,
+    dataDir: values['data-dir'] || null
+  });
+
+  server.listen(parseInt(values.port, 10), () => {
+    const base = `http://localhost:${server.address().port}`;
+    console.log(`Mock Anthropic server listening on ${base}`);
+    console.log(`  ANTHROPIC_API_URL=${base}`);
+    console.log(`  KV_REST_API_URL=${base}/kv`);
+    if (values['data-dir']) console.log(`  TENDER_DATA_URL=${base}/data`);
+  });
+}
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import handler from '../../api/analyses.js';
+import { serveMockAnthropic, callHandler, TEAM_HEADERS } from './helpers/serverless.js';
+
+const PROFILE = JSON.parse(fs.readFileSync(new URL('../../config/capability-profile.json', import.meta.url), 'utf8'));
+const ANALYSIS = {
+  alignment_score: 75,
+  rationale: 'Good fit for community nursing.',
+  win_themes: ['Local teams'],
+  competitors: ['HCRG Care Group'],
+  weak_spots: ['Tight timeline'],
+  recommendation: 'Conditional Go',
+  categories: ['Community Health'],
+  source: 'ai',
+  profile_version: String(PROFILE.version)
+};
+const RECORD = { tenderId: 't1', contentHash: 'hash-1', sirona_fit: ANALYSIS, analyzed_at: '2026-08-21T12:00:00.000Z' };
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+const save = (analyses, headers = TEAM_HEADERS) => callHandler(handler, { headers, body: { analyses, profile: PROFILE } });
+const load = (ids) => callHandler(handler, { method: 'GET', query: { ids } });
+
+test('analyses refuses writes without the team token', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t);
+
+  const response = await save([RECORD], { origin: 'https://dashboard.example' });
+
+  assert.equal(response.status, 401);
+  assert.deepEqual((await load('t1')).body.analyses, []);
+});
+
+test('analyses stores valid Claude analyses with only the schema\'s fields', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t);
+
+  const response = await save([{ ...RECORD, sirona_fit: { ...ANALYSIS, alignment_score: '75%', injected: '<script>' }, irrelevance_reason: 'x' }]);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { saved: 1, rejected: [] });
+  const [stored] = (await load('t1,t2')).body.analyses;
+  assert.equal(stored.sirona_fit.alignment_score, 75);
+  assert.equal(stored.sirona_fit.injected, undefined);
+  assert.equal(stored.irrelevance_reason, null);
+});
+
+test('analyses rejects rules verdicts, other profile versions, schema failures and oversized records', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t);
+
+  const response = await save([
+    { ...RECORD, tenderId: 'rules', sirona_fit: { ...ANALYSIS, source: 'rules' } },
+    { ...RECORD, tenderId: 'version', sirona_fit: { ...ANALYSIS, profile_version: '0.deadbeef' } },
+    { ...RECORD, tenderId: 'schema', sirona_fit: { ...ANALYSIS, recommendation: 'Strong Go' } },
+    { ...RECORD, tenderId: 'long', sirona_fit: { ...ANALYSIS, rationale: 'x'.repeat(30000) } },
+    { ...RECORD, tenderId: 'valid' }
+  ]);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.saved, 1);
+  assert.deepEqual(response.body.rejected.map(r => r.tenderId), ['rules', 'version', 'schema', 'long']);
+  assert.match(response.body.rejected[2].error, /recommendation: "Strong Go" doesn't match alignment_score 75/);
+  assert.deepEqual((await load('rules,version,schema,long,valid')).body.analyses.map(a => a.tenderId), ['valid']);
+});
+
+test('analyses needs the profile the analyses were made with', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t);
+
+  const response = await callHandler(handler, { headers: TEAM_HEADERS, body: { analyses: [RECORD] } });
+
+  assert.equal(response.status, 400);
+});
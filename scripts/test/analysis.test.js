@@ -0,0 +1,166 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import { analyseTenders, analysisThreshold, requestCeilingGBP } from '../lib/analysis.js';
+import { ANTHROPIC_MODEL, ANTHROPIC_MAX_TOKENS } from '../../api/_lib/anthropic.js';
+import { buildAnalysisRequest } from '../../src/services/analysisPrompt.js';
+import { isNewerThanPublished } from '../../src/services/tenderFetcher.js';
+import { serveMockAnthropic } from './helpers/serverless.js';
+
+const PROFILE = JSON.parse(fs.readFileSync(new URL('../../config/capability-profile.json', import.meta.url), 'utf8'));
+const RUN_AT = '2026-08-21T12:00:00.000Z';
+const TODAY = new Date(RUN_AT);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+function tender(id, title) {
+  return {
+    id,
+    title,
+    organization: 'Somerset Council',
+    value: 250000,
+    deadline: '2026-09-15T12:00:00Z',
+    detailedDescription: 'Independent advocacy for adults in Somerset.',
+    contentHash: `hash-${id}`
+  };
+}
+
+// History with each tender first seen in this run
+function historyOf(tenders) {
+  return { updated: null, tenders: Object.fromEntries(tenders.map(t => [t.id, { tender: t, first_seen: RUN_AT, last_seen: RUN_AT, last_changed: null, changes: [] }])) };
+}
+
+const later = (days) => new Date(new Date(RUN_AT).getTime() + days * DAY_MS).toISOString();
+const analyse = (history, published, options = {}) =>
+  analyseTenders(history, published, { profile: PROFILE, threshold: 0, today: TODAY, runAt: RUN_AT, ...options });
+
+// Every Messages API request fails with a 400, which isn't retried
+function failRequests(t) {
+  t.mock.method(globalThis, 'fetch', async () => new Response('{"error":"bad request"}', { status: 400 }));
+}
+
+test('analyseTenders defers a tender whose repair retry the budget can\'t cover', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t, { invalid: true });
+  const published = [tender('a', 'Community Advocacy Service'), tender('b', 'Adult Advocacy Service')];
+  const history = historyOf(published);
+  // Enough for the first request, not for the repair after it
+  const firstRequest = { model: ANTHROPIC_MODEL, max_tokens: ANTHROPIC_MAX_TOKENS, ...buildAnalysisRequest(published[0], PROFILE) };
+  const budget = requestCeilingGBP(firstRequest) * 1.01;
+
+  const report = await analyseTenders(history, published, { profile: PROFILE, threshold: 0, budget, today: TODAY, runAt: RUN_AT });
+
+  assert.equal(report.analysed, 0);
+  assert.deepEqual(report.failed, []);
+  assert.equal(report.deferred, 2);
+  assert.ok(report.spentGBP > 0);
+  for (const id of ['a', 'b']) {
+    assert.equal(history.tenders[id].analysisDeferred, RUN_AT);
+    assert.equal(history.tenders[id].analysisFailure, undefined);
+  }
+});
+
+test('analysisThreshold is the lowest band worth a bid, above the rules base score', () => {
+  assert.equal(analysisThreshold(PROFILE), 50);
+  assert.equal(analysisThreshold({ scoringBands: [{ min: 30, recommendation: 'Monitor' }, { min: 0, recommendation: 'No Bid' }] }), 41);
+});
+
+test('analyseTenders analyses new tenders once, and again after they change', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t);
+  const published = [tender('a', 'Community Advocacy Service')];
+  const history = historyOf(published);
+
+  const first = await analyse(history, published);
+  assert.equal(first.analysed, 1);
+  const entry = history.tenders.a;
+  assert.equal(entry.analysis.contentHash, 'hash-a');
+  assert.equal(entry.analysis.sirona_fit.source, 'ai');
+  assert.equal(published[0].ai_analyzed, true);
+
+  // Seen again unchanged: nothing to do
+  const unchanged = await analyse(history, [tender('a', 'Community Advocacy Service')], { runAt: later(1) });
+  assert.equal(unchanged.candidates, 0);
+
+  const changed = await analyse(history, [{ ...tender('a', 'Community Advocacy Service'), contentHash: 'hash-a2' }], { runAt: later(2) });
+  assert.equal(changed.analysed, 1);
+  assert.equal(entry.analysis.contentHash, 'hash-a2');
+});
+
+test('analyseTenders only sends tenders whose pre-score reaches the threshold', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t);
+  const published = [tender('a', 'Community Advocacy Service')];
+
+  const report = await analyse(historyOf(published), published, { threshold: 101 });
+
+  assert.equal(report.candidates, 0);
+  assert.equal(published[0].ai_analyzed, undefined);
+});
+
+test('analyseTenders waits longer after each failure', async (t) => {
+  quiet(t);
+  failRequests(t);
+  const published = () => [tender('a', 'Community Advocacy Service')];
+  const history = historyOf(published());
+
+  await analyse(history, published());
+  const entry = history.tenders.a;
+  assert.equal(entry.analysisFailure.attempts, 1);
+  assert.equal(entry.analysisFailure.retryAfter, later(1));
+
+  // Not due again until its retry time
+  assert.equal((await analyse(history, published(), { runAt: later(0.5) })).candidates, 0);
+
+  const retries = [];
+  for (const days of [1, 3, 7, 14, 21]) {
+    await analyse(history, published(), { runAt: later(days) });
+    retries.push((new Date(entry.analysisFailure.retryAfter) - new Date(later(days))) / DAY_MS);
+  }
+  assert.deepEqual(retries, [2, 4, 7, 7, 7]);
+  assert.equal(entry.analysisFailure.attempts, 6);
+});
+
+test('analyseTenders stops after failures in a row and defers the rest', async (t) => {
+  quiet(t);
+  failRequests(t);
+  const published = ['a', 'b', 'c', 'd'].map(id => tender(id, 'Community Advocacy Service'));
+  const history = historyOf(published);
+
+  const report = await analyse(history, published);
+
+  assert.equal(report.failed.length, 3);
+  assert.equal(report.deferred, 1);
+  assert.equal(report.stoppedAfterFailures, true);
+  assert.equal(history.tenders.d.analysisDeferred, RUN_AT);
+  assert.equal(history.tenders.d.analysisFailure, undefined);
+});
+
+test('analyseTenders takes up tenders the budget deferred in the next run', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t);
+  const published = () => [tender('a', 'Community Advocacy Service')];
+  const history = historyOf(published());
+
+  const deferred = await analyse(history, published(), { budget: 0 });
+  assert.equal(deferred.deferred, 1);
+  assert.equal(deferred.spentGBP, 0);
+  assert.equal(history.tenders.a.analysisDeferred, RUN_AT);
+
+  const next = await analyse(history, published(), { runAt: later(1) });
+  assert.equal(next.analysed, 1);
+  assert.equal(history.tenders.a.analysisDeferred, undefined);
+});
+
+test('the dashboard shows a stored analysis only if it is newer than the published one', () => {
+  const published = { id: 'a', ai_analyzed: true, analyzed_at: RUN_AT };
+
+  assert.equal(isNewerThanPublished({ analyzed_at: later(1) }, published), true);
+  assert.equal(isNewerThanPublished({ analyzed_at: later(-1) }, published), false);
+  // A stored rules verdict or analysis beats the pre-score of a tender published without one
+  assert.equal(isNewerThanPublished({ analyzed_at: later(-1) }, { id: 'a', sirona_fit: { source: 'rules' } }), true);
+});
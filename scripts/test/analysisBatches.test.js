@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import handler from '../../api/analysis-batches.js';
+import collect from '../../api/collect-analysis-batches.js';
+import { kvCommand } from '../../api/_lib/kv.js';
+import { PROCESSING_KEY } from '../../api/_lib/batchJobs.js';
+import { splitServerBatches } from '../../src/services/analysisJobs.js';
+import { serveMockAnthropic, callHandler, TEAM_HEADERS } from './helpers/serverless.js';
+
+const PROFILE = JSON.parse(fs.readFileSync(new URL('../../config/capability-profile.json', import.meta.url), 'utf8'));
+const TENDER = {
+  organization: 'Somerset Council',
+  value: 250000,
+  deadline: '2099-09-15T12:00:00Z',
+  summary: 'Independent advocacy',
+  detailedDescription: 'Independent advocacy for adults in Somerset.'
+};
+const TENDERS = [
+  { ...TENDER, id: 'live-1', title: 'Community Advocacy Service', contentHash: 'hash-1' },
+  { ...TENDER, id: 'live-2', title: 'Adult Community Nursing', contentHash: 'hash-2' },
+  { ...TENDER, id: 'expired', title: 'Closed Advocacy Service', deadline: '2020-01-01T12:00:00Z', contentHash: 'hash-3' },
+  { ...TENDER, id: 'unhashed', title: 'Unhashed Service' }
+];
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+// Mock server serving TENDERS as the published data
+async function serveBatches(t, options = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batches-'));
+  fs.writeFileSync(path.join(dataDir, 'live-tenders.json'), JSON.stringify({ tenders: TENDERS }));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return serveMockAnthropic(t, { batchDelay: 0, ...options, dataDir }, base => ({ TENDER_DATA_URL: `${base}/data`, CRON_SECRET: 'cron-secret' }));
+}
+
+// Paths of the Anthropic requests the functions send
+function recordAnthropicPaths(t, base) {
+  const paths = [];
+  const fetch = globalThis.fetch;
+  t.mock.method(globalThis, 'fetch', (url, options) => {
+    if (String(url).startsWith(`${base}/v1/`)) paths.push(new URL(url).pathname);
+    return fetch(url, options);
+  });
+  return paths;
+}
+
+const createJob = (tenderIds) => callHandler(handler, { headers: TEAM_HEADERS, body: { tenderIds, profile: PROFILE } });
+const pollJob = (id, headers = TEAM_HEADERS) => callHandler(handler, { method: 'GET', headers, query: { id } });
+
+async function storedAnalyses() {
+  const entries = await kvCommand('HGETALL', 'analyses');
+  const records = {};
+  for (let i = 0; i < entries.length; i += 2) records[entries[i]] = JSON.parse(entries[i + 1]);
+  return records;
+}
+
+test('analysis-batches creates a job, and a poll collects it once the batch has ended', async (t) => {
+  quiet(t);
+  await serveBatches(t, { batchDelay: 200 });
+
+  const created = await createJob(['live-1', 'live-2', 'expired', 'unhashed', 'missing']);
+  assert.equal(created.status, 202);
+  assert.equal(created.body.status, 'processing');
+  assert.equal(created.body.total, 5);
+  assert.equal(created.body.pending, 2);
+  assert.deepEqual(created.body.done, ['expired']);
+  assert.deepEqual(created.body.failed.map(f => f.tenderId), ['unhashed', 'missing']);
+  assert.equal(created.body.profile, undefined);
+
+  const early = await pollJob(created.body.id);
+  assert.equal(early.body.status, 'processing');
+
+  await new Promise(resolve => setTimeout(resolve, 250));
+  const collected = await pollJob(created.body.id);
+  assert.equal(collected.status, 200);
+  assert.equal(collected.body.status, 'ended');
+  assert.equal(collected.body.pending, 0);
+  assert.deepEqual(collected.body.done.sort(), ['expired', 'live-1', 'live-2']);
+
+  const analyses = await storedAnalyses();
+  assert.equal(analyses['live-1'].contentHash, 'hash-1');
+  assert.equal(analyses['live-1'].sirona_fit.source, 'ai');
+  assert.equal(analyses['expired'].sirona_fit.recommendation, 'No Bid');
+  assert.deepEqual(await kvCommand('HGETALL', PROCESSING_KEY), []);
+});
+
+test('analysis-batches needs the team token to create or poll a job', async (t) => {
+  quiet(t);
+  await serveBatches(t);
+  const created = await createJob(['live-1']);
+
+  const anonymousCreate = await callHandler(handler, { headers: { origin: 'https://dashboard.example' }, body: { tenderIds: ['live-1'], profile: PROFILE } });
+  const anonymousPoll = await pollJob(created.body.id, { origin: 'https://dashboard.example' });
+
+  assert.equal(anonymousCreate.status, 401);
+  assert.equal(anonymousPoll.status, 401);
+  assert.equal(anonymousPoll.body.status, undefined);
+});
+
+test('analysis-batches leaves a job another collector has claimed', async (t) => {
+  quiet(t);
+  const base = await serveBatches(t);
+  const created = await createJob(['live-1']);
+  const claimKey = `analysis-batches:collecting:${created.body.id}`;
+  const paths = recordAnthropicPaths(t, base);
+
+  await kvCommand('SET', claimKey, 'held', 'NX', 'EX', 60);
+  const claimed = await pollJob(created.body.id);
+  assert.equal(claimed.body.status, 'processing');
+  assert.ok(!paths.some(p => p.endsWith('/results')));
+
+  await kvCommand('DEL', claimKey);
+  const collected = await pollJob(created.body.id);
+  assert.equal(collected.body.status, 'ended');
+});
+
+test('analysis-batches collects a job once however many polls arrive together', async (t) => {
+  quiet(t);
+  const base = await serveBatches(t);
+  const created = await createJob(['live-1', 'live-2']);
+  const paths = recordAnthropicPaths(t, base);
+
+  const polls = await Promise.all([1, 2, 3].map(() => pollJob(created.body.id)));
+
+  assert.equal(paths.filter(p => p.endsWith('/results')).length, 1);
+  const ended = polls.filter(poll => poll.body.status === 'ended');
+  assert.ok(ended.length >= 1);
+  for (const poll of ended) assert.equal(poll.body.done.length, 2);
+});
+
+test('analysis-batches reports results that fail the schema instead of storing them', async (t) => {
+  quiet(t);
+  await serveBatches(t, { invalid: true });
+  const created = await createJob(['live-1']);
+
+  const collected = await pollJob(created.body.id);
+
+  assert.equal(collected.body.status, 'ended');
+  assert.deepEqual(collected.body.done, []);
+  const [failure] = collected.body.failed;
+  assert.equal(failure.tenderId, 'live-1');
+  assert.match(failure.error, /alignment_score: must be at most 100/);
+  assert.equal((await storedAnalyses())['live-1'], undefined);
+});
+
+test('oversized analyses are split into jobs the endpoint takes', async (t) => {
+  quiet(t);
+  await serveBatches(t);
+  const ids = Array.from({ length: 1201 }, (_, i) => `tender-${i}`);
+
+  const batches = splitServerBatches(ids, 500);
+  assert.deepEqual(batches.map(batch => batch.length), [500, 500, 201]);
+  assert.deepEqual(batches.flat(), ids);
+
+  const tooMany = await createJob(ids.slice(0, 501));
+  assert.equal(tooMany.status, 400);
+  const largest = await createJob(batches[0]);
+  assert.equal(largest.status, 202);
+  assert.equal(largest.body.total, 500);
+});
+
+test('collect-analysis-batches collects processing jobs and drops expired ones from the index', async (t) => {
+  quiet(t);
+  await serveBatches(t);
+  const created = await createJob(['live-1']);
+  await kvCommand('HSET', PROCESSING_KEY, 'batch-gone', '2020-01-01T00:00:00.000Z');
+
+  const refused = await callHandler(collect, { method: 'GET' });
+  assert.equal(refused.status, 401);
+
+  const report = await callHandler(collect, { method: 'GET', headers: { authorization: 'Bearer cron-secret' } });
+  assert.equal(report.status, 200);
+  assert.deepEqual(report.body, { checked: 1, collected: 1, remaining: 0, errors: [] });
+  assert.deepEqual(await kvCommand('HGETALL', PROCESSING_KEY), []);
+  assert.equal((await pollJob(created.body.id)).body.status, 'ended');
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import {
+  createAnalysisJob, resumeAnalysisJob, recordJobResult, clearAnalysisJob, getInterruptedJob,
+  saveServerBatchJobs, getServerBatchJobs
+} from '../../src/services/analysisJobs.js';
+import { useLocalStorage } from './helpers/localStorage.js';
+
+const TENDERS = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+test('a job saves its progress as each tender finishes', (t) => {
+  useLocalStorage(t);
+
+  let job = createAnalysisJob(TENDERS);
+  assert.deepEqual([job.total, job.done, job.failed, job.pending], [3, [], [], ['a', 'b', 'c']]);
+
+  job = recordJobResult(job, { id: 'a', ai_analyzed: true });
+  job = recordJobResult(job, { id: 'b', irrelevance_reason: 'Deadline passed' });
+  job = recordJobResult(job, { id: 'c', ai_analyzed: false, analysis_error: 'API error 500' });
+
+  assert.deepEqual([job.done, job.failed, job.pending], [['a', 'b'], ['c'], []]);
+  assert.deepEqual(getInterruptedJob(), job);
+});
+
+test('an interrupted job resumes with only the tenders it still needs', (t) => {
+  useLocalStorage(t);
+  let job = createAnalysisJob(TENDERS);
+  job = recordJobResult(job, { id: 'a', ai_analyzed: true });
+  job = recordJobResult(job, { id: 'b', analysis_error: 'timeout' });
+
+  // A reload: b failed and c never ran
+  const interrupted = getInterruptedJob();
+  assert.equal(interrupted.id, job.id);
+  const resumed = resumeAnalysisJob(interrupted, [{ id: 'b' }, { id: 'c' }]);
+
+  assert.equal(resumed.id, job.id);
+  assert.deepEqual([resumed.total, resumed.done, resumed.failed, resumed.pending], [3, ['a'], [], ['b', 'c']]);
+});
+
+test('a finished or cleared job is not offered again', (t) => {
+  useLocalStorage(t);
+
+  recordJobResult(createAnalysisJob([{ id: 'a' }]), { id: 'a', ai_analyzed: true });
+  assert.equal(getInterruptedJob(), null);
+
+  createAnalysisJob(TENDERS);
+  clearAnalysisJob();
+  assert.equal(getInterruptedJob(), null);
+});
+
+test('server batch jobs are kept across reloads', (t) => {
+  const items = useLocalStorage(t);
+  assert.deepEqual(getServerBatchJobs(), []);
+
+  saveServerBatchJobs([{ id: 'batch-1', status: 'processing' }]);
+  assert.deepEqual(getServerBatchJobs(), [{ id: 'batch-1', status: 'processing' }]);
+
+  items.set('serverAnalysisJobs', '{"not":"a list"}');
+  assert.deepEqual(getServerBatchJobs(), []);
+});
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import { analysisTool, validateAnalysis, readAnalysis, buildRepairMessage, ANALYSIS_TOOL_NAME } from '../../src/services/analysisSchema.js';
+
+const PROFILE = JSON.parse(fs.readFileSync(new URL('../../config/capability-profile.json', import.meta.url), 'utf8'));
+
+const ANALYSIS = {
+  alignment_score: 75,
+  rationale: 'Good fit.',
+  win_themes: ['Local teams'],
+  competitors: [],
+  weak_spots: ['Capacity'],
+  recommendation: 'Conditional Go'
+};
+
+test('a profile without service categories leaves categories free text', () => {
+  const profile = { ...PROFILE, serviceLines: PROFILE.serviceLines.map(({ category, ...line }) => line) };
+
+  assert.deepEqual(analysisTool(profile).input_schema.properties.categories.items, { type: 'string' });
+  const { analysis, errors } = validateAnalysis({ ...ANALYSIS, categories: ['Advocacy'] }, profile);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(analysis.categories, ['Advocacy']);
+});
+
+test('a profile with service categories only accepts those', () => {
+  const categories = analysisTool(PROFILE).input_schema.properties.categories.items.enum;
+  assert.ok(categories.length > 0);
+
+  const { errors } = validateAnalysis({ ...ANALYSIS, categories: ['Not a category'] }, PROFILE);
+  assert.deepEqual(errors.map(e => e.path), ['categories[0]']);
+});
+
+test('validateAnalysis coerces near misses', () => {
+  const { analysis, errors } = validateAnalysis({
+    ...ANALYSIS,
+    alignment_score: '74.6%',
+    recommendation: 'conditional go',
+    win_themes: 'Local teams',
+    weak_spots: ['Capacity', '  '],
+    categories: ['community health']
+  }, PROFILE);
+
+  assert.deepEqual(errors, []);
+  assert.equal(analysis.alignment_score, 75);
+  assert.equal(analysis.recommendation, 'Conditional Go');
+  assert.deepEqual(analysis.win_themes, ['Local teams']);
+  assert.deepEqual(analysis.weak_spots, ['Capacity']);
+  assert.deepEqual(analysis.categories, ['Community Health']);
+});
+
+test('validateAnalysis reports each failing field by path', () => {
+  const { analysis, errors } = validateAnalysis({ ...ANALYSIS, alignment_score: 120, rationale: '', win_themes: [], competitors: undefined }, PROFILE);
+
+  assert.equal(analysis, null);
+  assert.deepEqual(errors.map(e => e.path), ['alignment_score', 'rationale', 'win_themes', 'competitors']);
+  assert.deepEqual(validateAnalysis('not an object', PROFILE).errors, [{ path: '', message: 'must be an object' }]);
+});
+
+test('validateAnalysis checks the recommendation against the profile\'s band', () => {
+  const { errors } = validateAnalysis({ ...ANALYSIS, alignment_score: 95 }, PROFILE);
+
+  assert.deepEqual(errors, [{ path: 'recommendation', message: '"Conditional Go" doesn\'t match alignment_score 95, which is in the Strong Go band' }]);
+});
+
+test('readAnalysis takes the tool call, or failing that JSON text', (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  assert.deepEqual(readAnalysis([{ type: 'text', text: 'Here it is' }, { type: 'tool_use', name: ANALYSIS_TOOL_NAME, input: ANALYSIS }]), ANALYSIS);
+  assert.deepEqual(readAnalysis([{ type: 'text', text: `\`\`\`json\n${JSON.stringify(ANALYSIS)}\n\`\`\`` }]), ANALYSIS);
+  assert.equal(readAnalysis([{ type: 'text', text: 'No analysis' }]), undefined);
+});
+
+test('buildRepairMessage returns the errors as the tool call\'s result', () => {
+  const content = [{ type: 'tool_use', id: 'toolu_1', name: ANALYSIS_TOOL_NAME, input: { ...ANALYSIS, alignment_score: 120 } }];
+  const { errors } = validateAnalysis(content[0].input, PROFILE);
+
+  const message = buildRepairMessage(content, errors);
+
+  assert.equal(message.role, 'user');
+  const [result] = message.content;
+  assert.equal(result.type, 'tool_result');
+  assert.equal(result.tool_use_id, 'toolu_1');
+  assert.equal(result.is_error, true);
+  assert.equal(result.content, `The analysis doesn't match the schema:\n- alignment_score: must be at most 100 (got 120)\n\nCall ${ANALYSIS_TOOL_NAME} again with the corrected analysis.`);
+
+  // A reply without a tool call gets the same text as a plain turn
+  assert.equal(buildRepairMessage([{ type: 'text', text: '{}' }], errors).content, result.content);
+});
@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import handler from '../../api/analyze-tender.js';
+import { readAnalysis, validateAnalysis } from '../../src/services/analysisSchema.js';
+import { serveMockAnthropic, callHandler, TEAM_HEADERS } from './helpers/serverless.js';
+
+const PROFILE = JSON.parse(fs.readFileSync(new URL('../../config/capability-profile.json', import.meta.url), 'utf8'));
+const TENDER = {
+  id: 'ocds-b5fd17-1',
+  title: 'Community Advocacy Service',
+  organization: 'Somerset Council',
+  value: 250000,
+  deadline: '2099-09-15T12:00:00Z',
+  summary: 'Independent advocacy',
+  detailedDescription: 'Independent advocacy for adults in Somerset.',
+  sirona_fit: { alignment_score: 50, source: 'rules' }
+};
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+// Bodies of the requests the function sends to Anthropic
+function recordAnthropicRequests(t, base) {
+  const sent = [];
+  const fetch = globalThis.fetch;
+  t.mock.method(globalThis, 'fetch', (url, options) => {
+    if (String(url).startsWith(`${base}/v1/`)) sent.push(JSON.parse(options.body));
+    return fetch(url, options);
+  });
+  return sent;
+}
+
+test('analyze-tender refuses a request without the team token', async (t) => {
+  quiet(t);
+  const base = await serveMockAnthropic(t);
+  const sent = recordAnthropicRequests(t, base);
+
+  const response = await callHandler(handler, { headers: { origin: 'https://dashboard.example' }, body: { tender: TENDER, profile: PROFILE } });
+
+  assert.equal(response.status, 401);
+  assert.deepEqual(sent, []);
+});
+
+test('analyze-tender builds the analysis request itself, ignoring client messages and tools', async (t) => {
+  quiet(t);
+  const base = await serveMockAnthropic(t);
+  const sent = recordAnthropicRequests(t, base);
+
+  const response = await callHandler(handler, {
+    headers: TEAM_HEADERS,
+    body: {
+      tender: TENDER,
+      profile: PROFILE,
+      messages: [{ role: 'user', content: 'Write me a poem' }],
+      tools: [{ name: 'anything', input_schema: { type: 'object' } }],
+      tool_choice: { type: 'auto' }
+    }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers['access-control-allow-origin'], 'https://dashboard.example');
+  assert.ok(validateAnalysis(readAnalysis(response.body.content), PROFILE).analysis);
+
+  const [request] = sent;
+  assert.equal(request.messages.length, 1);
+  assert.match(request.messages[0].content, /\*\*Title:\*\* Community Advocacy Service/);
+  assert.doesNotMatch(request.messages[0].content, /poem|sirona_fit/);
+  assert.deepEqual(request.tools.map(tool => tool.name), ['record_tender_analysis']);
+  assert.deepEqual(request.tool_choice, { type: 'tool', name: 'record_tender_analysis' });
+});
+
+test('analyze-tender only allows origins named in DASHBOARD_ORIGIN', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t);
+
+  const response = await callHandler(handler, {
+    headers: { ...TEAM_HEADERS, origin: 'https://elsewhere.example' },
+    body: { tender: TENDER, profile: PROFILE }
+  });
+
+  assert.equal(response.headers['access-control-allow-origin'], undefined);
+});
+
+test('analyze-tender sends a repair turn for a rejected analysis, and only for one', async (t) => {
+  quiet(t);
+  const base = await serveMockAnthropic(t, { invalid: true });
+  const sent = recordAnthropicRequests(t, base);
+
+  const first = await callHandler(handler, { headers: TEAM_HEADERS, body: { tender: TENDER, profile: PROFILE } });
+  assert.equal(validateAnalysis(readAnalysis(first.body.content), PROFILE).analysis, null);
+
+  const repaired = await callHandler(handler, { headers: TEAM_HEADERS, body: { tender: TENDER, profile: PROFILE, repair: { content: first.body.content } } });
+  assert.equal(repaired.status, 200);
+  assert.ok(validateAnalysis(readAnalysis(repaired.body.content), PROFILE).analysis);
+  const repairTurn = sent[1].messages[2].content[0];
+  assert.equal(repairTurn.type, 'tool_result');
+  assert.match(repairTurn.content, /alignment_score: must be at most 100 \(got 120\)/);
+
+  const valid = await callHandler(handler, { headers: TEAM_HEADERS, body: { tender: TENDER, profile: PROFILE, repair: { content: repaired.body.content } } });
+  assert.equal(valid.status, 400);
+  assert.equal(sent.length, 2);
+});
+
+test('analyze-tender rejects a tender too large for the prompt', async (t) => {
+  quiet(t);
+  await serveMockAnthropic(t);
+
+  const response = await callHandler(handler, {
+    headers: TEAM_HEADERS,
+    body: { tender: { ...TENDER, detailedDescription: 'x'.repeat(70000) }, profile: PROFILE }
+  });
+
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { awardsFromRelease, mergeAwards, pruneAwards, linkAwardsToTenders, publishableAwards } from '../lib/awards.js';
+
+const NOTICE = {
+  id: 'ocds-b5fd17-1',
+  ocid: 'ocds-b5fd17-1',
+  releaseId: 'r1',
+  noticeId: 'n1',
+  title: 'Community Advocacy - AWARD',
+  organization: 'Somerset Council',
+  value: 250000,
+  source: 'Contracts Finder'
+};
+
+test('awardsFromRelease gives one record per award, with its contract', () => {
+  const release = {
+    date: '2026-08-01T00:00:00Z',
+    awards: [
+      { id: 'a1', status: 'active', value: { amount: 120000 }, suppliers: [{ name: ' Advocacy Trust ' }] },
+      { id: 'a2', date: '2026-08-03T00:00:00Z', suppliers: [{ name: 'Voice CIC' }, { id: 'x' }] }
+    ],
+    contracts: [{ awardID: 'a2', value: { amount: 80000 }, period: { startDate: '2026-09-01', endDate: '2029-08-31' } }]
+  };
+
+  const awards = awardsFromRelease(release, NOTICE);
+
+  assert.deepEqual(awards.map(a => a.id), ['ocds-b5fd17-1/a1', 'ocds-b5fd17-1/a2']);
+  assert.equal(awards[0].title, 'Community Advocacy');
+  assert.equal(awards[0].value, 120000);
+  assert.equal(awards[0].date, '2026-08-01T00:00:00Z');
+  assert.deepEqual(awards[0].suppliers, [{ id: null, name: 'Advocacy Trust' }]);
+  assert.equal(awards[1].value, 80000);
+  assert.deepEqual(awards[1].suppliers.map(s => s.name), ['Voice CIC']);
+  assert.equal(awards[1].contractPeriod.endDate.slice(0, 10), '2029-08-31');
+});
+
+test('awardsFromRelease records a notice without award details', () => {
+  const [award] = awardsFromRelease({ date: '2026-08-01T00:00:00Z' }, NOTICE);
+
+  assert.equal(award.id, 'ocds-b5fd17-1/1');
+  assert.deepEqual(award.suppliers, []);
+  assert.equal(award.value, 250000);
+});
+
+test('mergeAwards updates re-published awards in place', () => {
+  const store = { updated: null, awards: {} };
+  const award = { id: 'o/1', value: 100 };
+
+  assert.deepEqual(mergeAwards(store, [award], '2026-08-01T00:00:00Z'), { added: 1, updated: 0 });
+  assert.deepEqual(mergeAwards(store, [{ ...award, value: 200 }], '2026-08-02T00:00:00Z'), { added: 0, updated: 1 });
+  assert.deepEqual(store.awards['o/1'], { award: { id: 'o/1', value: 200 }, first_seen: '2026-08-01T00:00:00Z', last_seen: '2026-08-02T00:00:00Z' });
+});
+
+test('pruneAwards keeps running contracts and recent awards', () => {
+  const now = new Date('2026-08-21T00:00:00Z');
+  const entry = (award) => ({ award, first_seen: '2020-01-01T00:00:00Z', last_seen: '2020-01-01T00:00:00Z' });
+  const store = {
+    awards: {
+      running: entry({ date: '2020-01-01', contractPeriod: { endDate: '2027-01-01' } }),
+      recent: entry({ date: '2026-01-01', contractPeriod: { endDate: '2026-06-01' } }),
+      old: entry({ date: '2021-01-01', contractPeriod: { endDate: '2023-01-01' } }),
+      undated: entry({ date: null })
+    }
+  };
+
+  assert.equal(pruneAwards(store, now), 2);
+  assert.deepEqual(Object.keys(store.awards), ['running', 'recent']);
+});
+
+test('linkAwardsToTenders finds a merged tender by any source\'s ocid', () => {
+  const awards = [{ id: 'cf/1', ocid: 'ocds-cf' }, { id: 'x/1', ocid: 'ocds-unknown' }];
+  const tenders = [{ id: 'ocds-fat', ocid: 'ocds-fat', sources: [{ id: 'ocds-fat' }, { id: 'ocds-cf' }] }];
+
+  const byTender = linkAwardsToTenders(awards, tenders);
+
+  assert.deepEqual([...byTender.keys()], ['ocds-fat']);
+  assert.equal(awards[0].tenderId, 'ocds-fat');
+  assert.equal(awards[1].tenderId, null);
+});
+
+test('publishableAwards lists the most recent first', () => {
+  const store = { awards: {
+    a: { award: { id: 'a', date: '2026-01-01' }, first_seen: '2026-01-02', last_seen: '2026-01-02' },
+    b: { award: { id: 'b', date: null }, first_seen: '2026-03-01', last_seen: '2026-03-01' },
+    c: { award: { id: 'c', date: '2026-02-01' }, first_seen: '2026-02-02', last_seen: '2026-02-02' }
+  } };
+
+  assert.deepEqual(publishableAwards(store).map(a => a.id), ['b', 'c', 'a']);
+});
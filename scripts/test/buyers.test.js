@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+import { applyBuyerConfig, buildBuyerDirectory, inferBuyerType, loadBuyerConfig, registerBuyers } from '../lib/buyers.js';
+
+const CONFIG = loadBuyerConfig(fileURLToPath(new URL('../../config/buyers.json', import.meta.url)));
+const RUN_AT = '2026-08-21T06:00:00.000Z';
+
+test('inferBuyerType reads the organisation type from the name', () => {
+  assert.equal(inferBuyerType('NHS Somerset Integrated Care Board'), 'icb');
+  assert.equal(inferBuyerType('North Bristol NHS Trust'), 'nhs-trust');
+  assert.equal(inferBuyerType('Somerset Council'), 'local-authority');
+  assert.equal(inferBuyerType('Voice CIC'), 'other');
+});
+
+test('registerBuyers resolves every spelling of a buyer to one id', () => {
+  const registry = { updated: null, buyers: {} };
+  applyBuyerConfig(registry, CONFIG);
+  const records = [
+    { organization: 'BNSSG ICB' },
+    { organization: 'NHS Bristol, North Somerset and South Gloucestershire Integrated Care Board' },
+    { organization: 'Mendip Carers Trust' },
+    { organization: 'MENDIP CARERS TRUST' },
+    { organization: 'Unknown' }
+  ];
+
+  const { added } = registerBuyers(registry, records, RUN_AT);
+
+  assert.deepEqual(records.map(r => r.buyerId), ['bnssg-icb', 'bnssg-icb', 'mendip-carers-trust', 'mendip-carers-trust', null]);
+  assert.equal(added, 1);
+  assert.equal(registry.buyers['mendip-carers-trust'].name, 'Mendip Carers Trust');
+  assert.equal(registry.buyers['mendip-carers-trust'].type, 'other');
+  assert.deepEqual(registry.buyers['mendip-carers-trust'].aliases, ['MENDIP CARERS TRUST']);
+  assert.equal(registry.buyers['bnssg-icb'].name, 'NHS Bristol, North Somerset and South Gloucestershire ICB');
+});
+
+test('applyBuyerConfig folds buyers first seen under a configured alias', () => {
+  const registry = { updated: null, buyers: {} };
+  const earlier = { organization: 'NHS Somerset CCG' };
+  registerBuyers(registry, [earlier], '2026-01-01T00:00:00.000Z');
+  assert.equal(earlier.buyerId, 'somerset-ccg');
+
+  const folded = applyBuyerConfig(registry, CONFIG);
+  const records = [{ organization: 'Somerset Clinical Commissioning Group' }];
+  registerBuyers(registry, records, RUN_AT);
+
+  assert.equal(folded, 1);
+  assert.equal(registry.buyers['somerset-ccg'], undefined);
+  assert.equal(records[0].buyerId, 'somerset-icb');
+  assert.equal(registry.buyers['somerset-icb'].first_seen, '2026-01-01T00:00:00.000Z');
+  assert.equal(registry.buyers['somerset-icb'].type, 'icb');
+});
+
+test('buildBuyerDirectory lists each buyer\'s tenders and awards', () => {
+  const registry = { updated: null, buyers: {} };
+  const tenders = [
+    { id: 't1', organization: 'Somerset Council', title: 'Advocacy', deadline: '2026-09-01' },
+    { id: 't2', organization: 'Somerset Council', title: 'Carers', deadline: '2026-10-01' }
+  ];
+  const awards = [{ id: 'a1', organization: 'Somerset Council', title: 'Advocacy', suppliers: [{ name: 'Voice CIC' }], date: '2026-01-01' }];
+  registerBuyers(registry, [...tenders, ...awards], RUN_AT);
+
+  const directory = buildBuyerDirectory(registry, tenders, awards, RUN_AT);
+
+  assert.equal(directory.count, 1);
+  const [buyer] = directory.buyers;
+  assert.deepEqual(buyer.tenders.map(t => t.id), ['t2', 't1']);
+  assert.deepEqual(buyer.awards[0].suppliers, ['Voice CIC']);
+  assert.equal(buyer.first_seen, undefined);
+});
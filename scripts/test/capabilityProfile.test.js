@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import DEFAULT_PROFILE from '../../config/capability-profile.json' with { type: 'json' };
+import { getCapabilityProfile, profileVersion, saveCapabilityProfile, resetCapabilityProfile } from '../../src/services/capabilityProfile.js';
+import { useLocalStorage } from './helpers/localStorage.js';
+
+function quiet(t) {
+  t.mock.method(console, 'warn', () => {});
+}
+
+const edited = (profile = DEFAULT_PROFILE) => ({ ...profile, organisation: { ...profile.organisation, name: 'Sirona (edited)' } });
+
+test('profileVersion names the default by its version and edits by their revision', () => {
+  assert.equal(profileVersion(DEFAULT_PROFILE), String(DEFAULT_PROFILE.version));
+  assert.equal(profileVersion({ version: 1, revision: '3f9a2c1b' }), '1.3f9a2c1b');
+});
+
+test('saveCapabilityProfile versions edits by their content', (t) => {
+  useLocalStorage(t);
+
+  const saved = saveCapabilityProfile(edited());
+  assert.equal(saved.version, DEFAULT_PROFILE.version);
+  assert.match(saved.revision, /^[0-9a-f]{8}$/);
+  assert.deepEqual(getCapabilityProfile(), saved);
+
+  // The same edits, with keys and bands in another order, are the same revision
+  const { scoringBands, ...rest } = edited();
+  const reordered = saveCapabilityProfile({ scoringBands: [...scoringBands].reverse(), ...Object.fromEntries(Object.entries(rest).reverse()) });
+  assert.equal(reordered.revision, saved.revision);
+
+  const other = saveCapabilityProfile({ ...edited(), exclusions: [] });
+  assert.notEqual(other.revision, saved.revision);
+});
+
+test('saveCapabilityProfile treats edits matching the default as the default', (t) => {
+  const items = useLocalStorage(t);
+  saveCapabilityProfile(edited());
+
+  const saved = saveCapabilityProfile({ ...DEFAULT_PROFILE, updated: '2030-01-01' });
+
+  assert.equal(saved, DEFAULT_PROFILE);
+  assert.equal(items.size, 0);
+});
+
+test('getCapabilityProfile drops edits made against an older default', (t) => {
+  const items = useLocalStorage(t);
+  items.set('capabilityProfile', JSON.stringify({ ...edited(), version: DEFAULT_PROFILE.version - 1, revision: 'abcdef12' }));
+
+  assert.equal(getCapabilityProfile(), DEFAULT_PROFILE);
+});
+
+test('the profile still applies for the session when storage fails', (t) => {
+  quiet(t);
+  useLocalStorage(t);
+  globalThis.localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+
+  const saved = saveCapabilityProfile(edited());
+
+  assert.ok(saved.revision);
+  assert.equal(saved.organisation.name, 'Sirona (edited)');
+  assert.equal(resetCapabilityProfile(), DEFAULT_PROFILE);
+});
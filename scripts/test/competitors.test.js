@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+import { applyCompetitorConfig, buildCompetitorDirectory, loadCompetitorConfig, normaliseCompetitor, registerCompetitors } from '../lib/competitors.js';
+
+const CONFIG = loadCompetitorConfig(fileURLToPath(new URL('../../config/competitors.json', import.meta.url)));
+const RUN_AT = '2026-08-21T06:00:00.000Z';
+
+function configuredRegistry() {
+  const registry = { updated: null, competitors: {} };
+  applyCompetitorConfig(registry, CONFIG);
+  return registry;
+}
+
+const award = (id, suppliers, overrides = {}) => ({ id, organization: 'Somerset Council', title: 'Advocacy', value: 100000, date: '2026-01-01', suppliers, ...overrides });
+
+test('normaliseCompetitor drops the suffixes suppliers carry', () => {
+  assert.equal(normaliseCompetitor('Voice Community Interest Company'), normaliseCompetitor('Voice CIC'));
+  assert.equal(normaliseCompetitor('Voice C.I.C.'), normaliseCompetitor('voice'));
+});
+
+test('registerCompetitors resolves award suppliers and predictions to one entry each', () => {
+  const registry = configuredRegistry();
+  const tenders = [
+    { id: 't1', ai_analyzed: true, sirona_fit: { competitors: ['Virgin Care', 'Local NHS Trusts', 'Sirona Care & Health CIC', 'Voice CIC'] } },
+    { id: 't2', ai_analyzed: false, sirona_fit: { competitors: ['Rules Guess Ltd'] } }
+  ];
+
+  const { awards, added, predictions } = registerCompetitors(registry, CONFIG, {
+    awards: [award('a1', [{ id: 'GB-COH-1', name: 'Voice Community Interest Company' }, { name: 'HCRG Care Services Ltd' }])],
+    tenders
+  }, RUN_AT);
+
+  assert.deepEqual(awards[0].suppliers.map(s => s.competitorId), ['voice', 'hcrg-care-group']);
+  assert.equal(added, 1);
+  assert.equal(predictions, 2);
+  assert.deepEqual(Object.keys(registry.competitors['hcrg-care-group'].predictions), ['t1']);
+  assert.deepEqual(Object.keys(registry.competitors.voice.predictions), ['t1']);
+  assert.ok(!Object.values(registry.competitors).some(c => /sirona|local|rules/i.test(c.name)));
+});
+
+test('registerCompetitors matches a supplier id before its name', () => {
+  const registry = configuredRegistry();
+  registerCompetitors(registry, CONFIG, { awards: [award('a1', [{ id: 'GB-COH-1', name: 'Voice CIC' }])], tenders: [] }, RUN_AT);
+
+  const { awards } = registerCompetitors(registry, CONFIG, { awards: [award('a2', [{ id: 'GB-COH-1', name: 'Somerset Advocacy Voice' }])], tenders: [] }, RUN_AT);
+
+  assert.equal(awards[0].suppliers[0].competitorId, 'voice');
+  assert.ok(registry.competitors.voice.aliases.includes('Somerset Advocacy Voice'));
+});
+
+test('buildCompetitorDirectory lists competitors with contracts won or predictions', () => {
+  const registry = configuredRegistry();
+  const { awards } = registerCompetitors(registry, CONFIG, {
+    awards: [
+      award('a1', [{ name: 'Voice CIC' }], { buyerId: 'somerset-council', value: 100000 }),
+      award('a2', [{ name: 'Voice CIC' }], { buyerId: 'somerset-council', value: 50000, date: '2026-03-01' })
+    ],
+    tenders: [{ id: 't1', ai_analyzed: true, sirona_fit: { competitors: ['BrisDoc'] } }]
+  }, RUN_AT);
+
+  const directory = buildCompetitorDirectory(registry, awards, RUN_AT, CONFIG, { 'somerset-council': { name: 'Somerset Council' } });
+
+  assert.deepEqual(directory.competitors.map(c => [c.id, c.contractsWon, c.predicted]), [['voice', 2, 0], ['brisdoc', 0, 1]]);
+  const [voice] = directory.competitors;
+  assert.equal(voice.valueWon, 150000);
+  assert.deepEqual(voice.awards.map(a => a.id), ['a2', 'a1']);
+  assert.deepEqual(voice.buyers, [{ buyerId: 'somerset-council', name: 'Somerset Council', contracts: 2 }]);
+  assert.deepEqual(directory.ignore.names, [...CONFIG.self, ...CONFIG.placeholders]);
+});
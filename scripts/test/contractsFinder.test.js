@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseCSV, rowToTender, contractsFinderURL } from '../lib/contractsFinder.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/contracts-finder/', import.meta.url));
+
+function readFixture(day) {
+  return fs.readFileSync(`${FIXTURES}Contracts Finder OCDS ${day}.csv`, 'utf8');
+}
+
+test('parseCSV maps the saved tender dump to tenders', async () => {
+  const { tenders, awards, stats } = await parseCSV(readFixture('2026-08-21'), 'fixture');
+
+  assert.deepEqual(stats, { file: 'fixture', rows: 4, accepted: 4, awards: 0, rejected: 0, reasons: {} });
+  assert.equal(awards.length, 0);
+  assert.deepEqual(tenders.map(t => t.title), [
+    'Community Nursing Services',
+    'Adult Social Care Advocacy',
+    'School Catering Services',
+    "Children's Community Health Services, 0-19"
+  ]);
+
+  const nursing = tenders[0];
+  assert.equal(nursing.id, 'ocds-b5fd17-0b5a1c2e-1f3d-4c6a-9e1b-2a7d3c4b5e6f');
+  assert.equal(nursing.noticeId, '0b5a1c2e-1f3d-4c6a-9e1b-2a7d3c4b5e6f');
+  assert.equal(nursing.url, 'https://www.contractsfinder.service.gov.uk/notice/0b5a1c2e-1f3d-4c6a-9e1b-2a7d3c4b5e6f');
+  assert.equal(nursing.organization, 'NHS Bristol North Somerset and South Gloucestershire ICB');
+  assert.equal(nursing.value, 2500000);
+  assert.equal(nursing.deadline, '2026-10-01T12:00:00Z');
+  assert.equal(nursing.stage, 'tender');
+  assert.equal(nursing.source, 'Contracts Finder');
+  assert.equal(nursing.sirona_fit, null);
+});
+
+test('parseCSV keeps quoted commas and escaped quotes in fields', async () => {
+  const { tenders } = await parseCSV(readFixture('2026-08-21'));
+  const children = tenders.find(t => t.id === 'ocds-b5fd17-9a8b7c6d-5e4f-4a3b-2c1d-0e9f8a7b6c5d');
+
+  assert.equal(children.title, "Children's Community Health Services, 0-19");
+  assert.match(children.detailedDescription, /the "Healthy Child" 0-19/);
+  assert.equal(children.summary, children.detailedDescription.substring(0, 200));
+});
+
+test('parseCSV routes award rows to awards', async () => {
+  const { tenders, awards, stats } = await parseCSV(readFixture('2026-08-20'));
+
+  assert.equal(tenders.length, 0);
+  assert.equal(stats.awards, 2);
+  assert.ok(awards.length >= 2);
+  assert.ok(awards.every(award => award.suppliers));
+});
+
+test('parseCSV rejects rows without a title and counts the reason', async () => {
+  const csv = 'releases/0/ocid,releases/0/tag,releases/0/tender/title,releases/0/tender/value/amount\n' +
+    'ocds-b5fd17-x,tender,,100\n';
+  const { tenders, stats } = await parseCSV(csv);
+
+  assert.equal(tenders.length, 0);
+  assert.deepEqual(stats.reasons, { 'missing title': 1 });
+});
+
+test('rowToTender reads unprefixed columns and normalises CRLF in descriptions', () => {
+  const tender = rowToTender({
+    ocid: 'ocds-b5fd17-1d2e3f4a-5b6c-4d7e-8f9a-0b1c2d3e4f5a',
+    'tender/title': 'Catering',
+    'buyer/name': 'Bristol City Council',
+    'tender/description': 'Line one\r\nLine two',
+    'tender/value/amount': '1500.50',
+    'tender/tenderPeriod/endDate': '2026-09-30T12:00:00Z'
+  });
+
+  assert.equal(tender.id, 'ocds-b5fd17-1d2e3f4a-5b6c-4d7e-8f9a-0b1c2d3e4f5a');
+  assert.equal(tender.value, 1500.5);
+  assert.equal(tender.detailedDescription, 'Line one\nLine two');
+  assert.equal(tender.noticeId, '1d2e3f4a-5b6c-4d7e-8f9a-0b1c2d3e4f5a');
+});
+
+test('rowToTender falls back to a stable id without an ocid', () => {
+  const row = { 'tender/title': 'Catering', 'buyer/name': 'Bristol City Council', 'tender/tenderPeriod/endDate': '2026-09-30' };
+  assert.equal(rowToTender(row).id, rowToTender({ ...row }).id);
+  assert.match(rowToTender(row).id, /^cf-/);
+});
+
+test('contractsFinderURL names the daily dump by month and day', () => {
+  assert.equal(
+    contractsFinderURL(new Date(2026, 7, 21), 'http://localhost/Harvester-new'),
+    'http://localhost/Harvester-new/2026-08/Contracts%20Finder%20OCDS%202026-08-21.csv'
+  );
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { createCSVParser, readCSVRecords, readCSVRows } from '../lib/csv.js';
+
+async function records(source) {
+  const result = [];
+  for await (const record of readCSVRecords(source)) result.push(record);
+  return result;
+}
+
+async function rows(source) {
+  const result = [];
+  for await (const row of readCSVRows(source)) result.push(row);
+  return result;
+}
+
+test('quoted fields keep embedded newlines, commas and the line count', async () => {
+  const result = await records('id,description\n1,"first line\nsecond, line"\n2,plain\n');
+
+  assert.deepEqual(result.map(r => r.fields), [
+    ['id', 'description'],
+    ['1', 'first line\nsecond, line'],
+    ['2', 'plain']
+  ]);
+  assert.deepEqual(result.map(r => r.line), [1, 2, 4]);
+});
+
+test('doubled quotes inside a quoted field are unescaped', async () => {
+  const [record] = await records('"the ""Healthy Child"" service",""""\n');
+  assert.deepEqual(record.fields, ['the "Healthy Child" service', '"']);
+});
+
+test('a leading BOM is dropped from the first header', async () => {
+  const [header] = await records('﻿id,title\n1,a\n');
+  assert.deepEqual(header.fields, ['id', 'title']);
+});
+
+test('CRLF, LF and CR line endings give the same records', async () => {
+  const expected = [['a', 'b'], ['1', '2'], ['3', '4']];
+  for (const text of ['a,b\r\n1,2\r\n3,4\r\n', 'a,b\n1,2\n3,4\n', 'a,b\r1,2\r3,4']) {
+    assert.deepEqual((await records(text)).map(r => r.fields), expected, JSON.stringify(text));
+  }
+});
+
+test('CRLF inside a quoted field is kept', async () => {
+  const [, record] = await records('a\r\n"x\r\ny"\r\n');
+  assert.deepEqual(record.fields, ['x\r\ny']);
+});
+
+test('records split across chunks at any point parse the same', async () => {
+  const text = 'id,title\r\n1,"a ""quoted"", title\r\nover lines"\r\n2,£100\r\n';
+  const whole = (await records(text)).map(r => r.fields);
+
+  for (let cut = 1; cut < text.length; cut++) {
+    const split = (await records([text.slice(0, cut), text.slice(cut)])).map(r => r.fields);
+    assert.deepEqual(split, whole, `split at ${cut}`);
+  }
+});
+
+test('multi-byte characters split across Buffer chunks are decoded', async () => {
+  const bytes = Buffer.from('title\n£100\n');
+  const pound = bytes.indexOf(0xC2);
+  const [, record] = await records([bytes.subarray(0, pound + 1), bytes.subarray(pound + 1)]);
+  assert.deepEqual(record.fields, ['£100']);
+});
+
+test('an unterminated final quote is reported as an error', async () => {
+  const result = await records('a,b\n1,"never closed\n');
+  const last = result.at(-1);
+
+  assert.equal(last.error, 'unterminated quoted field');
+  assert.equal(last.line, 2);
+});
+
+test('a quote closing the final field without a newline is not an error', () => {
+  const seen = [];
+  const parser = createCSVParser((fields, { error }) => seen.push({ fields, error }));
+  parser.write('a,"b"');
+  parser.end();
+
+  assert.deepEqual(seen, [{ fields: ['a', 'b'], error: null }]);
+});
+
+test('blank lines are skipped, but an empty quoted field is a record', async () => {
+  const result = await records('a\n\n""\n\n');
+  assert.deepEqual(result.map(r => r.fields), [['a'], ['']]);
+});
+
+test('readCSVRows keys fields by header and reports column count mismatches', async () => {
+  const result = await rows('id, title \n1, First \n2\n3,Third,extra\n4,Fourth\n');
+
+  assert.deepEqual(result.map(r => r.row), [{ id: '1', title: 'First' }, null, null, { id: '4', title: 'Fourth' }]);
+  assert.equal(result[1].error, 'column count mismatch (expected 2, got 1)');
+  assert.equal(result[2].error, 'column count mismatch (expected 2, got 3)');
+  assert.equal(result[2].line, 4);
+});
+
+test('readCSVRows passes an unterminated quote on as an error row', async () => {
+  const result = await rows('id,title\n1,"open\n');
+  assert.deepEqual(result, [{ row: null, line: 2, error: 'unterminated quoted field' }]);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseCSV } from '../lib/contractsFinder.js';
+import { releasesFromPage } from '../lib/findATender.js';
+import { deduplicateTenders } from '../lib/dedupe.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+async function fixtureTenders() {
+  const csv = fs.readFileSync(`${FIXTURES}contracts-finder/Contracts Finder OCDS 2026-08-21.csv`, 'utf8');
+  const { tenders } = await parseCSV(csv);
+  for (const page of [1, 2, 3, 4]) {
+    const data = JSON.parse(fs.readFileSync(`${FIXTURES}find-a-tender/page-${page}.json`, 'utf8'));
+    tenders.push(...releasesFromPage(data).tenders);
+  }
+  return tenders;
+}
+
+test('deduplicateTenders merges the same procurement across sources', async () => {
+  const { tenders, report } = deduplicateTenders(await fixtureTenders());
+
+  assert.equal(report.input, 9);
+  assert.equal(report.exactDuplicates, 1);
+  assert.equal(report.merged, 1);
+  assert.equal(report.output, 7);
+
+  const advocacy = tenders.find(t => t.id === 'ocds-b5fd17-7c8d9e0f-2a3b-4c5d-8e9f-0a1b2c3d4e5f');
+  assert.deepEqual(advocacy.sources.map(s => s.source), ['Contracts Finder', 'Find a Tender']);
+  assert.equal(advocacy.provenance.detailedDescription, 'Find a Tender');
+  assert.equal(advocacy.provenance.value, 'Contracts Finder');
+  assert.ok(!tenders.some(t => t.id === 'ocds-h6vhtk-049e21'));
+
+  const [merge] = report.decisions;
+  assert.equal(merge.decision, 'merged');
+  assert.deepEqual(merge.records.map(r => r.id), ['ocds-b5fd17-7c8d9e0f-2a3b-4c5d-8e9f-0a1b2c3d4e5f', 'ocds-h6vhtk-049e21']);
+});
+
+test('deduplicateTenders keeps a planning notice as the early signal of its tender', async () => {
+  const { tenders } = deduplicateTenders(await fixtureTenders());
+  const urgentCare = tenders.find(t => t.id === 'ocds-h6vhtk-04a1b2');
+
+  assert.equal(urgentCare.stage, 'tender');
+  assert.equal(urgentCare.title, 'Integrated Urgent Care Service');
+  assert.equal(urgentCare.earlySignal.noticeId, '011870-2026');
+});
+
+test('deduplicateTenders keeps same-source lookalikes apart', () => {
+  const lot = { organization: 'Somerset Council', value: 100000, deadline: '2026-09-15T12:00:00Z', detailedDescription: '', stage: 'tender', source: 'Contracts Finder' };
+  const { tenders, report } = deduplicateTenders([
+    { ...lot, id: 'a', title: 'Advocacy services lot 1' },
+    { ...lot, id: 'b', title: 'Advocacy services lot 1' }
+  ]);
+
+  assert.equal(tenders.length, 2);
+  assert.equal(report.merged, 0);
+});
+
+test('deduplicateTenders keeps the latest release when an id repeats', () => {
+  const notice = { id: 'ocds-b5fd17-x', organization: 'Somerset Council', title: 'Advocacy', detailedDescription: '', stage: 'tender', source: 'Contracts Finder' };
+  const original = { ...notice, releaseDate: '2026-08-20T09:00:00Z', deadline: '2026-09-15T12:00:00Z' };
+  const amendment = { ...notice, releaseDate: '2026-08-21T09:00:00Z', deadline: '2026-09-29T12:00:00Z' };
+
+  for (const input of [[original, amendment], [amendment, original]]) {
+    const { tenders, report } = deduplicateTenders(input);
+    assert.equal(report.exactDuplicates, 1);
+    assert.deepEqual(tenders.map(t => t.deadline), ['2026-09-29T12:00:00Z']);
+  }
+});
+
+test('deduplicateTenders keeps the newer day\'s release when releases are undated', () => {
+  const notice = { id: 'ocds-b5fd17-x', organization: 'Somerset Council', title: 'Advocacy', detailedDescription: '', stage: 'tender', source: 'Contracts Finder', releaseDate: '' };
+  // Contracts Finder is read oldest day first, so the amendment from the later dump comes last
+  const { tenders } = deduplicateTenders([{ ...notice, value: 100 }, { ...notice, value: 200 }]);
+
+  assert.deepEqual(tenders.map(t => t.value), [200]);
+});
+
+test('deduplicateTenders keeps the early signal when a later tender release replaces the first', () => {
+  const base = { id: 'ocds-h6vhtk-y', organization: 'NHS Somerset ICB', detailedDescription: '', source: 'Find a Tender' };
+  const { tenders } = deduplicateTenders([
+    { ...base, title: 'Engagement', stage: 'planning', noticeId: 'p1', releaseDate: '2026-07-01T00:00:00Z' },
+    { ...base, title: 'Rehab', stage: 'tender', noticeId: 't1', releaseDate: '2026-08-01T00:00:00Z' },
+    { ...base, title: 'Rehab (amended)', stage: 'tender', noticeId: 't2', releaseDate: '2026-08-10T00:00:00Z' }
+  ]);
+
+  assert.equal(tenders[0].title, 'Rehab (amended)');
+  assert.equal(tenders[0].earlySignal.noticeId, 'p1');
+});
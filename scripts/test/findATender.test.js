@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { flattenOCDSRelease, releasesFromPage, findATenderURL } from '../lib/findATender.js';
+import { createParseStats } from '../lib/tenders.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/find-a-tender/', import.meta.url));
+
+function readPage(number) {
+  return JSON.parse(fs.readFileSync(`${FIXTURES}page-${number}.json`, 'utf8'));
+}
+
+test('flattenOCDSRelease maps a saved tender release', () => {
+  const pkg = readPage(1).data[0];
+  const tender = flattenOCDSRelease(pkg.ocid, pkg.releases[0]);
+
+  assert.equal(tender.id, 'ocds-h6vhtk-04a1b2');
+  assert.equal(tender.noticeId, '012345-2026');
+  assert.equal(tender.url, 'https://www.find-tender.service.gov.uk/Notice/012345-2026');
+  assert.equal(tender.title, 'Integrated Urgent Care Service');
+  assert.equal(tender.organization, 'NHS Bristol, North Somerset and South Gloucestershire Integrated Care Board');
+  assert.equal(tender.value, 18000000);
+  assert.equal(tender.deadline, '2026-10-20T12:00:00Z');
+  assert.equal(tender.region, 'UKK11');
+  assert.equal(tender.stage, 'tender');
+  assert.equal(tender.source, 'Find a Tender');
+  assert.deepEqual(tender.cpvCodes.map(c => c.code), ['85100000', '85121000']);
+  assert.deepEqual(tender.lots.map(l => l.title), ['Urgent treatment centres', 'Clinical assessment service']);
+  assert.deepEqual(tender.suitability, { sme: false, vcse: true });
+});
+
+test('flattenOCDSRelease defaults missing fields', () => {
+  const tender = flattenOCDSRelease('ocds-h6vhtk-000001', { id: '000001-2026', tender: { title: 'Bare notice' } });
+
+  assert.equal(tender.id, 'ocds-h6vhtk-000001');
+  assert.equal(tender.organization, 'Unknown');
+  assert.equal(tender.value, 0);
+  assert.equal(tender.deadline, '');
+  assert.equal(tender.detailedDescription, '');
+});
+
+test('releasesFromPage splits tenders, awards and planning notices', () => {
+  const stats = createParseStats('page-3');
+  const awardsPage = releasesFromPage(readPage(3), stats);
+  assert.equal(awardsPage.tenders.length, 0);
+  assert.equal(stats.awards, 2);
+  assert.ok(awardsPage.awards.length > 0);
+
+  const planning = releasesFromPage(readPage(4));
+  assert.deepEqual(planning.tenders.map(t => [t.id, t.stage]), [
+    ['ocds-h6vhtk-04a1b2', 'planning'],
+    ['ocds-h6vhtk-04c7d9', 'planning']
+  ]);
+});
+
+test('releasesFromPage counts rejected releases', () => {
+  const stats = createParseStats('page');
+  const { tenders } = releasesFromPage({ data: [{ ocid: 'ocds-x', releases: [{ id: '1', tag: ['tender'], tender: {} }] }] }, stats);
+
+  assert.equal(tenders.length, 0);
+  assert.deepEqual(stats.reasons, { 'missing title': 1 });
+});
+
+test('findATenderURL sets the window, stages and page size', () => {
+  const url = new URL(findATenderURL({ apiBase: 'http://localhost/api', updatedFrom: '2026-08-20T00:00:00Z', updatedTo: '2026-08-21T00:00:00Z' }));
+
+  assert.equal(url.searchParams.get('updatedFrom'), '2026-08-20T00:00:00Z');
+  assert.equal(url.searchParams.get('updatedTo'), '2026-08-21T00:00:00Z');
+  assert.equal(url.searchParams.get('stages'), 'planning,tender,award');
+  assert.equal(url.searchParams.get('limit'), '100');
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import { scoreTender } from '../../src/services/fitRules.js';
+import { checkTenderIrrelevance } from '../../src/services/analysisPrompt.js';
+
+const PROFILE = JSON.parse(fs.readFileSync(new URL('../../config/capability-profile.json', import.meta.url), 'utf8'));
+const TODAY = new Date('2026-08-21T12:00:00Z');
+
+// A tender matching nothing but its value and deadline
+const TENDER = {
+  id: 't1',
+  title: 'Service contract',
+  detailedDescription: '',
+  value: 0,
+  deadline: '2026-10-30T12:00:00Z'
+};
+
+const score = (tender) => scoreTender({ ...TENDER, ...tender }, { profile: PROFILE, today: TODAY });
+const reasonIds = (fit) => fit.reasons.map(reason => reason.id);
+
+test('scoreTender starts from the base score', () => {
+  const fit = score({});
+
+  assert.equal(fit.alignment_score, 40);
+  assert.equal(fit.recommendation, 'No Bid');
+  assert.equal(fit.source, 'rules');
+  assert.equal(fit.profile_version, String(PROFILE.version));
+  assert.deepEqual(reasonIds(fit), ['value', 'deadline']);
+});
+
+test('scoreTender counts each code\'s most specific CPV rule, and the best scoring code', () => {
+  // 85141200 is under both health (851) and community health (85141)
+  assert.deepEqual(reasonIds(score({ cpvCodes: [{ code: '85141200-3' }] })), ['cpv:community-health-cpv', 'value', 'deadline']);
+  // General practice (5 points) is more specific than health services (10), so it is the match
+  assert.equal(score({ cpvCodes: [{ code: '85121100-4' }] }).alignment_score, 45);
+  assert.equal(score({ cpvCodes: [{ code: '85121100-4' }, { code: '85323000-9' }] }).alignment_score, 55);
+});
+
+test('scoreTender adds service lines, exclusions, buyer, location, value and deadline', () => {
+  const fit = score({
+    title: 'Community nursing and cleaning',
+    buyerType: 'icb',
+    geography: { tier: 'core' },
+    value: 1000000,
+    deadline: '2026-08-25T12:00:00Z'
+  });
+
+  assert.deepEqual(fit.reasons.map(r => [r.id, r.points]), [
+    ['service:community-health', 20],
+    ['exclusion:0', -20],
+    ['buyer:icb', 10],
+    ['tier:core', 20],
+    ['value', 5],
+    ['deadline', -20]
+  ]);
+  assert.equal(fit.alignment_score, 55);
+  assert.deepEqual(fit.categories, ['Community Health']);
+  assert.match(fit.rationale, /strongest: Community Health.*main concern: Goods, works/);
+});
+
+test('scoreTender clamps the score to 0-100', () => {
+  const fit = score({
+    title: 'Community health, mental health, urgent care and integrated care',
+    cpvCodes: [{ code: '85141000' }],
+    buyerType: 'icb',
+    geography: { tier: 'core' },
+    value: 1000000
+  });
+
+  assert.equal(fit.alignment_score, 100);
+  assert.equal(fit.recommendation, 'Strong Go');
+});
+
+test('an expired deadline is a rules No Bid, not an analysis', () => {
+  const fit = score({ title: 'Community nursing', deadline: '2026-08-20T12:00:00Z' });
+  assert.equal(fit.alignment_score, 0);
+  assert.equal(fit.recommendation, 'No Bid');
+  assert.equal(fit.source, 'rules');
+  assert.deepEqual(reasonIds(fit), ['deadline-passed']);
+
+  const verdict = checkTenderIrrelevance({ ...TENDER, deadline: '2020-01-01T12:00:00Z' });
+  assert.equal(verdict.source, 'rules');
+  assert.equal(verdict.recommendation, 'No Bid');
+  assert.equal(checkTenderIrrelevance({ ...TENDER, deadline: '2099-01-01T12:00:00Z' }), null);
+});
@@ -0,0 +1,183 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFixtureServer } from '../lib/fixtureServer.js';
+import { fetchFindATender } from '../lib/findATender.js';
+import { fetchContractsFinder } from '../lib/contractsFinder.js';
+import { loadState, findATenderUpdatedFrom, recordFindATenderRun } from '../lib/state.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/', import.meta.url));
+const CF_DIR = path.join(FIXTURES, 'contracts-finder');
+const FAT_DIR = path.join(FIXTURES, 'find-a-tender');
+
+// Start a fixture server on a free port; closed when the test ends
+async function serve(t, options) {
+  const server = createFixtureServer({ cfDir: CF_DIR, fatDir: FAT_DIR, ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+test('fetchFindATender follows links.next across pages', async (t) => {
+  quiet(t);
+  const base = await serve(t, { pageSize: 2 });
+  const result = await fetchFindATender({
+    apiBase: `${base}/api/1.0/ocdsReleasePackages`,
+    updatedFrom: '2026-08-20T00:00:00Z'
+  });
+
+  // Six packages have a requested stage (the contract amendment doesn't), two per page
+  assert.equal(result.pages, 3);
+  assert.equal(result.complete, true);
+  assert.deepEqual(result.failures, []);
+  assert.deepEqual(result.tenders.map(t => t.id).sort(), [
+    'ocds-h6vhtk-049e21',
+    'ocds-h6vhtk-049f3c',
+    'ocds-h6vhtk-04a1b2',
+    'ocds-h6vhtk-04a1b2',
+    'ocds-h6vhtk-04c7d9'
+  ]);
+  assert.ok(result.awards.length > 0);
+});
+
+test('fetchFindATender resumes from the high-water mark', async (t) => {
+  quiet(t);
+  const base = await serve(t, { pageSize: 2 });
+  const apiBase = `${base}/api/1.0/ocdsReleasePackages`;
+  const state = loadState(null);
+
+  const firstFrom = findATenderUpdatedFrom(state, new Date('2026-08-22T00:00:00Z'), 48);
+  assert.equal(firstFrom, '2026-08-20T00:00:00.000Z');
+  const first = await fetchFindATender({ apiBase, updatedFrom: firstFrom });
+  recordFindATenderRun(state, '2026-08-21T12:00:00.000Z', first.complete);
+  assert.equal(state.findATender.highWaterMark, '2026-08-21T12:00:00.000Z');
+
+  // The next window starts 15 minutes before the mark: only the 14:00 planning notice is newer
+  const secondFrom = findATenderUpdatedFrom(state, new Date('2026-08-23T00:00:00Z'), 48);
+  assert.equal(secondFrom, '2026-08-21T11:45:00.000Z');
+  const second = await fetchFindATender({ apiBase, updatedFrom: secondFrom });
+  assert.deepEqual(second.tenders.map(t => t.id), ['ocds-h6vhtk-04c7d9']);
+
+  // An incomplete run leaves the mark where it was
+  recordFindATenderRun(state, '2026-08-23T00:00:00.000Z', false);
+  assert.equal(state.findATender.highWaterMark, '2026-08-21T12:00:00.000Z');
+  assert.equal(state.findATender.lastRun, '2026-08-23T00:00:00.000Z');
+});
+
+test('fetchContractsFinder retries flaky 503s and records days with no dump', async (t) => {
+  quiet(t);
+  const base = await serve(t, { flaky: 1 });
+  const result = await fetchContractsFinder({ days: 3, today: new Date(2026, 7, 21), baseUrl: `${base}/Harvester-new` });
+
+  assert.deepEqual(result.failures, []);
+  assert.deepEqual(result.missingDays, ['2026-08-19']);
+  assert.deepEqual(result.files.map(f => [f.file, f.accepted, f.awards]), [['2026-08-20', 0, 2], ['2026-08-21', 4, 0]]);
+  assert.equal(result.tenders.length, 4);
+});
+
+test('fetchFindATender retries a flaky page', async (t) => {
+  quiet(t);
+  const base = await serve(t, { pageSize: 10, flaky: 1 });
+  const result = await fetchFindATender({
+    apiBase: `${base}/api/1.0/ocdsReleasePackages`,
+    updatedFrom: '2026-08-21T12:00:00Z'
+  });
+
+  assert.equal(result.complete, true);
+  assert.equal(result.tenders.length, 1);
+});
+
+test('responses are gzipped when the client accepts it', async (t) => {
+  quiet(t);
+  const base = await serve(t);
+  const url = `${base}/Harvester-new/2026-08/Contracts%20Finder%20OCDS%202026-08-21.csv`;
+
+  const gzipped = await fetch(url, { headers: { 'Accept-Encoding': 'gzip' } });
+  assert.equal(gzipped.headers.get('content-encoding'), 'gzip');
+  assert.match(await gzipped.text(), /Community Nursing Services/);
+
+  const plain = await fetch(url, { headers: { 'Accept-Encoding': 'identity' } });
+  assert.equal(plain.headers.get('content-encoding'), null);
+});
+
+test('CSV paths outside the fixture directory are not served', async (t) => {
+  quiet(t);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-server-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'cf'));
+  fs.writeFileSync(path.join(dir, 'secret.csv'), 'secret\n');
+
+  const server = createFixtureServer({ cfDir: path.join(dir, 'cf') });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}/Harvester-new/2026-08`;
+
+  for (const name of ['..%2Fsecret.csv', '..%5Csecret.csv', '%E0%A4%A.csv']) {
+    const response = await fetch(`${base}/${name}`);
+    assert.equal(response.status, 404, name);
+    await response.text();
+  }
+});
+
+test('fetchContractsFinder restarts a download that stalls mid-body', async (t) => {
+  quiet(t);
+  const csv = fs.readFileSync(path.join(CF_DIR, 'Contracts Finder OCDS 2026-08-21.csv'));
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.writeHead(200, { 'Content-Type': 'text/csv' });
+    if (requests === 1) {
+      // Half the file, then nothing until the client times out
+      res.write(csv.subarray(0, csv.length / 2));
+      return;
+    }
+    res.end(csv);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const result = await fetchContractsFinder({
+    days: 1,
+    today: new Date(2026, 7, 21),
+    baseUrl: `http://127.0.0.1:${server.address().port}/Harvester-new`,
+    httpOptions: { timeout: 200, retryDelay: 10 }
+  });
+
+  assert.equal(requests, 2);
+  assert.deepEqual(result.failures, []);
+  assert.equal(result.tenders.length, 4);
+});
+
+test('fetchContractsFinder gives up on a day straight away after a 4xx', async (t) => {
+  quiet(t);
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end('Forbidden');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const result = await fetchContractsFinder({
+    days: 1,
+    today: new Date(2026, 7, 21),
+    baseUrl: `http://127.0.0.1:${server.address().port}/Harvester-new`,
+    httpOptions: { retryDelay: 10 }
+  });
+
+  assert.equal(requests, 1);
+  assert.deepEqual(result.failures.map(f => [f.day, f.error]), [['2026-08-21', 'HTTP 403']]);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+import { buildPipelineForecast, loadForecastConfig } from '../lib/forecast.js';
+
+const CONFIG = loadForecastConfig(fileURLToPath(new URL('../../config/pipeline-forecast.json', import.meta.url)));
+const NOW = new Date('2026-08-21T00:00:00.000Z');
+
+const award = (id, endDate, overrides = {}) => ({
+  id,
+  ocid: `ocds-${id}`,
+  title: 'Community Nursing',
+  organization: 'NHS Bristol, North Somerset and South Gloucestershire ICB',
+  suppliers: [{ name: 'Incumbent Health' }],
+  value: 1000000,
+  status: 'active',
+  geography: { tier: 'core' },
+  contractPeriod: { startDate: '2024-01-01T00:00:00.000Z', endDate },
+  ...overrides
+});
+
+test('buildPipelineForecast lists contracts ending within the horizon', () => {
+  const forecast = buildPipelineForecast([
+    award('too-soon', '2026-12-31T00:00:00.000Z'),
+    award('in-12-months', '2027-08-21T00:00:00.000Z'),
+    award('in-24-months', '2028-08-21T00:00:00.000Z'),
+    award('too-late', '2028-09-30T00:00:00.000Z'),
+    award('no-end', undefined)
+  ], CONFIG, NOW);
+
+  assert.deepEqual(forecast.contracts.map(c => c.id), ['in-12-months', 'in-24-months']);
+  assert.equal(forecast.count, 2);
+  assert.equal(forecast.config.version, CONFIG.version);
+});
+
+test('buildPipelineForecast puts the re-procurement window 18 to 6 months before the end', () => {
+  const [contract] = buildPipelineForecast([award('a', '2027-08-21T00:00:00.000Z')], CONFIG, NOW).contracts;
+
+  assert.equal(contract.monthsToExpiry, 12);
+  assert.equal(contract.reprocurementWindow.from, '2026-02-21T00:00:00.000Z');
+  assert.equal(contract.reprocurementWindow.to, '2027-02-21T00:00:00.000Z');
+  // Its window has opened: the buyer may already be preparing
+  assert.equal(contract.reprocurementWindow.open, true);
+  assert.deepEqual(contract.incumbents, ['Incumbent Health']);
+});
+
+test('buildPipelineForecast sorts by window and leaves out other tiers and ended statuses', () => {
+  const forecast = buildPipelineForecast([
+    award('later', '2028-06-01T00:00:00.000Z'),
+    award('sooner', '2027-06-01T00:00:00.000Z', { geography: { tier: 'adjacent' } }),
+    award('regional', '2027-06-01T00:00:00.000Z', { geography: { tier: 'regional' } }),
+    award('cancelled', '2027-06-01T00:00:00.000Z', { status: 'Cancelled' })
+  ], CONFIG, NOW);
+
+  assert.deepEqual(forecast.contracts.map(c => [c.id, c.reprocurementWindow.open]), [['sooner', true], ['later', false]]);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+import { loadGeography, locateBuyer, postcodeDistrict, applyGeography, countByTier } from '../lib/geography.js';
+
+const GEOGRAPHY = loadGeography(fileURLToPath(new URL('../../config/geography.json', import.meta.url)));
+
+const locate = (record) => {
+  const { areaId, tier, basis } = locateBuyer(record, GEOGRAPHY);
+  return { areaId, tier, basis };
+};
+
+test('postcodeDistrict takes the outward code of full and partial postcodes', () => {
+  assert.equal(postcodeDistrict('bs16 1qy'), 'BS16');
+  assert.equal(postcodeDistrict('TA1'), 'TA1');
+  assert.equal(postcodeDistrict('not a postcode'), null);
+  assert.equal(postcodeDistrict(''), null);
+});
+
+test('locateBuyer tries the postcode before the buyer name, NUTS code and region', () => {
+  const record = { organization: 'Wiltshire Council', region: 'UKK11', postcode: 'BS20 7QA' };
+
+  assert.deepEqual(locate(record), { areaId: 'north-somerset', tier: 'core', basis: 'postcode' });
+  assert.deepEqual(locate({ ...record, postcode: '' }), { areaId: 'wiltshire', tier: 'adjacent', basis: 'buyer' });
+  assert.deepEqual(locate({ ...record, postcode: '', organization: 'NHS Property Services' }), { areaId: 'bristol', tier: 'core', basis: 'nuts' });
+  assert.deepEqual(locate({ organization: 'NHS Property Services', region: 'South West' }), { areaId: null, tier: 'regional', basis: 'region' });
+  assert.deepEqual(locate({ organization: 'NHS Property Services' }), { areaId: null, tier: 'unknown', basis: null });
+});
+
+test('locateBuyer falls back to the whole postcode area', () => {
+  assert.deepEqual(locate({ organization: 'Anyone', postcode: 'TA1 2PX' }), { areaId: 'somerset', tier: 'adjacent', basis: 'postcode' });
+});
+
+test('locateBuyer prefers the longest name and NUTS code', () => {
+  assert.equal(locate({ organization: 'North Somerset Council' }).areaId, 'north-somerset');
+  assert.equal(locate({ organization: 'Somerset Council' }).areaId, 'somerset');
+  assert.equal(locate({ organization: 'B&NES Council' }).areaId, 'bath-ne-somerset');
+  assert.deepEqual(locate({ organization: 'Anyone', region: 'UKK15' }), { areaId: 'wiltshire', tier: 'adjacent', basis: 'nuts' });
+  assert.deepEqual(locate({ organization: 'Anyone', region: 'UKK99' }), { areaId: null, tier: 'regional', basis: 'nuts' });
+  assert.deepEqual(locate({ organization: 'Anyone', region: 'UKI' }), { areaId: null, tier: 'national', basis: 'nuts' });
+});
+
+test('applyGeography fills in a missing region from the buyer\'s area', () => {
+  const located = applyGeography([
+    { id: 'a', organization: 'Bristol City Council', region: '' },
+    { id: 'b', organization: 'Anyone', region: 'London' }
+  ], GEOGRAPHY);
+
+  assert.deepEqual(located.map(r => r.region), ['Bristol', 'London']);
+  assert.deepEqual(countByTier(located), { core: 1, national: 1 });
+});
@@ -0,0 +1,12 @@
+// A browser's localStorage for the src/services modules that keep state in it,
+// removed again when the test ends
+export function useLocalStorage(t) {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+  t.after(() => delete globalThis.localStorage);
+  return items;
+}
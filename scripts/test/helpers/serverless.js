@@ -0,0 +1,49 @@
+// Run the Vercel functions in api/ in-process, against the mock Anthropic server
+import { createMockAnthropicServer } from '../../lib/mockAnthropic.js';
+
+// Start the mock server on a free port, with the functions' environment pointed at it
+// (env adds variables, or is a function of the server's base URL returning them);
+// both are put back when the test ends
+export async function serveMockAnthropic(t, options = {}, env = {}) {
+  const server = createMockAnthropicServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const vars = {
+    ANTHROPIC_API_URL: base,
+    ANTHROPIC_API_KEY: 'mock',
+    KV_REST_API_URL: `${base}/kv`,
+    KV_REST_API_TOKEN: 'mock',
+    TEAM_ACCESS_TOKEN: 'team-token',
+    DASHBOARD_ORIGIN: 'https://dashboard.example',
+    ...(typeof env === 'function' ? env(base) : env)
+  };
+  const previous = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+
+  t.after(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    return new Promise(resolve => server.close(resolve));
+  });
+  return base;
+}
+
+// Call a handler with a request, resolving to { status, headers, body } once it has responded
+export async function callHandler(handler, { method = 'POST', headers = {}, body, query = {} } = {}) {
+  const response = { status: 200, headers: {}, body: undefined };
+  const res = {
+    setHeader(name, value) { response.headers[name.toLowerCase()] = value; },
+    status(code) { response.status = code; return res; },
+    json(data) { response.body = data; return res; },
+    end() { return res; }
+  };
+  const req = { method, headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])), body, query };
+
+  await handler(req, res);
+  return response;
+}
+
+export const TEAM_HEADERS = { authorization: 'Bearer team-token', origin: 'https://dashboard.example' };
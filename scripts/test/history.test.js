@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runIngestion } from '../lib/ingest.js';
+import { mergeIntoHistory } from '../lib/history.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/', import.meta.url));
+const ADVOCACY_CF = 'ocds-b5fd17-7c8d9e0f-2a3b-4c5d-8e9f-0a1b2c3d4e5f';
+const ADVOCACY_FAT = 'ocds-h6vhtk-049e21';
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+test('a notice fetched from Find a Tender, then from Contracts Finder in a later run, is one tender', async (t) => {
+  quiet(t);
+  const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-empty-'));
+  t.after(() => fs.rmSync(emptyDir, { recursive: true, force: true }));
+  const history = { updated: null, tenders: {} };
+  const today = new Date('2026-08-21T12:00:00Z');
+
+  await runIngestion({ today, history, cfDir: emptyDir, fatDir: path.join(FIXTURES, 'find-a-tender') });
+  assert.ok(history.tenders[ADVOCACY_FAT]);
+
+  const second = await runIngestion({ today, history, cfDir: path.join(FIXTURES, 'contracts-finder'), skipFindATender: true });
+
+  assert.equal(history.tenders[ADVOCACY_CF], undefined);
+  const entry = history.tenders[ADVOCACY_FAT];
+  assert.deepEqual(entry.tender.sources.map(s => [s.source, s.id]), [['Find a Tender', ADVOCACY_FAT], ['Contracts Finder', ADVOCACY_CF]]);
+  assert.equal(entry.tender.provenance.value, 'Contracts Finder');
+  assert.equal(entry.tender.provenance.detailedDescription, 'Find a Tender');
+  assert.equal(second.dataset.deduplication.mergedWithHistory, 1);
+  assert.equal(second.dataset.tenders.filter(t => [ADVOCACY_CF, ADVOCACY_FAT].includes(t.id)).length, 1);
+
+  // Contracts Finder re-reads its window: the notice goes back to the same entry by id
+  const third = await runIngestion({ today, history, cfDir: path.join(FIXTURES, 'contracts-finder'), skipFindATender: true });
+  assert.equal(third.dataset.deduplication.mergedWithHistory, 0);
+  assert.equal(history.tenders[ADVOCACY_CF], undefined);
+  assert.equal(history.tenders[ADVOCACY_FAT].tender.sources.length, 2);
+});
+
+test('mergeIntoHistory keeps the other source\'s richer fields when one source amends its notice', () => {
+  const base = { organization: 'Somerset Council', deadline: '2026-09-15T12:00:00Z', stage: 'tender', title: 'Advocacy services' };
+  const history = { updated: null, tenders: {} };
+  mergeIntoHistory(history, [{ ...base, id: 'fat-1', source: 'Find a Tender', value: 0, detailedDescription: 'A long Find a Tender description' }], '2026-08-20T00:00:00Z');
+  mergeIntoHistory(history, [{ ...base, id: 'cf-1', source: 'Contracts Finder', value: 100000, detailedDescription: 'Short' }], '2026-08-21T00:00:00Z');
+
+  const stats = mergeIntoHistory(history, [{ ...base, id: 'cf-1', source: 'Contracts Finder', value: 120000, detailedDescription: 'Short' }], '2026-08-22T00:00:00Z');
+
+  assert.deepEqual(Object.keys(history.tenders), ['fat-1']);
+  const { tender, changes } = history.tenders['fat-1'];
+  assert.equal(tender.value, 120000);
+  assert.equal(tender.detailedDescription, 'A long Find a Tender description');
+  assert.deepEqual(changes.map(c => c.field), ['value', 'value']);
+  assert.equal(stats.changed, 1);
+});
+
+test('mergeIntoHistory keeps same-source lookalikes in separate entries', () => {
+  const base = { organization: 'Somerset Council', deadline: '2026-09-15T12:00:00Z', stage: 'tender', title: 'Advocacy services lot 1', detailedDescription: '', source: 'Contracts Finder' };
+  const history = { updated: null, tenders: {} };
+  mergeIntoHistory(history, [{ ...base, id: 'a' }], '2026-08-20T00:00:00Z');
+  const stats = mergeIntoHistory(history, [{ ...base, id: 'b' }], '2026-08-21T00:00:00Z');
+
+  assert.deepEqual(Object.keys(history.tenders), ['a', 'b']);
+  assert.equal(stats.merged, 0);
+});
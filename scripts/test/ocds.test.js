@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { unflattenRow } from '../lib/ocds.js';
+
+test('unflattenRow rebuilds nested objects and arrays from column paths', () => {
+  const release = unflattenRow({
+    'ocid': 'ocds-b5fd17-1',
+    'tender/items/0/classification/id': '85000000',
+    'tender/items/1/classification/id': '85300000',
+    'tender/title': '',
+    'tender/value/amount': '1000'
+  });
+
+  assert.deepEqual(release, {
+    ocid: 'ocds-b5fd17-1',
+    tender: {
+      items: [{ classification: { id: '85000000' } }, { classification: { id: '85300000' } }],
+      value: { amount: '1000' }
+    }
+  });
+});
+
+test('unflattenRow skips columns that would write onto Object.prototype', () => {
+  const release = unflattenRow({
+    '__proto__/polluted': 'yes',
+    'tender/constructor/prototype/polluted': 'yes',
+    'tender/__proto__': 'yes',
+    'tender/id': 't1'
+  });
+
+  assert.equal({}.polluted, undefined);
+  assert.equal(Object.prototype.polluted, undefined);
+  assert.deepEqual(release, { tender: { id: 't1' } });
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { buildQualityReport } from '../lib/qualityReport.js';
+
+const stats = (file, accepted, rejected = 0) => ({ file, rows: accepted + rejected, accepted, awards: 0, rejected, reasons: rejected ? { 'no title': rejected } : {} });
+
+const tender = (id, overrides = {}) => ({
+  id,
+  source: 'Contracts Finder',
+  organization: 'Somerset Council',
+  deadline: '2026-09-15T12:00:00Z',
+  value: 100000,
+  region: 'South West',
+  ...overrides
+});
+
+function run(fetched, overrides = {}) {
+  return {
+    runAt: '2026-08-21T06:00:00.000Z',
+    contractsFinder: { files: [stats('2026-08-21', fetched.length)], missingDays: ['2026-08-20'], failures: [] },
+    findATender: { pageStats: [stats('page-1', 0)], complete: true, failures: [] },
+    fetched,
+    dedupe: { input: fetched.length, exactDuplicates: 0, merged: 0, output: fetched.length },
+    published: fetched.length,
+    ...overrides
+  };
+}
+
+test('buildQualityReport passes a complete run', () => {
+  const report = buildQualityReport(run([tender('a'), tender('b')]));
+
+  assert.equal(report.status, 'ok');
+  assert.deepEqual(report.issues, []);
+  assert.deepEqual(report.sources.contractsFinder.days.map(d => [d.day, d.status]), [['2026-08-21', 'ok'], ['2026-08-20', 'not published']]);
+  assert.equal(report.deltas, null);
+  assert.equal(report.trend.length, 1);
+});
+
+test('buildQualityReport flags missing fields, unparseable dates and rejected rows', () => {
+  const report = buildQualityReport(run(
+    [tender('a', { deadline: '' }), tender('b', { deadline: 'soon' }), tender('c', { stage: 'planning', deadline: '' })],
+    { contractsFinder: { files: [stats('2026-08-21', 3, 1)], missingDays: [], failures: [] } }
+  ));
+
+  assert.equal(report.status, 'degraded');
+  assert.equal(report.completeness.missingDeadline.count, 1);
+  assert.equal(report.completeness.invalidDates.count, 1);
+  assert.deepEqual(report.issues, [
+    'Contracts Finder rejected 25% of rows',
+    '33% of tenders have no deadline',
+    '1 tender(s) with unparseable dates'
+  ]);
+});
+
+test('buildQualityReport compares against the previous run', () => {
+  const previous = buildQualityReport(run(['a', 'b', 'c', 'd', 'e'].map(id => tender(id))));
+  const report = buildQualityReport(run([tender('a', { value: 0 }), tender('b')], { runAt: '2026-08-22T06:00:00.000Z' }), previous);
+
+  assert.equal(report.deltas.since, previous.generated);
+  assert.deepEqual(report.deltas.metrics.fetched, { previous: 5, current: 2, change: -3 });
+  assert.ok(report.issues.includes('Fetched tenders fell from 5 to 2'));
+  assert.deepEqual(report.trend.map(entry => entry.generated), [previous.generated, report.generated]);
+});
+
+test('buildQualityReport fails a run that fetched nothing', () => {
+  const report = buildQualityReport(run([], { contractsFinder: { files: [], missingDays: [], failures: [{ day: '2026-08-21', error: 'timeout' }] } }));
+
+  assert.equal(report.status, 'failing');
+  assert.deepEqual(report.issues, ['No tenders fetched from either source', '1 fetch(es) failed after retries']);
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+import { applyCPVProfile, cpvFamily, loadCPVProfile } from '../lib/relevance.js';
+
+const PROFILE = loadCPVProfile(fileURLToPath(new URL('../../config/cpv-profile.json', import.meta.url)));
+
+const tender = (id, ...codes) => ({ id, cpvCodes: codes.map(code => ({ code })) });
+
+test('cpvFamily drops the check digit and trailing zeros', () => {
+  assert.equal(cpvFamily('85000000'), '85');
+  assert.equal(cpvFamily('85200000'), '852');
+  assert.equal(cpvFamily('85141200-3'), '851412');
+});
+
+test('applyCPVProfile matches each code to its most specific rule', () => {
+  const { kept, report } = applyCPVProfile([
+    tender('nursing', '85141200-3'),
+    tender('veterinary', '85200000-1'),
+    tender('software', '48000000-8')
+  ], PROFILE);
+
+  assert.deepEqual(kept.map(t => t.id), ['nursing']);
+  assert.deepEqual(report.excludedByRule, { veterinary: 1, 'it-software': 1 });
+  assert.equal(report.version, PROFILE.version);
+});
+
+test('applyCPVProfile keeps a tender if any of its codes is included', () => {
+  const { kept } = applyCPVProfile([tender('mixed', '45000000-7', '85100000-0')], PROFILE);
+
+  assert.deepEqual(kept.map(t => t.id), ['mixed']);
+});
+
+test('applyCPVProfile follows the profile for unclassified and unmatched tenders', () => {
+  const tenders = [tender('unclassified'), tender('unmatched', '03000000-1')];
+
+  assert.deepEqual(applyCPVProfile(tenders, PROFILE).kept.map(t => t.id), ['unclassified']);
+  assert.deepEqual(applyCPVProfile(tenders, PROFILE).report.excludedByRule, { 'no-matching-rule': 1 });
+
+  const { kept, report } = applyCPVProfile(tenders, { ...PROFILE, unclassified: 'exclude', defaultAction: 'include' });
+  assert.deepEqual(kept.map(t => t.id), ['unmatched']);
+  assert.deepEqual(report.excludedByRule, { unclassified: 1 });
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildShards, shardKey, writeShardedDataset, NO_DEADLINE_SHARD } from '../lib/shards.js';
+import { selectShards } from '../../src/services/tenderFetcher.js';
+
+const DATASET = {
+  generated: '2026-08-21T06:00:00.000Z',
+  count: 3,
+  dedupe: { decisions: [] },
+  tenders: [
+    { id: 'a', deadline: '2026-09-15T12:00:00Z', detailedDescription: 'Advocacy' },
+    { id: 'b', deadline: '2026-07-01T12:00:00Z', detailedDescription: '' },
+    { id: 'c', deadline: '', stage: 'planning', detailedDescription: 'Engagement' }
+  ]
+};
+
+const manifestOf = (...keys) => ({ shards: keys.map(key => ({ key, file: `tenders-${key}.json` })) });
+
+test('shardKey files tenders by deadline month', () => {
+  assert.equal(shardKey({ deadline: '2026-09-15T12:00:00Z' }), '2026-09');
+  assert.equal(shardKey({ deadline: '' }), NO_DEADLINE_SHARD);
+  assert.equal(shardKey({ deadline: 'soon' }), NO_DEADLINE_SHARD);
+});
+
+test('buildShards splits tenders from their descriptions', () => {
+  const { manifest, files } = buildShards(DATASET);
+
+  assert.deepEqual(manifest.shards.map(s => [s.key, s.count]), [['2026-07', 1], ['2026-09', 1], ['no-deadline', 1]]);
+  assert.equal(manifest.generated, DATASET.generated);
+  assert.equal(manifest.dedupe, undefined);
+  assert.deepEqual(JSON.parse(files['tenders-2026-09.json']), [{ id: 'a', deadline: '2026-09-15T12:00:00Z' }]);
+  assert.deepEqual(JSON.parse(files['descriptions-2026-09.json']), { a: 'Advocacy' });
+});
+
+test('writeShardedDataset removes shards left over from earlier runs', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shards-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'tenders-2026-01.json'), '[]');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'kept');
+
+  writeShardedDataset(dir, DATASET);
+
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    'descriptions-2026-07.json', 'descriptions-2026-09.json', 'descriptions-no-deadline.json',
+    'manifest.json', 'notes.txt',
+    'tenders-2026-07.json', 'tenders-2026-09.json', 'tenders-no-deadline.json'
+  ]);
+});
+
+test('selectShards skips closed months unless expired tenders are included', () => {
+  const manifest = manifestOf('2026-06', '2026-07', '2026-08', '2026-09', NO_DEADLINE_SHARD);
+  const today = new Date('2026-08-21T12:00:00Z');
+  const keys = (searchParams) => selectShards(manifest, searchParams, today).map(s => s.key);
+
+  assert.deepEqual(keys({}), ['2026-08', '2026-09', NO_DEADLINE_SHARD]);
+  assert.deepEqual(keys({ publishedFrom: '2026-07-01' }), ['2026-08', '2026-09', NO_DEADLINE_SHARD]);
+  assert.deepEqual(keys({ includeExpired: true }), ['2026-06', '2026-07', '2026-08', '2026-09', NO_DEADLINE_SHARD]);
+  assert.deepEqual(keys({ includeExpired: true, publishedFrom: '2026-07-01', publishedTo: '2026-08-31' }), ['2026-07', '2026-08', NO_DEADLINE_SHARD]);
+  assert.deepEqual(keys({ publishedFrom: '2026-09-01' }), ['2026-09', NO_DEADLINE_SHARD]);
+});
@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'assert/strict';
+import { createWorkQueue, isRetryableStatus, retryDelay } from '../../src/services/workQueue.js';
+
+// No pacing or backoff to speak of, unless a test sets it
+const FAST = { concurrency: 1, requestsPerMinute: 600000, burst: 100, retries: 2, retryDelay: 1, maxRetryDelay: 5 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function failure(status, retryAfter) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, retryAfter });
+}
+
+test('isRetryableStatus retries rate limits and server errors only', () => {
+  assert.deepEqual([429, 500, 503, 529, 400, 401, undefined].map(isRetryableStatus), [true, true, true, true, false, false, false]);
+});
+
+test('retryDelay backs off exponentially with jitter and honours Retry-After', () => {
+  const settings = { retryDelay: 1000, maxRetryDelay: 10000 };
+  for (let i = 0; i < 20; i++) {
+    const delay = retryDelay(2, settings);
+    assert.ok(delay >= 2000 && delay <= 4000);
+  }
+  assert.ok(retryDelay(10, settings) <= 10000);
+  assert.ok(retryDelay(0, settings, '5') >= 5000);
+  assert.equal(retryDelay(0, settings, '60'), 10000);
+  assert.ok(retryDelay(0, settings, new Date(Date.now() + 8000).toUTCString()) > 6000);
+});
+
+test('run retries retryable failures and gives up on the rest', async () => {
+  const queue = createWorkQueue(FAST);
+  const calls = { flaky: 0, down: 0, bad: 0 };
+  const retries = [];
+
+  const outcomes = await queue.run(['flaky', 'down', 'bad'], async (item) => {
+    calls[item]++;
+    if (item === 'flaky' && calls.flaky < 3) throw failure(503);
+    if (item === 'down') throw failure(529);
+    if (item === 'bad') throw failure(400);
+    return 'ok';
+  }, { onRetry: ({ item, attempt }) => retries.push(`${item}:${attempt}`) });
+
+  assert.deepEqual(outcomes.map(o => [o.item, o.result ?? o.error.status]), [['flaky', 'ok'], ['down', 529], ['bad', 400]]);
+  assert.deepEqual(calls, { flaky: 3, down: 3, bad: 1 });
+  assert.deepEqual(retries, ['flaky:1', 'flaky:2', 'down:1', 'down:2']);
+});
+
+test('a Retry-After holds every worker', async () => {
+  const queue = createWorkQueue({ ...FAST, concurrency: 2, maxRetryDelay: 1000 });
+  const started = [];
+  let limited = false;
+  const begin = Date.now();
+
+  await queue.run(['a', 'b', 'c'], async (item) => {
+    started.push([item, Date.now() - begin]);
+    if (item === 'a' && !limited) {
+      limited = true;
+      throw failure(429, '0.1');
+    }
+    await sleep(5);
+  });
+
+  // b was already running; c waits out the hold a's 429 asked for
+  const startOf = (item) => started.filter(([name]) => name === item).map(([, at]) => at);
+  assert.ok(startOf('c')[0] >= 90, `c started at ${startOf('c')[0]}ms`);
+  assert.ok(startOf('a')[1] >= 90);
+});
+
+test('the token bucket allows a burst, then refills at the set rate', async () => {
+  // 600 a minute is one every 100ms
+  const queue = createWorkQueue({ ...FAST, concurrency: 4, requestsPerMinute: 600, burst: 2 });
+  const begin = Date.now();
+  const started = [];
+
+  await queue.run([1, 2, 3, 4], async () => { started.push(Date.now() - begin); });
+
+  started.sort((a, b) => a - b);
+  assert.ok(started[1] < 50, `burst started at ${started}`);
+  assert.ok(started[2] >= 90, `third started at ${started[2]}ms`);
+  assert.ok(started[3] >= 190, `fourth started at ${started[3]}ms`);
+});
+
+test('pause holds the next item until resume', async () => {
+  const queue = createWorkQueue(FAST);
+  const started = [];
+
+  const running = queue.run(['a', 'b'], async (item) => {
+    started.push(item);
+    if (item === 'a') queue.pause();
+  });
+
+  await sleep(30);
+  assert.equal(queue.getState(), 'paused');
+  assert.deepEqual(started, ['a']);
+
+  queue.resume();
+  const outcomes = await running;
+  assert.deepEqual(started, ['a', 'b']);
+  assert.equal(outcomes.length, 2);
+});
+
+test('cancel lets running tasks finish and starts no more', async () => {
+  const queue = createWorkQueue(FAST);
+  const started = [];
+
+  const outcomes = await queue.run(['a', 'b', 'c'], async (item) => {
+    started.push(item);
+    await sleep(5);
+    return item;
+  }, { onSettled: () => queue.cancel() });
+
+  assert.equal(queue.getState(), 'cancelled');
+  assert.deepEqual(started, ['a']);
+  assert.deepEqual(outcomes.map(o => o.result), ['a']);
+});
+
+test('cancel ends a pause', async () => {
+  const queue = createWorkQueue(FAST);
+
+  const running = queue.run(['a', 'b'], async (item) => {
+    if (item === 'a') queue.pause();
+    return item;
+  });
+  await sleep(10);
+  queue.cancel();
+
+  assert.deepEqual((await running).map(o => o.result), ['a']);
+});
@@ -1,17 +1,31 @@
-import { useState, useMemo, useEffect, Component } from 'react'
+import { useState, useMemo, useEffect, useRef, Component } from 'react'
 import './App.css'
 import tenders from './data/tenders.js'
-import { fetchAndProcessTenders } from './services/tenderFetcher.js'
+import { fetchAndProcessTenders, fetchIngestReport, fetchPipelineForecast, fetchBuyerDirectory, fetchCompetitorDirectory, withSessionPredictions, loadTenderDescriptions, PROXIMITY_TIERS, proximityLabel, BUYER_TYPE_LABELS } from './services/tenderFetcher.js'
 import {
   analyzeTenderWithClaude,
   analyzeTendersBatch,
   estimateAnalysisCost,
   setApiKey,
   getApiKey,
-  checkApiStatus
+  checkApiStatus,
+  createAnalysisQueue,
+  startServerBatch,
+  fetchServerBatch,
+  SERVER_BATCH_MAX_TENDERS,
+  getQueueSettings,
+  setQueueSettings,
+  QUEUE_LIMITS
 } from './services/claudeAnalyzer.js'
+import { getCapabilityProfile, saveCapabilityProfile, resetCapabilityProfile, profileVersion, SERVICE_PRIORITIES } from './services/capabilityProfile.js'
+import { scoreTender } from './services/fitRules.js'
+import { saveAnalyses, loadStoredAnalyses, withStoredAnalysis, SHARED_ANALYSES, getTeamAccessToken, setTeamAccessToken, clearTeamAccessToken } from './services/analysisStore.js'
+import { createAnalysisJob, resumeAnalysisJob, recordJobResult, clearAnalysisJob, getInterruptedJob, saveServerBatchJobs, getServerBatchJobs, splitServerBatches } from './services/analysisJobs.js'
 import * as XLSX from 'xlsx'
 
+// How often a running server-side batch is checked (Message Batches take minutes to hours)
+const SERVER_BATCH_POLL_MS = 30000
+
 // Error Boundary Component
 class ErrorBoundary extends Component {
   constructor(props) {
@@ -63,6 +77,7 @@ function App() {
   const [isUrgentOnly, setIsUrgentOnly] = useState(false)
   const [includeExpiredDeadlines, setIncludeExpiredDeadlines] = useState(false) // Default: only show live/future bids
   const [showAnalyzedOnly, setShowAnalyzedOnly] = useState(false) // Filter for analyzed tenders only
+  const [changeFilter, setChangeFilter] = useState('all') // 'all' | 'new' | 'amended' (since the last ingestion run)
 
   // Detail panel state
   const [selectedTenderId, setSelectedTenderId] = useState(null)
@@ -70,6 +85,7 @@ function App() {
   // Collapse states
   const [isSummaryCollapsed, setIsSummaryCollapsed] = useState(false)
   const [isFilterCollapsed, setIsFilterCollapsed] = useState(false)
+  const [isEarlySignalsCollapsed, setIsEarlySignalsCollapsed] = useState(false)
 
   // Loading state
   const [isLoading, setIsLoading] = useState(true)
@@ -83,22 +99,59 @@ function App() {
   const [lastUpdated, setLastUpdated] = useState(null)
   const [isSearchParamsCollapsed, setIsSearchParamsCollapsed] = useState(false)
   const [showInfoTooltip, setShowInfoTooltip] = useState(false)
+  const [dataQuality, setDataQuality] = useState(null) // { status, issues } from the last ingestion run
+
+  // Data health view state
+  const [showDataHealth, setShowDataHealth] = useState(false)
+  const [ingestReport, setIngestReport] = useState(null)
+  const [isLoadingReport, setIsLoadingReport] = useState(false)
+
+  // Pipeline forecast state (contracts expiring in the forecast horizon)
+  const [showPipelineForecast, setShowPipelineForecast] = useState(false)
+  const [pipelineForecast, setPipelineForecast] = useState(null)
+  const [isLoadingForecast, setIsLoadingForecast] = useState(false)
+
+  // Buyer directory state (canonical buyers and their profile pages)
+  const [showBuyerDirectory, setShowBuyerDirectory] = useState(false)
+  const [buyerDirectory, setBuyerDirectory] = useState(null)
+  const [isLoadingBuyers, setIsLoadingBuyers] = useState(false)
+  const [selectedBuyerId, setSelectedBuyerId] = useState(null)
+  const [buyerSearch, setBuyerSearch] = useState('')
+
+  // Competitor directory state (award winners and AI-predicted competitors)
+  const [showCompetitors, setShowCompetitors] = useState(false)
+  const [competitorDirectory, setCompetitorDirectory] = useState(null)
+  const [isLoadingCompetitors, setIsLoadingCompetitors] = useState(false)
+  const [selectedCompetitorId, setSelectedCompetitorId] = useState(null)
+  const [competitorSearch, setCompetitorSearch] = useState('')
 
   // AI Analysis state
   const [showSettingsModal, setShowSettingsModal] = useState(false)
   const [apiKeyInput, setApiKeyInput] = useState('')
   const [apiKeyStatus, setApiKeyStatus] = useState(null)
+  const [teamTokenInput, setTeamTokenInput] = useState('')
+  const [hasTeamToken, setHasTeamToken] = useState(() => Boolean(getTeamAccessToken()))
   const [isTestingConnection, setIsTestingConnection] = useState(false)
   const [autoAnalyze, setAutoAnalyze] = useState(() => {
     const saved = localStorage.getItem('autoAnalyze')
     return saved ? JSON.parse(saved) : false
   })
   const [isAnalyzing, setIsAnalyzing] = useState(false)
-  const [analysisProgress, setAnalysisProgress] = useState({ current: 0, total: 0, currentTender: null })
+  const [analysisProgress, setAnalysisProgress] = useState({ current: 0, total: 0, currentTender: null, retryNotice: null })
+  const [analysisQueueState, setAnalysisQueueState] = useState(null) // 'running' | 'paused' | 'cancelled' while a batch runs
+  const [queueSettingsForm, setQueueSettingsForm] = useState(() => getQueueSettings())
+  const analysisQueueRef = useRef(null)
+  const [analysisJob, setAnalysisJob] = useState(null) // job of the batch running now
+  const [interruptedJob, setInterruptedJob] = useState(() => getInterruptedJob()) // job left unfinished by a reload
+  const [serverBatchJobs, setServerBatchJobs] = useState(() => getServerBatchJobs()) // server-side batches being followed
   const [sessionAnalysisCount, setSessionAnalysisCount] = useState(0)
   const [sessionAnalysisCost, setSessionAnalysisCost] = useState(0)
   const [analyzedTenders, setAnalyzedTenders] = useState(new Set())
-  const [tenderAnalysisStatus, setTenderAnalysisStatus] = useState({}) // tenderId -> 'analyzing' | 'success' | 'error'
+  const [tenderAnalysisStatus, setTenderAnalysisStatus] = useState({}) // tenderId -> 'analyzing' | 'success' | 'error' | 'cancelled'
+
+  // Capability profile (Settings) - the saved profile and the form being edited
+  const [capabilityProfile, setCapabilityProfile] = useState(() => getCapabilityProfile())
+  const [profileForm, setProfileForm] = useState(null)
 
   // Export state
   const [showExportDropdown, setShowExportDropdown] = useState(false)
@@ -110,14 +163,16 @@ function App() {
     const saved = localStorage.getItem('tenderSearchParams')
     if (saved) {
       try {
-        return JSON.parse(saved)
+        // Searches saved before proximity tiers had a free-text location instead
+        const { location, ...params } = JSON.parse(saved)
+        return { proximity: 'adjacent', ...params }
       } catch (error) {
         console.error('Error parsing saved search params:', error)
       }
     }
     return {
       keywords: 'community health NHS',
-      location: 'Bristol, North Somerset, South Gloucestershire',
+      proximity: 'adjacent',
       minValue: '',
       maxValue: '',
       publishedFrom: '',
@@ -141,6 +196,11 @@ function App() {
     }
   }, [])
 
+  // Start the profile form from the saved profile each time Settings opens
+  useEffect(() => {
+    if (showSettingsModal) setProfileForm(profileToForm(capabilityProfile))
+  }, [showSettingsModal])
+
   // Save search parameters to localStorage when they change
   useEffect(() => {
     localStorage.setItem('tenderSearchParams', JSON.stringify(searchParams))
@@ -163,7 +223,8 @@ function App() {
   // Auto-analyze new tenders when enabled
   useEffect(() => {
     if (autoAnalyze && apiKeyStatus?.isReady && dataSource === 'live' && liveTenders.length > 0 && !isAnalyzing) {
-      const unanalyzed = liveTenders.filter(t => !t.ai_analyzed && !analyzedTenders.has(t.id) && tenderAnalysisStatus[t.id] !== 'analyzing')
+      // Tenders whose batch was cancelled wait for a manual analysis
+      const unanalyzed = liveTenders.filter(t => !t.ai_analyzed && !analyzedTenders.has(t.id) && !['analyzing', 'cancelled'].includes(tenderAnalysisStatus[t.id]))
 
       if (unanalyzed.length > 0) {
         console.log(`Auto-analyzing ${unanalyzed.length} new tenders...`)
@@ -176,6 +237,44 @@ function App() {
     }
   }, [liveTenders, autoAnalyze, apiKeyStatus, dataSource, isAnalyzing])
 
+  // Apply a change to the followed server-side batches, keeping them saved across reloads
+  const updateServerBatchJobs = (update) => setServerBatchJobs(prev => saveServerBatchJobs(update(prev)))
+
+  // Poll the running server-side batches; checking one also collects its results (as does a scheduled collector)
+  const processingBatchIds = serverBatchJobs.filter(job => job.status === 'processing').map(job => job.id).join(',')
+  useEffect(() => {
+    if (!processingBatchIds) return
+
+    const checkServerBatches = async () => {
+      for (const id of processingBatchIds.split(',')) {
+        try {
+          const job = await fetchServerBatch(id)
+          updateServerBatchJobs(prev => prev.map(j => j.id === id ? { ...j, ...job } : j))
+        } catch (error) {
+          console.error('Error checking server batch:', error)
+        }
+      }
+    }
+    checkServerBatches()
+    const timer = setInterval(checkServerBatches, SERVER_BATCH_POLL_MS)
+    return () => clearInterval(timer)
+  }, [processingBatchIds])
+
+  // Once server-side batches have ended, pull their analyses from the shared store into the live tenders
+  useEffect(() => {
+    const ended = serverBatchJobs.filter(job => job.status === 'ended' && !job.collected)
+    if (ended.length === 0 || dataSource !== 'live' || liveTenders.length === 0) return
+
+    const collect = async () => {
+      const { analyses } = await loadStoredAnalyses(liveTenders.filter(t => !t.ai_analyzed))
+      setLiveTenders(prev => prev.map(t => analyses.has(t.id) ? withStoredAnalysis(t, analyses.get(t.id)) : t))
+      setAnalyzedTenders(prev => new Set([...prev, ...analyses.keys()]))
+      const collectedIds = new Set(ended.map(job => job.id))
+      updateServerBatchJobs(prev => prev.map(job => collectedIds.has(job.id) ? { ...job, collected: true } : job))
+    }
+    collect()
+  }, [serverBatchJobs, liveTenders, dataSource])
+
   // Close export dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -206,6 +305,21 @@ function App() {
     return () => window.removeEventListener('keydown', handleEscape)
   }, [selectedTenderId])
 
+  // Live tenders arrive without descriptions unless a text search needed them;
+  // fetch the selected tender's description shard when its panel opens
+  useEffect(() => {
+    if (!selectedTender || selectedTender.detailedDescription != null) return
+
+    let cancelled = false
+    loadTenderDescriptions([selectedTender]).then(([loaded]) => {
+      if (!cancelled) {
+        setLiveTenders(prev => prev.map(t => t.id === loaded.id ? { ...t, detailedDescription: loaded.detailedDescription } : t))
+      }
+    }).catch(error => console.error('Error loading description:', error))
+
+    return () => { cancelled = true }
+  }, [selectedTender])
+
   // Prevent body scroll when modal is open
   useEffect(() => {
     if (selectedTenderId) {
@@ -227,9 +341,20 @@ function App() {
     return Array.from(categorySet).sort()
   }, [currentTenders])
 
+  // Pre-market (planning) notices get their own lane rather than the tender list
+  const earlySignals = useMemo(() => {
+    return currentTenders
+      .filter(tender => tender.stage === 'planning')
+      .sort((a, b) => String(b.first_seen).localeCompare(String(a.first_seen)))
+  }, [currentTenders])
+
   // Filter and sort tenders
   const filteredAndSortedTenders = useMemo(() => {
     let filtered = currentTenders.filter(tender => {
+      if (tender.stage === 'planning') {
+        return false
+      }
+
       // Status filter
       if (statusFilter !== 'all' && tender.status !== statusFilter) {
         return false
@@ -253,6 +378,11 @@ function App() {
         }
       }
 
+      // Change filter (new or amended since the last ingestion run)
+      if (changeFilter !== 'all' && tender.change_status !== changeFilter) {
+        return false
+      }
+
       // Deadline filter (exclude expired deadlines by default, unless user includes them)
       if (!includeExpiredDeadlines) {
         const deadline = new Date(tender.deadline)
@@ -305,7 +435,10 @@ function App() {
     })
 
     return sorted
-  }, [currentTenders, statusFilter, recommendationFilter, categoryFilter, sortBy, isShortlistedOnly, isUrgentOnly, includeExpiredDeadlines, showAnalyzedOnly, dataSource, tenderAnalysisStatus])
+  }, [currentTenders, statusFilter, recommendationFilter, categoryFilter, sortBy, isShortlistedOnly, isUrgentOnly, includeExpiredDeadlines, showAnalyzedOnly, changeFilter, dataSource, tenderAnalysisStatus])
+
+  // Live tenders Claude hasn't analysed carry a rules-based pre-score (see services/fitRules.js)
+  const isRulesBased = (tender) => tender.sirona_fit?.source === 'rules'
 
   // Format currency
   const formatCurrency = (value) => {
@@ -461,6 +594,7 @@ function App() {
     setCategoryFilter([])
     setIsShortlistedOnly(false)
     setIsUrgentOnly(false)
+    setChangeFilter('all')
     setSortBy('deadline-asc')
   }
 
@@ -492,7 +626,7 @@ function App() {
   const isValueActive = sortBy === 'value-high'
 
   // Live data functions
-  const handleFetchTenders = async () => {
+  const handleFetchTenders = async (overrides = {}) => {
     setIsFetching(true)
     setFetchError(null)
 
@@ -502,11 +636,14 @@ function App() {
       // Build API parameters
       const apiParams = {
         keywords: searchParams.keywords || undefined,
-        location: searchParams.location || undefined,
+        proximity: searchParams.proximity || undefined,
         minValue: searchParams.minValue ? parseInt(searchParams.minValue) : undefined,
         maxValue: searchParams.maxValue ? parseInt(searchParams.maxValue) : undefined,
         publishedFrom: searchParams.publishedFrom || undefined,
         publishedTo: searchParams.publishedTo || undefined,
+        // Closed tenders' shards are only downloaded when they're shown
+        includeExpired: includeExpiredDeadlines,
+        ...overrides
       }
 
       const result = await fetchAndProcessTenders(apiParams)
@@ -514,6 +651,7 @@ function App() {
       if (result && result.tenders && result.tenders.length > 0) {
         setLiveTenders(result.tenders)
         setTotalDatabaseCount(result.totalCount)
+        setDataQuality(result.quality)
         setDataSource('live')
         const timestamp = new Date().toISOString()
         setLastUpdated(timestamp)
@@ -531,6 +669,14 @@ function App() {
     }
   }
 
+  // Showing expired deadlines needs the older shards, so live data is reloaded
+  const handleIncludeExpiredChange = (include) => {
+    setIncludeExpiredDeadlines(include)
+    if (include && dataSource === 'live') {
+      handleFetchTenders({ includeExpired: true })
+    }
+  }
+
   const handleRefreshData = () => {
     if (dataSource === 'live') {
       handleFetchTenders()
@@ -555,7 +701,7 @@ function App() {
   const handleResetSearchParams = () => {
     setSearchParams({
       keywords: 'community health NHS',
-      location: 'Bristol, North Somerset, South Gloucestershire',
+      proximity: 'adjacent',
       minValue: '',
       maxValue: '',
       publishedFrom: '',
@@ -570,6 +716,98 @@ function App() {
     }))
   }
 
+  // Data health functions
+  const handleOpenDataHealth = async () => {
+    setShowDataHealth(true)
+    setIsLoadingReport(true)
+    const report = await fetchIngestReport()
+    setIngestReport(report)
+    setIsLoadingReport(false)
+  }
+
+  // Pipeline forecast functions
+  const handleOpenPipelineForecast = async () => {
+    setShowPipelineForecast(true)
+    setIsLoadingForecast(true)
+    const forecast = await fetchPipelineForecast()
+    setPipelineForecast(forecast)
+    setIsLoadingForecast(false)
+  }
+
+  // Buyer directory functions
+  const handleOpenBuyerDirectory = async (buyerId = null) => {
+    setShowBuyerDirectory(true)
+    setSelectedBuyerId(buyerId)
+    if (!buyerDirectory) {
+      setIsLoadingBuyers(true)
+      const directory = await fetchBuyerDirectory()
+      setBuyerDirectory(directory)
+      setIsLoadingBuyers(false)
+    }
+  }
+
+  const selectedBuyer = buyerDirectory?.buyers.find(b => b.id === selectedBuyerId) || null
+
+  // Pre-market notices and tenders with no deadline count as open
+  const isOpenBuyerTender = (tender) => !tender.deadline || new Date(tender.deadline) >= new Date()
+
+  const listedBuyers = (buyerDirectory?.buyers || []).filter(buyer => {
+    const query = buyerSearch.toLowerCase().trim()
+    return !query || [buyer.name, ...buyer.aliases].some(name => name.toLowerCase().includes(query))
+  })
+
+  const handleOpenBuyerTender = (tenderId) => {
+    if (!currentTenders.some(t => t.id === tenderId)) return
+    setShowBuyerDirectory(false)
+    setSelectedTenderId(tenderId)
+  }
+
+  // Competitor directory functions
+  const competitors = useMemo(() => (
+    competitorDirectory ? withSessionPredictions(competitorDirectory, liveTenders) : []
+  ), [competitorDirectory, liveTenders])
+
+  const findCompetitor = (list, name) => {
+    const key = name.trim().toLowerCase()
+    return list.find(c => [c.name, ...c.aliases].some(n => n.toLowerCase() === key)) || null
+  }
+
+  const handleOpenCompetitors = async (competitorName = null) => {
+    setShowCompetitors(true)
+    setSelectedCompetitorId(null)
+    let directory = competitorDirectory
+    if (!directory) {
+      setIsLoadingCompetitors(true)
+      directory = await fetchCompetitorDirectory()
+      setCompetitorDirectory(directory)
+      setIsLoadingCompetitors(false)
+    }
+    if (directory && competitorName) {
+      const match = findCompetitor(withSessionPredictions(directory, liveTenders), competitorName)
+      setSelectedCompetitorId(match?.id || null)
+      if (!match) setCompetitorSearch(competitorName)
+    }
+  }
+
+  const selectedCompetitor = competitors.find(c => c.id === selectedCompetitorId) || null
+
+  const listedCompetitors = competitors.filter(competitor => {
+    const query = competitorSearch.toLowerCase().trim()
+    return !query || [competitor.name, ...competitor.aliases].some(name => name.toLowerCase().includes(query))
+  })
+
+  const formatMonth = (dateString) => new Date(dateString).toLocaleDateString('en-GB', {
+    month: 'short',
+    year: 'numeric'
+  })
+
+  const formatPercent = (rate) => `${Math.round((rate || 0) * 1000) / 10}%`
+
+  const formatDelta = (change) => {
+    if (change === null || change === undefined) return '–'
+    return change > 0 ? `+${change}` : `${change}`
+  }
+
   const formatLastUpdated = (timestamp) => {
     if (!timestamp) return 'Never'
     const date = new Date(timestamp)
@@ -599,6 +837,105 @@ function App() {
     }
   }
 
+  const handleSaveTeamToken = () => {
+    try {
+      setTeamAccessToken(teamTokenInput.trim())
+      setHasTeamToken(true)
+      setTeamTokenInput('')
+    } catch (error) {
+      alert(`Error saving team access token: ${error.message}`)
+    }
+  }
+
+  const handleClearTeamToken = () => {
+    clearTeamAccessToken()
+    setHasTeamToken(false)
+  }
+
+  const handleSaveQueueSettings = () => {
+    try {
+      setQueueSettingsForm(setQueueSettings(queueSettingsForm))
+      alert('Queue settings saved. They apply from the next batch.')
+    } catch (error) {
+      alert(`Error saving queue settings: ${error.message}`)
+    }
+  }
+
+  // Capability profile functions - lists edit as text (terms comma-separated, list items one per line)
+  const profileToForm = (profile) => ({
+    description: profile.organisation.description,
+    serviceLines: profile.serviceLines.map(line => ({ ...line, terms: line.terms.join(', ') })),
+    geographies: profile.geographies.map(geography => ({ ...geography, areas: geography.areas.join(', ') })),
+    strategicPriorities: profile.strategicPriorities.join('\n'),
+    capacityConstraints: profile.capacityConstraints.join('\n'),
+    exclusions: profile.exclusions.map(exclusion => ({ ...exclusion, terms: exclusion.terms.join(', ') })),
+    scoringBands: profile.scoringBands.map(band => ({ ...band }))
+  })
+
+  const formToProfile = (form) => {
+    const splitTerms = (text) => text.split(',').map(term => term.trim()).filter(Boolean)
+    const splitLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean)
+    const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+    return {
+      ...capabilityProfile,
+      organisation: { ...capabilityProfile.organisation, description: form.description.trim() },
+      serviceLines: form.serviceLines
+        .filter(line => line.name.trim())
+        .map(line => ({
+          ...line,
+          id: line.id || slug(line.name),
+          name: line.name.trim(),
+          category: line.category || line.name.trim(),
+          description: line.description.trim(),
+          terms: splitTerms(line.terms)
+        })),
+      geographies: form.geographies.map(geography => ({
+        ...geography,
+        label: geography.label.trim(),
+        score: Math.max(0, Math.min(100, Number(geography.score) || 0)),
+        areas: splitTerms(geography.areas)
+      })),
+      strategicPriorities: splitLines(form.strategicPriorities),
+      capacityConstraints: splitLines(form.capacityConstraints),
+      exclusions: form.exclusions
+        .filter(exclusion => exclusion.label.trim())
+        .map(exclusion => ({ label: exclusion.label.trim(), terms: splitTerms(exclusion.terms) })),
+      scoringBands: form.scoringBands.map(band => ({
+        ...band,
+        min: Math.max(0, Math.min(100, Number(band.min) || 0)),
+        guidance: band.guidance.trim()
+      }))
+    }
+  }
+
+  const updateProfileForm = (changes) => setProfileForm(prev => ({ ...prev, ...changes }))
+
+  const updateProfileFormItem = (list, index, changes) => setProfileForm(prev => ({
+    ...prev,
+    [list]: prev[list].map((item, i) => i === index ? { ...item, ...changes } : item)
+  }))
+
+  // Pre-scores depend on the profile, so re-score the live tenders Claude hasn't analysed
+  const applyCapabilityProfile = (profile) => {
+    setCapabilityProfile(profile)
+    setProfileForm(profileToForm(profile))
+    setLiveTenders(prev => prev.map(t => isRulesBased(t) ? { ...t, sirona_fit: scoreTender(t, { profile }) } : t))
+  }
+
+  const handleSaveProfile = () => {
+    try {
+      applyCapabilityProfile(saveCapabilityProfile(formToProfile(profileForm)))
+    } catch (error) {
+      alert(`Error saving capability profile: ${error.message}`)
+    }
+  }
+
+  const handleResetProfile = () => {
+    if (!window.confirm('Discard your profile edits and go back to the default profile?')) return
+    applyCapabilityProfile(resetCapabilityProfile())
+  }
+
   const handleTestConnection = async () => {
     setIsTestingConnection(true)
     try {
@@ -631,19 +968,32 @@ function App() {
     setTenderAnalysisStatus(prev => ({ ...prev, [tender.id]: 'analyzing' }))
 
     try {
-      const enrichedTender = await analyzeTenderWithClaude(tender)
+      const [withDescription] = await loadTenderDescriptions([tender])
+      const enrichedTender = await analyzeTenderWithClaude(withDescription)
 
-      // Update the tender in the appropriate list
+      // Update the tender in the appropriate list, and keep the analysis for later sessions
       if (dataSource === 'live') {
         setLiveTenders(prev => prev.map(t => t.id === tender.id ? enrichedTender : t))
+        saveAnalyses([enrichedTender])
+      }
+
+      // A failed analysis keeps the rules pre-score and can be retried
+      if (enrichedTender.analysis_error) {
+        setTenderAnalysisStatus(prev => ({ ...prev, [tender.id]: 'error' }))
+        return
       }
 
-      setTenderAnalysisStatus(prev => ({ ...prev, [tender.id]: 'success' }))
       setAnalyzedTenders(prev => new Set([...prev, tender.id]))
-      setSessionAnalysisCount(prev => prev + 1)
 
-      const cost = estimateAnalysisCost(1)
-      setSessionAnalysisCost(prev => prev + cost.totalCostGBP)
+      // A rules verdict (e.g. the deadline has passed) costs nothing and isn't an AI analysis
+      if (enrichedTender.ai_analyzed) {
+        setTenderAnalysisStatus(prev => ({ ...prev, [tender.id]: 'success' }))
+        setSessionAnalysisCount(prev => prev + 1)
+        const cost = estimateAnalysisCost(1)
+        setSessionAnalysisCost(prev => prev + cost.totalCostGBP)
+      } else {
+        setTenderAnalysisStatus(prev => ({ ...prev, [tender.id]: 'no-bid' }))
+      }
 
     } catch (error) {
       console.error('Analysis error:', error)
@@ -652,7 +1002,7 @@ function App() {
     }
   }
 
-  const handleAnalyzeBatch = async (tendersToAnalyze) => {
+  const handleAnalyzeBatch = async (tendersToAnalyze, resumedJob = null) => {
     if (!apiKeyStatus?.isReady) {
       alert('Please configure your Anthropic API key in Settings first.')
       setShowSettingsModal(true)
@@ -669,8 +1019,16 @@ function App() {
 
     if (!confirmed) return
 
+    // Progress is saved as each tender finishes, so the job can be resumed if the tab closes
+    let job = resumedJob ? resumeAnalysisJob(resumedJob, tendersToAnalyze) : createAnalysisJob(tendersToAnalyze)
+    setAnalysisJob(job)
+    setInterruptedJob(null)
+
+    const queue = createAnalysisQueue()
+    analysisQueueRef.current = queue
+    setAnalysisQueueState('running')
     setIsAnalyzing(true)
-    setAnalysisProgress({ current: 0, total: tendersToAnalyze.length, currentTender: null })
+    setAnalysisProgress({ current: 0, total: tendersToAnalyze.length, currentTender: null, retryNotice: null })
 
     // Mark all as analyzing
     const statusUpdates = {}
@@ -679,13 +1037,25 @@ function App() {
 
     try {
       const enrichedTenders = await analyzeTendersBatch(
-        tendersToAnalyze,
+        await loadTenderDescriptions(tendersToAnalyze),
         (current, total, tender) => {
-          setAnalysisProgress({ current, total, currentTender: tender.title })
+          setAnalysisProgress(prev => ({ ...prev, current, total, currentTender: tender.title }))
+          job = recordJobResult(job, tender)
+          setAnalysisJob(job)
+          if (dataSource === 'live') {
+            saveAnalyses([tender])
+          }
+        },
+        {
+          queue,
+          onRetry: ({ tender, attempt, delay, error }) => {
+            const notice = `${error.message} Retrying "${tender.title}" in ${Math.ceil(delay / 1000)}s (attempt ${attempt})`
+            setAnalysisProgress(prev => ({ ...prev, retryNotice: notice }))
+          }
         }
       )
 
-      // Update the tenders in the appropriate list
+      // Update the tenders in the appropriate list (their analyses were stored as they finished)
       if (dataSource === 'live') {
         setLiveTenders(prev => {
           const enrichedMap = new Map(enrichedTenders.map(t => [t.id, t]))
@@ -693,30 +1063,105 @@ function App() {
         })
       }
 
-      // Update status for all analyzed tenders
+      // Update status for all analyzed tenders; ones the cancel stopped before they started are marked cancelled
       const successUpdates = {}
+      tendersToAnalyze.forEach(t => { successUpdates[t.id] = 'cancelled' })
       enrichedTenders.forEach(t => {
-        successUpdates[t.id] = t.ai_analyzed ? 'success' : 'error'
-        if (t.ai_analyzed) {
+        successUpdates[t.id] = t.analysis_error ? 'error' : t.ai_analyzed ? 'success' : t.irrelevance_reason ? 'no-bid' : 'error'
+        if (!t.analysis_error && (t.ai_analyzed || t.irrelevance_reason)) {
           setAnalyzedTenders(prev => new Set([...prev, t.id]))
         }
       })
       setTenderAnalysisStatus(prev => ({ ...prev, ...successUpdates }))
 
       const successCount = enrichedTenders.filter(t => t.ai_analyzed).length
+      const noBidCount = enrichedTenders.filter(t => t.irrelevance_reason).length
       setSessionAnalysisCount(prev => prev + successCount)
-      setSessionAnalysisCost(prev => prev + cost.totalCostGBP)
+      if (successCount > 0) {
+        setSessionAnalysisCost(prev => prev + estimateAnalysisCost(successCount).totalCostGBP)
+      }
+      const noBidNote = noBidCount > 0 ? `\n${noBidCount} marked no bid by the rules (deadline passed)` : ''
 
-      alert(`✓ Analysis complete!\n\nSuccessfully analyzed: ${successCount}/${tendersToAnalyze.length} tenders`)
+      const cancelledCount = tendersToAnalyze.length - enrichedTenders.length
+      alert(cancelledCount > 0
+        ? `Analysis cancelled.\n\nSuccessfully analyzed: ${successCount}/${tendersToAnalyze.length} tenders (${cancelledCount} not started)${noBidNote}`
+        : `✓ Analysis complete!\n\nSuccessfully analyzed: ${successCount}/${tendersToAnalyze.length} tenders${noBidNote}`)
     } catch (error) {
       console.error('Batch analysis error:', error)
       alert(`Analysis failed: ${error.message}`)
     } finally {
+      clearAnalysisJob()
+      setAnalysisJob(null)
+      analysisQueueRef.current = null
+      setAnalysisQueueState(null)
       setIsAnalyzing(false)
-      setAnalysisProgress({ current: 0, total: 0, currentTender: null })
+      setAnalysisProgress({ current: 0, total: 0, currentTender: null, retryNotice: null })
     }
   }
 
+  // Hand tenders to the server (Message Batches API, half price, results within 24 hours),
+  // one job per SERVER_BATCH_MAX_TENDERS
+  const handleAnalyzeOnServer = async (tendersToAnalyze) => {
+    const cost = estimateAnalysisCost(tendersToAnalyze.length)
+    const chunks = splitServerBatches(tendersToAnalyze.map(t => t.id), SERVER_BATCH_MAX_TENDERS)
+    const confirmed = window.confirm(
+      `Analyze ${tendersToAnalyze.length} tenders on the server${chunks.length > 1 ? ` (${chunks.length} batches)` : ''}?\n\n` +
+      `Estimated cost: £${(cost.totalCostGBP / 2).toFixed(4)} (batch pricing)\n\n` +
+      `Results arrive within 24 hours; the dashboard doesn't need to stay open.`
+    )
+    if (!confirmed) return
+
+    for (const [index, ids] of chunks.entries()) {
+      try {
+        const job = await startServerBatch(ids, capabilityProfile)
+        updateServerBatchJobs(prev => [...prev, job])
+      } catch (error) {
+        console.error('Server batch error:', error)
+        alert(`Failed to start server batch ${index + 1} of ${chunks.length}: ${error.message}` +
+          (index > 0 ? `\n\nThe first ${index} batch${index === 1 ? ' was' : 'es were'} started.` : ''))
+        return
+      }
+    }
+  }
+
+  const handleDismissServerBatch = (jobId) => {
+    updateServerBatchJobs(prev => prev.filter(job => job.id !== jobId))
+  }
+
+  // Resume a job interrupted by a reload, skipping tenders that already succeeded
+  const handleResumeJob = () => {
+    const remaining = new Set([...interruptedJob.pending, ...interruptedJob.failed])
+    const tendersToResume = liveTenders.filter(t => remaining.has(t.id) && !t.ai_analyzed)
+    if (tendersToResume.length === 0) {
+      alert('Every tender left in this job has since been analyzed or is no longer published.')
+      handleDiscardJob()
+      return
+    }
+    handleAnalyzeBatch(tendersToResume, interruptedJob)
+  }
+
+  const handleDiscardJob = () => {
+    clearAnalysisJob()
+    setInterruptedJob(null)
+  }
+
+  // Batch controls - running tenders finish, the rest wait (pause) or are dropped (cancel)
+  const handlePauseAnalysis = () => {
+    analysisQueueRef.current?.pause()
+    setAnalysisQueueState('paused')
+  }
+
+  const handleResumeAnalysis = () => {
+    analysisQueueRef.current?.resume()
+    setAnalysisQueueState('running')
+  }
+
+  const handleCancelAnalysis = () => {
+    if (!window.confirm('Cancel the batch? Tenders being analyzed will finish; the rest won\'t be started.')) return
+    analysisQueueRef.current?.cancel()
+    setAnalysisQueueState('cancelled')
+  }
+
   // Export functionality
   const escapeCSV = (value) => {
     if (value === null || value === undefined) return ''
@@ -736,9 +1181,19 @@ function App() {
     return `${year}-${month}-${day}`
   }
 
+  // Procurement detail formatters shared by the exports
+  const formatCPVCodes = (tender) => (tender.cpvCodes || []).map(c => c.code).join('; ')
+
+  const formatLots = (tender) => (tender.lots || []).map(lot => lot.title || lot.id).join('; ')
+
+  const formatSuitability = (value) => value === true ? 'Yes' : value === false ? 'No' : ''
+
+  const formatOptionalDate = (dateString) => dateString ? formatDateForCSV(dateString) : ''
+
   const getAnalysisSource = (tender) => {
     if (dataSource === 'sample') return 'Sample'
     if (tender.ai_analyzed || tenderAnalysisStatus[tender.id] === 'success') return 'AI'
+    if (isRulesBased(tender)) return `Rules v${tender.sirona_fit.rules_version}`
     return 'Pending'
   }
 
@@ -756,11 +1211,20 @@ function App() {
       'Alignment Score (%)',
       'Categories',
       'Tender URL',
+      'CPV Codes',
+      'Procurement Method',
+      'Contract Start',
+      'Contract End',
+      'Lots',
+      'SME Suitable',
+      'VCSE Suitable',
+      'Documents',
       'Win Themes',
       'Competitors',
       'Weak Spots',
       'Rationale',
       'Analysis Source',
+      'Profile Version',
       'Analysis Date'
     ]
 
@@ -776,11 +1240,20 @@ function App() {
       tender.sirona_fit.alignment_score,
       escapeCSV(tender.categories.join('; ')),
       escapeCSV(tender.url),
+      escapeCSV(formatCPVCodes(tender)),
+      escapeCSV(tender.procurementMethodDetails || tender.procurementMethod),
+      formatOptionalDate(tender.contractPeriod?.startDate),
+      formatOptionalDate(tender.contractPeriod?.endDate),
+      escapeCSV(formatLots(tender)),
+      formatSuitability(tender.suitability?.sme),
+      formatSuitability(tender.suitability?.vcse),
+      escapeCSV((tender.documents || []).map(d => d.url).join('; ')),
       escapeCSV(tender.sirona_fit.win_themes.join('; ')),
       escapeCSV(tender.sirona_fit.competitors.join('; ')),
       escapeCSV(tender.sirona_fit.weak_spots.join('; ')),
       escapeCSV(tender.sirona_fit.rationale),
       escapeCSV(getAnalysisSource(tender)),
+      escapeCSV(tender.sirona_fit.profile_version),
       tender.analyzed_at ? formatDateForCSV(tender.analyzed_at) : ''
     ])
 
@@ -845,7 +1318,14 @@ function App() {
         'Recommendation': tender.sirona_fit.recommendation,
         'Alignment Score (%)': tender.sirona_fit.alignment_score,
         'Categories': tender.categories.join('; '),
-        'Analysis Source': getAnalysisSource(tender)
+        'CPV Codes': formatCPVCodes(tender),
+        'Procurement Method': tender.procurementMethodDetails || tender.procurementMethod || '',
+        'Contract Start': formatOptionalDate(tender.contractPeriod?.startDate),
+        'Contract End': formatOptionalDate(tender.contractPeriod?.endDate),
+        'SME Suitable': formatSuitability(tender.suitability?.sme),
+        'VCSE Suitable': formatSuitability(tender.suitability?.vcse),
+        'Analysis Source': getAnalysisSource(tender),
+        'Profile Version': tender.sirona_fit.profile_version || ''
       }))
       const summarySheet = XLSX.utils.json_to_sheet(summaryData)
       XLSX.utils.book_append_sheet(workbook, summarySheet, 'Tender Summary')
@@ -869,8 +1349,11 @@ function App() {
         'Competitor 3': tender.sirona_fit.competitors[2] || '',
         'Risk 1': tender.sirona_fit.weak_spots[0] || '',
         'Risk 2': tender.sirona_fit.weak_spots[1] || '',
+        'Lots': formatLots(tender),
+        'Documents': (tender.documents || []).map(d => d.url).join('; '),
         'Tender URL': tender.url,
-        'Analysis Source': getAnalysisSource(tender)
+        'Analysis Source': getAnalysisSource(tender),
+        'Profile Version': tender.sirona_fit.profile_version || ''
       }))
       const detailedSheet = XLSX.utils.json_to_sheet(detailedData)
       XLSX.utils.book_append_sheet(workbook, detailedSheet, 'Detailed Analysis')
@@ -1418,6 +1901,42 @@ function App() {
               ⚙️
             </button>
 
+            <button
+              className={`settings-btn data-health-btn ${dataQuality && dataQuality.status !== 'ok' ? 'health-warning' : ''}`}
+              onClick={handleOpenDataHealth}
+              aria-label="Open data health report"
+              title="Data health"
+            >
+              🩺
+            </button>
+
+            <button
+              className="settings-btn"
+              onClick={handleOpenPipelineForecast}
+              aria-label="Open pipeline forecast"
+              title="Pipeline forecast"
+            >
+              🔭
+            </button>
+
+            <button
+              className="settings-btn"
+              onClick={() => handleOpenBuyerDirectory()}
+              aria-label="Open buyer directory"
+              title="Buyer directory"
+            >
+              🏛️
+            </button>
+
+            <button
+              className="settings-btn"
+              onClick={() => handleOpenCompetitors()}
+              aria-label="Open competitor directory"
+              title="Competitors"
+            >
+              🏆
+            </button>
+
             <button
               className={`data-source-toggle ${dataSource === 'live' ? 'live-active' : ''}`}
               onClick={handleDataSourceToggle}
@@ -1476,6 +1995,14 @@ function App() {
         {dataSource === 'live' && lastUpdated && (
           <div className="live-data-banner">
             Live Data Mode • Last updated: {formatLastUpdated(lastUpdated)}
+            {dataQuality && dataQuality.status !== 'ok' && (
+              <>
+                {' • '}
+                <button className="banner-link-btn" onClick={handleOpenDataHealth}>
+                  ⚠️ Feed {dataQuality.status}: check data health before relying on these numbers
+                </button>
+              </>
+            )}
           </div>
         )}
       </header>
@@ -1564,6 +2091,909 @@ function App() {
                   </a>
                 </p>
               </div>
+
+              <div className="settings-section">
+                <h3>Team Access</h3>
+                <p className="settings-help-text">
+                  The team access token is needed to analyse tenders with Claude{SHARED_ANALYSES ? ', save analyses to the team\'s shared store and run analyses on the server' : ''}. Ask whoever runs the deployment for it; it is stored locally.
+                </p>
+
+                <div className="api-key-status">
+                  <span className="status-label">Status:</span>
+                  {hasTeamToken ? (
+                    <span className="status-connected">✓ Token saved</span>
+                  ) : (
+                    <span className="status-not-configured">✗ Not configured (analysis requests will be refused)</span>
+                  )}
+                </div>
+
+                <div className="api-key-input-group">
+                  <label htmlFor="team-token-input">Team Access Token</label>
+                  <input
+                    id="team-token-input"
+                    type="password"
+                    value={teamTokenInput}
+                    onChange={(e) => setTeamTokenInput(e.target.value)}
+                    className="api-key-input"
+                  />
+                </div>
+
+                <div className="settings-actions">
+                  <button
+                    className="save-api-key-btn"
+                    onClick={handleSaveTeamToken}
+                    disabled={!teamTokenInput.trim()}
+                  >
+                    Save Token
+                  </button>
+                  <button
+                    className="test-connection-btn"
+                    onClick={handleClearTeamToken}
+                    disabled={!hasTeamToken}
+                  >
+                    Clear Token
+                  </button>
+                </div>
+              </div>
+
+              <div className="settings-section">
+                <h3>Analysis Queue</h3>
+                <p className="settings-help-text">
+                  Batch analyses run several tenders at once, paced to stay under the API rate limit. Rate-limited and overloaded requests are retried automatically.
+                </p>
+
+                <div className="queue-settings-grid">
+                  <div className="api-key-input-group">
+                    <label htmlFor="queue-concurrency-input">Concurrent requests ({QUEUE_LIMITS.concurrency.min}-{QUEUE_LIMITS.concurrency.max})</label>
+                    <input
+                      id="queue-concurrency-input"
+                      type="number"
+                      min={QUEUE_LIMITS.concurrency.min}
+                      max={QUEUE_LIMITS.concurrency.max}
+                      value={queueSettingsForm.concurrency}
+                      onChange={(e) => setQueueSettingsForm(prev => ({ ...prev, concurrency: e.target.value }))}
+                      className="api-key-input"
+                    />
+                  </div>
+                  <div className="api-key-input-group">
+                    <label htmlFor="queue-rate-input">Requests per minute ({QUEUE_LIMITS.requestsPerMinute.min}-{QUEUE_LIMITS.requestsPerMinute.max})</label>
+                    <input
+                      id="queue-rate-input"
+                      type="number"
+                      min={QUEUE_LIMITS.requestsPerMinute.min}
+                      max={QUEUE_LIMITS.requestsPerMinute.max}
+                      value={queueSettingsForm.requestsPerMinute}
+                      onChange={(e) => setQueueSettingsForm(prev => ({ ...prev, requestsPerMinute: e.target.value }))}
+                      className="api-key-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="settings-actions">
+                  <button className="save-api-key-btn" onClick={handleSaveQueueSettings}>
+                    Save Queue Settings
+                  </button>
+                </div>
+              </div>
+
+              {profileForm && (
+                <div className="settings-section capability-profile-section">
+                  <h3>Capability Profile</h3>
+                  <p className="settings-help-text">
+                    What we do, where and how much we can take on. It is given to Claude with every analysis and drives the rules-based pre-score.
+                    Version {profileVersion(capabilityProfile)}{capabilityProfile.revision ? ` (edited ${capabilityProfile.updated})` : ' (default)'}; edits are versioned by their content, so the same profile has the same version in every browser, and the version is recorded with the analyses it produces.
+                  </p>
+
+                  <div className="api-key-input-group">
+                    <label htmlFor="profile-description">About {capabilityProfile.organisation.name}</label>
+                    <textarea
+                      id="profile-description"
+                      className="api-key-input profile-textarea"
+                      rows={3}
+                      value={profileForm.description}
+                      onChange={(e) => updateProfileForm({ description: e.target.value })}
+                    />
+                  </div>
+
+                  <h4 className="profile-subheading">Service Lines</h4>
+                  {profileForm.serviceLines.map((line, index) => (
+                    <div className="profile-item" key={index}>
+                      <div className="profile-item-row">
+                        <input
+                          type="text"
+                          className="api-key-input"
+                          value={line.name}
+                          onChange={(e) => updateProfileFormItem('serviceLines', index, { name: e.target.value })}
+                          placeholder="Service line"
+                          aria-label="Service line name"
+                        />
+                        <select
+                          className="api-key-input profile-priority"
+                          value={line.priority}
+                          onChange={(e) => updateProfileFormItem('serviceLines', index, { priority: e.target.value })}
+                          aria-label="Service line priority"
+                        >
+                          {SERVICE_PRIORITIES.map(priority => (
+                            <option key={priority} value={priority}>{priority}</option>
+                          ))}
+                        </select>
+                        <button
+                          className="profile-remove-btn"
+                          onClick={() => updateProfileForm({ serviceLines: profileForm.serviceLines.filter((_, i) => i !== index) })}
+                          aria-label={`Remove ${line.name || 'service line'}`}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                      <input
+                        type="text"
+                        className="api-key-input"
+                        value={line.description}
+                        onChange={(e) => updateProfileFormItem('serviceLines', index, { description: e.target.value })}
+                        placeholder="Services included"
+                        aria-label="Service line description"
+                      />
+                      <input
+                        type="text"
+                        className="api-key-input"
+                        value={line.terms}
+                        onChange={(e) => updateProfileFormItem('serviceLines', index, { terms: e.target.value })}
+                        placeholder="Matching terms, comma-separated"
+                        aria-label="Service line matching terms"
+                      />
+                    </div>
+                  ))}
+                  <button
+                    className="profile-add-btn"
+                    onClick={() => updateProfileForm({
+                      serviceLines: [...profileForm.serviceLines, { id: '', name: '', category: '', priority: 'supporting', description: '', terms: '' }]
+                    })}
+                  >
+                    + Add service line
+                  </button>
+
+                  <h4 className="profile-subheading">Geographies</h4>
+                  {profileForm.geographies.map((geography, index) => (
+                    <div className="profile-item" key={geography.tier}>
+                      <div className="profile-item-row">
+                        <input
+                          type="text"
+                          className="api-key-input"
+                          value={geography.label}
+                          onChange={(e) => updateProfileFormItem('geographies', index, { label: e.target.value })}
+                          aria-label={`${proximityLabel(geography.tier)} label`}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          className="api-key-input profile-score"
+                          value={geography.score}
+                          onChange={(e) => updateProfileFormItem('geographies', index, { score: e.target.value })}
+                          aria-label={`${proximityLabel(geography.tier)} geographic score (%)`}
+                        />
+                      </div>
+                      <input
+                        type="text"
+                        className="api-key-input"
+                        value={geography.areas}
+                        onChange={(e) => updateProfileFormItem('geographies', index, { areas: e.target.value })}
+                        placeholder="Areas, comma-separated"
+                        aria-label={`${proximityLabel(geography.tier)} areas`}
+                      />
+                    </div>
+                  ))}
+
+                  <div className="api-key-input-group">
+                    <label htmlFor="profile-priorities">Strategic Priorities (one per line)</label>
+                    <textarea
+                      id="profile-priorities"
+                      className="api-key-input profile-textarea"
+                      rows={3}
+                      value={profileForm.strategicPriorities}
+                      onChange={(e) => updateProfileForm({ strategicPriorities: e.target.value })}
+                    />
+                  </div>
+
+                  <div className="api-key-input-group">
+                    <label htmlFor="profile-constraints">Capacity Constraints (one per line)</label>
+                    <textarea
+                      id="profile-constraints"
+                      className="api-key-input profile-textarea"
+                      rows={3}
+                      value={profileForm.capacityConstraints}
+                      onChange={(e) => updateProfileForm({ capacityConstraints: e.target.value })}
+                    />
+                  </div>
+
+                  <h4 className="profile-subheading">Exclusions</h4>
+                  {profileForm.exclusions.map((exclusion, index) => (
+                    <div className="profile-item" key={index}>
+                      <div className="profile-item-row">
+                        <input
+                          type="text"
+                          className="api-key-input"
+                          value={exclusion.label}
+                          onChange={(e) => updateProfileFormItem('exclusions', index, { label: e.target.value })}
+                          placeholder="What we don't bid for"
+                          aria-label="Exclusion"
+                        />
+                        <button
+                          className="profile-remove-btn"
+                          onClick={() => updateProfileForm({ exclusions: profileForm.exclusions.filter((_, i) => i !== index) })}
+                          aria-label={`Remove ${exclusion.label || 'exclusion'}`}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                      <input
+                        type="text"
+                        className="api-key-input"
+                        value={exclusion.terms}
+                        onChange={(e) => updateProfileFormItem('exclusions', index, { terms: e.target.value })}
+                        placeholder="Matching terms, comma-separated"
+                        aria-label="Exclusion matching terms"
+                      />
+                    </div>
+                  ))}
+                  <button
+                    className="profile-add-btn"
+                    onClick={() => updateProfileForm({ exclusions: [...profileForm.exclusions, { label: '', terms: '' }] })}
+                  >
+                    + Add exclusion
+                  </button>
+
+                  <h4 className="profile-subheading">Scoring Bands</h4>
+                  {profileForm.scoringBands.map((band, index) => (
+                    <div className="profile-item-row" key={band.recommendation}>
+                      <label className="profile-band-label" htmlFor={`profile-band-${index}`}>{band.recommendation} from</label>
+                      <input
+                        id={`profile-band-${index}`}
+                        type="number"
+                        min="0"
+                        max="100"
+                        className="api-key-input profile-score"
+                        value={band.min}
+                        onChange={(e) => updateProfileFormItem('scoringBands', index, { min: e.target.value })}
+                      />
+                      <input
+                        type="text"
+                        className="api-key-input"
+                        value={band.guidance}
+                        onChange={(e) => updateProfileFormItem('scoringBands', index, { guidance: e.target.value })}
+                        aria-label={`${band.recommendation} guidance`}
+                      />
+                    </div>
+                  ))}
+
+                  <div className="settings-actions">
+                    <button className="save-api-key-btn" onClick={handleSaveProfile}>
+                      Save Profile
+                    </button>
+                    <button
+                      className="test-connection-btn"
+                      onClick={handleResetProfile}
+                      disabled={!capabilityProfile.revision}
+                    >
+                      Reset to Default
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Pipeline Forecast Modal - awarded contracts due for re-procurement */}
+      {showPipelineForecast && (
+        <>
+          <div
+            className="detail-overlay"
+            onClick={() => setShowPipelineForecast(false)}
+            aria-hidden="true"
+          />
+          <div
+            className="settings-modal pipeline-forecast-modal"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="pipeline-forecast-title"
+          >
+            <button
+              className="detail-close"
+              onClick={() => setShowPipelineForecast(false)}
+              aria-label="Close pipeline forecast"
+            >
+              ✕
+            </button>
+
+            <div className="settings-content">
+              <h2 id="pipeline-forecast-title">Pipeline Forecast</h2>
+
+              {isLoadingForecast ? (
+                <p className="settings-help-text">Loading forecast...</p>
+              ) : !pipelineForecast ? (
+                <p className="settings-help-text">
+                  No pipeline forecast has been published yet. It is built from contract awards by the daily ingestion run.
+                </p>
+              ) : (
+                <>
+                  <p className="settings-help-text">
+                    Contracts in our categories and geography ending in the next {pipelineForecast.config.horizon.minMonths}–{pipelineForecast.config.horizon.maxMonths} months.
+                    Buyers are expected to re-procure {pipelineForecast.config.leadMonths.earliest}–{pipelineForecast.config.leadMonths.latest} months before a contract ends.
+                    Built {formatLastUpdated(pipelineForecast.generated)}.
+                  </p>
+
+                  {pipelineForecast.contracts.length === 0 ? (
+                    <p className="settings-help-text">No contracts are due for re-procurement in this window.</p>
+                  ) : (
+                    <table className="health-table forecast-table">
+                      <thead>
+                        <tr>
+                          <th>Contract</th>
+                          <th>Incumbent</th>
+                          <th>Original Value</th>
+                          <th>Ends</th>
+                          <th>Expected Re-procurement</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pipelineForecast.contracts.map(contract => (
+                          <tr key={contract.id}>
+                            <td>
+                              <a href={contract.url} target="_blank" rel="noopener noreferrer">{contract.title}</a>
+                              <span className="forecast-buyer">{contract.organization}</span>
+                            </td>
+                            <td>{contract.incumbents.length > 0 ? contract.incumbents.join(', ') : 'Not published'}</td>
+                            <td>{contract.value > 0 ? formatCurrency(contract.value) : 'Not published'}</td>
+                            <td>
+                              {formatDeadline(contract.contractPeriod.endDate).formatted}
+                              <span className="forecast-buyer">{contract.monthsToExpiry} months</span>
+                            </td>
+                            <td>
+                              {formatMonth(contract.reprocurementWindow.from)} – {formatMonth(contract.reprocurementWindow.to)}
+                              {contract.reprocurementWindow.open && <span className="forecast-window-open">Window open</span>}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Buyer Directory Modal - canonical buyers, with a profile page for each */}
+      {showBuyerDirectory && (
+        <>
+          <div
+            className="detail-overlay"
+            onClick={() => setShowBuyerDirectory(false)}
+            aria-hidden="true"
+          />
+          <div
+            className="settings-modal buyer-directory-modal"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="buyer-directory-title"
+          >
+            <button
+              className="detail-close"
+              onClick={() => setShowBuyerDirectory(false)}
+              aria-label="Close buyer directory"
+            >
+              ✕
+            </button>
+
+            <div className="settings-content">
+              {isLoadingBuyers ? (
+                <p className="settings-help-text">Loading buyers...</p>
+              ) : !buyerDirectory ? (
+                <>
+                  <h2 id="buyer-directory-title">Buyers</h2>
+                  <p className="settings-help-text">
+                    No buyer directory has been published yet. It is built from tenders and awards by the daily ingestion run.
+                  </p>
+                </>
+              ) : selectedBuyer ? (
+                <>
+                  <button className="buyer-back-btn" onClick={() => setSelectedBuyerId(null)}>
+                    ← All buyers
+                  </button>
+                  <h2 id="buyer-directory-title">{selectedBuyer.name}</h2>
+                  <p className="settings-help-text">
+                    <span className="buyer-type-badge">{BUYER_TYPE_LABELS[selectedBuyer.type] || selectedBuyer.type}</span>
+                    {selectedBuyer.aliases.length > 0 && ` Also published as: ${selectedBuyer.aliases.join('; ')}`}
+                  </p>
+
+                  {[
+                    { title: 'Open Tenders', list: selectedBuyer.tenders.filter(isOpenBuyerTender) },
+                    { title: 'Past Tenders', list: selectedBuyer.tenders.filter(t => !isOpenBuyerTender(t)) }
+                  ].map(({ title, list }) => (
+                    <div className="settings-section" key={title}>
+                      <h3>{title} ({list.length})</h3>
+                      {list.length === 0 ? (
+                        <p className="settings-help-text">None recorded.</p>
+                      ) : (
+                        <table className="health-table buyer-table">
+                          <thead>
+                            <tr>
+                              <th>Tender</th>
+                              <th>Value</th>
+                              <th>Deadline</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {list.map(tender => (
+                              <tr key={tender.id}>
+                                <td>
+                                  {currentTenders.some(t => t.id === tender.id) ? (
+                                    <button className="buyer-tender-link" onClick={() => handleOpenBuyerTender(tender.id)}>
+                                      {tender.title}
+                                    </button>
+                                  ) : (
+                                    <a href={tender.url} target="_blank" rel="noopener noreferrer">{tender.title}</a>
+                                  )}
+                                  {tender.stage === 'planning' && <span className="forecast-buyer">Early signal</span>}
+                                </td>
+                                <td>{tender.value > 0 ? formatCurrency(tender.value) : 'Not published'}</td>
+                                <td>{tender.deadline ? formatDeadline(tender.deadline).formatted : 'No deadline'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  ))}
+
+                  <div className="settings-section">
+                    <h3>Awarded Contracts ({selectedBuyer.awards.length})</h3>
+                    {selectedBuyer.awards.length === 0 ? (
+                      <p className="settings-help-text">None recorded.</p>
+                    ) : (
+                      <table className="health-table buyer-table">
+                        <thead>
+                          <tr>
+                            <th>Contract</th>
+                            <th>Awarded To</th>
+                            <th>Value</th>
+                            <th>Awarded</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {selectedBuyer.awards.map(award => (
+                            <tr key={award.id}>
+                              <td>
+                                <a href={award.url} target="_blank" rel="noopener noreferrer">{award.title}</a>
+                                {award.contractPeriod?.endDate && (
+                                  <span className="forecast-buyer">Ends {formatDeadline(award.contractPeriod.endDate).formatted}</span>
+                                )}
+                              </td>
+                              <td>{award.suppliers.length > 0 ? award.suppliers.join(', ') : 'Not published'}</td>
+                              <td>{award.value > 0 ? formatCurrency(award.value) : 'Not published'}</td>
+                              <td>{award.date ? formatDeadline(award.date).formatted : 'Not published'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                </>
+              ) : (
+                <>
+                  <h2 id="buyer-directory-title">Buyers</h2>
+                  <p className="settings-help-text">
+                    Buyers with tenders or awards on record, under one canonical name however they spell it.
+                    Built {formatLastUpdated(buyerDirectory.generated)}.
+                  </p>
+                  <input
+                    type="text"
+                    className="param-input buyer-search"
+                    value={buyerSearch}
+                    onChange={(e) => setBuyerSearch(e.target.value)}
+                    placeholder="Search buyers"
+                    aria-label="Search buyers"
+                  />
+                  <table className="health-table buyer-table">
+                    <thead>
+                      <tr>
+                        <th>Buyer</th>
+                        <th>Type</th>
+                        <th>Open</th>
+                        <th>Past</th>
+                        <th>Awards</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {listedBuyers.map(buyer => (
+                        <tr key={buyer.id}>
+                          <td>
+                            <button className="buyer-tender-link" onClick={() => setSelectedBuyerId(buyer.id)}>
+                              {buyer.name}
+                            </button>
+                          </td>
+                          <td>{BUYER_TYPE_LABELS[buyer.type] || buyer.type}</td>
+                          <td>{buyer.tenders.filter(isOpenBuyerTender).length}</td>
+                          <td>{buyer.tenders.filter(t => !isOpenBuyerTender(t)).length}</td>
+                          <td>{buyer.awards.length}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Competitor Directory Modal - contracts won versus how often Claude predicted each competitor */}
+      {showCompetitors && (
+        <>
+          <div
+            className="detail-overlay"
+            onClick={() => setShowCompetitors(false)}
+            aria-hidden="true"
+          />
+          <div
+            className="settings-modal buyer-directory-modal"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="competitor-directory-title"
+          >
+            <button
+              className="detail-close"
+              onClick={() => setShowCompetitors(false)}
+              aria-label="Close competitor directory"
+            >
+              ✕
+            </button>
+
+            <div className="settings-content">
+              {isLoadingCompetitors ? (
+                <p className="settings-help-text">Loading competitors...</p>
+              ) : !competitorDirectory ? (
+                <>
+                  <h2 id="competitor-directory-title">Competitors</h2>
+                  <p className="settings-help-text">
+                    No competitor directory has been published yet. It is built from contract awards by the daily ingestion run.
+                  </p>
+                </>
+              ) : selectedCompetitor ? (
+                <>
+                  <button className="buyer-back-btn" onClick={() => setSelectedCompetitorId(null)}>
+                    ← All competitors
+                  </button>
+                  <h2 id="competitor-directory-title">{selectedCompetitor.name}</h2>
+                  <p className="settings-help-text">
+                    Won {selectedCompetitor.contractsWon} contract{selectedCompetitor.contractsWon === 1 ? '' : 's'}
+                    {selectedCompetitor.valueWon > 0 && ` worth ${formatCurrency(selectedCompetitor.valueWon)}`} on record;
+                    named as a likely competitor in {selectedCompetitor.predicted} AI analys{selectedCompetitor.predicted === 1 ? 'is' : 'es'}.
+                    {selectedCompetitor.aliases.length > 0 && ` Also known as: ${selectedCompetitor.aliases.join('; ')}`}
+                  </p>
+
+                  <div className="settings-section">
+                    <h3>Buyers ({selectedCompetitor.buyers.length})</h3>
+                    {selectedCompetitor.buyers.length === 0 ? (
+                      <p className="settings-help-text">No awards on record.</p>
+                    ) : (
+                      <div className="category-tags">
+                        {selectedCompetitor.buyers.map(buyer => (
+                          <button
+                            key={buyer.buyerId || buyer.name}
+                            className="category-tag competitor-link-chip"
+                            onClick={() => {
+                              if (!buyer.buyerId) return
+                              setShowCompetitors(false)
+                              handleOpenBuyerDirectory(buyer.buyerId)
+                            }}
+                          >
+                            {buyer.name} ({buyer.contracts})
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
+                  {selectedCompetitor.categories.length > 0 && (
+                    <div className="settings-section">
+                      <h3>Categories</h3>
+                      <div className="category-tags">
+                        {selectedCompetitor.categories.map(category => (
+                          <span key={category.code} className="category-tag" title={category.code}>
+                            {category.description || category.code} ({category.contracts})
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="settings-section">
+                    <h3>Contracts Won ({selectedCompetitor.awards.length})</h3>
+                    {selectedCompetitor.awards.length === 0 ? (
+                      <p className="settings-help-text">None recorded.</p>
+                    ) : (
+                      <table className="health-table buyer-table">
+                        <thead>
+                          <tr>
+                            <th>Contract</th>
+                            <th>Value</th>
+                            <th>Awarded</th>
+                            <th>Ends</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {selectedCompetitor.awards.map(award => (
+                            <tr key={award.id}>
+                              <td>
+                                <a href={award.url} target="_blank" rel="noopener noreferrer">{award.title}</a>
+                                <span className="forecast-buyer">{award.organization}</span>
+                              </td>
+                              <td>{award.value > 0 ? formatCurrency(award.value) : 'Not published'}</td>
+                              <td>{award.date ? formatDeadline(award.date).formatted : 'Not published'}</td>
+                              <td>{award.contractPeriod?.endDate ? formatDeadline(award.contractPeriod.endDate).formatted : 'Not published'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+
+                  <div className="settings-section">
+                    <h3>Predicted In ({selectedCompetitor.predicted})</h3>
+                    {selectedCompetitor.predicted === 0 ? (
+                      <p className="settings-help-text">Not named in any AI analysis yet.</p>
+                    ) : (
+                      <ul className="predicted-tender-list">
+                        {selectedCompetitor.predictedIn.map(tenderId => {
+                          const tender = currentTenders.find(t => t.id === tenderId)
+                          return (
+                            <li key={tenderId}>
+                              {tender ? (
+                                <button
+                                  className="buyer-tender-link"
+                                  onClick={() => {
+                                    setShowCompetitors(false)
+                                    setSelectedTenderId(tenderId)
+                                  }}
+                                >
+                                  {tender.title}
+                                </button>
+                              ) : (
+                                <span className="forecast-buyer">{tenderId} (no longer published)</span>
+                              )}
+                            </li>
+                          )
+                        })}
+                      </ul>
+                    )}
+                  </div>
+                </>
+              ) : (
+                <>
+                  <h2 id="competitor-directory-title">Competitors</h2>
+                  <p className="settings-help-text">
+                    Suppliers that have won contracts in our categories, alongside how often AI analyses named them as a likely competitor.
+                    Built {formatLastUpdated(competitorDirectory.generated)}.
+                  </p>
+                  <input
+                    type="text"
+                    className="param-input buyer-search"
+                    value={competitorSearch}
+                    onChange={(e) => setCompetitorSearch(e.target.value)}
+                    placeholder="Search competitors"
+                    aria-label="Search competitors"
+                  />
+                  <table className="health-table buyer-table">
+                    <thead>
+                      <tr>
+                        <th>Competitor</th>
+                        <th>Contracts Won</th>
+                        <th>Value Won</th>
+                        <th>Predicted</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {listedCompetitors.map(competitor => (
+                        <tr key={competitor.id}>
+                          <td>
+                            <button className="buyer-tender-link" onClick={() => setSelectedCompetitorId(competitor.id)}>
+                              {competitor.name}
+                            </button>
+                          </td>
+                          <td>{competitor.contractsWon}</td>
+                          <td>{competitor.valueWon > 0 ? formatCurrency(competitor.valueWon) : '–'}</td>
+                          <td>{competitor.predicted}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Data Health Modal - quality report from the last ingestion run */}
+      {showDataHealth && (
+        <>
+          <div
+            className="detail-overlay"
+            onClick={() => setShowDataHealth(false)}
+            aria-hidden="true"
+          />
+          <div
+            className="settings-modal data-health-modal"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="data-health-title"
+          >
+            <button
+              className="detail-close"
+              onClick={() => setShowDataHealth(false)}
+              aria-label="Close data health"
+            >
+              ✕
+            </button>
+
+            <div className="settings-content">
+              <h2 id="data-health-title">Data Health</h2>
+
+              {isLoadingReport ? (
+                <p className="settings-help-text">Loading report...</p>
+              ) : !ingestReport ? (
+                <p className="settings-help-text">
+                  No data quality report has been published yet. It is written by the daily ingestion run.
+                </p>
+              ) : (
+                <>
+                  <div className={`health-status health-${ingestReport.status}`}>
+                    <span className="health-status-label">
+                      {ingestReport.status === 'ok' ? '✓ Feed healthy' : ingestReport.status === 'degraded' ? '⚠️ Feed degraded' : '✕ Feed failing'}
+                    </span>
+                    <span className="health-status-date">Run {formatLastUpdated(ingestReport.generated)}</span>
+                  </div>
+                  {ingestReport.issues.length > 0 && (
+                    <ul className="health-issues">
+                      {ingestReport.issues.map(issue => <li key={issue}>{issue}</li>)}
+                    </ul>
+                  )}
+
+                  <div className="settings-section">
+                    <h3>Sources</h3>
+                    <table className="health-table">
+                      <thead>
+                        <tr>
+                          <th>Source</th>
+                          <th>Rows</th>
+                          <th>Accepted</th>
+                          <th>Rejected</th>
+                          <th>Rejected %</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[['Contracts Finder', ingestReport.sources.contractsFinder], ['Find a Tender', ingestReport.sources.findATender]].map(([name, source]) => (
+                          <tr key={name}>
+                            <td>{name}{name === 'Find a Tender' && !source.complete && ' (incomplete)'}</td>
+                            <td>{source.rows}</td>
+                            <td>{source.accepted}</td>
+                            <td title={Object.entries(source.reasons).map(([reason, count]) => `${reason}: ${count}`).join(', ')}>{source.rejected}</td>
+                            <td>{formatPercent(source.rejectedRate)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {ingestReport.failures.length > 0 && (
+                    <div className="settings-section">
+                      <h3>Failed Fetches</h3>
+                      <ul className="health-issues">
+                        {ingestReport.failures.map((failure, idx) => (
+                          <li key={idx}>
+                            {failure.source} {failure.day || `page ${failure.page}`}: {failure.error}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  <div className="settings-section">
+                    <h3>Completeness</h3>
+                    <p className="settings-help-text">
+                      {ingestReport.completeness.tenders} tenders fetched this run, before deduplication and filtering.
+                    </p>
+                    <table className="health-table">
+                      <thead>
+                        <tr>
+                          <th>Check</th>
+                          <th>Tenders</th>
+                          <th>%</th>
+                          <th>Change</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[
+                          ['Missing deadline', 'missingDeadline'],
+                          ['Missing value', 'missingValue'],
+                          ['Missing region', 'missingRegion'],
+                          ['Missing buyer', 'missingBuyer'],
+                          ['Invalid dates', 'invalidDates']
+                        ].map(([label, key]) => (
+                          <tr key={key}>
+                            <td>{label}</td>
+                            <td>{ingestReport.completeness[key].count}</td>
+                            <td>{formatPercent(ingestReport.completeness[key].rate)}</td>
+                            <td>{formatDelta(ingestReport.deltas?.metrics[key]?.change)}</td>
+                          </tr>
+                        ))}
+                        <tr>
+                          <td>Duplicates (by id / merged)</td>
+                          <td>{ingestReport.duplicates.exactDuplicates} / {ingestReport.duplicates.merged}</td>
+                          <td>{formatPercent(ingestReport.duplicates.rate)}</td>
+                          <td>{formatDelta(ingestReport.deltas?.metrics.duplicates?.change)}</td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {ingestReport.deltas && (
+                    <div className="settings-section">
+                      <h3>Since Previous Run</h3>
+                      <p className="settings-help-text">Compared with the run on {formatLastUpdated(ingestReport.deltas.since)}.</p>
+                      <table className="health-table">
+                        <tbody>
+                          {[
+                            ['Published tenders', 'published'],
+                            ['Fetched tenders', 'fetched'],
+                            ['Contracts Finder accepted', 'contractsFinderAccepted'],
+                            ['Find a Tender accepted', 'findATenderAccepted'],
+                            ['Rows rejected', 'rejected'],
+                            ['Failed fetches', 'failures']
+                          ].map(([label, key]) => (
+                            <tr key={key}>
+                              <td>{label}</td>
+                              <td>{ingestReport.deltas.metrics[key]?.previous ?? '–'}</td>
+                              <td>→ {ingestReport.deltas.metrics[key]?.current}</td>
+                              <td>{formatDelta(ingestReport.deltas.metrics[key]?.change)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  <div className="settings-section">
+                    <h3>Contracts Finder by Day</h3>
+                    <table className="health-table">
+                      <thead>
+                        <tr>
+                          <th>Day</th>
+                          <th>Status</th>
+                          <th>Rows</th>
+                          <th>Accepted</th>
+                          <th>Rejected</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {ingestReport.sources.contractsFinder.days.map(day => (
+                          <tr key={day.day} className={day.status === 'failed' ? 'health-row-failed' : ''}>
+                            <td>{day.day}</td>
+                            <td title={day.error}>{day.status}</td>
+                            <td>{day.rows ?? '–'}</td>
+                            <td>{day.accepted ?? '–'}</td>
+                            <td>{day.rejected ?? '–'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
             </div>
           </div>
         </>
@@ -1601,15 +3031,18 @@ function App() {
               </div>
 
               <div className="param-group">
-                <label htmlFor="location">Location/Region</label>
-                <input
-                  id="location"
-                  type="text"
-                  value={searchParams.location}
-                  onChange={(e) => handleSearchParamChange('location', e.target.value)}
-                  placeholder="e.g., Bristol, North Somerset"
+                <label htmlFor="proximity">Location</label>
+                <select
+                  id="proximity"
+                  value={searchParams.proximity}
+                  onChange={(e) => handleSearchParamChange('proximity', e.target.value)}
                   className="param-input"
-                />
+                >
+                  {PROXIMITY_TIERS.map(tier => (
+                    <option key={tier.id} value={tier.id}>{tier.search}</option>
+                  ))}
+                  <option value="">Anywhere (including unlocated buyers)</option>
+                </select>
               </div>
 
               <div className="param-group">
@@ -1667,7 +3100,7 @@ function App() {
                     type="checkbox"
                     id="deadline-toggle"
                     checked={includeExpiredDeadlines}
-                    onChange={(e) => setIncludeExpiredDeadlines(e.target.checked)}
+                    onChange={(e) => handleIncludeExpiredChange(e.target.checked)}
                     className="toggle-checkbox"
                   />
                   <label htmlFor="deadline-toggle" className="toggle-label">
@@ -1684,7 +3117,7 @@ function App() {
             <div className="search-params-actions">
               <button
                 className="fetch-tenders-btn"
-                onClick={handleFetchTenders}
+                onClick={() => handleFetchTenders()}
                 disabled={isFetching}
               >
                 {isFetching ? (
@@ -1774,9 +3207,65 @@ function App() {
               >
                 Analyze All Tenders ({liveTenders.length})
               </button>
+
+              {SHARED_ANALYSES && (
+                <button
+                  className="analyze-btn analyze-server-btn"
+                  onClick={() => {
+                    const unanalyzed = liveTenders.filter(t => !t.ai_analyzed && !analyzedTenders.has(t.id))
+                    if (unanalyzed.length === 0) {
+                      alert('All tenders have already been analyzed!')
+                      return
+                    }
+                    handleAnalyzeOnServer(unanalyzed)
+                  }}
+                  disabled={isAnalyzing || isFetching || Boolean(processingBatchIds)}
+                  title="Runs on the server at batch pricing; results arrive within 24 hours"
+                >
+                  Analyze Unanalyzed on Server ({liveTenders.filter(t => !t.ai_analyzed && !analyzedTenders.has(t.id)).length})
+                </button>
+              )}
             </div>
           </div>
 
+          {/* Interrupted Job */}
+          {interruptedJob && !isAnalyzing && (
+            <div className="interrupted-job-banner">
+              <span>
+                An analysis job started {new Date(interruptedJob.createdAt).toLocaleString('en-GB')} was interrupted:
+                {' '}{interruptedJob.done.length} done, {interruptedJob.failed.length} failed, {interruptedJob.pending.length} pending.
+              </span>
+              <div className="progress-controls">
+                <button
+                  className="progress-control-btn"
+                  onClick={handleResumeJob}
+                  disabled={isFetching}
+                >
+                  ▶ Resume
+                </button>
+                <button className="progress-control-btn progress-cancel-btn" onClick={handleDiscardJob}>
+                  Discard
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Server-side Batches */}
+          {serverBatchJobs.map(job => (
+            <div key={job.id} className="server-batch-status">
+              <span>
+                Server batch {job.id}: {job.status === 'processing' ? 'processing' : 'finished'}
+                {' '}- {job.done.length} done, {job.failed.length} failed, {job.pending} pending
+                {job.status === 'processing' && ' (results within 24 hours)'}
+              </span>
+              {job.status !== 'processing' && (
+                <button className="progress-control-btn" onClick={() => handleDismissServerBatch(job.id)}>
+                  Dismiss
+                </button>
+              )}
+            </div>
+          ))}
+
           {/* Cost Tracking */}
           {sessionAnalysisCount > 0 && (
             <div className="cost-tracking">
@@ -1796,8 +3285,32 @@ function App() {
             <div className="analysis-progress">
               <div className="progress-header">
                 <span className="progress-text">
-                  Analyzing {analysisProgress.current} of {analysisProgress.total} tenders...
+                  {analysisQueueState === 'paused' ? 'Paused' : analysisQueueState === 'cancelled' ? 'Cancelling' : 'Analyzing'}
+                  {' '}- {analysisProgress.current} of {analysisProgress.total} tenders done
+                  {analysisQueueState === 'cancelled' ? ' (finishing running tenders)...' : analysisQueueState === 'paused' ? '' : '...'}
                 </span>
+                <div className="progress-controls">
+                  {analysisQueueState === 'paused' ? (
+                    <button className="progress-control-btn" onClick={handleResumeAnalysis}>
+                      ▶ Resume
+                    </button>
+                  ) : (
+                    <button
+                      className="progress-control-btn"
+                      onClick={handlePauseAnalysis}
+                      disabled={analysisQueueState !== 'running'}
+                    >
+                      ⏸ Pause
+                    </button>
+                  )}
+                  <button
+                    className="progress-control-btn progress-cancel-btn"
+                    onClick={handleCancelAnalysis}
+                    disabled={analysisQueueState === 'cancelled'}
+                  >
+                    ✕ Cancel
+                  </button>
+                </div>
               </div>
               <div className="progress-bar-container">
                 <div
@@ -1809,7 +3322,17 @@ function App() {
               </div>
               {analysisProgress.currentTender && (
                 <div className="current-tender-analyzing">
-                  Current: {analysisProgress.currentTender}
+                  Last completed: {analysisProgress.currentTender}
+                </div>
+              )}
+              {analysisJob && (
+                <div className="analysis-job-summary">
+                  Job {analysisJob.id}: {analysisJob.done.length} done, {analysisJob.failed.length} failed, {analysisJob.pending.length} pending
+                </div>
+              )}
+              {analysisProgress.retryNotice && (
+                <div className="analysis-retry-notice">
+                  ⚠️ {analysisProgress.retryNotice}
                 </div>
               )}
             </div>
@@ -1942,6 +3465,22 @@ function App() {
               <option value="alignment-desc">Alignment ↓ (Best Match)</option>
             </select>
           </div>
+
+          {dataSource === 'live' && (
+            <div className="filter-group">
+              <label htmlFor="change-filter">Changes</label>
+              <select
+                id="change-filter"
+                value={changeFilter}
+                onChange={(e) => setChangeFilter(e.target.value)}
+                className="filter-select"
+              >
+                <option value="all">All Tenders</option>
+                <option value="new">New Since Yesterday</option>
+                <option value="amended">Amended Since Yesterday</option>
+              </select>
+            </div>
+          )}
         </div>
 
         {dataSource === 'live' && (
@@ -1979,7 +3518,7 @@ function App() {
 
         <div className="filter-bottom-row">
           <div className="tender-count">
-            Showing <strong>{filteredAndSortedTenders.length}</strong> of <strong>{currentTenders.length}</strong> opportunities
+            Showing <strong>{filteredAndSortedTenders.length}</strong> of <strong>{currentTenders.length - earlySignals.length}</strong> opportunities
             {dataSource === 'live' && <span className="data-source-badge">Live Data</span>}
           </div>
 
@@ -2073,6 +3612,52 @@ function App() {
       </div>
 
       <main className="main-content" id="main-content" role="main">
+        {/* Early Signals Lane - pre-market engagement and prior information notices */}
+        {earlySignals.length > 0 && (
+          <section className="early-signals-lane" aria-label="Early signals">
+            <button
+              className="collapse-toggle"
+              onClick={() => setIsEarlySignalsCollapsed(!isEarlySignalsCollapsed)}
+              aria-label={isEarlySignalsCollapsed ? 'Expand early signals' : 'Collapse early signals'}
+            >
+              <span className="toggle-label">📡 Early Signals ({earlySignals.length})</span>
+              <span className="toggle-icon">{isEarlySignalsCollapsed ? '▼' : '▲'}</span>
+            </button>
+            {!isEarlySignalsCollapsed && (
+              <>
+                <p className="early-signals-help">
+                  Pre-market engagement and prior information notices. They move into the tender list when the tender notice is published.
+                </p>
+                <div className="early-signals-list">
+                  {earlySignals.map(notice => (
+                    <div
+                      key={notice.id}
+                      className="early-signal-card"
+                      onClick={() => setSelectedTenderId(notice.id)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' || e.key === ' ') {
+                          e.preventDefault()
+                          setSelectedTenderId(notice.id)
+                        }
+                      }}
+                      role="button"
+                      tabIndex={0}
+                      aria-label={`View details for ${notice.title}`}
+                    >
+                      <h3 className="early-signal-title">{notice.title}</h3>
+                      <p className="tender-organization">{notice.organization}</p>
+                      <div className="early-signal-meta">
+                        {notice.first_seen && <span>Seen {formatLastUpdated(notice.first_seen)}</span>}
+                        {notice.value > 0 && <span>{formatCurrency(notice.value)}</span>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </section>
+        )}
+
         <div className="tender-list">
           {filteredAndSortedTenders.length === 0 ? (
             <div className="no-results" role="status" aria-live="polite">
@@ -2117,29 +3702,46 @@ function App() {
                             tenderAnalysisStatus[tender.id] === 'analyzing' ? 'Analyzing...' :
                             tenderAnalysisStatus[tender.id] === 'success' || tender.ai_analyzed ? 'AI Analyzed' :
                             tenderAnalysisStatus[tender.id] === 'error' ? 'Analysis Failed' :
+                            tenderAnalysisStatus[tender.id] === 'no-bid' ? 'No Bid (deadline passed, not sent to Claude)' :
                             'Not Analyzed'
                           }>
                             {tenderAnalysisStatus[tender.id] === 'analyzing' ? '⏳' :
                              tenderAnalysisStatus[tender.id] === 'success' || tender.ai_analyzed ? '✓' :
                              tenderAnalysisStatus[tender.id] === 'error' ? '✗' :
+                             tenderAnalysisStatus[tender.id] === 'no-bid' ? '–' :
                              '○'}
                           </span>
                         )}
                         <h3 className="tender-title">{tender.title}</h3>
                       </div>
                       <div className="tender-badges">
+                        {tender.change_status === 'new' && (
+                          <span className="change-badge change-new">New</span>
+                        )}
+                        {tender.change_status === 'amended' && (
+                          <span className="change-badge change-amended">Amended</span>
+                        )}
+                        {tender.earlySignal && (
+                          <span className="change-badge early-signal-badge" title="A pre-market notice was published before this tender">Early signal</span>
+                        )}
+                        {tender.analysis_outdated && (
+                          <span className="change-badge analysis-outdated-badge" title="The description, value or deadline changed since Claude analysed this tender">Re-analyse</span>
+                        )}
                         {(tender.ai_analyzed || tenderAnalysisStatus[tender.id] === 'success') && (
                           <span className="data-source-badge ai-badge">AI Analysis</span>
                         )}
+                        {isRulesBased(tender) && (
+                          <span className="data-source-badge rules-badge" title="Pre-score from the fit rules, not an AI analysis">Rules-based</span>
+                        )}
                         <span
                           className="status-badge"
                           style={{ backgroundColor: getStatusColor(tender.status) }}
                         >
                           {tender.status}
                         </span>
-                        {(tender.ai_analyzed || tenderAnalysisStatus[tender.id] === 'success' || dataSource === 'sample') && (
+                        {(tender.ai_analyzed || tenderAnalysisStatus[tender.id] === 'success' || dataSource === 'sample' || isRulesBased(tender)) && (
                           <span
-                            className="recommendation-badge"
+                            className={`recommendation-badge ${isRulesBased(tender) ? 'rules-recommendation' : ''}`}
                             style={{ backgroundColor: getRecommendationColor(tender.sirona_fit.recommendation) }}
                           >
                             {tender.sirona_fit.recommendation}
@@ -2171,6 +3773,14 @@ function App() {
                         </span>
                       </div>
                     )}
+                    {isRulesBased(tender) && (
+                      <div className="metric-item">
+                        <label>Pre-score</label>
+                        <span className="metric-value rules-score">
+                          {tender.sirona_fit.alignment_score}%
+                        </span>
+                      </div>
+                    )}
                     <div className="metric-item">
                       <label>Region</label>
                       <span className="metric-value">{tender.region}</span>
@@ -2210,19 +3820,39 @@ function App() {
               {/* Header Section */}
               <div className="detail-header">
                 <h2 className="detail-title" id="detail-title">{selectedTender.title}</h2>
-                <p className="detail-organization">{selectedTender.organization}</p>
+                <p className="detail-organization">
+                  {selectedTender.organization}
+                  {selectedTender.buyerId && (
+                    <button
+                      className="buyer-profile-link"
+                      onClick={() => {
+                        setSelectedTenderId(null)
+                        handleOpenBuyerDirectory(selectedTender.buyerId)
+                      }}
+                    >
+                      View buyer profile →
+                    </button>
+                  )}
+                </p>
                 <div className="detail-header-badges">
                   <div className="detail-badge-item">
                     <label>Contract Value</label>
                     <span className="detail-value-badge">{formatCurrency(selectedTender.value)}</span>
                   </div>
-                  <div className="detail-badge-item">
-                    <label>Submission Deadline</label>
-                    <span className={`detail-deadline-badge ${formatDeadline(selectedTender.deadline).urgent ? 'urgent' : ''}`}>
-                      {formatDeadline(selectedTender.deadline).formatted}
-                      <span className="days-text">({formatDeadline(selectedTender.deadline).daysText})</span>
-                    </span>
-                  </div>
+                  {selectedTender.stage === 'planning' ? (
+                    <div className="detail-badge-item">
+                      <label>Stage</label>
+                      <span className="detail-deadline-badge">Early signal – no tender notice yet</span>
+                    </div>
+                  ) : (
+                    <div className="detail-badge-item">
+                      <label>Submission Deadline</label>
+                      <span className={`detail-deadline-badge ${formatDeadline(selectedTender.deadline).urgent ? 'urgent' : ''}`}>
+                        {formatDeadline(selectedTender.deadline).formatted}
+                        <span className="days-text">({formatDeadline(selectedTender.deadline).daysText})</span>
+                      </span>
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -2241,7 +3871,9 @@ function App() {
                 </a>
 
                 <div className="detailed-description">
-                  {selectedTender.detailedDescription.split('\n\n').map((paragraph, idx) => (
+                  {selectedTender.detailedDescription == null ? (
+                    <p className="description-loading">Loading description...</p>
+                  ) : selectedTender.detailedDescription.split('\n\n').map((paragraph, idx) => (
                     <p key={idx}>{paragraph}</p>
                   ))}
                 </div>
@@ -2251,6 +3883,17 @@ function App() {
                     <label>Region</label>
                     <span>{selectedTender.region}</span>
                   </div>
+                  {selectedTender.geography && (
+                    <div className="metadata-item">
+                      <label>Buyer Location</label>
+                      <span>
+                        {selectedTender.geography.area || 'Not located'}
+                        <span className={`proximity-badge proximity-${selectedTender.geography.tier}`}>
+                          {proximityLabel(selectedTender.geography.tier)}
+                        </span>
+                      </span>
+                    </div>
+                  )}
                   <div className="metadata-item">
                     <label>Categories</label>
                     <div className="category-tags">
@@ -2268,9 +3911,160 @@ function App() {
                       {selectedTender.status}
                     </span>
                   </div>
+                  {selectedTender.first_seen && (
+                    <div className="metadata-item">
+                      <label>First Seen</label>
+                      <span>{formatLastUpdated(selectedTender.first_seen)}</span>
+                    </div>
+                  )}
+                  {selectedTender.earlySignal && (
+                    <div className="metadata-item">
+                      <label>Early Signal</label>
+                      <span>
+                        <a href={selectedTender.earlySignal.url} target="_blank" rel="noopener noreferrer">
+                          {selectedTender.earlySignal.title}
+                        </a>
+                        {selectedTender.earlySignal.first_seen && ` (seen ${formatLastUpdated(selectedTender.earlySignal.first_seen)})`}
+                      </span>
+                    </div>
+                  )}
+                  {selectedTender.sources?.length > 1 && (
+                    <div className="metadata-item">
+                      <label>Published On</label>
+                      <div className="category-tags">
+                        {selectedTender.sources.map(source => (
+                          <a
+                            key={source.id}
+                            href={source.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="category-tag"
+                          >
+                            {source.source}
+                          </a>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
+
+                {selectedTender.changes?.length > 0 && (
+                  <div className="change-history">
+                    <h4 className="subsection-heading">Change History</h4>
+                    <ul className="change-list">
+                      {[...selectedTender.changes].reverse().map((change, idx) => (
+                        <li key={idx}>
+                          <span className="change-date">{formatLastUpdated(change.at)}</span>
+                          <span className="change-text">
+                            {change.change}
+                            {change.field === 'deadline' && ` from ${formatDeadline(change.from).formatted} to ${formatDeadline(change.to).formatted}`}
+                            {change.field === 'value' && ` from ${formatCurrency(change.from)} to ${formatCurrency(change.to)}`}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
 
+              {/* Procurement Details Section - OCDS fields, live data only */}
+              {(selectedTender.cpvCodes?.length > 0 || selectedTender.procurementMethod || selectedTender.contractPeriod || selectedTender.lots?.length > 0 || selectedTender.documents?.length > 0) && (
+                <div className="detail-section">
+                  <h3 className="section-heading">Procurement Details</h3>
+
+                  <div className="tender-metadata">
+                    {selectedTender.procurementMethod && (
+                      <div className="metadata-item">
+                        <label>Procurement Method</label>
+                        <span>{selectedTender.procurementMethodDetails || selectedTender.procurementMethod}</span>
+                      </div>
+                    )}
+                    {selectedTender.contractPeriod && (
+                      <div className="metadata-item">
+                        <label>Contract Period</label>
+                        <span>
+                          {selectedTender.contractPeriod.startDate ? formatDeadline(selectedTender.contractPeriod.startDate).formatted : 'Not stated'}
+                          {' – '}
+                          {selectedTender.contractPeriod.endDate ? formatDeadline(selectedTender.contractPeriod.endDate).formatted : 'Not stated'}
+                        </span>
+                      </div>
+                    )}
+                    {selectedTender.suitability && (selectedTender.suitability.sme !== null || selectedTender.suitability.vcse !== null) && (
+                      <div className="metadata-item">
+                        <label>Suitable For</label>
+                        <div className="category-tags">
+                          {selectedTender.suitability.sme && <span className="category-tag">SME</span>}
+                          {selectedTender.suitability.vcse && <span className="category-tag">VCSE</span>}
+                          {!selectedTender.suitability.sme && !selectedTender.suitability.vcse && <span>Not flagged for SME or VCSE</span>}
+                        </div>
+                      </div>
+                    )}
+                    {selectedTender.cpvCodes?.length > 0 && (
+                      <div className="metadata-item">
+                        <label>CPV Codes</label>
+                        <div className="category-tags">
+                          {selectedTender.cpvCodes.map(cpv => (
+                            <span key={cpv.code} className="category-tag" title={cpv.description}>
+                              {cpv.code}{cpv.description ? ` – ${cpv.description}` : ''}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+
+                  {selectedTender.lots?.length > 0 && (
+                    <div className="fit-subsection">
+                      <h4 className="subsection-heading">Lots ({selectedTender.lots.length})</h4>
+                      <ul className="lot-list">
+                        {selectedTender.lots.map((lot, idx) => (
+                          <li key={lot.id || idx}>
+                            <span className="lot-title">{lot.title || `Lot ${lot.id || idx + 1}`}</span>
+                            {lot.value > 0 && <span className="lot-value">{formatCurrency(lot.value)}</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {selectedTender.documents?.length > 0 && (
+                    <div className="fit-subsection">
+                      <h4 className="subsection-heading">Tender Documents</h4>
+                      <ul className="document-list">
+                        {selectedTender.documents.map((doc, idx) => (
+                          <li key={idx}>
+                            <a href={doc.url} target="_blank" rel="noopener noreferrer">{doc.title}</a>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Award Section - award notices linked to this tender by ocid */}
+              {selectedTender.awards?.length > 0 && (
+                <div className="detail-section">
+                  <h3 className="section-heading">Award</h3>
+                  {selectedTender.awards.map(award => (
+                    <div key={award.id} className="tender-metadata">
+                      <div className="metadata-item">
+                        <label>Awarded To</label>
+                        <span>{award.suppliers.length > 0 ? award.suppliers.join(', ') : 'Not published'}</span>
+                      </div>
+                      <div className="metadata-item">
+                        <label>Award Value</label>
+                        <span>{award.value > 0 ? formatCurrency(award.value) : 'Not published'}</span>
+                      </div>
+                      <div className="metadata-item">
+                        <label>Award Date</label>
+                        <span>{award.date ? formatDeadline(award.date).formatted : 'Not published'}</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* AI Analysis Status for Live Data */}
               {dataSource === 'live' && apiKeyStatus?.isReady && (
                 <div className="detail-section ai-analysis-status-section">
@@ -2279,8 +4073,12 @@ function App() {
                       <div className="banner-content">
                         <span className="banner-icon">🤖</span>
                         <div className="banner-text">
-                          <h4>AI Analysis Not Available</h4>
-                          <p>This tender hasn't been analyzed by Claude yet. Click below to generate a strategic fit assessment.</p>
+                          <h4>{selectedTender.analysis_outdated ? 'AI Analysis Outdated' : 'AI Analysis Not Available'}</h4>
+                          <p>
+                            {selectedTender.analysis_outdated
+                              ? 'The description, value or deadline has changed since Claude analyzed this tender. Click below to analyze it again.'
+                              : "This tender hasn't been analyzed by Claude yet. Click below to generate a strategic fit assessment."}
+                          </p>
                         </div>
                       </div>
                       <button
@@ -2298,6 +4096,9 @@ function App() {
                     <div className="ai-analysis-success-banner">
                       <span className="success-icon">✓</span>
                       <span>AI-Powered Strategic Analysis</span>
+                      {selectedTender.sirona_fit.profile_version && (
+                        <span className="profile-version-tag">Profile v{selectedTender.sirona_fit.profile_version}</span>
+                      )}
                       {tenderAnalysisStatus[selectedTender.id] === 'error' && (
                         <button
                           className="retry-analysis-btn"
@@ -2314,6 +4115,44 @@ function App() {
                 </div>
               )}
 
+              {/* Rules-based Pre-score - the rules behind the score of a tender Claude hasn't analysed */}
+              {isRulesBased(selectedTender) && (
+                <div className="detail-section rules-score-section">
+                  <h3 className="section-heading">Rules-based Pre-score</h3>
+                  <p className="rules-score-summary">
+                    <span className="rules-score-value">{selectedTender.sirona_fit.alignment_score}%</span>
+                    <span
+                      className="recommendation-badge rules-recommendation"
+                      style={{ backgroundColor: getRecommendationColor(selectedTender.sirona_fit.recommendation) }}
+                    >
+                      {selectedTender.sirona_fit.recommendation}
+                    </span>
+                  </p>
+                  <table className="health-table rules-reasons-table">
+                    <thead>
+                      <tr>
+                        <th>Rule</th>
+                        <th>Points</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selectedTender.sirona_fit.reasons.map(reason => (
+                        <tr key={reason.id}>
+                          <td>{reason.label}</td>
+                          <td className={reason.points > 0 ? 'rules-points-up' : reason.points < 0 ? 'rules-points-down' : ''}>
+                            {reason.points === null ? '–' : `${reason.points > 0 ? '+' : ''}${reason.points}`}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="settings-help-text">
+                    Deterministic score from the fit rules (version {selectedTender.sirona_fit.rules_version}) and capability profile (version {selectedTender.sirona_fit.profile_version}), not an AI analysis.
+                    It ranks tenders for review; run an AI analysis for win themes, competitors and risks.
+                  </p>
+                </div>
+              )}
+
               {/* Sirona Fit Analysis Section - Only show for analyzed tenders */}
               {(selectedTender.ai_analyzed || tenderAnalysisStatus[selectedTender.id] === 'success' || dataSource === 'sample') && (
               <div className="detail-section sirona-fit-section">
@@ -2370,7 +4209,21 @@ function App() {
                   <h4 className="subsection-heading">Competitive Landscape</h4>
                   <div className="competitor-chips">
                     {selectedTender.sirona_fit.competitors.map((competitor, idx) => (
-                      <span key={idx} className="competitor-chip">{competitor}</span>
+                      selectedTender.ai_analyzed ? (
+                        <button
+                          key={idx}
+                          className="competitor-chip competitor-link-chip"
+                          onClick={() => {
+                            setSelectedTenderId(null)
+                            handleOpenCompetitors(competitor)
+                          }}
+                          title="View competitor profile"
+                        >
+                          {competitor}
+                        </button>
+                      ) : (
+                        <span key={idx} className="competitor-chip">{competitor}</span>
+                      )
                     ))}
                   </div>
                 </div>
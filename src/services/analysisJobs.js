@@ -0,0 +1,147 @@
+/**
+ * Analysis Jobs
+ *
+ * A batch analysis is run as a job: an id, the tenders it covers and their
+ * progress (done, failed and pending tender ids), saved to localStorage as
+ * each tender finishes. Completed analyses are kept by the analysis store
+ * (analysisStore.js) as they arrive, so a job whose tab was closed partway
+ * can be resumed after a reload with only its failed and pending tenders.
+ *
+ * One job is kept at a time. It is removed when it completes or is cancelled;
+ * a job still saved when the dashboard loads was interrupted.
+ *
+ * Server-side batches (api/analysis-batches.js) run without the dashboard;
+ * their jobs are saved too, so the dashboard keeps polling them across
+ * reloads. A large request is split over several of them.
+ */
+
+const STORAGE_KEY = 'analysisJob'
+const SERVER_STORAGE_KEY = 'serverAnalysisJobs'
+
+const saveJob = (job) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(job))
+  } catch (error) {
+    console.warn('Unable to persist analysis job to localStorage:', error)
+  }
+  return job
+}
+
+/**
+ * Start a job for a batch of tenders
+ * @param {Array<Object>} tenders
+ * @returns {Object} Job { id, createdAt, updatedAt, total, done, failed, pending }
+ */
+export const createAnalysisJob = (tenders) => {
+  const now = new Date().toISOString()
+  return saveJob({
+    id: `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    createdAt: now,
+    updatedAt: now,
+    total: tenders.length,
+    done: [],
+    failed: [],
+    pending: tenders.map(t => t.id)
+  })
+}
+
+/**
+ * Pick an interrupted job up again with the tenders it still needs (its
+ * failed and pending ones that are still published and not yet analysed)
+ * @param {Object} job - Interrupted job
+ * @param {Array<Object>} tenders - Tenders to analyse now
+ * @returns {Object} Job
+ */
+export const resumeAnalysisJob = (job, tenders) => saveJob({
+  ...job,
+  updatedAt: new Date().toISOString(),
+  total: job.done.length + tenders.length,
+  failed: [],
+  pending: tenders.map(t => t.id)
+})
+
+/**
+ * Record a finished tender
+ * @param {Object} job
+ * @param {Object} tender - Tender returned by the analysis (ai_analyzed set on success,
+ *   irrelevance_reason set when a rule marked it no bid without calling Claude)
+ * @returns {Object} Updated job
+ */
+export const recordJobResult = (job, tender) => {
+  const outcome = !tender.analysis_error && (tender.ai_analyzed || tender.irrelevance_reason) ? 'done' : 'failed'
+  return saveJob({
+    ...job,
+    updatedAt: new Date().toISOString(),
+    pending: job.pending.filter(id => id !== tender.id),
+    [outcome]: [...job[outcome], tender.id]
+  })
+}
+
+/**
+ * Forget the saved job (on completion, cancel or discard)
+ */
+export const clearAnalysisJob = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+  } catch (error) {
+    console.warn('Unable to clear analysis job from localStorage:', error)
+  }
+}
+
+/**
+ * The job interrupted by a reload, if any
+ * @returns {Object|null} Job with failed or pending tenders left, or null
+ */
+export const getInterruptedJob = () => {
+  try {
+    const job = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (job && job.pending.length + job.failed.length > 0) {
+      return job
+    }
+  } catch (error) {
+    console.warn('Unable to read analysis job from localStorage:', error)
+  }
+  return null
+}
+
+/**
+ * Save the state of the server-side batches being followed
+ * @param {Array<Object>} jobs - Jobs returned by the batch endpoint
+ * @returns {Array<Object>} Jobs
+ */
+export const saveServerBatchJobs = (jobs) => {
+  try {
+    localStorage.setItem(SERVER_STORAGE_KEY, JSON.stringify(jobs))
+  } catch (error) {
+    console.warn('Unable to persist server batch jobs to localStorage:', error)
+  }
+  return jobs
+}
+
+/**
+ * The server-side batches being followed
+ * @returns {Array<Object>} Jobs (empty if none)
+ */
+export const getServerBatchJobs = () => {
+  try {
+    const jobs = JSON.parse(localStorage.getItem(SERVER_STORAGE_KEY))
+    return Array.isArray(jobs) ? jobs : []
+  } catch (error) {
+    console.warn('Unable to read server batch jobs from localStorage:', error)
+    return []
+  }
+}
+
+/**
+ * Split tender ids into server-side batches of at most `size`
+ * @param {Array<string>} tenderIds
+ * @param {number} size - Most tenders one job takes
+ * @returns {Array<Array<string>>}
+ */
+export const splitServerBatches = (tenderIds, size) => {
+  const batches = []
+  for (let i = 0; i < tenderIds.length; i += size) {
+    batches.push(tenderIds.slice(i, i + size))
+  }
+  return batches
+}
@@ -0,0 +1,221 @@
+/**
+ * Analysis Prompt
+ *
+ * The prompt and request Claude analyses a tender with, built from the tender
+ * and the capability profile. Kept free of browser APIs so the dashboard
+ * (claudeAnalyzer.js) and the serverless batch endpoint
+ * (api/analysis-batches.js) ask the same question.
+ */
+
+import FIT_RULES from '../../config/fit-rules.json' with { type: 'json' }
+import { geographyForTier } from './capabilityProfile.js'
+import { ANALYSIS_TOOL_NAME, analysisTool } from './analysisSchema.js'
+
+/**
+ * Check if a tender is irrelevant and should be marked as "no bid"
+ * Irrelevant tenders include those with passed deadlines or other disqualifying factors.
+ * The verdict is a rule, not a Claude analysis, so it is marked source: 'rules'
+ * with the rule behind it in `reasons`, as fitRules.js marks its pre-scores.
+ * @param {Object} tender - Tender object to check
+ * @returns {Object|null} Returns a "no bid" assessment if irrelevant, or null if relevant
+ */
+export const checkTenderIrrelevance = (tender) => {
+  // Check if deadline has passed
+  if (tender.deadline) {
+    const deadlineDate = new Date(tender.deadline)
+    const today = new Date()
+    today.setHours(0, 0, 0, 0)
+
+    if (deadlineDate < today) {
+      // Deadline has passed - mark as no bid
+      return {
+        alignment_score: 0,
+        rationale: 'This tender has an expired deadline and is no longer available for bidding.',
+        win_themes: [],
+        competitors: [],
+        weak_spots: ['Deadline has passed'],
+        recommendation: 'No Bid',
+        categories: [],
+        source: 'rules',
+        rules_version: FIT_RULES.version,
+        reasons: [{ id: 'deadline-passed', label: 'Deadline has passed', points: null }]
+      }
+    }
+  }
+
+  // All checks passed - tender is relevant
+  return null
+}
+
+/**
+ * Format the OCDS procurement details (CPV codes, lots, method, contract period,
+ * suitability, documents) as prompt lines. Fields missing from the tender are omitted.
+ * @param {Object} tender - Tender object to describe
+ * @returns {string} Markdown bullet lines (may be empty)
+ */
+const formatProcurementDetails = (tender) => {
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-GB')
+  const formatYesNo = (value) => value === true ? 'Yes' : value === false ? 'No' : 'Not stated'
+  const lines = []
+
+  if (tender.cpvCodes?.length > 0) {
+    lines.push(`- **CPV Codes:** ${tender.cpvCodes.map(c => c.description ? `${c.code} (${c.description})` : c.code).join(', ')}`)
+  }
+  if (tender.procurementMethod || tender.procurementMethodDetails) {
+    lines.push(`- **Procurement Method:** ${[tender.procurementMethod, tender.procurementMethodDetails].filter(Boolean).join(' - ')}`)
+  }
+  if (tender.contractPeriod) {
+    const { startDate, endDate } = tender.contractPeriod
+    lines.push(`- **Contract Period:** ${startDate ? formatDate(startDate) : 'Not stated'} to ${endDate ? formatDate(endDate) : 'Not stated'}`)
+  }
+  if (tender.lots?.length > 0) {
+    const lots = tender.lots.map((lot, idx) =>
+      `${lot.title || `Lot ${lot.id || idx + 1}`}${lot.value ? ` (£${lot.value.toLocaleString()})` : ''}`
+    )
+    lines.push(`- **Lots:** ${lots.join('; ')}`)
+  }
+  if (tender.suitability && (tender.suitability.sme !== null || tender.suitability.vcse !== null)) {
+    lines.push(`- **Suitability:** SME: ${formatYesNo(tender.suitability.sme)}, VCSE: ${formatYesNo(tender.suitability.vcse)}`)
+  }
+  if (tender.documents?.length > 0) {
+    lines.push(`- **Tender Documents:** ${tender.documents.map(d => d.title).join('; ')}`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Format the tender's deadline. Planning notices are published before the
+ * tender, so they have no deadline yet and the model is told the stage.
+ * @param {Object} tender - Tender object to describe
+ * @returns {string} Markdown bullet line(s)
+ */
+const formatDeadline = (tender) => {
+  if (tender.stage === 'planning') {
+    const deadline = tender.deadline ? new Date(tender.deadline).toLocaleDateString('en-GB') : 'Not yet published (planning notice)'
+    return `- **Deadline:** ${deadline}
+- **Stage:** Planning notice - the buyer has signalled a future procurement; the tender, its documents and final scope may not be published yet`
+  }
+  return `- **Deadline:** ${tender.deadline ? new Date(tender.deadline).toLocaleDateString('en-GB') : 'Not stated'}`
+}
+
+/**
+ * Format where the buyer is and the geographic score the profile gives its proximity tier.
+ * @param {Object} tender - Tender object to describe
+ * @param {Object} profile - Capability profile
+ * @returns {string} Markdown bullet line
+ */
+const formatGeography = (tender, profile) => {
+  const geography = tender.geography
+  const tier = geographyForTier(profile, geography?.tier)
+  if (!tier) {
+    return '- **Buyer Location:** Not located (judge geography from the description)'
+  }
+  const area = [geography.area, geography.icb && geography.icb !== geography.area ? geography.icb : null].filter(Boolean).join(', ')
+  return `- **Buyer Location:** ${area ? `${area} - ` : ''}${tier.label}; geographic score ${tier.score}%`
+}
+
+/**
+ * Format the capability profile as the prompt's organisation section.
+ * @param {Object} profile - Capability profile
+ * @returns {string} Markdown sections
+ */
+const formatProfile = (profile) => {
+  const bullets = (items) => items.map(item => `- ${item}`).join('\n')
+  const sections = [
+    `**About ${profile.organisation.name}:**\n${profile.organisation.description} Service lines (priority in brackets):\n` +
+      bullets(profile.serviceLines.map(line => `${line.name} (${line.priority})${line.description ? `: ${line.description}` : ''}`)),
+    '**Geographic Considerations:**\nGeographic score by buyer location:\n' +
+      bullets(profile.geographies.map(g => `${g.label}${g.areas.length > 0 ? ` (${g.areas.join(', ')})` : ''}: ${g.score}%`)) +
+      '\n\nWhen analyzing tenders outside the core area, consider:\n' +
+      '1. Physical proximity to existing facilities and teams\n' +
+      '2. Travel time and accessibility for staff\n' +
+      '3. Potential for service integration with existing operations\n' +
+      '4. Whether border communities already receive our services\n' +
+      '5. Strategic value of expanding into adjacent areas'
+  ]
+  if (profile.strategicPriorities.length > 0) {
+    sections.push(`**Strategic Priorities:**\n${bullets(profile.strategicPriorities)}`)
+  }
+  if (profile.capacityConstraints.length > 0) {
+    sections.push(`**Capacity Constraints:**\n${bullets(profile.capacityConstraints)}`)
+  }
+  if (profile.exclusions.length > 0) {
+    sections.push(`**Exclusions (services we do not bid for):**\n${bullets(profile.exclusions.map(e => `${e.label}${e.terms.length > 0 ? ` (e.g. ${e.terms.join(', ')})` : ''}`))}`)
+  }
+  return sections.join('\n\n')
+}
+
+/**
+ * Format the profile's scoring bands as recommendation guidance lines.
+ * @param {Object} profile - Capability profile
+ * @returns {string} Indented markdown bullet lines
+ */
+const formatScoringBands = (profile) => profile.scoringBands
+  .map((band, idx) => {
+    const max = idx === 0 ? 100 : profile.scoringBands[idx - 1].min - 1
+    return `  * ${band.recommendation} (${band.min}-${max}% alignment): ${band.guidance}`
+  })
+  .join('\n')
+
+/**
+ * Build the analysis prompt for Claude
+ * @param {Object} tender - Tender object to analyze
+ * @param {Object} profile - Capability profile describing Sirona
+ * @returns {string} Formatted prompt for Claude
+ */
+export const buildAnalysisPrompt = (tender, profile) => {
+  const geographicScores = profile.geographies.map(g => `${g.label} ${g.score}%`).join(', ')
+  const categories = [...new Set(profile.serviceLines.map(line => line.category).filter(Boolean))]
+
+  return `You are a procurement strategy advisor analyzing tender opportunities for ${profile.organisation.name}.
+
+${formatProfile(profile)}
+
+**Tender to Analyze:**
+- **Title:** ${tender.title}
+- **Organization:** ${tender.organization}
+${formatGeography(tender, profile)}
+- **Contract Value:** £${tender.value.toLocaleString()}
+${formatDeadline(tender)}
+- **Summary:** ${tender.summary}
+${tender.detailedDescription ? `- **Detailed Description:** ${tender.detailedDescription}` : ''}
+${formatProcurementDetails(tender)}
+
+**Analysis Required:**
+Please analyze this tender opportunity and record your assessment with the ${ANALYSIS_TOOL_NAME} tool.
+
+**Guidance:**
+- alignment_score: Consider service fit, geographic alignment, organizational capacity, and strategic value
+  * Use the CPV codes, lots and contract period (where given) to judge service fit and the size of the commitment
+  * VCSE suitability favours Sirona as a community interest company
+  * Geographic alignment: use the geographic score given for the buyer location (${geographicScores}); where the buyer isn't located, place it on the same scale from the description
+  * Weigh the service line's priority, the strategic priorities and the capacity constraints; tenders for excluded services are a poor fit
+  * Prioritize tenders where Sirona's existing infrastructure and teams could be leveraged
+  * For a planning notice, judge the fit of the signalled service and treat details the buyer hasn't published yet as open questions rather than weak spots
+- rationale: Focus on strategic fit, business case strength, and geographic/operational feasibility
+- win_themes: Identify 3-5 specific competitive advantages Sirona could leverage, including local presence and proximity advantages
+- competitors: Name likely competing organizations (other NHS trusts, private healthcare providers, social enterprises)
+- weak_spots: Highlight 2-4 genuine concerns or risks, including any geographic challenges
+- recommendation:
+${formatScoringBands(profile)}
+- categories: ${categories.length > 0 ? `Select all relevant service categories from: ${categories.join(', ')}` : 'Name the service categories the tender covers'}
+
+The recommendation must be the one for the band the alignment_score falls in.`
+}
+
+/**
+ * Messages API request for a tender's analysis: the prompt, with Claude made
+ * to answer through the analysis tool. The model and max_tokens are set server-side.
+ * @param {Object} tender - Tender object to analyze
+ * @param {Object} profile - Capability profile describing Sirona
+ * @returns {Object} { messages, tools, tool_choice }
+ */
+export const buildAnalysisRequest = (tender, profile) => {
+  const tool = analysisTool(profile)
+  return {
+    messages: [{ role: 'user', content: buildAnalysisPrompt(tender, profile) }],
+    tools: [tool],
+    tool_choice: { type: 'tool', name: tool.name }
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Analysis Schema
+ *
+ * The structured output Claude returns for a tender: a tool whose input
+ * schema is the analysis, so the API hands back a JSON object instead of
+ * free text, and a validator for that object. The validator checks the same
+ * schema (types, the 0-100 score, the recommendation and category values),
+ * coerces near misses ("85%" -> 85, "strong go" -> "Strong Go", a lone
+ * string -> a one-item list) and checks that the recommendation matches
+ * the profile's band for the score. Errors carry the path of the field.
+ */
+
+import { recommendationForScore } from './capabilityProfile.js'
+
+export const ANALYSIS_TOOL_NAME = 'record_tender_analysis'
+
+const stringList = (description, minItems) => ({
+  type: 'array',
+  description,
+  items: { type: 'string', minLength: 1 },
+  minItems
+})
+
+/**
+ * Tool definition Claude is made to call, with the analysis as its input schema.
+ * Recommendations and categories come from the capability profile.
+ * @param {Object} profile - Capability profile
+ * @returns {Object} { name, description, input_schema }
+ */
+export const analysisTool = (profile) => {
+  const categories = [...new Set(profile.serviceLines.map(line => line.category).filter(Boolean))]
+  return {
+    name: ANALYSIS_TOOL_NAME,
+    description: 'Record the strategic fit assessment of the tender.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        alignment_score: { type: 'integer', minimum: 0, maximum: 100, description: 'Strategic fit score, 0-100' },
+        rationale: { type: 'string', minLength: 1, description: '2-3 sentences explaining why Sirona should or shouldn\'t bid' },
+        win_themes: stringList('3-5 specific strengths Sirona could leverage', 1),
+        competitors: stringList('Likely competing organizations', 0),
+        weak_spots: stringList('2-4 risks or concerns', 1),
+        recommendation: {
+          type: 'string',
+          enum: profile.scoringBands.map(band => band.recommendation),
+          description: 'Bid recommendation; must be the band the alignment score falls in'
+        },
+        categories: {
+          type: 'array',
+          // An empty enum would reject every category, so a profile without any leaves them free text
+          items: categories.length > 0 ? { type: 'string', enum: categories } : { type: 'string' },
+          description: 'All relevant service categories',
+          default: []
+        }
+      },
+      required: ['alignment_score', 'rationale', 'win_themes', 'competitors', 'weak_spots', 'recommendation']
+    }
+  }
+}
+
+const NUMERIC_TEXT = /^\s*-?\d+(\.\d+)?\s*%?\s*$/
+
+/**
+ * Validate and coerce a value against a (subset of) JSON schema.
+ * @returns {*} Coerced value (undefined where it couldn't be used)
+ */
+const check = (schema, value, path, errors) => {
+  const fail = (message) => {
+    errors.push({ path, message })
+    return undefined
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object')
+      const result = {}
+      for (const [key, property] of Object.entries(schema.properties)) {
+        const keyPath = path ? `${path}.${key}` : key
+        if (value[key] === undefined || value[key] === null) {
+          if (schema.required?.includes(key)) errors.push({ path: keyPath, message: 'is required' })
+          else if (property.default !== undefined) result[key] = property.default
+          continue
+        }
+        result[key] = check(property, value[key], keyPath, errors)
+      }
+      return result
+    }
+
+    case 'array': {
+      let items = value
+      if (typeof items === 'string') items = [items]
+      if (!Array.isArray(items)) return fail('must be a list')
+      // Blank entries are dropped rather than reported
+      items = items.filter(item => !(typeof item === 'string' && !item.trim()))
+      if (schema.minItems && items.length < schema.minItems) {
+        return fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`)
+      }
+      return items.map((item, idx) => check(schema.items, item, `${path}[${idx}]`, errors))
+    }
+
+    case 'integer':
+    case 'number': {
+      let number = value
+      if (typeof number === 'string' && NUMERIC_TEXT.test(number)) number = parseFloat(number)
+      if (typeof number !== 'number' || !Number.isFinite(number)) return fail(`must be a number (got ${JSON.stringify(value)})`)
+      if (schema.type === 'integer') number = Math.round(number)
+      if (schema.minimum !== undefined && number < schema.minimum) return fail(`must be at least ${schema.minimum} (got ${number})`)
+      if (schema.maximum !== undefined && number > schema.maximum) return fail(`must be at most ${schema.maximum} (got ${number})`)
+      return number
+    }
+
+    case 'string': {
+      let text = value
+      if (typeof text === 'number') text = String(text)
+      if (typeof text !== 'string') return fail(`must be text (got ${JSON.stringify(value)})`)
+      text = text.trim()
+      if (schema.minLength && text.length < schema.minLength) return fail('must not be empty')
+      if (schema.enum) {
+        const match = schema.enum.find(option => option.toLowerCase() === text.toLowerCase())
+        if (!match) return fail(`must be one of ${schema.enum.join(', ')} (got "${text}")`)
+        return match
+      }
+      return text
+    }
+
+    default:
+      return value
+  }
+}
+
+/**
+ * Validate a tool input (or parsed JSON) as an analysis.
+ * @param {*} input - Analysis returned by Claude
+ * @param {Object} profile - Capability profile the analysis was asked for
+ * @returns {{ analysis: Object|null, errors: Array<{ path: string, message: string }> }}
+ *   The coerced analysis when there are no errors
+ */
+export const validateAnalysis = (input, profile) => {
+  const errors = []
+  const analysis = check(analysisTool(profile).input_schema, input, '', errors)
+
+  if (errors.length === 0) {
+    const expected = recommendationForScore(profile, analysis.alignment_score)
+    if (analysis.recommendation !== expected) {
+      errors.push({
+        path: 'recommendation',
+        message: `"${analysis.recommendation}" doesn't match alignment_score ${analysis.alignment_score}, which is in the ${expected} band`
+      })
+    }
+  }
+
+  return { analysis: errors.length === 0 ? analysis : null, errors }
+}
+
+/**
+ * Parse a text response as JSON (for a reply that didn't use the tool)
+ * @param {string} responseText - Claude's response text
+ * @returns {*} Parsed value, or undefined if it isn't JSON
+ */
+const parseClaudeResponse = (responseText) => {
+  // Remove markdown code fences if present
+  let cleanedText = responseText.trim()
+  if (cleanedText.startsWith('```json')) {
+    cleanedText = cleanedText.replace(/^```json\n?/, '').replace(/\n?```$/, '')
+  } else if (cleanedText.startsWith('```')) {
+    cleanedText = cleanedText.replace(/^```\n?/, '').replace(/\n?```$/, '')
+  }
+
+  try {
+    return JSON.parse(cleanedText)
+  } catch (error) {
+    console.error('Error parsing Claude response:', error)
+    console.error('Response text:', responseText)
+    return undefined
+  }
+}
+
+/**
+ * Get the analysis out of Claude's response content: the tool call's input,
+ * or failing that a JSON text block
+ * @param {Array<Object>} content - Response content blocks
+ * @returns {*} Unvalidated analysis (undefined if there is none)
+ */
+export const readAnalysis = (content) => {
+  const toolUse = content.find(block => block.type === 'tool_use' && block.name === ANALYSIS_TOOL_NAME)
+  if (toolUse) return toolUse.input
+
+  const textContent = content.find(block => block.type === 'text' && block.text)
+  return textContent ? parseClaudeResponse(textContent.text) : undefined
+}
+
+/**
+ * Validation errors as lines for a log or a repair request
+ * @param {Array<Object>} errors
+ * @returns {string}
+ */
+export const formatValidationErrors = (errors) =>
+  errors.map(({ path, message }) => `- ${path || 'analysis'}: ${message}`).join('\n')
+
+/**
+ * The user turn asking Claude to correct an analysis that failed validation
+ * @param {Array<Object>} content - Content of the rejected response
+ * @param {Array<Object>} errors - Validation errors
+ * @returns {Object} Message
+ */
+export const buildRepairMessage = (content, errors) => {
+  const text = `The analysis doesn't match the schema:\n${formatValidationErrors(errors)}\n\n` +
+    `Call ${ANALYSIS_TOOL_NAME} again with the corrected analysis.`
+  const toolUse = content.find(block => block.type === 'tool_use')
+  return {
+    role: 'user',
+    content: toolUse
+      ? [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: text }]
+      : text
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Analysis Store
+ *
+ * Keeps Claude analyses so they survive reloads and re-fetches. Each analysis
+ * is stored in IndexedDB under its tender id with the tender's content hash
+ * (contentHash, published by ingestion from the description, value and
+ * deadline). On load, an analysis whose hash still matches is put back on the
+ * tender; one whose tender has changed is reported as outdated and left in
+ * place until the tender is analysed again.
+ *
+ * With VITE_SHARED_ANALYSES=true, analyses are also saved to and looked up
+ * from the /api/analyses serverless endpoint, so the team shares them. Saving
+ * there needs the team access token, entered in Settings and kept in
+ * localStorage like the API key.
+ */
+
+import { fnv1a } from './hash.js'
+import { getCapabilityProfile } from './capabilityProfile.js'
+
+const DB_NAME = 'tender-banana'
+const DB_VERSION = 1
+const STORE_NAME = 'analyses'
+
+// Remote lookups per request, to keep the query string short
+const REMOTE_BATCH_SIZE = 100
+
+// import.meta.env is only defined under Vite; the module is also loaded by node --test
+export const SHARED_ANALYSES = import.meta.env?.VITE_SHARED_ANALYSES === 'true'
+
+const TOKEN_STORAGE_KEY = 'team_access_token'
+
+/**
+ * Get the team access token the shared endpoints need for writes
+ * @returns {string|null} Token, or null if none is saved
+ */
+export const getTeamAccessToken = () => {
+  try {
+    return localStorage.getItem(TOKEN_STORAGE_KEY)
+  } catch (error) {
+    console.warn('Unable to read team access token from localStorage:', error)
+    return null
+  }
+}
+
+/**
+ * Save the team access token
+ * @param {string} token
+ */
+export const setTeamAccessToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new Error('Invalid team access token provided')
+  }
+  try {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token)
+  } catch (error) {
+    throw new Error(`Unable to save the team access token: ${error.message}`)
+  }
+}
+
+/**
+ * Forget the team access token
+ */
+export const clearTeamAccessToken = () => {
+  try {
+    localStorage.removeItem(TOKEN_STORAGE_KEY)
+  } catch (error) {
+    console.warn('Unable to clear team access token from localStorage:', error)
+  }
+}
+
+/**
+ * Request headers for a write to a shared endpoint
+ * @returns {Object} Content-Type, and Authorization if a token is saved
+ */
+export const sharedWriteHeaders = () => {
+  const token = getTeamAccessToken()
+  return { 'Content-Type': 'application/json', ...(token ? { 'Authorization': `Bearer ${token}` } : {}) }
+}
+
+let databaseRequest = null
+
+/**
+ * Open (once) the IndexedDB database
+ * @returns {Promise<IDBDatabase|null>} Database, or null where IndexedDB is unavailable
+ */
+const openDatabase = () => {
+  if (!databaseRequest) {
+    databaseRequest = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null)
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'tenderId' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.warn('Unable to open analysis store:', request.error)
+        resolve(null)
+      }
+    })
+  }
+  return databaseRequest
+}
+
+// Run one IndexedDB request in its own transaction
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDatabase()
+  if (!db) return null
+
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Content hash an analysis is stored against. Uses the published contentHash;
+ * data published before it existed falls back to the summary, value and deadline.
+ * @param {Object} tender
+ * @returns {string}
+ */
+export const tenderContentHash = (tender) =>
+  tender.contentHash || `local-${fnv1a(JSON.stringify([tender.summary || '', tender.value || 0, tender.deadline || '']))}`
+
+/**
+ * Stored record for an analysed tender
+ * @param {Object} tender - Tender returned by analyzeTenderWithClaude()
+ * @returns {Object} { tenderId, contentHash, sirona_fit, analyzed_at, irrelevance_reason }
+ */
+const toRecord = (tender) => ({
+  tenderId: tender.id,
+  contentHash: tenderContentHash(tender),
+  sirona_fit: tender.sirona_fit,
+  analyzed_at: tender.analyzed_at,
+  irrelevance_reason: tender.irrelevance_reason || null
+})
+
+/**
+ * Put a stored analysis back on its tender. A record with an irrelevance_reason
+ * holds a rules no-bid verdict (source: 'rules'), not Claude's analysis.
+ * @param {Object} tender
+ * @param {Object} record - Stored analysis record
+ * @returns {Object} Tender with sirona_fit, ai_analyzed and analyzed_at restored
+ */
+export const withStoredAnalysis = (tender, record) => ({
+  ...tender,
+  sirona_fit: record.sirona_fit,
+  ai_analyzed: !record.irrelevance_reason,
+  analyzed_at: record.analyzed_at,
+  ...(record.irrelevance_reason ? { irrelevance_reason: record.irrelevance_reason } : {})
+})
+
+/**
+ * Look up analyses on the shared endpoint
+ * @param {Array<string>} tenderIds
+ * @returns {Promise<Array<Object>>} Records found (empty if the endpoint fails)
+ */
+const fetchSharedAnalyses = async (tenderIds) => {
+  const baseUrl = import.meta.env.VITE_API_URL || window.location.origin
+  const records = []
+
+  for (let i = 0; i < tenderIds.length; i += REMOTE_BATCH_SIZE) {
+    const ids = tenderIds.slice(i, i + REMOTE_BATCH_SIZE)
+    try {
+      const response = await fetch(`${baseUrl}/api/analyses?ids=${ids.map(encodeURIComponent).join(',')}`)
+      if (!response.ok) {
+        throw new Error(`Failed to load shared analyses: ${response.status}`)
+      }
+      const data = await response.json()
+      records.push(...data.analyses)
+    } catch (error) {
+      console.error('Error loading shared analyses:', error)
+      break
+    }
+  }
+
+  return records
+}
+
+/**
+ * Stored analyses for a set of tenders
+ * @param {Array<Object>} tenders
+ * @returns {Promise<{ analyses: Map<string, Object>, outdated: Set<string> }>}
+ *   Records whose content hash matches, by tender id, and the ids of tenders changed since they were analysed
+ */
+export const loadStoredAnalyses = async (tenders) => {
+  const analyses = new Map()
+  const outdated = new Set()
+
+  let records = []
+  try {
+    records = (await runRequest('readonly', store => store.getAll())) || []
+  } catch (error) {
+    console.warn('Unable to read analysis store:', error)
+  }
+
+  const byId = new Map(records.map(record => [record.tenderId, record]))
+  const check = (tender, record) => {
+    if (record.contentHash === tenderContentHash(tender)) {
+      analyses.set(tender.id, record)
+    } else {
+      outdated.add(tender.id)
+    }
+  }
+
+  for (const tender of tenders) {
+    const record = byId.get(tender.id)
+    if (record) check(tender, record)
+  }
+
+  if (SHARED_ANALYSES) {
+    const missing = tenders.filter(t => !analyses.has(t.id))
+    const shared = await fetchSharedAnalyses(missing.map(t => t.id))
+    const tendersById = new Map(missing.map(t => [t.id, t]))
+    for (const record of shared) {
+      const tender = tendersById.get(record.tenderId)
+      if (!tender || record.contentHash !== tenderContentHash(tender)) continue
+      analyses.set(tender.id, record)
+      outdated.delete(tender.id)
+      await runRequest('readwrite', store => store.put(record)).catch(error => {
+        console.warn('Unable to cache shared analysis:', error)
+      })
+    }
+  }
+
+  console.log(`Restored ${analyses.size} stored analyses (${outdated.size} outdated)`)
+  return { analyses, outdated }
+}
+
+/**
+ * Store Claude analyses and rules no-bid verdicts (tenders whose analysis failed are skipped)
+ * @param {Array<Object>} tenders - Tenders returned by analyzeTenderWithClaude()
+ * @returns {Promise<number>} Number stored
+ */
+export const saveAnalyses = async (tenders) => {
+  const records = tenders.filter(t => !t.analysis_error && (t.ai_analyzed || t.irrelevance_reason)).map(toRecord)
+  if (records.length === 0) return 0
+
+  try {
+    for (const record of records) {
+      await runRequest('readwrite', store => store.put(record))
+    }
+  } catch (error) {
+    console.warn('Unable to save analyses:', error)
+  }
+
+  // Only Claude analyses are shared; rules verdicts are worked out by each dashboard
+  const shared = records.filter(record => record.sirona_fit?.source === 'ai')
+  if (SHARED_ANALYSES && shared.length > 0) {
+    try {
+      const baseUrl = import.meta.env.VITE_API_URL || window.location.origin
+      const response = await fetch(`${baseUrl}/api/analyses`, {
+        method: 'POST',
+        headers: sharedWriteHeaders(),
+        body: JSON.stringify({ analyses: shared, profile: getCapabilityProfile() })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(`Failed to save shared analyses (${response.status}): ${data.error || 'Unknown error'}`)
+      }
+      if (data.rejected?.length > 0) {
+        console.warn('Shared analysis store rejected some analyses:', data.rejected)
+      }
+    } catch (error) {
+      console.error('Error saving shared analyses:', error)
+    }
+  }
+
+  return records.length
+}
@@ -0,0 +1,112 @@
+/**
+ * Capability Profile
+ *
+ * Sirona's structured capability profile: service lines with a priority and
+ * matching terms, geographies by proximity tier with a geographic score,
+ * capacity constraints, strategic priorities, exclusions and the scoring
+ * bands for each recommendation. It feeds both the Claude prompt
+ * (claudeAnalyzer.js) and the rules-based pre-score (fitRules.js), and every
+ * analysis records the profile version that produced it.
+ *
+ * The default is config/capability-profile.json. Edits made in Settings are
+ * saved to localStorage as a revision of the default's version named by a hash
+ * of the edited content (1.3f9a2c1b), so the same edits give the same version
+ * in every browser and analyses from different users can be compared. A newer
+ * default version (a strategy change committed to the repo) replaces local edits.
+ */
+
+// The import attribute lets Node load this module too (api/analysis-batches.js)
+import DEFAULT_PROFILE from '../../config/capability-profile.json' with { type: 'json' }
+import { fnv1a } from './hash.js'
+
+const STORAGE_KEY = 'capabilityProfile'
+
+export const SERVICE_PRIORITIES = ['core', 'growth', 'supporting']
+
+/**
+ * Get the profile in use: local edits if saved against the current default, otherwise the default
+ * @returns {Object} Capability profile
+ */
+export const getCapabilityProfile = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (saved && saved.version === DEFAULT_PROFILE.version) {
+      return saved
+    }
+  } catch (error) {
+    console.warn('Unable to read capability profile from localStorage:', error)
+  }
+  return DEFAULT_PROFILE
+}
+
+/**
+ * Version label recorded with each analysis: '1' for the default, '1.3f9a2c1b' for an edited revision of it
+ * @param {Object} profile - Capability profile
+ * @returns {string} Version label
+ */
+export const profileVersion = (profile) =>
+  profile.revision ? `${profile.version}.${profile.revision}` : String(profile.version)
+
+// Hash of what the profile says, leaving out its version and dates; keys are
+// sorted so the order the form builds objects in doesn't change the hash
+const contentHash = (profile) => {
+  const { version, revision, updated, ...content } = profile
+  return fnv1a(JSON.stringify(content, (key, value) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+      : value
+  ))
+}
+
+/**
+ * Save an edited profile as a revision of the default. Edits that match the
+ * default are the default (and drop any saved edits). If the browser won't
+ * store it, the profile still applies for the session.
+ * @param {Object} profile - Edited profile
+ * @returns {Object} Saved profile, with its revision and updated date
+ */
+export const saveCapabilityProfile = (profile) => {
+  const edited = { ...profile, scoringBands: [...profile.scoringBands].sort((a, b) => b.min - a.min) }
+  const revision = contentHash(edited)
+  if (revision === contentHash(DEFAULT_PROFILE)) return resetCapabilityProfile()
+
+  const saved = {
+    ...edited,
+    version: DEFAULT_PROFILE.version,
+    revision,
+    updated: new Date().toISOString().slice(0, 10)
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved))
+  } catch (error) {
+    console.warn('Unable to save capability profile to localStorage:', error)
+  }
+  return saved
+}
+
+/**
+ * Drop local edits and go back to the default profile
+ * @returns {Object} Default profile
+ */
+export const resetCapabilityProfile = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+  } catch (error) {
+    console.warn('Unable to clear capability profile from localStorage:', error)
+  }
+  return DEFAULT_PROFILE
+}
+
+/**
+ * Geography entry for a proximity tier
+ * @returns {Object|null} { tier, label, score, areas }
+ */
+export const geographyForTier = (profile, tier) =>
+  profile.geographies.find(geography => geography.tier === tier) || null
+
+/**
+ * Recommendation for an alignment score, from the profile's scoring bands
+ * @returns {string} Recommendation
+ */
+export const recommendationForScore = (profile, score) =>
+  profile.scoringBands.find(band => score >= band.min)?.recommendation || 'No Bid'
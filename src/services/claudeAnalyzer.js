@@ -10,15 +10,30 @@
  * API Documentation: https://docs.anthropic.com/claude/reference/messages_post
  */
 
+import { getCapabilityProfile, profileVersion } from './capabilityProfile.js'
+import { readAnalysis, validateAnalysis, formatValidationErrors } from './analysisSchema.js'
+import { checkTenderIrrelevance } from './analysisPrompt.js'
+import { scoreTender } from './fitRules.js'
+import { createWorkQueue, QUEUE_DEFAULTS } from './workQueue.js'
+import { sharedWriteHeaders } from './analysisStore.js'
+
 // Configuration
 const API_CONFIG = {
   model: 'claude-sonnet-4-20250514',
   maxTokens: 2000,
-  requestDelay: 500, // ms between batch requests to avoid rate limiting
+  // Batch requests run through a work queue (see workQueue.js); these are its defaults,
+  // adjustable in Settings
+  concurrency: QUEUE_DEFAULTS.concurrency,
+  requestsPerMinute: QUEUE_DEFAULTS.requestsPerMinute,
   // Note: API calls now go through Vercel serverless function for security
   // The Anthropic API key is stored securely on the server side
 }
 
+export const QUEUE_LIMITS = {
+  concurrency: { min: 1, max: 10 },
+  requestsPerMinute: { min: 1, max: 1000 }
+}
+
 // API Key Management
 let apiKey = null
 
@@ -79,170 +94,62 @@ export const clearApiKey = () => {
 }
 
 /**
- * Validate that an API key is configured
- * @throws {Error} if no API key is set
+ * Get the batch queue settings (saved in localStorage, or the defaults)
+ * @returns {Object} { concurrency, requestsPerMinute }
  */
-const validateApiKey = () => {
-  const key = getApiKey()
-  if (!key) {
-    throw new Error(
-      'No API key configured. Please set your Anthropic API key using setApiKey() or add VITE_ANTHROPIC_API_KEY to your .env file. ' +
-      'Get your API key from: https://console.anthropic.com/settings/keys'
-    )
+export const getQueueSettings = () => {
+  const defaults = { concurrency: API_CONFIG.concurrency, requestsPerMinute: API_CONFIG.requestsPerMinute }
+  try {
+    const saved = JSON.parse(localStorage.getItem('analysisQueueSettings'))
+    return saved ? { ...defaults, ...saved } : defaults
+  } catch (error) {
+    console.warn('Unable to read queue settings from localStorage:', error)
+    return defaults
   }
-  return key
 }
 
 /**
- * Check if a tender is irrelevant and should be marked as "no bid"
- * Irrelevant tenders include those with passed deadlines or other disqualifying factors
- * @param {Object} tender - Tender object to check
- * @returns {Object|null} Returns a "no bid" assessment if irrelevant, or null if relevant
+ * Set the batch queue settings
+ * @param {Object} settings - { concurrency, requestsPerMinute }, whole numbers within QUEUE_LIMITS
+ * @returns {Object} Saved settings
  */
-const checkTenderIrrelevance = (tender) => {
-  // Check if deadline has passed
-  if (tender.deadline) {
-    const deadlineDate = new Date(tender.deadline)
-    const today = new Date()
-    today.setHours(0, 0, 0, 0)
-
-    if (deadlineDate < today) {
-      // Deadline has passed - mark as no bid
-      return {
-        alignment_score: 0,
-        rationale: 'This tender has an expired deadline and is no longer available for bidding.',
-        win_themes: [],
-        competitors: [],
-        weak_spots: ['Deadline has passed'],
-        recommendation: 'No Bid',
-        categories: []
-      }
+export const setQueueSettings = (settings) => {
+  const saved = {}
+  for (const [key, { min, max }] of Object.entries(QUEUE_LIMITS)) {
+    const value = Number(settings[key])
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid ${key}: must be a whole number from ${min} to ${max}`)
     }
+    saved[key] = value
   }
-
-  // All checks passed - tender is relevant
-  return null
+  try {
+    localStorage.setItem('analysisQueueSettings', JSON.stringify(saved))
+  } catch (error) {
+    console.warn('Unable to persist queue settings to localStorage:', error)
+  }
+  return saved
 }
 
 /**
- * Build the analysis prompt for Claude
- * @param {Object} tender - Tender object to analyze
- * @returns {string} Formatted prompt for Claude
+ * Create a queue for a batch analysis with the saved settings; pass it to
+ * analyzeTendersBatch() to pause, resume or cancel the batch
+ * @returns {Object} Work queue
  */
-const buildAnalysisPrompt = (tender) => {
-  return `You are a procurement strategy advisor analyzing tender opportunities for Sirona Care & Health CIC.
-
-**About Sirona Care & Health CIC:**
-Sirona is a large NHS community and neighbourhood services provider operating across Bristol, North Somerset, and South Gloucestershire (BNSSG). Core services include:
-- Community Health Services (district nursing, health visiting, therapies)
-- Mental Health Services (community mental health teams, crisis support)
-- Urgent Care Services (minor injuries units, urgent treatment centres)
-- Integrated Care (multidisciplinary teams, care coordination)
-- Specialist Services (children's health, sexual health, dental services)
-
-**Geographic Considerations:**
-Sirona's primary service area is the BNSSG ICB (Bristol, North Somerset, South Gloucestershire). However, services in neighboring areas should be assessed based on physical proximity and operational feasibility, particularly:
-- Bath & North East Somerset (immediately adjacent, strong connectivity)
-- Somerset (borders North Somerset, some shared communities)
-- South Gloucestershire borders with Gloucestershire
-- Wiltshire (some border communities)
-
-When analyzing tenders outside the core BNSSG area, consider:
-1. Physical proximity to existing Sirona facilities and teams
-2. Travel time and accessibility for staff
-3. Potential for service integration with existing operations
-4. Whether border communities already receive Sirona services
-5. Strategic value of expanding into adjacent areas
-
-**Tender to Analyze:**
-- **Title:** ${tender.title}
-- **Organization:** ${tender.organization}
-- **Contract Value:** £${tender.value.toLocaleString()}
-- **Deadline:** ${new Date(tender.deadline).toLocaleDateString('en-GB')}
-- **Summary:** ${tender.summary}
-${tender.detailedDescription ? `- **Detailed Description:** ${tender.detailedDescription}` : ''}
-
-**Analysis Required:**
-Please analyze this tender opportunity and provide your assessment in the following JSON format:
-
-{
-  "alignment_score": <number between 0-100>,
-  "rationale": "<2-3 sentences explaining why Sirona should or shouldn't bid>",
-  "win_themes": [
-    "<specific strength 1>",
-    "<specific strength 2>",
-    "<specific strength 3>"
-  ],
-  "competitors": [
-    "<likely competitor 1>",
-    "<likely competitor 2>",
-    "<likely competitor 3>"
-  ],
-  "weak_spots": [
-    "<risk or concern 1>",
-    "<risk or concern 2>"
-  ],
-  "recommendation": "<Strong Go | Conditional Go | No Bid | Monitor>",
-  "categories": [
-    "<relevant category from: Community Health, Mental Health, Urgent Care, Integrated Care, Primary Care, Specialist Services>"
-  ]
-}
-
-**Guidance:**
-- alignment_score: Consider service fit, geographic alignment, organizational capacity, and strategic value
-  * Geographic scoring: Core BNSSG area (100%), immediately adjacent areas with good connectivity (80-90%), neighboring regions with operational feasibility (60-80%), distant locations (below 60%)
-  * Prioritize tenders where Sirona's existing infrastructure and teams could be leveraged
-- rationale: Focus on strategic fit, business case strength, and geographic/operational feasibility
-- win_themes: Identify 3-5 specific competitive advantages Sirona could leverage, including local presence and proximity advantages
-- competitors: Name likely competing organizations (other NHS trusts, private healthcare providers, social enterprises)
-- weak_spots: Highlight 2-4 genuine concerns or risks, including any geographic challenges
-- recommendation:
-  * Strong Go (90-100% alignment): Excellent fit, pursue actively
-  * Conditional Go (70-89% alignment): Good fit with some conditions to address
-  * No Bid (0-49% alignment): Poor fit, do not pursue
-  * Monitor (50-69% alignment): Moderate fit, watch for developments
-- categories: Select all relevant service categories
-
-Respond ONLY with the JSON object, no additional text or markdown formatting.`
-}
+export const createAnalysisQueue = () => createWorkQueue(getQueueSettings())
 
 /**
- * Parse Claude's response and extract JSON
- * @param {string} responseText - Claude's response text
- * @returns {Object} Parsed sirona_fit object
+ * Validate that an API key is configured
+ * @throws {Error} if no API key is set
  */
-const parseClaudeResponse = (responseText) => {
-  try {
-    // Remove markdown code fences if present
-    let cleanedText = responseText.trim()
-    if (cleanedText.startsWith('```json')) {
-      cleanedText = cleanedText.replace(/^```json\n?/, '').replace(/\n?```$/, '')
-    } else if (cleanedText.startsWith('```')) {
-      cleanedText = cleanedText.replace(/^```\n?/, '').replace(/\n?```$/, '')
-    }
-
-    // Parse JSON
-    const parsed = JSON.parse(cleanedText)
-
-    // Validate required fields
-    const required = ['alignment_score', 'rationale', 'win_themes', 'competitors', 'weak_spots', 'recommendation']
-    for (const field of required) {
-      if (!(field in parsed)) {
-        throw new Error(`Missing required field: ${field}`)
-      }
-    }
-
-    // Ensure categories exists (optional field)
-    if (!parsed.categories) {
-      parsed.categories = []
-    }
-
-    return parsed
-  } catch (error) {
-    console.error('Error parsing Claude response:', error)
-    console.error('Response text:', responseText)
-    throw new Error(`Failed to parse Claude response: ${error.message}`)
+const validateApiKey = () => {
+  const key = getApiKey()
+  if (!key) {
+    throw new Error(
+      'No API key configured. Please set your Anthropic API key using setApiKey() or add VITE_ANTHROPIC_API_KEY to your .env file. ' +
+      'Get your API key from: https://console.anthropic.com/settings/keys'
+    )
   }
+  return key
 }
 
 /**
@@ -256,50 +163,52 @@ const getApiEndpoint = () => {
 }
 
 /**
- * Make API request to Claude via Vercel serverless function
- * @param {string} prompt - Analysis prompt
- * @returns {Promise<string>} Claude's response text
+ * Make API request to Claude via Vercel serverless function, which builds the
+ * analysis request from the tender and profile (and needs the team access token)
+ * @param {Object} request - { tender, profile, repair?: { content } }
+ * @returns {Promise<Array<Object>>} Claude's response content blocks
  */
-const callClaudeAPI = async (prompt) => {
+const callClaudeAPI = async (request) => {
   try {
     const endpoint = getApiEndpoint()
 
     const response = await fetch(endpoint, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ prompt })
+      headers: sharedWriteHeaders(),
+      body: JSON.stringify(request)
     })
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({ error: 'Unknown error' }))
 
       // Handle specific error cases
+      let message
       if (response.status === 401) {
-        throw new Error('API key not configured or invalid on server. Please contact administrator.')
+        message = `${errorData.error || 'Not authorised'}. Check the team access token in Settings, or contact the administrator.`
       } else if (response.status === 429) {
-        throw new Error('Rate limit exceeded. Please wait a moment and try again.')
+        message = 'Rate limit exceeded. Please wait a moment and try again.'
+      } else if (response.status === 529) {
+        message = 'Claude is overloaded. Please try again shortly.'
       } else if (response.status === 400) {
-        throw new Error(`Bad request: ${errorData.error || 'Invalid request'}`)
+        message = `Bad request: ${errorData.error || 'Invalid request'}`
       } else {
-        throw new Error(`API error (${response.status}): ${errorData.error || 'Unknown error'}`)
+        message = `API error (${response.status}): ${errorData.error || 'Unknown error'}`
       }
+
+      // The status and Retry-After let the batch queue decide whether and when to retry
+      const error = new Error(message)
+      error.status = response.status
+      error.retryAfter = response.headers.get('Retry-After') || errorData.retryAfter || null
+      throw error
     }
 
     const data = await response.json()
 
-    // Extract text from Claude's response
     if (!data.content || !Array.isArray(data.content) || data.content.length === 0) {
       throw new Error('Invalid response format from Claude API')
     }
 
-    const textContent = data.content.find(block => block.type === 'text')
-    if (!textContent || !textContent.text) {
-      throw new Error('No text content in Claude response')
-    }
-
-    return textContent.text
+    return data.content
   } catch (error) {
     if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
       throw new Error('Network error: Unable to reach analysis server. Please check your internet connection.')
@@ -309,71 +218,104 @@ const callClaudeAPI = async (prompt) => {
 }
 
 /**
- * Analyze a single tender using Claude API
+ * Ask Claude for an analysis through the analysis tool and validate it. A
+ * response that doesn't validate is sent back once with the errors for Claude
+ * to correct.
  * @param {Object} tender - Tender object to analyze
- * @returns {Promise<Object>} Tender enriched with sirona_fit analysis
+ * @param {Object} profile - Capability profile
+ * @returns {Promise<Object>} Validated analysis
+ * @throws {Error} listing the validation errors if the repaired analysis is still invalid
  */
-export const analyzeTenderWithClaude = async (tender) => {
-  try {
-    console.log(`Analyzing tender: ${tender.title}`)
+const requestAnalysis = async (tender, profile) => {
+  const request = (repair) => callClaudeAPI({ tender, profile, ...(repair ? { repair } : {}) })
 
-    // Check if tender is irrelevant (e.g., expired deadline)
-    const irrelevanceAssessment = checkTenderIrrelevance(tender)
-    if (irrelevanceAssessment) {
-      console.log(`Tender marked as no bid due to irrelevance: ${tender.title}`)
-      return {
-        ...tender,
-        sirona_fit: irrelevanceAssessment,
-        ai_analyzed: true,
-        analyzed_at: new Date().toISOString(),
-        irrelevance_reason: 'Tender does not meet bidding criteria (e.g., deadline passed)'
-      }
-    }
+  const content = await request()
+  const first = validateAnalysis(readAnalysis(content), profile)
+  if (first.analysis) return first.analysis
 
-    // Build prompt
-    const prompt = buildAnalysisPrompt(tender)
+  console.warn(`Analysis failed validation, asking for a repair:\n${formatValidationErrors(first.errors)}`)
 
-    // Call Claude API
-    const responseText = await callClaudeAPI(prompt)
+  const repaired = validateAnalysis(readAnalysis(await request({ content })), profile)
+  if (repaired.analysis) return repaired.analysis
 
-    // Parse response
-    const sironaFit = parseClaudeResponse(responseText)
+  throw new Error(`Analysis didn't match the schema after a repair attempt:\n${formatValidationErrors(repaired.errors)}`)
+}
 
-    // Return enriched tender
-    return {
-      ...tender,
-      sirona_fit: sironaFit,
-      ai_analyzed: true,
-      analyzed_at: new Date().toISOString()
-    }
-  } catch (error) {
-    console.error(`Error analyzing tender "${tender.title}":`, error)
+/**
+ * Analyze a single tender, throwing if the analysis fails
+ * @param {Object} tender - Tender object to analyze
+ * @param {Object} profile - Capability profile
+ * @returns {Promise<Object>} Tender enriched with sirona_fit analysis (recording profile_version)
+ */
+const analyzeTender = async (tender, profile) => {
+  console.log(`Analyzing tender: ${tender.title}`)
 
-    // Return tender with error indicator and fallback data
+  // Check if tender is irrelevant (e.g., expired deadline)
+  const irrelevanceAssessment = checkTenderIrrelevance(tender)
+  if (irrelevanceAssessment) {
+    console.log(`Tender marked as no bid due to irrelevance: ${tender.title}`)
     return {
       ...tender,
-      sirona_fit: {
-        alignment_score: 50,
-        rationale: `Unable to analyze: ${error.message}`,
-        win_themes: ['Analysis pending'],
-        competitors: ['Unknown'],
-        weak_spots: ['AI analysis failed'],
-        recommendation: 'Monitor',
-        categories: []
-      },
+      sirona_fit: { ...irrelevanceAssessment, profile_version: profileVersion(profile) },
       ai_analyzed: false,
-      analysis_error: error.message
+      analyzed_at: new Date().toISOString(),
+      irrelevance_reason: 'Tender does not meet bidding criteria (e.g., deadline passed)'
     }
   }
+
+  // Call Claude API and validate the analysis (with one repair attempt)
+  const sironaFit = await requestAnalysis(tender, profile)
+
+  // Return enriched tender
+  return {
+    ...tender,
+    sirona_fit: { ...sironaFit, source: 'ai', profile_version: profileVersion(profile) },
+    ai_analyzed: true,
+    analyzed_at: new Date().toISOString()
+  }
+}
+
+/**
+ * Tender with an error indicator, for an analysis that failed. It keeps the
+ * fit it already had (the rules-based pre-score), so sorting and exports
+ * still rank it by a real score that says where it came from.
+ * @param {Object} tender
+ * @param {Error} error
+ * @param {Object} profile - Capability profile, for a tender not yet pre-scored
+ * @returns {Object} Tender with analysis_error
+ */
+const withAnalysisError = (tender, error, profile) => ({
+  ...tender,
+  sirona_fit: tender.sirona_fit || scoreTender(tender, { profile }),
+  analysis_error: error.message
+})
+
+/**
+ * Analyze a single tender using Claude API
+ * @param {Object} tender - Tender object to analyze
+ * @param {Object} [profile] - Capability profile; defaults to the one in use
+ * @returns {Promise<Object>} Tender enriched with sirona_fit analysis (recording profile_version)
+ */
+export const analyzeTenderWithClaude = async (tender, profile = getCapabilityProfile()) => {
+  try {
+    return await analyzeTender(tender, profile)
+  } catch (error) {
+    console.error(`Error analyzing tender "${tender.title}":`, error)
+    return withAnalysisError(tender, error, profile)
+  }
 }
 
 /**
- * Analyze multiple tenders in batch with progress tracking
+ * Analyze multiple tenders through a work queue: several at once, paced to the
+ * rate limit, with rate-limited and overloaded requests retried
  * @param {Array<Object>} tenders - Array of tenders to analyze
- * @param {Function} onProgress - Callback function called after each tender (index, total, tender)
- * @returns {Promise<Array<Object>>} Array of enriched tenders
+ * @param {Function} onProgress - Callback function called after each tender (completed, total, tender)
+ * @param {Object} [options]
+ * @param {Object} [options.queue] - Queue from createAnalysisQueue(), to pause, resume or cancel the batch
+ * @param {Function} [options.onRetry] - Called before a retry with { tender, attempt, delay, error }
+ * @returns {Promise<Array<Object>>} Enriched tenders, in the order they finished (tenders cancelled before they started are left out)
  */
-export const analyzeTendersBatch = async (tenders, onProgress) => {
+export const analyzeTendersBatch = async (tenders, onProgress, { queue = createAnalysisQueue(), onRetry } = {}) => {
   if (!Array.isArray(tenders) || tenders.length === 0) {
     throw new Error('Invalid tenders array provided')
   }
@@ -381,59 +323,80 @@ export const analyzeTendersBatch = async (tenders, onProgress) => {
   // Validate API key before starting batch
   validateApiKey()
 
+  // One profile version for the whole batch, even if it's edited meanwhile
+  const profile = getCapabilityProfile()
+
   const results = []
   const total = tenders.length
 
   console.log(`Starting batch analysis of ${total} tenders...`)
 
-  for (let i = 0; i < total; i++) {
-    const tender = tenders[i]
-
-    try {
-      // Analyze tender
-      const enrichedTender = await analyzeTenderWithClaude(tender)
-      results.push(enrichedTender)
-
-      // Call progress callback
-      if (typeof onProgress === 'function') {
-        onProgress(i + 1, total, enrichedTender)
+  await queue.run(tenders, tender => analyzeTender(tender, profile), {
+    onSettled: ({ item, result, error }) => {
+      if (error) {
+        console.error(`Failed to analyze tender "${item.title}":`, error)
       }
+      results.push(result || withAnalysisError(item, error, profile))
 
-      // Add delay between requests (except after last one)
-      if (i < total - 1) {
-        await new Promise(resolve => setTimeout(resolve, API_CONFIG.requestDelay))
-      }
-    } catch (error) {
-      console.error(`Failed to analyze tender ${i + 1}/${total}:`, error)
-
-      // Add tender with error to results
-      results.push({
-        ...tender,
-        sirona_fit: {
-          alignment_score: 50,
-          rationale: 'Analysis failed',
-          win_themes: [],
-          competitors: [],
-          weak_spots: ['Analysis error'],
-          recommendation: 'Monitor',
-          categories: []
-        },
-        ai_analyzed: false,
-        analysis_error: error.message
-      })
-
-      // Still call progress callback
       if (typeof onProgress === 'function') {
-        onProgress(i + 1, total, results[results.length - 1])
+        onProgress(results.length, total, results[results.length - 1])
+      }
+    },
+    onRetry: ({ item, attempt, delay, error }) => {
+      console.warn(`Retrying "${item.title}" in ${Math.round(delay / 1000)}s (attempt ${attempt}): ${error.message}`)
+      if (typeof onRetry === 'function') {
+        onRetry({ tender: item, attempt, delay, error })
       }
     }
-  }
+  })
 
-  console.log(`Batch analysis complete: ${results.filter(t => t.ai_analyzed).length}/${total} successful`)
+  const cancelled = queue.getState() === 'cancelled' ? ` (${total - results.length} cancelled)` : ''
+  console.log(`Batch analysis complete: ${results.filter(t => t.ai_analyzed).length}/${total} successful${cancelled}`)
 
   return results
 }
 
+// Most tenders the batch endpoint takes in one job (MAX_TENDERS in api/analysis-batches.js)
+export const SERVER_BATCH_MAX_TENDERS = 500
+
+/**
+ * Start a server-side batch analysis (api/analysis-batches.js), which runs on
+ * the Message Batches API and writes results to the shared analysis store.
+ * Needs the team access token (see analysisStore.js).
+ * @param {Array<string>} tenderIds - Ids of published tenders (at most SERVER_BATCH_MAX_TENDERS)
+ * @param {Object} [profile] - Capability profile; defaults to the one in use
+ * @returns {Promise<Object>} Job { id, status, total, done, failed, pending, ... }
+ */
+export const startServerBatch = async (tenderIds, profile = getCapabilityProfile()) => {
+  const baseUrl = import.meta.env.VITE_API_URL || window.location.origin
+  const response = await fetch(`${baseUrl}/api/analysis-batches`, {
+    method: 'POST',
+    headers: sharedWriteHeaders(),
+    body: JSON.stringify({ tenderIds, profile })
+  })
+  const data = await response.json().catch(() => ({ error: 'Unknown error' }))
+  if (!response.ok) {
+    throw new Error(`Failed to start server batch (${response.status}): ${data.error || 'Unknown error'}`)
+  }
+  return data
+}
+
+/**
+ * Current state of a server-side batch analysis; checking it collects the
+ * results once the batch has ended
+ * @param {string} jobId
+ * @returns {Promise<Object>} Job
+ */
+export const fetchServerBatch = async (jobId) => {
+  const baseUrl = import.meta.env.VITE_API_URL || window.location.origin
+  const response = await fetch(`${baseUrl}/api/analysis-batches?id=${encodeURIComponent(jobId)}`, { headers: sharedWriteHeaders() })
+  const data = await response.json().catch(() => ({ error: 'Unknown error' }))
+  if (!response.ok) {
+    throw new Error(`Failed to check server batch (${response.status}): ${data.error || 'Unknown error'}`)
+  }
+  return data
+}
+
 /**
  * Estimate the cost of analyzing tenders
  * @param {number} tenderCount - Number of tenders to analyze
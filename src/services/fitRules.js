@@ -0,0 +1,157 @@
+/**
+ * Rules-based Pre-score
+ *
+ * Scores tenders Claude hasn't analysed yet against the capability profile
+ * (service lines, exclusions, geographic scores and recommendation bands;
+ * see capabilityProfile.js) with the points in config/fit-rules.json, which
+ * also scores CPV codes, buyer type, value band and time to deadline.
+ * The result has the same shape as a
+ * Claude analysis, so it drives sorting, summary cards and exports, but is
+ * marked source: 'rules' and lists the rule behind every point in `reasons`.
+ * The same tender scores the same on every load (until its deadline band
+ * changes or the profile is edited).
+ */
+
+// The import attribute lets Node load this module too (scripts/lib/analysis.js)
+import FIT_RULES from '../../config/fit-rules.json' with { type: 'json' }
+import { getCapabilityProfile, profileVersion, geographyForTier, recommendationForScore } from './capabilityProfile.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// CPV family prefix: '85100000' -> '851' (as scripts/lib/relevance.js)
+const cpvFamily = (code) => String(code).split('-')[0].trim().replace(/0+$/, '')
+
+// Rule codes reduced to families once per rules object
+const cpvRuleCache = new WeakMap()
+
+const cpvRules = (rules) => {
+  if (!cpvRuleCache.has(rules)) {
+    cpvRuleCache.set(rules, rules.cpv.map(rule => ({ ...rule, families: rule.codes.map(cpvFamily) })))
+  }
+  return cpvRuleCache.get(rules)
+}
+
+/**
+ * Most specific CPV rule for each tender code; the best scoring one counts
+ * @returns {Object|null} Matching rule
+ */
+const matchCPV = (tender, rules) => {
+  let best = null
+
+  for (const { code } of tender.cpvCodes || []) {
+    const digits = String(code).split('-')[0].trim()
+    let match = null
+    for (const rule of cpvRules(rules)) {
+      for (const family of rule.families) {
+        if (digits.startsWith(family) && (!match || family.length > match.length)) {
+          match = { rule, length: family.length }
+        }
+      }
+    }
+    if (match && (!best || match.rule.points > best.points)) best = match.rule
+  }
+
+  return best
+}
+
+/**
+ * Score a tender with the rules.
+ * @param {Object} tender - Tender to score (live data shape)
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Capability profile; defaults to the one in use
+ * @param {Object} [options.rules] - Parsed rules; defaults to config/fit-rules.json
+ * @param {Date} [options.today] - Date to count days to the deadline from
+ * @returns {Object} sirona_fit with source 'rules', rules_version, profile_version and reasons [{ id, label, points }]
+ */
+export const scoreTender = (tender, { profile = getCapabilityProfile(), rules = FIT_RULES, today = new Date() } = {}) => {
+  const reasons = []
+  const categories = new Set()
+  const add = (id, label, points) => reasons.push({ id, label, points })
+
+  const startOfDay = new Date(today)
+  startOfDay.setHours(0, 0, 0, 0)
+  const daysLeft = tender.deadline
+    ? Math.ceil((new Date(tender.deadline) - startOfDay) / DAY_MS)
+    : null
+
+  // Passed before today, as checkTenderIrrelevance() (analysisPrompt.js) has it; a deadline
+  // yesterday afternoon would otherwise round up to 0 days left
+  if (tender.deadline && new Date(tender.deadline) < startOfDay) {
+    return {
+      alignment_score: 0,
+      recommendation: 'No Bid',
+      rationale: 'Rules-based pre-score: the deadline has passed.',
+      win_themes: [],
+      competitors: [],
+      weak_spots: ['Deadline has passed'],
+      categories: [],
+      source: 'rules',
+      rules_version: rules.version,
+      profile_version: profileVersion(profile),
+      reasons: [{ id: 'deadline-passed', label: 'Deadline has passed', points: null }]
+    }
+  }
+
+  // Profile service lines and exclusions, each once
+  const text = [tender.title, tender.summary, tender.detailedDescription]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+  const matches = (terms) => terms.some(term => term.trim() && text.includes(term.trim().toLowerCase()))
+  for (const line of profile.serviceLines) {
+    if (matches(line.terms)) {
+      add(`service:${line.id}`, `${line.name} (${line.priority} service line)`, rules.profile.servicePriorityPoints[line.priority] || 0)
+      if (line.category) categories.add(line.category)
+    }
+  }
+  for (const [index, exclusion] of profile.exclusions.entries()) {
+    if (matches(exclusion.terms)) add(`exclusion:${index}`, exclusion.label, rules.profile.exclusionPoints)
+  }
+
+  const cpv = matchCPV(tender, rules)
+  if (cpv) {
+    add(`cpv:${cpv.id}`, cpv.label, cpv.points)
+    if (cpv.category) categories.add(cpv.category)
+  }
+
+  const buyerType = rules.buyerTypes[tender.buyerType]
+  if (buyerType) add(`buyer:${tender.buyerType}`, buyerType.label, buyerType.points)
+
+  const geography = geographyForTier(profile, tender.geography?.tier)
+  if (geography) {
+    const { pivotScore, pointsPerScore } = rules.profile.geography
+    add(`tier:${geography.tier}`, `Buyer location: ${geography.label} (geographic score ${geography.score}%)`,
+      Math.round((geography.score - pivotScore) * pointsPerScore))
+  }
+
+  const value = tender.value > 0 ? tender.value : 0
+  const valueBand = rules.valueBands.find(band => band.max === null || value <= band.max)
+  if (valueBand) add('value', valueBand.label, valueBand.points)
+
+  if (daysLeft !== null) {
+    const deadlineBand = rules.deadlineBands.find(band => band.maxDays === null || daysLeft <= band.maxDays)
+    if (deadlineBand) add('deadline', deadlineBand.label, deadlineBand.points)
+  }
+
+  const total = reasons.reduce((sum, reason) => sum + reason.points, rules.baseScore)
+  const score = Math.max(0, Math.min(100, total))
+  const strengths = reasons.filter(reason => reason.points > 0).sort((a, b) => b.points - a.points)
+  const concerns = reasons.filter(reason => reason.points < 0).sort((a, b) => a.points - b.points)
+
+  return {
+    alignment_score: score,
+    recommendation: recommendationForScore(profile, score),
+    rationale: `Rules-based pre-score from ${reasons.length} matching rule${reasons.length === 1 ? '' : 's'}` +
+      `${strengths.length > 0 ? `; strongest: ${strengths[0].label}` : ''}` +
+      `${concerns.length > 0 ? `; main concern: ${concerns[0].label}` : ''}. ` +
+      'Use "Analyze This Tender" for a strategic fit assessment.',
+    win_themes: strengths.map(reason => reason.label),
+    competitors: [],
+    weak_spots: concerns.map(reason => reason.label),
+    categories: Array.from(categories),
+    source: 'rules',
+    rules_version: rules.version,
+    profile_version: profileVersion(profile),
+    reasons
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Content hashing shared by the browser stores
+ */
+
+/**
+ * 32-bit FNV-1a of a string, as hex
+ * @param {string} text
+ * @returns {string} 8 hex digits
+ */
+export const fnv1a = (text) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return hash.toString(16).padStart(8, '0')
+}
@@ -1,14 +1,142 @@
 /**
  * Tender Fetcher Service - GitHub Actions Edition
  *
- * Reads tender data from JSON file generated daily by GitHub Actions.
+ * Reads tender data from JSON files generated daily by GitHub Actions.
  * GitHub Actions fetches OCDS CSV files server-side (no CORS issues)
- * and commits processed data to the repository.
+ * and commits processed data to the repository, sharded by deadline month
+ * (public/data/tenders/) so a search only downloads what it needs.
  */
 
+import { scoreTender } from './fitRules.js'
+import { loadStoredAnalyses, withStoredAnalysis } from './analysisStore.js'
+
+// import.meta.env is only defined under Vite; the module is also loaded by node --test
+const DATA_BASE = `${import.meta.env?.BASE_URL ?? '/'}data`
+
+// Shard downloads made this session, keyed by URL, so each is fetched once
+const shardRequests = new Map()
+
+// Tender id -> URL of the description shard holding its detailedDescription
+const descriptionShards = new Map()
+
+// Buyer proximity tiers set at ingestion (config/geography.json), nearest first.
+// A location search for a tier also returns every nearer tier.
+export const PROXIMITY_TIERS = [
+  { id: 'core', label: 'Core (BNSSG)', search: 'BNSSG only' },
+  { id: 'adjacent', label: 'Adjacent', search: 'BNSSG + adjacent (B&NES, Somerset, Wiltshire, Gloucestershire)' },
+  { id: 'regional', label: 'South West', search: 'South West' },
+  { id: 'national', label: 'Elsewhere in the UK', search: 'Anywhere located' }
+]
+
+// Buyer organisation types in the buyer registry (scripts/lib/buyers.js)
+export const BUYER_TYPE_LABELS = {
+  icb: 'ICB',
+  'nhs-trust': 'NHS Trust',
+  'local-authority': 'Local authority',
+  other: 'Other'
+}
+
+// Label for a tender's tier ('unknown' if the buyer couldn't be located)
+export function proximityLabel(tier) {
+  return PROXIMITY_TIERS.find(t => t.id === tier)?.label || 'Unknown location'
+}
+
+function fetchShard(url) {
+  if (!shardRequests.has(url)) {
+    const request = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load ${url}: ${response.status}`)
+        }
+        return response.json()
+      })
+      .catch(error => {
+        shardRequests.delete(url)
+        throw error
+      })
+    shardRequests.set(url, request)
+  }
+  return shardRequests.get(url)
+}
+
+/**
+ * Month shards a search needs: those overlapping the deadline range, plus the
+ * no-deadline shard (pre-market notices, which the date filter keeps). Unless
+ * expired deadlines are included the range starts no earlier than this month,
+ * so the default view doesn't download the shards of closed tenders.
+ * @param {Object} manifest - Published manifest.json
+ * @param {Object} searchParams - { publishedFrom, publishedTo, includeExpired }
+ * @param {Date} [today]
+ * @returns {Array<Object>} Manifest shard entries to load
+ */
+export function selectShards(manifest, searchParams, today = new Date()) {
+  const currentMonth = today.toISOString().slice(0, 7)
+  const requestedFrom = searchParams.publishedFrom ? searchParams.publishedFrom.slice(0, 7) : '0000-00'
+  const fromMonth = searchParams.includeExpired || requestedFrom > currentMonth ? requestedFrom : currentMonth
+  const toMonth = searchParams.publishedTo ? searchParams.publishedTo.slice(0, 7) : '9999-99'
+
+  return manifest.shards.filter(shard =>
+    shard.key === 'no-deadline' ||
+    (/^\d{4}-\d{2}$/.test(shard.key) && shard.key >= fromMonth && shard.key <= toMonth)
+  )
+}
+
+/**
+ * Load the tenders a search needs from the sharded dataset (manifest + month shards).
+ * Descriptions are only downloaded when a text filter has to search them;
+ * otherwise detailedDescription is null until loadTenderDescriptions() fills it in.
+ * Falls back to the single live-tenders.json file if no manifest has been published.
+ */
+async function loadDataset(searchParams) {
+  const manifestResponse = await fetch(`${DATA_BASE}/tenders/manifest.json`, { cache: 'no-cache' })
+
+  if (!manifestResponse.ok) {
+    const response = await fetch(`${DATA_BASE}/live-tenders.json`)
+    if (!response.ok) {
+      throw new Error(`Failed to load tender data: ${response.status}`)
+    }
+    const data = await response.json()
+    return { data, tenders: data.tenders }
+  }
+
+  const manifest = await manifestResponse.json()
+  const shards = selectShards(manifest, searchParams)
+  const needsDescriptions = Boolean(searchParams.keywords?.trim())
+  const shardUrl = (file) => `${DATA_BASE}/tenders/${file}?v=${encodeURIComponent(manifest.generated)}`
+
+  const loaded = await Promise.all(shards.map(async shard => {
+    const [shardTenders, descriptions] = await Promise.all([
+      fetchShard(shardUrl(shard.file)),
+      needsDescriptions ? fetchShard(shardUrl(shard.descriptions)) : null
+    ])
+
+    return shardTenders.map(tender => {
+      descriptionShards.set(tender.id, shardUrl(shard.descriptions))
+      return { ...tender, detailedDescription: descriptions ? descriptions[tender.id] ?? '' : null }
+    })
+  }))
+
+  const tenders = loaded.flat()
+  console.log(`Loaded ${shards.length}/${manifest.shards.length} shards${needsDescriptions ? ' with descriptions' : ''}`)
+  return { data: manifest, tenders }
+}
+
+/**
+ * Whether a stored analysis is newer than the one the tender was published with.
+ * Both are for the tender's current content (the stored one's hash matches, and
+ * the nightly run only publishes an analysis while its hash does).
+ * @param {Object} record - Stored analysis record
+ * @param {Object} tender - Published tender
+ * @returns {boolean} True if the tender was published without an analysis
+ */
+export function isNewerThanPublished(record, tender) {
+  if (!tender.ai_analyzed || !tender.analyzed_at) return true
+  return new Date(record.analyzed_at).getTime() > new Date(tender.analyzed_at).getTime()
+}
+
 /**
  * Main function to fetch and process tenders
- * Reads from locally stored JSON file (updated daily by GitHub Actions)
+ * Reads from locally stored JSON files (updated daily by GitHub Actions)
  * Returns { tenders: [], totalCount: number }
  */
 export async function fetchAndProcessTenders(searchParams) {
@@ -16,22 +144,25 @@ export async function fetchAndProcessTenders(searchParams) {
   console.log('Search parameters:', searchParams)
 
   try {
-    // Fetch the JSON file generated by GitHub Actions
-    // Use import.meta.env.BASE_URL to respect the base path in vite.config.js
-    const response = await fetch(`${import.meta.env.BASE_URL}data/live-tenders.json`)
+    const { data, tenders } = await loadDataset(searchParams)
+    console.log(`Loaded ${tenders.length} of ${data.count} tenders (generated: ${data.generated})`)
 
-    if (!response.ok) {
-      throw new Error(`Failed to load tender data: ${response.status}`)
-    }
-
-    const data = await response.json()
-    console.log(`Loaded ${data.count} tenders (generated: ${data.generated})`)
-
-    // Enrich with placeholder AI data
-    const enrichedTenders = data.tenders.map(tender => ({
-      ...tender,
-      sirona_fit: tender.sirona_fit || generatePlaceholderFit()
-    }))
+    // Enrich with the newest current analysis (stored, or published by the nightly run),
+    // or a rules-based pre-score until Claude analyses the tender (or after it changes),
+    // and change status since the previous run
+    const { analyses, outdated } = await loadStoredAnalyses(tenders)
+    const enrichedTenders = tenders.map(tender => {
+      const withStatus = { ...tender, change_status: getChangeStatus(tender, data.generated) }
+      const record = analyses.get(tender.id)
+      if (record && isNewerThanPublished(record, tender)) return withStoredAnalysis(withStatus, record)
+      return {
+        ...withStatus,
+        sirona_fit: tender.sirona_fit || scoreTender(tender),
+        // A published analysis is current for the tender as published, so only a tender
+        // showing its pre-score has an out-of-date analysis
+        ...(outdated.has(tender.id) && !tender.ai_analyzed ? { analysis_outdated: true } : {})
+      }
+    })
 
     // Apply client-side filters
     const filtered = applyFilters(enrichedTenders, searchParams)
@@ -40,7 +171,9 @@ export async function fetchAndProcessTenders(searchParams) {
 
     return {
       tenders: filtered,
-      totalCount: data.count
+      totalCount: data.count,
+      generated: data.generated,
+      quality: data.quality || null
     }
 
   } catch (error) {
@@ -49,6 +182,147 @@ export async function fetchAndProcessTenders(searchParams) {
   }
 }
 
+/**
+ * Fill in detailedDescription for tenders loaded without it (see loadDataset)
+ * Returns the tenders in the same order, with descriptions where available
+ */
+export async function loadTenderDescriptions(tenders) {
+  const missing = tenders.filter(t => t.detailedDescription == null && descriptionShards.has(t.id))
+  if (missing.length === 0) return tenders
+
+  const urls = [...new Set(missing.map(t => descriptionShards.get(t.id)))]
+  const shards = await Promise.all(urls.map(fetchShard))
+  const descriptions = Object.assign({}, ...shards)
+
+  return tenders.map(t => t.detailedDescription == null
+    ? { ...t, detailedDescription: descriptions[t.id] ?? '' }
+    : t
+  )
+}
+
+/**
+ * Load the data quality report written alongside live-tenders.json
+ * Returns null if no report has been published yet
+ */
+export async function fetchIngestReport() {
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}data/ingest-report.json`)
+
+    if (!response.ok) {
+      return null
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Error loading ingest report:', error)
+    return null
+  }
+}
+
+/**
+ * Load the buyer directory (canonical buyers with their tenders and awards)
+ * Returns null when no directory has been published yet
+ */
+export async function fetchBuyerDirectory() {
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}data/buyers.json`)
+
+    if (!response.ok) {
+      return null
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Error loading buyer directory:', error)
+    return null
+  }
+}
+
+/**
+ * Load the competitor directory (award winners and AI-predicted competitors)
+ * Returns null when no directory has been published yet
+ */
+export async function fetchCompetitorDirectory() {
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}data/competitors.json`)
+
+    if (!response.ok) {
+      return null
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Error loading competitor directory:', error)
+    return null
+  }
+}
+
+/**
+ * Add the competitors named in this session's AI analyses to the published
+ * directory's prediction counts. Names match a competitor's name or aliases
+ * (ignoring case); other names are listed as predicted only. Our own names
+ * and generic guesses are skipped, as at ingestion.
+ */
+export function withSessionPredictions(directory, tenders) {
+  const ignoredNames = new Set(directory.ignore.names.map(name => name.toLowerCase()))
+  const ignoredPatterns = directory.ignore.patterns.map(pattern => new RegExp(pattern))
+  const competitors = directory.competitors.map(c => ({ ...c, predictedIn: [...c.predictedIn] }))
+  const byName = new Map()
+  for (const competitor of competitors) {
+    for (const name of [competitor.name, ...competitor.aliases]) byName.set(name.toLowerCase(), competitor)
+  }
+
+  for (const tender of tenders) {
+    if (!tender.ai_analyzed) continue
+
+    for (const name of tender.sirona_fit?.competitors || []) {
+      const key = name.trim().toLowerCase()
+      if (!key || ignoredNames.has(key) || ignoredPatterns.some(pattern => pattern.test(key))) continue
+
+      let competitor = byName.get(key)
+      if (!competitor) {
+        competitor = {
+          id: `predicted:${key}`,
+          name: name.trim(),
+          aliases: [],
+          contractsWon: 0,
+          valueWon: 0,
+          predictedIn: [],
+          buyers: [],
+          categories: [],
+          awards: []
+        }
+        competitors.push(competitor)
+        byName.set(key, competitor)
+      }
+      if (!competitor.predictedIn.includes(tender.id)) competitor.predictedIn.push(tender.id)
+    }
+  }
+
+  return competitors
+    .map(competitor => ({ ...competitor, predicted: competitor.predictedIn.length }))
+    .sort((a, b) => b.contractsWon - a.contractsWon || b.predicted - a.predicted || a.name.localeCompare(b.name))
+}
+
+/**
+ * Load the re-procurement pipeline forecast written by the ingestion run
+ * Returns null when no forecast has been published yet
+ */
+export async function fetchPipelineForecast() {
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}data/pipeline-forecast.json`)
+
+    if (!response.ok) {
+      return null
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Error loading pipeline forecast:', error)
+    return null
+  }
+}
+
 /**
  * Apply client-side filters to tender list
  */
@@ -69,16 +343,13 @@ function applyFilters(tenders, searchParams) {
     console.log(`After keywords filter: ${filtered.length} tenders`)
   }
 
-  // Location filter - searches across multiple fields for better regional coverage
-  if (searchParams.location?.trim()) {
-    const loc = searchParams.location.toLowerCase().trim()
-    filtered = filtered.filter(t =>
-      t.region.toLowerCase().includes(loc) ||
-      t.organization.toLowerCase().includes(loc) ||
-      t.title.toLowerCase().includes(loc) ||
-      t.summary.toLowerCase().includes(loc) ||
-      (t.detailedDescription && t.detailedDescription.toLowerCase().includes(loc))
-    )
+  // Location filter - by the buyer's proximity tier; unlocated buyers only show without one
+  if (searchParams.proximity) {
+    const maxRank = PROXIMITY_TIERS.findIndex(t => t.id === searchParams.proximity)
+    filtered = filtered.filter(t => {
+      const rank = PROXIMITY_TIERS.findIndex(tier => tier.id === t.geography?.tier)
+      return rank !== -1 && rank <= maxRank
+    })
     console.log(`After location filter: ${filtered.length} tenders`)
   }
 
@@ -98,7 +369,8 @@ function applyFilters(tenders, searchParams) {
   // Date range filter (on deadline)
   if (searchParams.publishedFrom || searchParams.publishedTo) {
     filtered = filtered.filter(t => {
-      if (!t.deadline) return false
+      // Pre-market notices have no deadline yet
+      if (!t.deadline) return t.stage === 'planning'
 
       const deadline = new Date(t.deadline)
       const from = searchParams.publishedFrom ? new Date(searchParams.publishedFrom) : new Date('2000-01-01')
@@ -114,50 +386,16 @@ function applyFilters(tenders, searchParams) {
 }
 
 /**
- * Generate placeholder AI analysis data
- */
-function generatePlaceholderFit() {
-  return {
-    alignment_score: Math.floor(Math.random() * 30) + 60, // 60-90%
-    recommendation: getRandomRecommendation(),
-    rationale: 'This tender requires AI analysis. Use the "Analyze This Tender" feature for detailed strategic fit assessment.',
-    win_themes: [
-      'Community-focused healthcare delivery',
-      'Integrated care experience',
-      'Local knowledge and presence'
-    ],
-    competitors: [
-      'Local NHS Trusts',
-      'Other community health providers',
-      'National healthcare organizations'
-    ],
-    weak_spots: [
-      'Competitive landscape to be assessed',
-      'Strategic fit requires detailed analysis',
-      'Resource requirements need review'
-    ],
-    categories: []
-  }
-}
-
-/**
- * Get random recommendation for placeholder
+ * Classify a tender relative to the latest ingestion run:
+ * 'new' if first seen in the last day, 'amended' if changed in the last day
  */
-function getRandomRecommendation() {
-  const recommendations = ['Strong Go', 'Conditional Go', 'Monitor', 'No Bid']
-  const weights = [0.25, 0.35, 0.30, 0.10]
-
-  const random = Math.random()
-  let cumulative = 0
-
-  for (let i = 0; i < recommendations.length; i++) {
-    cumulative += weights[i]
-    if (random < cumulative) {
-      return recommendations[i]
-    }
-  }
+function getChangeStatus(tender, generated) {
+  if (!generated) return null
 
-  return 'Monitor'
+  const since = new Date(generated).getTime() - 24 * 60 * 60 * 1000
+  if (tender.first_seen && new Date(tender.first_seen).getTime() > since) return 'new'
+  if (tender.last_changed && new Date(tender.last_changed).getTime() > since) return 'amended'
+  return null
 }
 
 /**
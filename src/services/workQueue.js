@@ -0,0 +1,169 @@
+/**
+ * Work Queue
+ *
+ * Runs an async task for each item with a concurrency limit and token-bucket
+ * pacing (a burst of requests, then a steady rate per minute). Tasks that
+ * fail with a rate-limit or overload status (429, 529 or another 5xx, on the
+ * error's `status`) are retried with exponential backoff and jitter, honouring
+ * the server's Retry-After (the error's `retryAfter`); a Retry-After holds
+ * every worker, since the limit applies to the whole account.
+ *
+ * The queue can be paused, resumed and cancelled. Running tasks finish;
+ * paused workers wait before starting the next item, and cancelled items are
+ * never started.
+ */
+
+export const QUEUE_DEFAULTS = {
+  concurrency: 3,
+  requestsPerMinute: 40,
+  burst: 3,
+  retries: 4,
+  retryDelay: 2000,
+  maxRetryDelay: 60000
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * @param {number|undefined} status - HTTP status of the failure
+ * @returns {boolean}
+ */
+export const isRetryableStatus = (status) => status === 429 || status === 529 || status >= 500
+
+// Retry-After is either seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const seconds = Number(value)
+  if (!isNaN(seconds)) return seconds * 1000
+  const date = Date.parse(value)
+  return isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Exponential backoff with full jitter, or the server's Retry-After if it asked for longer
+ * @param {number} attempt - Retries already made
+ * @param {Object} settings - { retryDelay, maxRetryDelay }
+ * @param {string|number|null} retryAfter - Retry-After header value
+ * @returns {number} Delay in ms
+ */
+export const retryDelay = (attempt, settings, retryAfter = null) => {
+  const backoff = Math.min(settings.maxRetryDelay, settings.retryDelay * 2 ** attempt)
+  const jittered = backoff / 2 + Math.random() * backoff / 2
+
+  const requested = parseRetryAfter(retryAfter)
+  return requested !== null ? Math.min(settings.maxRetryDelay, Math.max(requested, jittered)) : jittered
+}
+
+/**
+ * Create a work queue
+ * @param {Object} [options] - Overrides for QUEUE_DEFAULTS
+ * @returns {Object} { run, pause, resume, cancel, getState }
+ */
+export const createWorkQueue = (options = {}) => {
+  const settings = { ...QUEUE_DEFAULTS, ...options }
+  const refillPerMs = settings.requestsPerMinute / 60000
+
+  let state = 'running' // 'running' | 'paused' | 'cancelled'
+  let tokens = settings.burst
+  let lastRefill = Date.now()
+  let holdUntil = 0
+
+  // Waits end early when the state changes, so pause and cancel take effect at once
+  const wakers = new Set()
+  const wait = (ms) => new Promise(resolve => {
+    const wake = () => {
+      clearTimeout(timer)
+      wakers.delete(wake)
+      resolve()
+    }
+    const timer = ms === Infinity ? null : setTimeout(wake, ms)
+    wakers.add(wake)
+  })
+
+  const setState = (next) => {
+    state = next
+    ;[...wakers].forEach(wake => wake())
+  }
+
+  // Wait for a token, past any pause or Retry-After hold; false once cancelled
+  const acquire = async () => {
+    for (;;) {
+      if (state === 'cancelled') return false
+      if (state === 'paused') {
+        await wait(Infinity)
+        continue
+      }
+
+      const held = holdUntil - Date.now()
+      if (held > 0) {
+        await wait(held)
+        continue
+      }
+
+      const now = Date.now()
+      tokens = Math.min(settings.burst, tokens + (now - lastRefill) * refillPerMs)
+      lastRefill = now
+      if (tokens >= 1) {
+        tokens -= 1
+        return true
+      }
+      await wait((1 - tokens) / refillPerMs)
+    }
+  }
+
+  /**
+   * Run a task for every item
+   * @param {Array} items
+   * @param {Function} task - async (item) => result; throws an error with `status` (and `retryAfter`) on failure
+   * @param {Object} [handlers] - onSettled(outcome) after each item, onRetry({ item, attempt, delay, error }) before each retry
+   * @returns {Promise<Array<Object>>} Outcomes ({ item, result } or { item, error }) of the items that ran, in item order
+   */
+  const run = async (items, task, { onSettled, onRetry } = {}) => {
+    const outcomes = new Array(items.length)
+    let next = 0
+
+    const runItem = async (item) => {
+      for (let attempt = 0; ; attempt++) {
+        if (!(await acquire())) return null
+        try {
+          return { item, result: await task(item) }
+        } catch (error) {
+          if (!isRetryableStatus(error.status) || attempt >= settings.retries) {
+            return { item, error }
+          }
+          const delay = retryDelay(attempt, settings, error.retryAfter)
+          if (error.retryAfter) {
+            holdUntil = Math.max(holdUntil, Date.now() + delay)
+          }
+          if (typeof onRetry === 'function') {
+            onRetry({ item, attempt: attempt + 1, delay, error })
+          }
+          await wait(delay)
+        }
+      }
+    }
+
+    const worker = async () => {
+      while (state !== 'cancelled' && next < items.length) {
+        const index = next++
+        const outcome = await runItem(items[index])
+        if (!outcome) return
+        outcomes[index] = outcome
+        if (typeof onSettled === 'function') {
+          onSettled(outcome)
+        }
+      }
+    }
+
+    const workers = Math.max(1, Math.min(settings.concurrency, items.length))
+    await Promise.all(Array.from({ length: workers }, worker))
+    return outcomes.filter(Boolean)
+  }
+
+  return {
+    run,
+    pause: () => { if (state === 'running') setState('paused') },
+    resume: () => { if (state === 'paused') setState('running') },
+    cancel: () => setState('cancelled'),
+    getState: () => state
+  }
+}